@@ -0,0 +1,21 @@
+// Vite provides import.meta.env in the app; under Jest, read the same variables from process.env
+const importMetaEnv = ({ types: t }) => ({
+  visitor: {
+    MetaProperty(path) {
+      if (path.node.meta.name === 'import' && path.node.property.name === 'meta') {
+        path.replaceWith(t.objectExpression([
+          t.objectProperty(t.identifier('env'), t.memberExpression(t.identifier('process'), t.identifier('env')))
+        ]));
+      }
+    }
+  }
+});
+
+// Used by Jest only; Vite compiles the app itself
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    ['@babel/preset-react', { runtime: 'automatic' }]
+  ],
+  plugins: [importMetaEnv]
+};
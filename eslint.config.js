@@ -30,4 +30,17 @@ export default [
       ],
     },
   },
+  {
+    files: ['**/*.test.{js,jsx}', 'src/setupTests.js', 'src/__mocks__/**'],
+    languageOptions: {
+      globals: { ...globals.jest, ...globals.node },
+    },
+  },
+  {
+    files: ['*.config.cjs'],
+    languageOptions: {
+      globals: globals.node,
+      sourceType: 'commonjs',
+    },
+  },
 ]
@@ -9,6 +9,8 @@ import TooltipOverlay from '../ui/modern/TooltipOverlay';
 import AnimatedNumberDisplay from '../ui/modern/AnimatedNumberDisplay';
 import AnimatedResultCard from '../ui/modern/AnimatedResultCard';
 import NumericInput from '../ui/NumericInput';
+import Select from '../ui/Select';
+import EnhancedDonutChart from '../ui/EnhancedDonutChart';
 import ChartWrapper from '../ui/ChartWrapper';
 import ResponsiveFormSection from '../ui/ResponsiveFormSection';
 import ResponsiveContainer from '../ui/ResponsiveContainer';
@@ -18,6 +20,18 @@ import { useTranslation } from 'react-i18next';
 import { useLocale } from '../../contexts/LocaleContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { announceToScreenReader } from '../../utils/accessibilityUtils';
+import { COUNCIL_TAX_BANDS, ESTIMATED_TAX_INSURANCE_RATE } from '../../utils/housingCosts';
+
+// Segment colours for the monthly housing cost breakdown
+const HOUSING_COST_COLORS = {
+  principal: '#6366F1',
+  interest: '#818CF8',
+  propertyTax: '#F59E0B',
+  homeInsurance: '#14B8A6',
+  mortgageInsurance: '#10B981',
+  serviceCharge: '#EC4899',
+  groundRent: '#A5B4FC'
+};
 
 /**
  * AffordabilityCalculator component for determining what a user can afford
@@ -82,6 +96,11 @@ const AffordabilityCalculator = ({
   const [interestRate, setInterestRate] = useState(initialValues.rate);
   const [loanTerm, setLoanTerm] = useState(initialValues.termYears);
   const [debtToIncomeRatio, setDebtToIncomeRatio] = useState(initialValues.debtToIncomeRatio);
+  const [propertyTaxRate, setPropertyTaxRate] = useState(initialValues.propertyTaxRate || 0);
+  const [councilTaxBand, setCouncilTaxBand] = useState(initialValues.councilTaxBand || '');
+  const [homeInsurance, setHomeInsurance] = useState(initialValues.homeInsurance || 0);
+  const [serviceCharge, setServiceCharge] = useState(initialValues.serviceCharge || 0);
+  const [groundRent, setGroundRent] = useState(initialValues.groundRent || 0);
   const [errors, setErrors] = useState({});
   const [showResults, setShowResults] = useState(false);
   const [localResults, setLocalResults] = useState(null);
@@ -98,6 +117,9 @@ const AffordabilityCalculator = ({
   // Use either local results or hook results
   const displayResults = localResults || results;
 
+  // Monthly housing cost segments at the conservative price, leaving out costs that do not apply
+  const housingCostItems = displayResults?.housingCostsConservative?.items.filter(item => item.amount > 0) || [];
+
   // Debug the results and ensure chart updates
   useEffect(() => {
     console.log('Current displayResults:', displayResults);
@@ -167,6 +189,7 @@ const AffordabilityCalculator = ({
         rate: interestRate,
         termYears: loanTerm,
         debtToIncomeRatio: standardMaxDTI, // Use the standard max DTI instead of current DTI
+        housingCosts: { propertyTaxRate, councilTaxBand, homeInsurance, serviceCharge, groundRent },
         additionalParams: {
           loanType: loanTypeId,
           currentDTI: debtToIncomeRatio // Pass the current DTI as an additional parameter for reference
@@ -252,6 +275,11 @@ const AffordabilityCalculator = ({
     setInterestRate(initialValues.rate);
     setLoanTerm(initialValues.termYears);
     setDebtToIncomeRatio(initialValues.debtToIncomeRatio);
+    setPropertyTaxRate(initialValues.propertyTaxRate || 0);
+    setCouncilTaxBand(initialValues.councilTaxBand || '');
+    setHomeInsurance(initialValues.homeInsurance || 0);
+    setServiceCharge(initialValues.serviceCharge || 0);
+    setGroundRent(initialValues.groundRent || 0);
     setErrors({});
     setShowResults(false);
     setLocalResults(null);
@@ -580,6 +608,80 @@ const AffordabilityCalculator = ({
               </div>
             </div>
 
+            {/* Housing Costs - Only for mortgages */}
+            {loanTypeId === 'mortgage' && (
+              <div className="mb-3">
+                <label className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FaHome className="mr-2 text-amber-500 h-4 w-4" />
+                  Housing Costs
+                  <TooltipOverlay content={`Property tax, insurance and other costs of owning the home count towards your debt-to-income ratio alongside the mortgage payment. Left blank, tax and insurance are estimated at ${ESTIMATED_TAX_INSURANCE_RATE}% of the price a year.`}>
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {currentLocale.code === 'en-GB' ? (
+                    <Select
+                      id="council-tax-band"
+                      name="council-tax-band"
+                      label="Council Tax Band"
+                      value={councilTaxBand}
+                      onChange={(e) => setCouncilTaxBand(e.target.value)}
+                      options={[
+                        { value: '', label: 'Not included' },
+                        ...Object.values(COUNCIL_TAX_BANDS).map(band => ({ value: band.id, label: band.label }))
+                      ]}
+                    />
+                  ) : (
+                    <NumericInput
+                      id="property-tax-rate"
+                      name="property-tax-rate"
+                      label="Property Tax (% a year)"
+                      value={propertyTaxRate}
+                      onChange={setPropertyTaxRate}
+                      min={0}
+                      max={5}
+                      step={0.05}
+                      suffix="%"
+                      decimalScale={2}
+                    />
+                  )}
+                  <NumericInput
+                    id="home-insurance"
+                    name="home-insurance"
+                    label="Home Insurance (a year)"
+                    value={homeInsurance}
+                    onChange={setHomeInsurance}
+                    min={0}
+                    prefix={currentLocale.currency}
+                    thousandSeparator={true}
+                    decimalScale={0}
+                  />
+                  <NumericInput
+                    id="service-charge"
+                    name="service-charge"
+                    label={`${currentLocale.code === 'en-GB' ? 'Service Charge' : 'HOA Fees'} (a month)`}
+                    value={serviceCharge}
+                    onChange={setServiceCharge}
+                    min={0}
+                    prefix={currentLocale.currency}
+                    thousandSeparator={true}
+                    decimalScale={0}
+                  />
+                  <NumericInput
+                    id="ground-rent"
+                    name="ground-rent"
+                    label="Ground Rent (a year)"
+                    value={groundRent}
+                    onChange={setGroundRent}
+                    min={0}
+                    prefix={currentLocale.currency}
+                    thousandSeparator={true}
+                    decimalScale={0}
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Debt-to-Income Ratio */}
             <div className="mb-3">
               <label className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
@@ -933,6 +1035,49 @@ const AffordabilityCalculator = ({
                         </div>
                       </div>
                     </div>
+
+                    {/* Monthly Housing Cost (PITI) at the conservative price */}
+                    {displayResults?.housingCostsConservative && (
+                      <div className="mt-4 sm:mt-6 w-full flex flex-col items-center">
+                        <h4 className="self-start text-xs sm:text-sm font-semibold mb-1 sm:mb-2 text-gray-700 dark:text-gray-300">Monthly Housing Cost</h4>
+                        <EnhancedDonutChart
+                          key={housingCostItems.map(item => item.id).join('-')}
+                          data={housingCostItems.map(item => item.amount)}
+                          colors={housingCostItems.map(item => HOUSING_COST_COLORS[item.id])}
+                          labels={housingCostItems.map(item => item.label)}
+                          size={200}
+                          thickness={30}
+                          monthlyPayment={displayResults.housingCostsConservative.piti}
+                          monthlyPaymentLabel="PITI"
+                          effect="glow"
+                          className="w-full"
+                        />
+                        {displayResults.taxInsuranceEstimated && (
+                          <p className="mt-2 self-start text-xs text-amber-700 dark:text-amber-400">
+                            Property tax and insurance are estimated at {ESTIMATED_TAX_INSURANCE_RATE}% of the price a year. Enter your own figures under Housing Costs to replace the estimate.
+                          </p>
+                        )}
+
+                        {/* Debt-to-income with the full housing cost */}
+                        <div className="mt-3 w-full bg-gray-50 dark:bg-gray-800/50 p-2 sm:p-3 rounded-lg text-xs">
+                          <div className="flex justify-between mb-1">
+                            <span className="text-gray-500 dark:text-gray-400">Housing cost / income (front-end)</span>
+                            <span className="font-medium text-gray-700 dark:text-gray-300">
+                              {formatPercentage(displayResults.debtToIncomeConservative.frontEnd * 100)}
+                            </span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-500 dark:text-gray-400">All debts / income (back-end)</span>
+                            <span className={`font-medium ${displayResults.debtToIncomeConservative.backEnd > 0.36 ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                              {formatPercentage(displayResults.debtToIncomeConservative.backEnd * 100)}
+                            </span>
+                          </div>
+                          <p className="mt-1 text-gray-500 dark:text-gray-400">
+                            At the maximum price: {formatCurrency(displayResults.totalMonthlyPaymentMax)}/mo housing cost, {formatPercentage(displayResults.debtToIncomeMax.backEnd * 100)} back-end.
+                          </p>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </ResponsiveGrid>
 
@@ -941,7 +1086,7 @@ const AffordabilityCalculator = ({
                   <div className="flex items-start sm:items-center">
                     <FaInfoCircle className={`mr-2 h-3 w-3 sm:h-4 sm:w-4 mt-0.5 sm:mt-0 ${localIsDarkMode ? 'text-blue-400' : 'text-blue-600'}`} />
                     <p className={`text-xs ${localIsDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-                      Calculations follow standard banking guidelines using a maximum debt-to-income ratio of 36%. The conservative recommendation provides a 10% buffer for financial flexibility.
+                      Calculations follow standard banking guidelines using a maximum debt-to-income ratio of 36%{loanTypeId === 'mortgage' && ', counting property tax, insurance and other housing costs alongside the mortgage payment'}. The conservative recommendation provides a 10% buffer for financial flexibility.
                     </p>
                   </div>
                 </div>
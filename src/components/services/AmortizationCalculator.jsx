@@ -1,14 +1,19 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { FaCalculator, FaMoneyBillWave, FaPercentage, FaCalendarAlt, FaClock, FaInfoCircle, FaUndo } from 'react-icons/fa';
+import { FaCalculator, FaMoneyBillWave, FaPercentage, FaCalendarAlt, FaClock, FaInfoCircle, FaUndo, FaExchangeAlt, FaPlus, FaTrash, FaPauseCircle, FaChartLine } from 'react-icons/fa';
 import GlassCard from '../ui/modern/GlassCard';
 import GlowButton from '../ui/modern/GlowButton';
 import StyledSlider from '../ui/modern/StyledSlider';
 import TooltipOverlay from '../ui/modern/TooltipOverlay';
 import NumericInput from '../ui/NumericInput';
 import Select from '../ui/Select';
+import ArmRateInputs from '../ui/ArmRateInputs';
 import { useLocale } from '../../contexts/LocaleContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { DAY_COUNT_CONVENTIONS, GRACE_INTEREST_MODES, PAYMENT_FREQUENCIES, PAYMENT_HOLIDAY_MODES } from '../../utils/mortgage';
+import { REGION_ROUNDING_POLICIES, ROUNDING_POLICIES } from '../../utils/money';
+import { MORTGAGE_INSURANCE_TYPES } from '../../utils/mortgageInsurance';
+import { DEFAULT_ARM } from '../../utils/arm';
 
 /**
  * AmortizationCalculator component specifically for generating amortization schedules
@@ -76,6 +81,20 @@ const AmortizationCalculator = ({
   const [downPayment, setDownPayment] = useState(initialValues.downPayment || 0);
   const [tradeInValue, setTradeInValue] = useState(initialValues.tradeInValue || 0);
   const [gracePeriodMonths, setGracePeriodMonths] = useState(initialValues.gracePeriodMonths || 0);
+  const [graceInterest, setGraceInterest] = useState(initialValues.graceInterest || 'unsubsidized');
+  const [rateChanges, setRateChanges] = useState(initialValues.rateChanges || []);
+  const [paymentHolidays, setPaymentHolidays] = useState(initialValues.paymentHolidays || []);
+  const [paymentFrequency, setPaymentFrequency] = useState(initialValues.paymentFrequency || 'monthly');
+  const [balloon, setBalloon] = useState(initialValues.balloon || 0);
+  const [balloonType, setBalloonType] = useState(initialValues.balloonType || 'percent');
+  const [interestOnlyPortion, setInterestOnlyPortion] = useState(initialValues.interestOnlyPortion || 50);
+  const [interestOnlyPortionType, setInterestOnlyPortionType] = useState(initialValues.interestOnlyPortionType || 'percent');
+  const [startDate, setStartDate] = useState(initialValues.startDate || '');
+  const [dayCount, setDayCount] = useState(initialValues.dayCount || 'periodic');
+  const [rounding, setRounding] = useState(initialValues.rounding || REGION_ROUNDING_POLICIES[currentLocale.code] || 'nearest-minor');
+  const [insuranceType, setInsuranceType] = useState(initialValues.insuranceType || 'none');
+  const [propertyValue, setPropertyValue] = useState(initialValues.propertyValue || 0);
+  const [arm, setArm] = useState(initialValues.arm || DEFAULT_ARM);
   const [fees, setFees] = useState(additionalFees);
   const [errors, setErrors] = useState({});
   const [showResults, setShowResults] = useState(false);
@@ -83,6 +102,36 @@ const AmortizationCalculator = ({
   // Reference to the results section for scrolling
   const resultsRef = useRef(null);
 
+  // Add a rate-change event, defaulting to the end of a two-year fix
+  const addRateChange = () => {
+    setRateChanges(prev => [...prev, { month: prev.length > 0 ? prev[prev.length - 1].month + 12 : 25, rate: interestRate }]);
+  };
+
+  // Update a field of a rate-change event
+  const updateRateChange = (index, field, value) => {
+    setRateChanges(prev => prev.map((change, i) => (i === index ? { ...change, [field]: value } : change)));
+  };
+
+  // Remove a rate-change event
+  const removeRateChange = (index) => {
+    setRateChanges(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Add a payment holiday, defaulting to three months a year into the loan
+  const addPaymentHoliday = () => {
+    setPaymentHolidays(prev => [...prev, { month: 13, months: 3, after: 'recalculate' }]);
+  };
+
+  // Update a field of a payment holiday
+  const updatePaymentHoliday = (index, field, value) => {
+    setPaymentHolidays(prev => prev.map((holiday, i) => (i === index ? { ...holiday, [field]: value } : holiday)));
+  };
+
+  // Remove a payment holiday
+  const removePaymentHoliday = (index) => {
+    setPaymentHolidays(prev => prev.filter((_, i) => i !== index));
+  };
+
   // Handle calculation
   const handleCalculate = async () => {
     // Reset errors
@@ -95,7 +144,21 @@ const AmortizationCalculator = ({
       fees,
       downPayment,
       tradeInValue,
-      gracePeriodMonths
+      gracePeriodMonths,
+      graceInterest,
+      rateChanges,
+      paymentHolidays,
+      paymentFrequency,
+      startDate,
+      dayCount,
+      rounding,
+      balloon,
+      balloonType,
+      interestOnlyPortion,
+      interestOnlyPortionType,
+      insuranceType,
+      propertyValue,
+      arm
     });
 
     try {
@@ -108,7 +171,20 @@ const AmortizationCalculator = ({
         fees,
         downPayment,
         tradeInValue,
-        gracePeriodMonths
+        gracePeriodMonths,
+        graceInterest,
+        rateChanges,
+        paymentHolidays,
+        paymentFrequency,
+        startDate: startDate || null,
+        dayCount,
+        rounding,
+        balloon,
+        balloonType,
+        interestOnlyPortion,
+        interestOnlyPortionType,
+        mortgageInsurance: loanTypeId === 'mortgage' ? { type: insuranceType, propertyValue } : null,
+        arm: repaymentType === 'arm' ? arm : null
       });
 
       console.log("Calculation results:", results);
@@ -139,6 +215,20 @@ const AmortizationCalculator = ({
     setDownPayment(initialValues.downPayment || 0);
     setTradeInValue(initialValues.tradeInValue || 0);
     setGracePeriodMonths(initialValues.gracePeriodMonths || 0);
+    setGraceInterest(initialValues.graceInterest || 'unsubsidized');
+    setRateChanges(initialValues.rateChanges || []);
+    setPaymentHolidays(initialValues.paymentHolidays || []);
+    setPaymentFrequency(initialValues.paymentFrequency || 'monthly');
+    setStartDate(initialValues.startDate || '');
+    setDayCount(initialValues.dayCount || 'periodic');
+    setRounding(initialValues.rounding || REGION_ROUNDING_POLICIES[currentLocale.code] || 'nearest-minor');
+    setBalloon(initialValues.balloon || 0);
+    setBalloonType(initialValues.balloonType || 'percent');
+    setInterestOnlyPortion(initialValues.interestOnlyPortion || 50);
+    setInterestOnlyPortionType(initialValues.interestOnlyPortionType || 'percent');
+    setInsuranceType(initialValues.insuranceType || 'none');
+    setPropertyValue(initialValues.propertyValue || 0);
+    setArm(initialValues.arm || DEFAULT_ARM);
     setFees(additionalFees);
     setErrors({});
     setShowResults(false);
@@ -302,11 +392,181 @@ const AmortizationCalculator = ({
                 options={[
                   { value: 'repayment', label: 'Repayment (Principal & Interest)' },
                   { value: 'interest-only', label: 'Interest Only' },
+                  { value: 'balloon', label: 'Balloon (residual lump sum at the end)' },
+                  { value: 'part-and-part', label: 'Part and Part (split interest-only and repayment)' },
+                  ...(loanTypeId === 'mortgage' ? [{ value: 'arm', label: 'Adjustable Rate (ARM)' }] : []),
                 ]}
                 error={errors.type}
               />
             </div>
 
+            {/* Payment Frequency */}
+            <div className="mb-3">
+              <label htmlFor="payment-frequency" className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                <FaClock className="mr-2 text-teal-500 h-4 w-4" />
+                Payment Frequency
+                <TooltipOverlay content="Accelerated bi-weekly pays half the monthly payment every two weeks, clearing the loan early.">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </TooltipOverlay>
+              </label>
+              <Select
+                id="payment-frequency"
+                name="payment-frequency"
+                value={paymentFrequency}
+                onChange={(e) => setPaymentFrequency(e.target.value)}
+                options={Object.values(PAYMENT_FREQUENCIES).map(frequency => ({ value: frequency.id, label: frequency.label }))}
+              />
+            </div>
+
+            {/* Loan Start Date */}
+            <div className="mb-3">
+              <label htmlFor="start-date" className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                <FaCalendarAlt className="mr-2 text-blue-500 h-4 w-4" />
+                Start Date
+                <TooltipOverlay content="Optional. When set, each payment in the schedule shows its due date.">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </TooltipOverlay>
+              </label>
+              <input
+                id="start-date"
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                className="input input-loanviz w-full"
+              />
+            </div>
+
+            {/* Interest Day Count */}
+            <div className="mb-3">
+              <label htmlFor="day-count" className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                <FaPercentage className="mr-2 text-blue-500 h-4 w-4" />
+                Interest Calculation
+                <TooltipOverlay content="UK and Indian lenders usually charge interest daily (Actual/365); US loans use 30/360. Requires a start date.">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </TooltipOverlay>
+              </label>
+              <Select
+                id="day-count"
+                name="day-count"
+                value={dayCount}
+                onChange={(e) => setDayCount(e.target.value)}
+                options={Object.values(DAY_COUNT_CONVENTIONS).map(convention => ({ value: convention.id, label: convention.label }))}
+                disabled={!startDate}
+              />
+            </div>
+
+            {/* Payment Rounding */}
+            <div className="mb-3">
+              <label htmlFor="rounding" className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                <FaMoneyBillWave className="mr-2 text-green-500 h-4 w-4" />
+                Payment Rounding
+                <TooltipOverlay content="How your lender rounds the regular payment. UK lenders usually round up to the penny and Indian EMIs to the whole rupee. Interest is charged to the penny and the final payment settles any difference.">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </TooltipOverlay>
+              </label>
+              <Select
+                id="rounding"
+                name="rounding"
+                value={rounding}
+                onChange={(e) => setRounding(e.target.value)}
+                options={Object.values(ROUNDING_POLICIES).map(policy => ({ value: policy.id, label: policy.label }))}
+              />
+            </div>
+
+            {/* Balloon Payment */}
+            {repaymentType === 'balloon' && (
+              <div className="mb-3">
+                <label htmlFor="balloon-amount" className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FaMoneyBillWave className="mr-2 text-amber-500 h-4 w-4" />
+                  Balloon Payment
+                  <TooltipOverlay content="Lump sum due with the final payment. Enter an amount or a percentage of the loan.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                <div className="flex gap-2">
+                  <div className="flex-1">
+                    <NumericInput
+                      id="balloon-amount"
+                      name="balloon-amount"
+                      value={balloon}
+                      onChange={setBalloon}
+                      min={0}
+                      prefix={balloonType === 'amount' ? currentLocale.currency : ''}
+                      suffix={balloonType === 'percent' ? '%' : ''}
+                      thousandSeparator={balloonType === 'amount'}
+                      decimalScale={balloonType === 'percent' ? 1 : 0}
+                    />
+                  </div>
+                  <div className="w-28">
+                    <Select
+                      id="balloon-type"
+                      name="balloon-type"
+                      value={balloonType}
+                      onChange={(e) => setBalloonType(e.target.value)}
+                      options={[
+                        { value: 'percent', label: '% of loan' },
+                        { value: 'amount', label: 'Amount' },
+                      ]}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Adjustable-rate terms */}
+            {repaymentType === 'arm' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <label className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FaChartLine className="mr-2 text-orange-500 h-4 w-4" />
+                  Adjustable Rate
+                  <TooltipOverlay content="The interest rate above is the initial rate. After the fixed period it resets to the index plus the margin, within the caps.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                <ArmRateInputs value={arm} onChange={setArm} idPrefix="amortization-arm" />
+              </div>
+            )}
+
+            {/* Part-and-part split */}
+            {repaymentType === 'part-and-part' && (
+              <div className="mb-3">
+                <label htmlFor="interest-only-portion" className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FaMoneyBillWave className="mr-2 text-amber-500 h-4 w-4" />
+                  Interest-Only Portion
+                  <TooltipOverlay content="Part of the loan on which you only pay interest. It is still owed at the end of the term. Enter an amount or a percentage of the loan.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                <div className="flex gap-2">
+                  <div className="flex-1">
+                    <NumericInput
+                      id="interest-only-portion"
+                      name="interest-only-portion"
+                      value={interestOnlyPortion}
+                      onChange={setInterestOnlyPortion}
+                      min={0}
+                      prefix={interestOnlyPortionType === 'amount' ? currentLocale.currency : ''}
+                      suffix={interestOnlyPortionType === 'percent' ? '%' : ''}
+                      thousandSeparator={interestOnlyPortionType === 'amount'}
+                      decimalScale={interestOnlyPortionType === 'percent' ? 1 : 0}
+                    />
+                  </div>
+                  <div className="w-28">
+                    <Select
+                      id="interest-only-portion-type"
+                      name="interest-only-portion-type"
+                      value={interestOnlyPortionType}
+                      onChange={(e) => setInterestOnlyPortionType(e.target.value)}
+                      options={[
+                        { value: 'percent', label: '% of loan' },
+                        { value: 'amount', label: 'Amount' },
+                      ]}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Conditional fields based on loan type */}
             {loanTypeId === 'auto' && (
               <>
@@ -354,6 +614,47 @@ const AmortizationCalculator = ({
               </>
             )}
 
+            {/* Mortgage Insurance */}
+            {loanTypeId === 'mortgage' && (
+              <>
+                <div className="mb-3">
+                  <label htmlFor="insurance-type" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Mortgage Insurance
+                    <TooltipOverlay content="Required when you borrow more than 80% of the property value. PMI is paid monthly until the balance reaches 78% of the value; LMI and CMHC premiums are added to the loan.">
+                      <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                    </TooltipOverlay>
+                  </label>
+                  <Select
+                    id="insurance-type"
+                    name="insurance-type"
+                    value={insuranceType}
+                    onChange={(e) => setInsuranceType(e.target.value)}
+                    options={Object.values(MORTGAGE_INSURANCE_TYPES).map(type => ({ value: type.id, label: type.label }))}
+                  />
+                </div>
+
+                {insuranceType !== 'none' && (
+                  <div className="mb-3">
+                    <label htmlFor="property-value" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Property Value
+                    </label>
+                    <NumericInput
+                      id="property-value"
+                      name="property-value"
+                      value={propertyValue}
+                      onChange={setPropertyValue}
+                      min={0}
+                      step={1000}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                      icon={<FaMoneyBillWave className="h-4 w-4" />}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+
             {/* Grace Period for Student Loans */}
             {loanTypeId === 'student' && (
               <div className="mb-3">
@@ -379,6 +680,158 @@ const AmortizationCalculator = ({
               </div>
             )}
 
+            {/* Grace Period Interest for Student Loans */}
+            {loanTypeId === 'student' && gracePeriodMonths > 0 && (
+              <div className="mb-3">
+                <label htmlFor="grace-interest" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Grace Period Interest
+                  <TooltipOverlay content="Unsubsidized loans accrue interest during the grace period and add it to the balance when repayment starts. Subsidized loans accrue no interest.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                <Select
+                  id="grace-interest"
+                  name="grace-interest"
+                  value={graceInterest}
+                  onChange={(e) => setGraceInterest(e.target.value)}
+                  options={Object.values(GRACE_INTEREST_MODES).map(mode => ({ value: mode.id, label: mode.label }))}
+                />
+              </div>
+            )}
+
+            {/* Rate Changes */}
+            {repaymentType !== 'arm' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <label className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FaExchangeAlt className="mr-2 text-amber-500 h-4 w-4" />
+                  Rate Changes
+                  <TooltipOverlay content="Model a fixed rate reverting to a variable rate, or a floating rate that resets. The payment is recalculated over the remaining term from each change.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                {rateChanges.map((change, index) => (
+                  <div key={index} className="flex items-center gap-2 mb-2">
+                    <div className="flex-1">
+                      <NumericInput
+                        id={`rate-change-month-${index}`}
+                        name={`rate-change-month-${index}`}
+                        value={change.month}
+                        onChange={(val) => updateRateChange(index, 'month', val)}
+                        min={1}
+                        max={loanTerm * 12}
+                        step={1}
+                        prefix="From month "
+                        thousandSeparator={false}
+                        decimalScale={0}
+                        ariaLabel={`Rate change ${index + 1} month`}
+                      />
+                    </div>
+                    <div className="flex-1">
+                      <NumericInput
+                        id={`rate-change-rate-${index}`}
+                        name={`rate-change-rate-${index}`}
+                        value={change.rate}
+                        onChange={(val) => updateRateChange(index, 'rate', val)}
+                        min={0}
+                        max={ranges.rate.max}
+                        step={ranges.rate.step}
+                        suffix="%"
+                        decimalScale={3}
+                        ariaLabel={`Rate change ${index + 1} rate`}
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeRateChange(index)}
+                      className="p-2 text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300"
+                      aria-label={`Remove rate change ${index + 1}`}
+                    >
+                      <FaTrash className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={addRateChange}
+                  className="flex items-center text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300"
+                >
+                  <FaPlus className="mr-1 h-3 w-3" />
+                  Add rate change
+                </button>
+              </div>
+            )}
+
+            {/* Payment Holidays */}
+            {repaymentType !== 'interest-only' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <label className="flex items-center form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FaPauseCircle className="mr-2 text-orange-500 h-4 w-4" />
+                  Payment Holidays
+                  <TooltipOverlay content="Months with no payment. Interest keeps accruing and is added to the balance; afterwards the payment is recalculated over the remaining term, or the term is extended by the missed payments. A recalculated holiday must end before the final payment, and none can start during a grace period.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </TooltipOverlay>
+                </label>
+                {paymentHolidays.map((holiday, index) => (
+                  <div key={index} className="flex flex-wrap sm:flex-nowrap items-center gap-2 mb-2">
+                    <div className="flex-1">
+                      <NumericInput
+                        id={`payment-holiday-month-${index}`}
+                        name={`payment-holiday-month-${index}`}
+                        value={holiday.month}
+                        onChange={(val) => updatePaymentHoliday(index, 'month', val)}
+                        min={gracePeriodMonths + 1}
+                        max={gracePeriodMonths + loanTerm * 12 - (holiday.after === 'extend-term' ? 0 : 1)}
+                        step={1}
+                        prefix="From month "
+                        thousandSeparator={false}
+                        decimalScale={0}
+                        ariaLabel={`Payment holiday ${index + 1} start month`}
+                      />
+                    </div>
+                    <div className="flex-1">
+                      <NumericInput
+                        id={`payment-holiday-months-${index}`}
+                        name={`payment-holiday-months-${index}`}
+                        value={holiday.months}
+                        onChange={(val) => updatePaymentHoliday(index, 'months', val)}
+                        min={1}
+                        max={12}
+                        step={1}
+                        suffix=" months"
+                        decimalScale={0}
+                        ariaLabel={`Payment holiday ${index + 1} length`}
+                      />
+                    </div>
+                    <div className="flex-1">
+                      <Select
+                        id={`payment-holiday-after-${index}`}
+                        name={`payment-holiday-after-${index}`}
+                        value={holiday.after}
+                        onChange={(e) => updatePaymentHoliday(index, 'after', e.target.value)}
+                        options={Object.values(PAYMENT_HOLIDAY_MODES).map(mode => ({ value: mode.id, label: mode.label }))}
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removePaymentHoliday(index)}
+                      className="p-2 text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300"
+                      aria-label={`Remove payment holiday ${index + 1}`}
+                    >
+                      <FaTrash className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={addPaymentHoliday}
+                  className="flex items-center text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300"
+                >
+                  <FaPlus className="mr-1 h-3 w-3" />
+                  Add payment holiday
+                </button>
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="col-span-1 md:col-span-2 mt-4 mb-10">
               <div className="flex flex-col sm:flex-row gap-3">
@@ -7,7 +7,11 @@ import EnhancedAmortizationChart from '../ui/EnhancedAmortizationChart';
 import ResponsiveContainer from '../ui/ResponsiveContainer';
 import ResponsiveGrid from '../ui/ResponsiveGrid';
 import RegulatoryDisclaimer from '../ui/RegulatoryDisclaimer';
-import { exportToCSV } from '../../utils/mortgage';
+import IndianTaxBenefitPanel from './IndianTaxBenefitPanel';
+import { exportToCSV, summarizeScheduleByYear, DAY_COUNT_CONVENTIONS, PAYMENT_FREQUENCIES, YEAR_GROUPINGS } from '../../utils/mortgage';
+import { MORTGAGE_INSURANCE_TYPES } from '../../utils/mortgageInsurance';
+import { ARM_PRODUCTS, ARM_INDEX_PATHS } from '../../utils/arm';
+import { formatDate } from '../../utils/formatUtils';
 // Import jsPDF and jspdf-autotable properly
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
@@ -65,7 +69,26 @@ const AmortizationSchedule = ({
     return () => observer.disconnect();
   }, []);
 
+  // Regular payment label and amount for the selected payment frequency
+  const isMonthly = !loanDetails.paymentFrequency || loanDetails.paymentFrequency === 'monthly';
+  const frequencyLabel = PAYMENT_FREQUENCIES[loanDetails.paymentFrequency]?.label || 'Monthly';
+  const regularPayment = loanDetails.periodicPayment ?? loanDetails.monthlyPayment;
+
+  // Row label: loan month for monthly schedules, payment number otherwise
+  const getPaymentLabel = (payment) => {
+    if (payment.isBalloon) return 'Balloon';
+    return isMonthly || payment.isGracePeriod ? `Month ${payment.month}` : `Payment ${payment.period}`;
+  };
+
+  // Due date of a payment in the user's locale (dated schedules only)
+  const getPaymentDateLabel = (payment) => (
+    payment.date ? formatDate(payment.date, currentLocale.code) : ''
+  );
+
   const [expandedYears, setExpandedYears] = useState({});
+  // Calendar and financial-year grouping needs payment dates
+  const [selectedYearGrouping, setYearGrouping] = useState('loan');
+  const yearGrouping = loanDetails.startDate ? selectedYearGrouping : 'loan';
   const [activeTab, setActiveTab] = useState('chart');
   const tableRef = useRef(null);
   const chartRef = useRef(null);
@@ -106,7 +129,7 @@ const AmortizationSchedule = ({
     try {
       // Generate CSV content with headers, data, and loan details
       // Pass the current locale's currency symbol
-      const csvContent = exportToCSV(schedule, loanDetails, currentLocale.currency);
+      const csvContent = exportToCSV(schedule, { ...loanDetails, yearGrouping }, currentLocale.currency);
 
       // Create a blob and download link with BOM for Excel compatibility
       const BOM = "\uFEFF"; // UTF-8 BOM for Excel compatibility
@@ -179,28 +202,81 @@ const AmortizationSchedule = ({
       doc.setFontSize(10);
       doc.text(`Loan Amount: ${currentLocale.currency}${loanDetails.principal.toLocaleString()}`, 20, 54);
       doc.text(`Interest Rate: ${loanDetails.rate}%`, 20, 60);
-      doc.text(`Term: ${loanDetails.termYears} years`, 20, 66);
+      doc.text(`Term: ${loanDetails.termYears} years${loanDetails.startDate ? ` from ${formatDate(loanDetails.startDate, currentLocale.code)} (${DAY_COUNT_CONVENTIONS[loanDetails.dayCount]?.label})` : ''}`, 20, 66);
 
       // Check if there's grace period info (for student loans)
       if (loanDetails.gracePeriodMonths > 0) {
         doc.text(`Grace Period: ${loanDetails.gracePeriodMonths} months`, 20, 72);
-        doc.text(`Grace Period Interest: ${currentLocale.currency}${loanDetails.gracePeriodInterest?.toFixed(2) || '0.00'}`, 20, 78);
+        doc.text(loanDetails.graceInterest === 'subsidized'
+          ? 'Grace Period Interest: none (subsidized)'
+          : `Grace Period Interest: ${currentLocale.currency}${loanDetails.gracePeriodInterest?.toFixed(2) || '0.00'} (capitalized)`, 20, 78);
+      }
+
+      // ARM resets are summarized rather than listed one by one
+      if (loanDetails.arm) {
+        doc.text(`${ARM_PRODUCTS[loanDetails.arm.product].label}: peak payment ${currentLocale.currency}${loanDetails.arm.maxPayment.toFixed(2)}, worst case ${currentLocale.currency}${loanDetails.arm.worstCase.maxPayment.toFixed(2)} at ${loanDetails.arm.worstCase.maxRate}%`, 150, 72, { maxWidth: 120 });
+      } else if (loanDetails.rateChanges?.length > 0) {
+        // List rate changes for variable-rate loans
+        const rateChangeSummary = loanDetails.rateChanges
+          .map(change => `month ${change.month}: ${change.rate}%`)
+          .join(', ');
+        doc.text(`Rate Changes: ${rateChangeSummary}`, 150, 72, { maxWidth: 120 });
       }
 
-      doc.text(`Monthly Payment: ${currentLocale.currency}${loanDetails.monthlyPayment.toFixed(2)}`, 150, 54);
+      doc.text(`${frequencyLabel} Payment: ${currentLocale.currency}${regularPayment.toFixed(2)}`, 150, 54);
       doc.text(`Total Interest: ${currentLocale.currency}${loanDetails.totalInterest.toLocaleString()}`, 150, 60);
       doc.text(`Total Repayment: ${currentLocale.currency}${loanDetails.totalRepayment.toLocaleString()}`, 150, 66);
 
+      // Yearly summary table for the whole loan
+      autoTable(doc, {
+        startY: 85,
+        head: [[YEAR_GROUPINGS[yearGrouping].label, 'Payments', 'Total Paid', 'Principal', 'Interest', 'Closing Balance']],
+        body: summarizeScheduleByYear(schedule, yearGrouping).map(year => [
+          year.label,
+          year.payments.length,
+          `${currentLocale.currency}${year.totalPaid.toFixed(2)}`,
+          `${currentLocale.currency}${year.principalPaid.toFixed(2)}`,
+          `${currentLocale.currency}${year.interestPaid.toFixed(2)}`,
+          `${currentLocale.currency}${year.closingBalance.toFixed(2)}`,
+        ]),
+        theme: 'grid',
+        styles: {
+          fontSize: 8,
+          cellPadding: 2,
+          lineColor: [200, 200, 200],
+          lineWidth: 0.1,
+        },
+        headStyles: {
+          fillColor: [79, 70, 229],
+          textColor: [255, 255, 255],
+          fontStyle: 'bold',
+          halign: 'center'
+        },
+        columnStyles: {
+          0: { halign: 'center' },
+          1: { halign: 'center' },
+          2: { halign: 'right' },
+          3: { halign: 'right' },
+          4: { halign: 'right' },
+          5: { halign: 'right' }
+        },
+        margin: { top: 20 }
+      });
+      const paymentsStartY = doc.lastAutoTable.finalY + 10;
+
       // Prepare table data - limit to first 100 payments to avoid huge PDFs
       const maxPayments = 100;
       const displaySchedule = schedule.slice(0, maxPayments);
 
       // Add table with improved styling
       const tableData = displaySchedule.map(payment => [
-        payment.isGracePeriod ? `${payment.month} (Grace)` : payment.month,
-        payment.isGracePeriod ? 'No Payment' : `${currentLocale.currency}${payment.payment.toFixed(2)}`,
-        payment.isGracePeriod ? '-' : `${currentLocale.currency}${payment.principalPayment.toFixed(2)}`,
-        payment.isGracePeriod ? `${currentLocale.currency}${payment.interestPayment.toFixed(2)} (accruing)` : `${currentLocale.currency}${payment.interestPayment.toFixed(2)}`,
+        `${payment.isBalloon ? 'Balloon' : payment.isGracePeriod ? `${payment.month} (Grace)` : (isMonthly ? payment.month : `${payment.period} (M${payment.month})`)}${payment.date ? `\n${getPaymentDateLabel(payment)}` : ''}`,
+        payment.isGracePeriod ? 'No Payment' : payment.isPaymentHoliday ? 'Holiday' : `${currentLocale.currency}${payment.payment.toFixed(2)}`,
+        payment.isGracePeriod || payment.isPaymentHoliday ? '-' : `${currentLocale.currency}${payment.principalPayment.toFixed(2)}`,
+        payment.isGracePeriod ? `${currentLocale.currency}${payment.interestPayment.toFixed(2)} (${payment.capitalizedInterest ? 'capitalized' : 'accruing'})`
+          : payment.isPaymentHoliday ? `${currentLocale.currency}${payment.interestPayment.toFixed(2)} (capitalized)`
+          : `${currentLocale.currency}${payment.interestPayment.toFixed(2)}`,
+        `${payment.rate ?? loanDetails.rate}%`,
         `${currentLocale.currency}${payment.balance.toFixed(2)}`,
       ]);
 
@@ -208,13 +284,13 @@ const AmortizationSchedule = ({
       if (schedule.length > maxPayments) {
         doc.setFontSize(9);
         doc.setTextColor(150, 150, 150);
-        doc.text(`Note: Showing first ${maxPayments} of ${schedule.length} payments. Export to CSV for complete data.`, 14, 85);
+        doc.text(`Note: Showing first ${maxPayments} of ${schedule.length} payments. Export to CSV for complete data.`, 14, paymentsStartY);
       }
 
       // Use the imported autoTable function directly
       autoTable(doc, {
-        startY: schedule.length > maxPayments ? 90 : 85,
-        head: [['Month', 'Payment', 'Principal', 'Interest', 'Balance']],
+        startY: schedule.length > maxPayments ? paymentsStartY + 5 : paymentsStartY,
+        head: [[isMonthly ? 'Month' : 'Payment No.', 'Payment', 'Principal', 'Interest', 'Rate', 'Balance']],
         body: tableData,
         theme: 'grid',
         styles: {
@@ -234,12 +310,13 @@ const AmortizationSchedule = ({
           1: { halign: 'right' },
           2: { halign: 'right', fillColor: [240, 247, 255] },
           3: { halign: 'right', fillColor: [238, 242, 255] },
-          4: { halign: 'right' }
+          4: { halign: 'center' },
+          5: { halign: 'right' }
         },
         alternateRowStyles: {
           fillColor: [248, 250, 252]
         },
-        margin: { top: 85 }
+        margin: { top: 20 }
       });
 
       // Add footer
@@ -263,15 +340,8 @@ const AmortizationSchedule = ({
     }
   };
 
-  // Group schedule by year for display
-  const scheduleByYear = schedule && schedule.length > 0 ? schedule.reduce((acc, payment) => {
-    const year = Math.ceil(payment.month / 12);
-    if (!acc[year]) {
-      acc[year] = [];
-    }
-    acc[year].push(payment);
-    return acc;
-  }, {}) : {};
+  // Group schedule by the selected kind of year for display
+  const scheduleByYear = schedule && schedule.length > 0 ? summarizeScheduleByYear(schedule, yearGrouping) : [];
 
   return (
     <div className="amortization-schedule">
@@ -361,10 +431,10 @@ const AmortizationSchedule = ({
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                       </svg>
                     </div>
-                    <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Monthly Payment</p>
+                    <p className="text-sm font-medium text-gray-700 dark:text-gray-300">{frequencyLabel} Payment</p>
                   </div>
                   <AnimatedNumberDisplay
-                    value={loanDetails.monthlyPayment}
+                    value={regularPayment}
                     prefix={currentLocale.currency}
                     decimals={2}
                     size="lg"
@@ -373,7 +443,7 @@ const AmortizationSchedule = ({
                     animate={true}
                     highlightChange={true}
                   />
-                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">Your regular monthly payment amount</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">Your regular {frequencyLabel.toLowerCase()} payment amount</p>
                 </motion.div>
 
                 <motion.div
@@ -430,6 +500,116 @@ const AmortizationSchedule = ({
                   <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">Principal + Interest + Fees</p>
                 </motion.div>
 
+                {/* Adjustable Rate Info */}
+                {loanDetails.arm && (
+                  <div className="col-span-1 md:col-span-3 bg-orange-50 dark:bg-orange-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-orange-800 dark:text-orange-300 mb-1">
+                      {ARM_PRODUCTS[loanDetails.arm.product].label}: {loanDetails.arm.initialRate}% for {loanDetails.arm.fixedYears} years,
+                      {' '}then resets every {loanDetails.arm.adjustmentMonths} months ({ARM_INDEX_PATHS[loanDetails.arm.indexPath].shortLabel})
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      The payment peaks at {currentLocale.currency}{loanDetails.arm.maxPayment.toFixed(2)} at {loanDetails.arm.maxRate}%.
+                      {' '}If every cap is hit it reaches {currentLocale.currency}{loanDetails.arm.worstCase.maxPayment.toFixed(2)} at {loanDetails.arm.worstCase.maxRate}%,
+                      {' '}against {currentLocale.currency}{loanDetails.arm.fixedComparison.monthlyPayment.toFixed(2)} on a {loanDetails.arm.fixedComparison.termYears}-year fixed at {loanDetails.arm.fixedComparison.rate}%.
+                      {' '}Resets are marked in the schedule with the change in payment.
+                    </p>
+                  </div>
+                )}
+
+                {/* Variable Rate Info */}
+                {!loanDetails.arm && loanDetails.rateChanges?.length > 0 && (
+                  <div className="col-span-1 md:col-span-3 bg-amber-50 dark:bg-amber-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-1">
+                      Variable Rate: starts at {loanDetails.rate}%
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      {loanDetails.rateChanges.map(change => `Month ${change.month}: ${change.rate}%`).join(' • ')}
+                      {' '}— the payment is recalculated over the remaining term at each change.
+                    </p>
+                  </div>
+                )}
+
+                {/* Balloon Info */}
+                {loanDetails.balloonPayment > 0 && (
+                  <div className="col-span-1 md:col-span-3 bg-amber-50 dark:bg-amber-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-1">
+                      Balloon payment of {currentLocale.currency}{loanDetails.balloonPayment.toLocaleString()} due at the end of the term
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      Regular payments only reduce the balance down to this amount; it is shown as the final row of the schedule.
+                    </p>
+                  </div>
+                )}
+
+                {/* Part-and-Part Info */}
+                {loanDetails.interestOnlyBalance > 0 && (
+                  <div className="col-span-1 md:col-span-3 bg-amber-50 dark:bg-amber-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-1">
+                      Interest-only balance of {currentLocale.currency}{loanDetails.interestOnlyBalance.toLocaleString()} still owed at the end of the term
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      Payments clear the repayment portion and cover interest on the whole loan; you will need to repay the interest-only portion from other funds.
+                    </p>
+                  </div>
+                )}
+
+                {/* Payment Holiday Info */}
+                {loanDetails.paymentHoliday && (
+                  <div className="col-span-1 md:col-span-3 bg-orange-50 dark:bg-orange-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-orange-800 dark:text-orange-300 mb-1">
+                      Payment holidays add {currentLocale.currency}{loanDetails.paymentHoliday.extraInterest.toLocaleString()} of interest over the life of the loan
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      {loanDetails.paymentHoliday.missedPayments} missed payment{loanDetails.paymentHoliday.missedPayments === 1 ? '' : 's'};
+                      {' '}{currentLocale.currency}{loanDetails.paymentHoliday.capitalizedInterest.toLocaleString()} of interest added to the balance.
+                      {' '}Payment afterwards: {currentLocale.currency}{loanDetails.paymentHoliday.paymentAfterHoliday.toLocaleString()}
+                      {loanDetails.paymentHoliday.monthsAdded > 0 && `, with ${loanDetails.paymentHoliday.monthsAdded} months added to the term`}.
+                    </p>
+                  </div>
+                )}
+
+                {/* Mortgage Insurance Info */}
+                {loanDetails.mortgageInsurance && (
+                  <div className="col-span-1 md:col-span-3 bg-emerald-50 dark:bg-emerald-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-emerald-800 dark:text-emerald-300 mb-1">
+                      {MORTGAGE_INSURANCE_TYPES[loanDetails.mortgageInsurance.type].label} at {loanDetails.mortgageInsurance.ltv}% loan-to-value:
+                      {' '}{currentLocale.currency}{loanDetails.mortgageInsurance.totalPremiums.toLocaleString()} in premiums
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      {loanDetails.mortgageInsurance.upfrontPremium
+                        ? 'The one-off premium is added to the loan balance and repaid with interest.'
+                        : loanDetails.mortgageInsurance.dropOffMonth
+                          ? `${currentLocale.currency}${loanDetails.mortgageInsurance.monthlyPremium.toFixed(2)} a month on top of the payment for ${loanDetails.mortgageInsurance.insuredPayments} payments; it drops off from month ${loanDetails.mortgageInsurance.dropOffMonth}${loanDetails.mortgageInsurance.dropOffDate ? ` (${formatDate(loanDetails.mortgageInsurance.dropOffDate, currentLocale.code)})` : ''} once the balance reaches ${loanDetails.mortgageInsurance.dropOffLtv}% of the property value.`
+                          : `${currentLocale.currency}${loanDetails.mortgageInsurance.monthlyPremium.toFixed(2)} a month on top of the payment for the whole term.`}
+                    </p>
+                  </div>
+                )}
+
+                {/* Dated Schedule Info */}
+                {loanDetails.startDate && (
+                  <div className="col-span-1 md:col-span-3 bg-blue-50 dark:bg-blue-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-blue-800 dark:text-blue-300 mb-1">
+                      {formatDate(loanDetails.startDate, currentLocale.code)} to {formatDate(loanDetails.finalPaymentDate, currentLocale.code)}
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      Interest calculated {loanDetails.dayCount === 'periodic' ? 'as a fixed share of the annual rate each period' : `daily using ${DAY_COUNT_CONVENTIONS[loanDetails.dayCount]?.label}`}.
+                    </p>
+                  </div>
+                )}
+
+                {/* Payment Frequency Info */}
+                {loanDetails.frequencySavings && (
+                  <div className="col-span-1 md:col-span-3 bg-teal-50 dark:bg-teal-900/20 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-teal-800 dark:text-teal-300 mb-1">
+                      {frequencyLabel} payments vs monthly
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      Saves {currentLocale.currency}{loanDetails.frequencySavings.interest.toLocaleString()} in interest
+                      {loanDetails.frequencySavings.months > 0 && ` and ${loanDetails.frequencySavings.months} months off the term`}.
+                    </p>
+                  </div>
+                )}
+
                 {/* Student Loan Grace Period Info */}
                 {loanTypeId === 'student' && loanDetails.gracePeriodMonths > 0 && (
                   <div className="col-span-1 md:col-span-3 bg-yellow-50 dark:bg-yellow-900/20 p-3 rounded-lg">
@@ -439,7 +619,9 @@ const AmortizationSchedule = ({
                           Grace Period: {loanDetails.gracePeriodMonths} months
                         </p>
                         <p className="text-xs text-gray-600 dark:text-gray-400">
-                          During the grace period, no payments are required but interest accrues on the loan.
+                          {loanDetails.graceInterest === 'subsidized'
+                            ? 'During the grace period, no payments are required and the loan is subsidized, so no interest accrues.'
+                            : 'During the grace period, no payments are required but interest accrues and is added to the balance when repayment starts.'}
                         </p>
                       </div>
 
@@ -534,11 +716,33 @@ const AmortizationSchedule = ({
               </div>
             ) : (
               <div className={`${localIsDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-sm p-4`} ref={tableRef}>
-                <div className="mb-4">
-                  <h3 className={`text-lg font-medium ${localIsDarkMode ? 'text-white' : 'text-gray-800'}`}>Complete Payment Schedule</h3>
-                  <p className={`text-sm ${localIsDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                    Click on a year to expand and see monthly payment details. Each payment is broken down into principal and interest portions.
-                  </p>
+                <div className="mb-4 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+                  <div>
+                    <h3 className={`text-lg font-medium ${localIsDarkMode ? 'text-white' : 'text-gray-800'}`}>Complete Payment Schedule</h3>
+                    <p className={`text-sm ${localIsDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Click on a year to expand and see individual payment details. Each payment is broken down into principal and interest portions.
+                    </p>
+                  </div>
+                  <div className="sm:w-64">
+                    <label htmlFor="year-grouping" className={`block text-xs font-medium mb-1 ${localIsDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Group by
+                    </label>
+                    <select
+                      id="year-grouping"
+                      value={yearGrouping}
+                      onChange={(e) => {
+                        setYearGrouping(e.target.value);
+                        setExpandedYears({});
+                      }}
+                      disabled={!loanDetails.startDate}
+                      title={loanDetails.startDate ? undefined : 'Set a loan start date to group by calendar or financial year'}
+                      className="select select-loanviz select-sm w-full"
+                    >
+                      {Object.values(YEAR_GROUPINGS).map(grouping => (
+                        <option key={grouping.id} value={grouping.id}>{grouping.label}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
 
                 {schedule && schedule.length > 0 ? (
@@ -550,11 +754,12 @@ const AmortizationSchedule = ({
                           <th scope="col" className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Payment</th>
                           <th scope="col" className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Principal</th>
                           <th scope="col" className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Interest</th>
+                          <th scope="col" className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Rate</th>
                           <th scope="col" className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Balance</th>
                         </tr>
                       </thead>
                       <tbody className={`${localIsDarkMode ? 'bg-gray-900' : 'bg-white'} divide-y ${localIsDarkMode ? 'divide-gray-800' : 'divide-gray-200'}`}>
-                        {Object.entries(scheduleByYear).map(([year, payments]) => (
+                        {scheduleByYear.map(({ key: year, label, payments, principalPaid, interestPaid }) => (
                           <React.Fragment key={`year-${year}`}>
                             <motion.tr
                               className={`cursor-pointer transition-colors duration-150 bg-gradient-to-r ${
@@ -566,7 +771,7 @@ const AmortizationSchedule = ({
                               whileHover={{ scale: 1.005 }}
                               whileTap={{ scale: 0.995 }}
                             >
-                              <td colSpan="5" className={`px-3 sm:px-6 py-3 text-sm font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                              <td colSpan="6" className={`px-3 sm:px-6 py-3 text-sm font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
                                 <div className="flex items-center">
                                   <motion.div
                                     animate={{ rotate: expandedYears[year] ? 180 : 0 }}
@@ -575,8 +780,13 @@ const AmortizationSchedule = ({
                                   >
                                     <FaChevronDown className={`h-3 w-3 ${isDarkMode ? 'text-blue-400' : 'text-blue-600'}`} />
                                   </motion.div>
-                                  <span className="font-semibold">Year {year}</span>
+                                  <span className="font-semibold">{label}</span>
                                   <div className="ml-auto flex items-center space-x-2">
+                                    <span className={`hidden md:inline text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                      Principal {currentLocale.currency}{principalPaid.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                                      {' • '}
+                                      Interest {currentLocale.currency}{interestPaid.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                                    </span>
                                     <span className={`text-xs px-2 py-1 rounded-full ${
                                       isDarkMode
                                         ? 'bg-blue-800/40 text-blue-400'
@@ -598,32 +808,40 @@ const AmortizationSchedule = ({
                                   exit={{ opacity: 0, height: 0 }}
                                   transition={{ duration: 0.3 }}
                                 >
-                                  <td colSpan="5" className="p-0">
+                                  <td colSpan="6" className="p-0">
                                     <div className="border-l-2 border-blue-500 dark:border-blue-600 ml-3 pl-3">
                                       <table className="min-w-full">
                                         <tbody>
                                           {payments.map((payment) => (
                                             <motion.tr
-                                              key={`payment-${payment.month}`}
+                                              key={`payment-${payment.month}-${payment.period ?? 0}${payment.isBalloon ? '-balloon' : ''}`}
                                               className={`border-b border-gray-100 dark:border-gray-800 ${
                                                 payment.isGracePeriod ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''
-                                              }`}
+                                              } ${payment.isPaymentHoliday ? 'bg-orange-50 dark:bg-orange-900/20' : ''} ${payment.isBalloon ? 'bg-amber-50 dark:bg-amber-900/20 font-semibold' : ''}`}
                                               initial={{ opacity: 0, x: -10 }}
                                               animate={{ opacity: 1, x: 0 }}
                                               transition={{ duration: 0.2, delay: (payment.month % 12) * 0.02 }}
                                             >
                                               <td className="px-3 sm:px-6 py-2 text-sm text-gray-500 dark:text-gray-400 w-1/5">
                                                 <div className="flex items-center">
-                                                  <span className="font-medium">Month {payment.month}</span>
+                                                  <span className="font-medium">{getPaymentLabel(payment)}</span>
+                                                  {payment.date && (
+                                                    <span className="ml-2 text-xs text-gray-400 dark:text-gray-500">{getPaymentDateLabel(payment)}</span>
+                                                  )}
                                                   {payment.isGracePeriod && (
                                                     <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300">
                                                       Grace
                                                     </span>
                                                   )}
+                                                  {payment.isPaymentHoliday && (
+                                                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300">
+                                                      Holiday
+                                                    </span>
+                                                  )}
                                                 </div>
                                               </td>
                                               <td className="px-3 sm:px-6 py-2 text-sm w-1/5">
-                                                {payment.isGracePeriod ? (
+                                                {payment.isGracePeriod || payment.isPaymentHoliday ? (
                                                   <span className="text-yellow-600 dark:text-yellow-400 font-medium">No Payment</span>
                                                 ) : (
                                                   <motion.div
@@ -638,11 +856,21 @@ const AmortizationSchedule = ({
                                                       size="sm"
                                                       color="text-gray-900 dark:text-white font-medium"
                                                     />
+                                                    {payment.mortgageInsurance > 0 && (
+                                                      <span className="block text-xs text-emerald-600 dark:text-emerald-400">
+                                                        + {currentLocale.currency}{payment.mortgageInsurance.toFixed(2)} PMI
+                                                      </span>
+                                                    )}
+                                                    {payment.paymentShock !== undefined && (
+                                                      <span className={`block text-xs ${payment.paymentShock > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                                                        {payment.paymentShock >= 0 ? '+' : '-'}{currentLocale.currency}{Math.abs(payment.paymentShock).toFixed(2)} at {payment.rate}%
+                                                      </span>
+                                                    )}
                                                   </motion.div>
                                                 )}
                                               </td>
                                               <td className="hidden sm:table-cell px-3 sm:px-6 py-2 text-sm w-1/5">
-                                                {payment.isGracePeriod ? (
+                                                {payment.isGracePeriod || payment.isPaymentHoliday ? (
                                                   <span className="text-gray-400 dark:text-gray-500">-</span>
                                                 ) : (
                                                   <div className="flex items-center">
@@ -676,11 +904,11 @@ const AmortizationSchedule = ({
                                                   <motion.div
                                                     className="h-6 bg-indigo-500 dark:bg-indigo-400 rounded-full mr-2"
                                                     style={{
-                                                      opacity: payment.isGracePeriod ? 1 : payment.interestPayment / payment.payment,
+                                                      opacity: payment.isGracePeriod || payment.isPaymentHoliday ? 1 : payment.interestPayment / payment.payment,
                                                     }}
                                                     initial={{ width: 0 }}
                                                     animate={{
-                                                      width: payment.isGracePeriod
+                                                      width: payment.isGracePeriod || payment.isPaymentHoliday
                                                         ? '20px'
                                                         : `${(payment.interestPayment / payment.payment) * 20}px`
                                                     }}
@@ -705,12 +933,20 @@ const AmortizationSchedule = ({
                                                         animate={{ opacity: 1 }}
                                                         transition={{ duration: 0.5, delay: 0.4 }}
                                                       >
-                                                        (accruing)
+                                                        {payment.capitalizedInterest ? '(capitalized)' : '(accruing)'}
                                                       </motion.span>
                                                     )}
+                                                    {payment.isPaymentHoliday && (
+                                                      <span className="ml-1 text-xs text-orange-600 dark:text-orange-400">
+                                                        (capitalized)
+                                                      </span>
+                                                    )}
                                                   </motion.div>
                                                 </div>
                                               </td>
+                                              <td className="hidden sm:table-cell px-3 sm:px-6 py-2 text-sm text-gray-500 dark:text-gray-400 w-1/6">
+                                                {payment.rate ?? loanDetails.rate}%
+                                              </td>
                                               <td className="px-3 sm:px-6 py-2 text-sm text-gray-900 dark:text-white w-1/5">
                                                 <motion.div
                                                   initial={{ opacity: 0, y: 5 }}
@@ -784,6 +1020,11 @@ const AmortizationSchedule = ({
           </div>
         </GlassCard>
       )}
+
+      {/* Indian home loan tax benefits */}
+      {hasCalculated && loanTypeId === 'mortgage' && currentLocale.code === 'en-IN' && (
+        <IndianTaxBenefitPanel schedule={schedule} loanDetails={loanDetails} />
+      )}
     </div>
   );
 };
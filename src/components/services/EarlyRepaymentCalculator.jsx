@@ -10,6 +10,17 @@ import ChartWrapper from '../ui/ChartWrapper';
 import AnimatedNumber from '../ui/AnimatedNumber';
 import useLoanCalculations from '../../hooks/useLoanCalculations';
 import { useLocale } from '../../contexts/LocaleContext';
+import {
+  PREPAYMENT_MODES,
+  ALLOWANCE_BASES,
+  ALLOWANCE_HANDLING,
+  OVERPAYMENT_TARGETS,
+  applyExtraPayments,
+  getMonthsToTarget,
+  parseChargeTiers,
+  solveExtraPaymentForTarget,
+  summarizeExtraPayments
+} from '../../utils/earlyRepayment';
 
 /**
  * EarlyRepaymentCalculator component for calculating savings from early or extra payments
@@ -19,9 +30,13 @@ import { useLocale } from '../../contexts/LocaleContext';
  * The calculation follows these steps:
  * 1. Apply extra payments directly to principal at specified frequency
  * 2. Recalculate future payments based on reduced principal
- * 3. Maintain same monthly payment amount (term reduces)
- * 4. Calculate time saved and interest savings
+ * 3. Either keep the monthly payment (term reduces) or keep the term and recast a lower payment,
+ *    chosen globally or per extra payment
+ * 4. Calculate time saved, interest savings and the new payment for both choices side by side
  * 5. Calculate return on investment (interest saved ÷ total extra payments)
+ * 6. Optionally apply a yearly overpayment allowance, charging the ERC on (or capping) anything above it,
+ *    and report the saving net of those charges
+ * 7. Solve for the overpayment (or lump sum now) needed to be mortgage-free by a date or save a target amount
  *
  * @param {Object} props - Component props
  * @param {string} props.loanTypeId - Type of loan (e.g., 'mortgage', 'personal', 'auto')
@@ -50,6 +65,23 @@ const EarlyRepaymentCalculator = ({
   const [newPaymentAmount, setNewPaymentAmount] = useState(100);
   const [newPaymentFrequency, setNewPaymentFrequency] = useState('monthly');
   const [newPaymentStartMonth, setNewPaymentStartMonth] = useState(1);
+  const [newPaymentMode, setNewPaymentMode] = useState('default');
+  const [prepaymentMode, setPrepaymentMode] = useState('reduce-term');
+
+  // State for overpayment allowance and early repayment charges (UK fixed deals, US prepayment penalties)
+  const [allowanceEnabled, setAllowanceEnabled] = useState(false);
+  const [allowancePercent, setAllowancePercent] = useState(10);
+  const [allowanceBasis, setAllowanceBasis] = useState('balance');
+  const [chargeTiers, setChargeTiers] = useState('5, 4, 3, 2, 1');
+  const [allowanceHandling, setAllowanceHandling] = useState('charge');
+
+  // State for the overpayment target solver
+  const [targetType, setTargetType] = useState('payoff-date');
+  const [targetMonth, setTargetMonth] = useState('');
+  const [targetSaving, setTargetSaving] = useState(10000);
+  const [targetFrequency, setTargetFrequency] = useState('monthly');
+  const [targetResult, setTargetResult] = useState(null);
+  const [targetError, setTargetError] = useState('');
 
   // State for results
   const [originalSchedule, setOriginalSchedule] = useState([]);
@@ -109,6 +141,14 @@ const EarlyRepaymentCalculator = ({
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [schedule]);
 
+  // Recalculate when the allowance rules change
+  useEffect(() => {
+    if (extraPayments.length > 0) {
+      calculateModifiedSchedule(originalSchedule, extraPayments);
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [allowanceEnabled, allowancePercent, allowanceBasis, chargeTiers, allowanceHandling]);
+
   // Generate a unique ID for new extra payments
   const generateId = () => {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
@@ -120,7 +160,8 @@ const EarlyRepaymentCalculator = ({
       id: generateId(),
       amount: newPaymentAmount,
       frequency: newPaymentFrequency,
-      startMonth: newPaymentStartMonth
+      startMonth: newPaymentStartMonth,
+      mode: newPaymentMode
     };
 
     // Update state with the new payment
@@ -134,6 +175,7 @@ const EarlyRepaymentCalculator = ({
     setNewPaymentAmount(100);
     setNewPaymentFrequency('monthly');
     setNewPaymentStartMonth(1);
+    setNewPaymentMode('default');
   };
 
   // Remove an extra payment
@@ -145,136 +187,89 @@ const EarlyRepaymentCalculator = ({
     calculateModifiedSchedule(originalSchedule, updatedPayments);
   };
 
-  // Calculate modified schedule with extra payments
-  const calculateModifiedSchedule = (originalSchedule, extraPayments) => {
-    if (!originalSchedule || originalSchedule.length === 0) return;
+  // Work out the overpayment needed to hit the target, and the lump sum now that would do the same
+  const solveTarget = () => {
+    setTargetResult(null);
+    setTargetError('');
 
-    setIsCalculating(true);
+    if (originalSchedule.length === 0) return;
+    if (targetType === 'payoff-date' && !targetMonth) {
+      setTargetError('Choose the month you want to be mortgage-free by');
+      return;
+    }
 
-    // Clone the original schedule
-    const modifiedSchedule = JSON.parse(JSON.stringify(originalSchedule));
-
-    // Apply extra payments
-    extraPayments.forEach(extraPayment => {
-      const { amount, frequency, startMonth } = extraPayment;
-
-      // Determine which months to apply the extra payment
-      const monthsToApply = [];
-
-      switch (frequency) {
-        case 'monthly':
-          // Apply to every month starting from startMonth
-          for (let i = startMonth - 1; i < modifiedSchedule.length; i++) {
-            monthsToApply.push(i);
-          }
-          break;
-        case 'quarterly':
-          // Apply every 3 months starting from startMonth
-          for (let i = startMonth - 1; i < modifiedSchedule.length; i += 3) {
-            monthsToApply.push(i);
-          }
-          break;
-        case 'annually':
-          // Apply every 12 months starting from startMonth
-          for (let i = startMonth - 1; i < modifiedSchedule.length; i += 12) {
-            monthsToApply.push(i);
-          }
-          break;
-        case 'one-time':
-          // Apply only once at startMonth
-          monthsToApply.push(startMonth - 1);
-          break;
-        default:
-          break;
-      }
+    const targetValue = targetType === 'payoff-date'
+      ? getMonthsToTarget(originalSchedule, targetMonth)
+      : targetSaving;
+    const options = { target: targetType, targetValue, rate: loanDetails.rate, monthlyPayment: loanDetails.monthlyPayment, rounding: loanDetails.rounding };
+
+    try {
+      const recurring = solveExtraPaymentForTarget(originalSchedule, { ...options, frequency: targetFrequency, startMonth: 1 });
+      const lumpSum = targetFrequency === 'one-time'
+        ? recurring
+        : solveExtraPaymentForTarget(originalSchedule, { ...options, frequency: 'one-time', startMonth: 1 });
+      setTargetResult({ frequency: targetFrequency, recurring, lumpSum });
+    } catch (error) {
+      setTargetError(error.message);
+    }
+  };
 
-      // Apply the extra payments to the schedule
-      let remainingBalance = modifiedSchedule[modifiedSchedule.length - 1].balance;
-      let lastPaymentMonth = modifiedSchedule.length;
+  // Add the solved overpayment to the extra payments list
+  const addTargetPayment = () => {
+    if (!targetResult || targetResult.recurring.amount <= 0) return;
 
-      monthsToApply.forEach(monthIndex => {
-        if (monthIndex >= modifiedSchedule.length || modifiedSchedule[monthIndex].balance <= 0) {
-          return; // Skip if loan is already paid off
-        }
+    const updatedPayments = [...extraPayments, {
+      id: generateId(),
+      amount: targetResult.recurring.amount,
+      frequency: targetResult.frequency,
+      startMonth: 1,
+      mode: 'reduce-term'
+    }];
+    setExtraPayments(updatedPayments);
+    calculateModifiedSchedule(originalSchedule, updatedPayments);
+  };
 
-        const payment = modifiedSchedule[monthIndex];
-        const extraAmount = Math.min(amount, payment.balance);
-
-        // Apply extra payment to principal
-        payment.principalPayment += extraAmount;
-        payment.balance -= extraAmount;
-
-        // Update remaining payments
-        if (payment.balance <= 0) {
-          payment.balance = 0;
-          lastPaymentMonth = Math.min(lastPaymentMonth, monthIndex + 1);
-        } else {
-          // Recalculate future payments
-          for (let i = monthIndex + 1; i < modifiedSchedule.length; i++) {
-            const futurePayment = modifiedSchedule[i];
-            const monthlyRate = loanDetails.rate / 100 / 12;
-
-            // Calculate interest based on new balance
-            const prevBalance = i > 0 ? modifiedSchedule[i - 1].balance : 0;
-            const interest = prevBalance * monthlyRate;
-
-            futurePayment.interestPayment = interest;
-            futurePayment.principalPayment = loanDetails.monthlyPayment - interest;
-            futurePayment.balance = Math.max(0, prevBalance - futurePayment.principalPayment);
-
-            if (futurePayment.balance <= 0) {
-              futurePayment.balance = 0;
-              lastPaymentMonth = Math.min(lastPaymentMonth, i + 1);
-              break;
-            }
-          }
-        }
-      });
+  // Change what overpayments using the global setting do, and recalculate
+  const changePrepaymentMode = (mode) => {
+    setPrepaymentMode(mode);
+    if (extraPayments.length > 0) {
+      calculateModifiedSchedule(originalSchedule, extraPayments, mode);
+    }
+  };
 
-      // Truncate schedule at last payment
-      if (lastPaymentMonth < modifiedSchedule.length) {
-        modifiedSchedule.length = lastPaymentMonth;
-      }
-    });
+  // Label for the mode an extra payment uses
+  const getPaymentModeLabel = (payment) => (
+    PREPAYMENT_MODES[payment.mode]?.label || `${PREPAYMENT_MODES[prepaymentMode].label} (default)`
+  );
+
+  // Calculate modified schedule with extra payments
+  const calculateModifiedSchedule = (originalSchedule, extraPayments, mode = prepaymentMode) => {
+    if (!originalSchedule || originalSchedule.length === 0) return;
+
+    setIsCalculating(true);
 
+    const allowance = allowanceEnabled
+      ? { percent: allowancePercent, basis: allowanceBasis, chargeTiers: parseChargeTiers(chargeTiers), handling: allowanceHandling }
+      : null;
+    const options = { rate: loanDetails.rate, monthlyPayment: loanDetails.monthlyPayment, mode, allowance, rounding: loanDetails.rounding };
+    const result = applyExtraPayments(originalSchedule, extraPayments, options);
+    const modifiedSchedule = result.schedule;
     setModifiedSchedule(modifiedSchedule);
 
     // Calculate comparison results
-    const originalMonths = originalSchedule.length;
-    const modifiedMonths = modifiedSchedule.length;
-    const monthsSaved = originalMonths - modifiedMonths;
-    const yearsSaved = Math.floor(monthsSaved / 12);
-    const remainingMonthsSaved = monthsSaved % 12;
-
-    // Calculate interest savings
-    const originalTotalInterest = originalSchedule.reduce((sum, payment) => sum + payment.interestPayment, 0);
-    const modifiedTotalInterest = modifiedSchedule.reduce((sum, payment) => sum + payment.interestPayment, 0);
-    const interestSaved = originalTotalInterest - modifiedTotalInterest;
-
-    // Calculate total extra payments
-    const totalExtraPayments = extraPayments.reduce((sum, payment) => {
-      const { amount, frequency, startMonth } = payment;
-      let count = 0;
-
-      switch (frequency) {
-        case 'monthly':
-          count = Math.min(modifiedMonths - startMonth + 1, originalMonths - startMonth + 1);
-          break;
-        case 'quarterly':
-          count = Math.ceil(Math.min(modifiedMonths - startMonth + 1, originalMonths - startMonth + 1) / 3);
-          break;
-        case 'annually':
-          count = Math.ceil(Math.min(modifiedMonths - startMonth + 1, originalMonths - startMonth + 1) / 12);
-          break;
-        case 'one-time':
-          count = 1;
-          break;
-        default:
-          break;
-      }
-
-      return sum + (amount * count);
-    }, 0);
+    const summary = summarizeExtraPayments(originalSchedule, result);
+    const originalMonths = summary.originalMonths;
+    const modifiedMonths = summary.modifiedMonths;
+    const monthsSaved = summary.monthsSaved;
+
+    // The same overpayments applied entirely one way or the other, for the side-by-side view
+    const modeComparison = Object.keys(PREPAYMENT_MODES).map(modeId => {
+      const forced = extraPayments.map(payment => ({ ...payment, mode: modeId }));
+      return {
+        mode: modeId,
+        ...summarizeExtraPayments(originalSchedule, applyExtraPayments(originalSchedule, forced, options))
+      };
+    });
 
     setComparisonResults({
       originalTerm: {
@@ -289,16 +284,21 @@ const EarlyRepaymentCalculator = ({
       },
       saved: {
         months: monthsSaved,
-        years: yearsSaved,
-        remainingMonths: remainingMonthsSaved
+        years: Math.floor(monthsSaved / 12),
+        remainingMonths: monthsSaved % 12
       },
       interest: {
-        original: originalTotalInterest,
-        modified: modifiedTotalInterest,
-        saved: interestSaved
+        original: summary.originalInterest,
+        modified: summary.modifiedInterest,
+        saved: summary.interestSaved
       },
-      extraPayments: totalExtraPayments,
-      roi: interestSaved / totalExtraPayments
+      earlyRepaymentCharges: summary.earlyRepaymentCharges,
+      netSaving: summary.netSaving,
+      breaches: result.breaches,
+      extraPayments: summary.totalExtraPayments,
+      roi: summary.totalExtraPayments > 0 ? summary.netSaving / summary.totalExtraPayments : 0,
+      newMonthlyPayment: summary.newMonthlyPayment,
+      modeComparison
     });
 
     // Prepare chart data
@@ -506,8 +506,108 @@ const EarlyRepaymentCalculator = ({
             Add Extra Payments
           </h3>
 
+          {/* Global prepayment choice */}
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              When I Overpay
+              <Tooltip content="Reduce Term keeps your payment and finishes the loan sooner. Reduce Payment (recast) keeps the term and lowers the payment after each overpayment.">
+                <FaInfoCircle className="inline-block ml-1 h-3 w-3 text-gray-400" />
+              </Tooltip>
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {Object.values(PREPAYMENT_MODES).map(mode => (
+                <button
+                  key={mode.id}
+                  onClick={() => changePrepaymentMode(mode.id)}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium ${
+                    prepaymentMode === mode.id
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Overpayment allowance and early repayment charges */}
+          <div className="mb-4 p-3 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+            <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={allowanceEnabled}
+                onChange={(e) => setAllowanceEnabled(e.target.checked)}
+                className="checkbox checkbox-sm mr-2"
+              />
+              Apply Overpayment Allowance &amp; Early Repayment Charges
+              <Tooltip content="Many fixed-rate deals let you overpay up to 10% a year without penalty and charge an ERC on anything above that. ERC tiers are the charge (%) for each loan year, e.g. 5, 4, 3, 2, 1. Years without a charge have no limit.">
+                <FaInfoCircle className="inline-block ml-1 h-3 w-3 text-gray-400" />
+              </Tooltip>
+            </label>
+
+            {allowanceEnabled && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Yearly Allowance (%)
+                  </label>
+                  <NumericInput
+                    value={allowancePercent}
+                    onChange={setAllowancePercent}
+                    min={0}
+                    max={100}
+                    decimalScale={1}
+                    suffix="%"
+                    className="text-base"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Allowance Based On
+                  </label>
+                  <select
+                    value={allowanceBasis}
+                    onChange={(e) => setAllowanceBasis(e.target.value)}
+                    className="select select-loanviz w-full h-[42px]"
+                  >
+                    {Object.values(ALLOWANCE_BASES).map(basis => (
+                      <option key={basis.id} value={basis.id}>{basis.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    ERC by Year (%)
+                  </label>
+                  <input
+                    type="text"
+                    value={chargeTiers}
+                    onChange={(e) => setChargeTiers(e.target.value)}
+                    placeholder="5, 4, 3, 2, 1"
+                    className="input input-bordered w-full h-[42px]"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Above Allowance
+                  </label>
+                  <select
+                    value={allowanceHandling}
+                    onChange={(e) => setAllowanceHandling(e.target.value)}
+                    className="select select-loanviz w-full h-[42px]"
+                  >
+                    {Object.values(ALLOWANCE_HANDLING).map(handling => (
+                      <option key={handling.id} value={handling.id}>{handling.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+          </div>
+
           {/* Mobile-optimized form layout */}
-          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-6 gap-4 mb-4">
             <div className="col-span-1">
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                 Amount
@@ -554,6 +654,22 @@ const EarlyRepaymentCalculator = ({
               />
             </div>
 
+            <div className="col-span-1">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Apply As
+              </label>
+              <select
+                value={newPaymentMode}
+                onChange={(e) => setNewPaymentMode(e.target.value)}
+                className="select select-loanviz w-full h-[42px]"
+              >
+                <option value="default">Default ({PREPAYMENT_MODES[prepaymentMode].label})</option>
+                {Object.values(PREPAYMENT_MODES).map(mode => (
+                  <option key={mode.id} value={mode.id}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+
             <div className="col-span-1 sm:col-span-2 md:col-span-1 flex items-end">
               <Button
                 onClick={addExtraPayment}
@@ -625,6 +741,7 @@ const EarlyRepaymentCalculator = ({
                       <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Amount</th>
                       <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider hidden sm:table-cell">Frequency</th>
                       <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider hidden sm:table-cell">Start Month</th>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider hidden sm:table-cell">Applied As</th>
                       <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
                     </tr>
                   </thead>
@@ -636,13 +753,15 @@ const EarlyRepaymentCalculator = ({
                           {/* Mobile-only info */}
                           <div className="sm:hidden mt-1 text-xs text-gray-400 dark:text-gray-500">
                             {payment.frequency.charAt(0).toUpperCase() + payment.frequency.slice(1)} •
-                            Starting month {payment.startMonth}
+                            Starting month {payment.startMonth} •
+                            {' '}{getPaymentModeLabel(payment)}
                           </div>
                         </td>
                         <td className="px-4 py-4 text-sm text-gray-500 dark:text-gray-400 hidden sm:table-cell">
                           {payment.frequency.charAt(0).toUpperCase() + payment.frequency.slice(1)}
                         </td>
                         <td className="px-4 py-4 text-sm text-gray-500 dark:text-gray-400 hidden sm:table-cell">Month {payment.startMonth}</td>
+                        <td className="px-4 py-4 text-sm text-gray-500 dark:text-gray-400 hidden sm:table-cell">{getPaymentModeLabel(payment)}</td>
                         <td className="px-4 py-4 text-sm text-gray-500 dark:text-gray-400">
                           <button
                             onClick={() => removeExtraPayment(payment.id)}
@@ -682,6 +801,122 @@ const EarlyRepaymentCalculator = ({
         </div>
       </Card>
 
+      {/* Overpayment Target Solver */}
+      <Card className="mb-4">
+        <div className="p-4">
+          <h3 className="text-lg font-bold mb-4 text-gray-800 dark:text-white">
+            Find the Overpayment I Need
+          </h3>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div className="col-span-1">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Target
+              </label>
+              <select
+                value={targetType}
+                onChange={(e) => setTargetType(e.target.value)}
+                className="select select-loanviz w-full h-[42px]"
+              >
+                {Object.values(OVERPAYMENT_TARGETS).map(target => (
+                  <option key={target.id} value={target.id}>{target.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="col-span-1">
+              {targetType === 'payoff-date' ? (
+                <>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Payoff Month
+                  </label>
+                  <input
+                    type="month"
+                    value={targetMonth}
+                    onChange={(e) => setTargetMonth(e.target.value)}
+                    className="input input-bordered w-full h-[42px]"
+                  />
+                </>
+              ) : (
+                <>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Interest to Save
+                  </label>
+                  <NumericInput
+                    value={targetSaving}
+                    onChange={setTargetSaving}
+                    min={1}
+                    prefix={currentLocale.currency}
+                    thousandSeparator={true}
+                    decimalScale={0}
+                    className="text-base"
+                  />
+                </>
+              )}
+            </div>
+
+            <div className="col-span-1">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Overpay
+              </label>
+              <select
+                value={targetFrequency}
+                onChange={(e) => setTargetFrequency(e.target.value)}
+                className="select select-loanviz w-full h-[42px]"
+              >
+                <option value="monthly">Monthly</option>
+                <option value="quarterly">Quarterly</option>
+                <option value="annually">Annually</option>
+                <option value="one-time">One-time</option>
+              </select>
+            </div>
+
+            <div className="col-span-1 flex items-end">
+              <Button onClick={solveTarget} variant="primary" fullWidth className="py-2.5">
+                Calculate
+              </Button>
+            </div>
+          </div>
+
+          {targetError && (
+            <p className="text-sm text-red-600 dark:text-red-400">{targetError}</p>
+          )}
+
+          {targetResult && (
+            <div className="p-4 rounded-lg bg-blue-50 dark:bg-blue-900/20">
+              {targetResult.recurring.amount === 0 ? (
+                <p className="text-sm text-blue-700 dark:text-blue-300">
+                  Your current payments already meet this target – no overpayment needed.
+                </p>
+              ) : (
+                <>
+                  <p className="text-lg font-semibold text-blue-800 dark:text-blue-200">
+                    {targetResult.frequency === 'one-time'
+                      ? `Pay a lump sum of ${currentLocale.currency}${targetResult.recurring.amount.toLocaleString()} now`
+                      : `Overpay ${currentLocale.currency}${targetResult.recurring.amount.toLocaleString()} ${targetResult.frequency === 'annually' ? 'a year' : targetResult.frequency === 'quarterly' ? 'a quarter' : 'a month'}`}
+                  </p>
+                  <p className="mt-1 text-sm text-blue-600 dark:text-blue-400">
+                    New term: {Math.floor(targetResult.recurring.modifiedMonths / 12)} years {targetResult.recurring.modifiedMonths % 12 > 0 ? `& ${targetResult.recurring.modifiedMonths % 12} months` : ''} •
+                    Interest saved: {currentLocale.currency}{Math.round(targetResult.recurring.interestSaved).toLocaleString()}
+                  </p>
+                  {targetResult.frequency !== 'one-time' && (
+                    <p className="mt-1 text-sm text-blue-600 dark:text-blue-400">
+                      Or a lump sum now of {currentLocale.currency}{targetResult.lumpSum.amount.toLocaleString()}
+                      {' '}(interest saved: {currentLocale.currency}{Math.round(targetResult.lumpSum.interestSaved).toLocaleString()})
+                    </p>
+                  )}
+                  <div className="mt-3">
+                    <Button onClick={addTargetPayment} variant="secondary" icon={<FaPlus className="h-4 w-4" />}>
+                      Add to Extra Payments
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </Card>
+
       {/* Results */}
       {comparisonResults && (
         <div ref={resultsRef}>
@@ -731,6 +966,9 @@ const EarlyRepaymentCalculator = ({
                     <p className="text-sm text-blue-600 dark:text-blue-400">
                       <span className="inline-block w-[85px] opacity-75">New term:</span> {comparisonResults.modifiedTerm.years} years {comparisonResults.modifiedTerm.remainingMonths > 0 ? `& ${comparisonResults.modifiedTerm.remainingMonths} months` : ''}
                     </p>
+                    <p className="text-sm text-blue-600 dark:text-blue-400">
+                      <span className="inline-block w-[85px] opacity-75">Payment:</span> {currentLocale.currency}{comparisonResults.newMonthlyPayment.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                    </p>
                   </div>
                 </div>
 
@@ -770,6 +1008,70 @@ const EarlyRepaymentCalculator = ({
                   </div>
                 </div>
               </div>
+
+              {/* Overpayments above the allowance */}
+              {comparisonResults.breaches.length > 0 && (
+                <div className="mt-6 p-4 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
+                  <h4 className="text-md font-semibold mb-2 text-amber-800 dark:text-amber-300">
+                    {allowanceHandling === 'cap'
+                      ? `${comparisonResults.breaches.length} overpayment${comparisonResults.breaches.length === 1 ? '' : 's'} capped at the allowance`
+                      : `${comparisonResults.breaches.length} overpayment${comparisonResults.breaches.length === 1 ? '' : 's'} above the allowance`}
+                  </h4>
+                  <ul className="text-sm text-amber-700 dark:text-amber-400 space-y-1 max-h-32 overflow-y-auto">
+                    {comparisonResults.breaches.map(breach => (
+                      <li key={breach.month}>
+                        Month {breach.month} (year {breach.loanYear}): {currentLocale.currency}{Math.round(breach.excess).toLocaleString()} over
+                        {breach.capped ? ' – not paid' : ` – ERC ${breach.chargeRate}% = ${currentLocale.currency}${Math.round(breach.charge).toLocaleString()}`}
+                      </li>
+                    ))}
+                  </ul>
+                  {comparisonResults.earlyRepaymentCharges > 0 && (
+                    <p className="mt-3 text-sm font-semibold text-amber-800 dark:text-amber-300">
+                      Early repayment charges: {currentLocale.currency}{Math.round(comparisonResults.earlyRepaymentCharges).toLocaleString()} •
+                      Net saving after charges: {currentLocale.currency}{Math.round(comparisonResults.netSaving).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Reduce term vs reduce payment, side by side */}
+              <div className="mt-6">
+                <h4 className="text-md font-semibold mb-3 text-gray-700 dark:text-gray-300">
+                  Reduce Term vs Reduce Payment
+                </h4>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {comparisonResults.modeComparison.map(option => (
+                    <div
+                      key={option.mode}
+                      className={`rounded-lg p-4 border ${
+                        option.mode === prepaymentMode
+                          ? 'border-blue-500 dark:border-blue-400'
+                          : 'border-gray-200 dark:border-gray-700'
+                      }`}
+                    >
+                      <h5 className="font-semibold mb-2 text-gray-800 dark:text-white">
+                        {PREPAYMENT_MODES[option.mode].label}
+                      </h5>
+                      <div className="space-y-1 text-sm text-gray-600 dark:text-gray-400">
+                        <p>
+                          <span className="inline-block w-[120px] opacity-75">New payment:</span> {currentLocale.currency}{option.newMonthlyPayment.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                        </p>
+                        <p>
+                          <span className="inline-block w-[120px] opacity-75">New term:</span> {Math.floor(option.modifiedMonths / 12)} years {option.modifiedMonths % 12 > 0 ? `& ${option.modifiedMonths % 12} months` : ''}
+                        </p>
+                        <p>
+                          <span className="inline-block w-[120px] opacity-75">Interest saved:</span> {currentLocale.currency}{Math.round(option.interestSaved).toLocaleString()}
+                        </p>
+                        {option.earlyRepaymentCharges > 0 && (
+                          <p>
+                            <span className="inline-block w-[120px] opacity-75">Net of ERC:</span> {currentLocale.currency}{Math.round(option.netSaving).toLocaleString()}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
             </div>
           </Card>
 
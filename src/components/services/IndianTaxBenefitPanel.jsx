@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { FaInfoCircle, FaRupeeSign } from 'react-icons/fa';
+import { GlassCard } from '../ui/modern';
+import TooltipOverlay from '../ui/modern/TooltipOverlay';
+import NumericInput from '../ui/NumericInput';
+import ResponsiveContainer from '../ui/ResponsiveContainer';
+import { useLocale } from '../../contexts/LocaleContext';
+import { calculateIndianTaxBenefits, TAX_REGIMES, TAX_SLAB_RATES, SECTION_LIMITS } from '../../utils/indianTaxBenefits';
+
+/**
+ * IndianTaxBenefitPanel component showing home loan tax deductions (Sections 24(b), 80C and 80EEA)
+ * @param {Object} props - Component props
+ * @param {Array} props.schedule - Amortization schedule array
+ * @param {Object} props.loanDetails - Loan details object
+ * @returns {JSX.Element} Indian home loan tax benefit panel
+ */
+const IndianTaxBenefitPanel = ({ schedule = [], loanDetails = {} }) => {
+  const { formatCurrency } = useLocale();
+
+  const [regime, setRegime] = useState('old');
+  const [slabRate, setSlabRate] = useState(30);
+  const [other80C, setOther80C] = useState(0);
+  const [eligible80EEA, setEligible80EEA] = useState(false);
+
+  // Financial years need payment dates; undated schedules fall back to loan years
+  const grouping = loanDetails.startDate ? 'india-fy' : 'loan';
+  const options = { slabRate, rate: loanDetails.rate, other80C, eligible80EEA, grouping };
+  const benefits = calculateIndianTaxBenefits(schedule, { ...options, regime });
+  // The other regime at the same slab, for comparison
+  const otherRegime = regime === 'old' ? 'new' : 'old';
+  const otherBenefits = calculateIndianTaxBenefits(schedule, { ...options, regime: otherRegime });
+
+  if (!schedule || schedule.length === 0) return null;
+
+  return (
+    <GlassCard
+      className="mb-4"
+      title="Home Loan Tax Benefits"
+      icon={<FaRupeeSign className="h-5 w-5" />}
+      variant="primary"
+      effect="glow"
+      animate={true}
+    >
+      <div className="p-4">
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          Interest on a self-occupied home is deductible up to {formatCurrency(SECTION_LIMITS.section24b)} a year under Section 24(b),
+          and principal repayments up to {formatCurrency(SECTION_LIMITS.section80C)} under Section 80C, only under the old regime.
+        </p>
+
+        {/* Inputs */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          <div>
+            <label htmlFor="tax-regime" className="block text-xs font-medium mb-1 text-gray-500 dark:text-gray-400">
+              Tax Regime
+            </label>
+            <select
+              id="tax-regime"
+              value={regime}
+              onChange={(e) => setRegime(e.target.value)}
+              className="select select-loanviz select-sm w-full"
+            >
+              {Object.values(TAX_REGIMES).map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="tax-slab" className="block text-xs font-medium mb-1 text-gray-500 dark:text-gray-400">
+              Your Tax Slab
+            </label>
+            <select
+              id="tax-slab"
+              value={slabRate}
+              onChange={(e) => setSlabRate(parseFloat(e.target.value))}
+              className="select select-loanviz select-sm w-full"
+            >
+              {TAX_SLAB_RATES.map(rate => (
+                <option key={rate} value={rate}>{rate}%</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="other-80c" className="flex items-center text-xs font-medium mb-1 text-gray-500 dark:text-gray-400">
+              Other 80C Investments (a year)
+              <TooltipOverlay content="PPF, ELSS, EPF, life insurance and other investments already using the shared ₹1.5 lakh 80C limit">
+                <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+              </TooltipOverlay>
+            </label>
+            <NumericInput
+              id="other-80c"
+              name="other-80c"
+              value={other80C}
+              onChange={setOther80C}
+              min={0}
+              max={SECTION_LIMITS.section80C}
+              prefix="₹"
+              thousandSeparator={true}
+              decimalScale={0}
+              disabled={regime === 'new'}
+            />
+          </div>
+          <div className="flex items-end">
+            <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={eligible80EEA}
+                onChange={(e) => setEligible80EEA(e.target.checked)}
+                disabled={regime === 'new'}
+                className="checkbox checkbox-sm mr-2"
+              />
+              Claim Section 80EEA
+              <TooltipOverlay content="A further ₹1.5 lakh of interest for first-time buyers of homes valued up to ₹45 lakh, on loans sanctioned between 1 April 2019 and 31 March 2022">
+                <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+              </TooltipOverlay>
+            </label>
+          </div>
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+          <div className="p-3 rounded-lg bg-green-50 dark:bg-green-900/20">
+            <p className="text-xs text-gray-600 dark:text-gray-400">Total Tax Saved</p>
+            <p className="text-lg font-bold text-green-700 dark:text-green-400">{formatCurrency(benefits.totalTaxSaved)}</p>
+          </div>
+          <div className="p-3 rounded-lg bg-blue-50 dark:bg-blue-900/20">
+            <p className="text-xs text-gray-600 dark:text-gray-400">Post-Tax Effective Interest Rate</p>
+            <p className="text-lg font-bold text-blue-700 dark:text-blue-400">
+              {benefits.effectiveRate}%
+              <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">vs {loanDetails.rate}%</span>
+            </p>
+          </div>
+          <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+            <p className="text-xs text-gray-600 dark:text-gray-400">{TAX_REGIMES[otherRegime].label}</p>
+            <p className="text-lg font-bold text-gray-700 dark:text-gray-300">
+              {formatCurrency(otherBenefits.totalTaxSaved)}
+              <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">at {otherBenefits.effectiveRate}%</span>
+            </p>
+          </div>
+        </div>
+
+        {/* Yearly breakdown */}
+        <ResponsiveContainer enableScroll={true} className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{grouping === 'india-fy' ? 'Financial Year' : 'Loan Year'}</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Interest</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">24(b)</th>
+                {eligible80EEA && (
+                  <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">80EEA</th>
+                )}
+                <th scope="col" className="hidden sm:table-cell px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Principal</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">80C</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Tax Saved</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Effective Rate</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {benefits.years.map(year => (
+                <tr key={year.key}>
+                  <td className="px-3 py-2 text-gray-800 dark:text-gray-200">{year.label}</td>
+                  <td className="px-3 py-2 text-right text-gray-600 dark:text-gray-400">{formatCurrency(year.interestPaid)}</td>
+                  <td className="px-3 py-2 text-right text-gray-600 dark:text-gray-400">{formatCurrency(year.deduction24b)}</td>
+                  {eligible80EEA && (
+                    <td className="px-3 py-2 text-right text-gray-600 dark:text-gray-400">{formatCurrency(year.deduction80EEA)}</td>
+                  )}
+                  <td className="hidden sm:table-cell px-3 py-2 text-right text-gray-600 dark:text-gray-400">{formatCurrency(year.principalPaid)}</td>
+                  <td className="px-3 py-2 text-right text-gray-600 dark:text-gray-400">{formatCurrency(year.deduction80C)}</td>
+                  <td className="px-3 py-2 text-right font-medium text-green-700 dark:text-green-400">{formatCurrency(year.taxSaved)}</td>
+                  <td className="px-3 py-2 text-right text-blue-700 dark:text-blue-400">{year.effectiveRate}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ResponsiveContainer>
+
+        <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+          Tax saved is at your marginal slab plus 4% cess, ignoring surcharge. The effective rate counts only the tax saved on interest.
+          {grouping === 'loan' && ' Set a loan start date to see benefits by financial year (April to March).'}
+          {' '}Limits are per borrower; joint owners who each repay can claim their own share.
+        </p>
+      </div>
+    </GlassCard>
+  );
+};
+
+export default IndianTaxBenefitPanel;
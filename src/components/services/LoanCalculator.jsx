@@ -1,12 +1,13 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { z } from 'zod';
-import { FaCalculator, FaMoneyBillWave, FaPercentage, FaCalendarAlt, FaCar, FaGraduationCap, FaInfoCircle, FaChartLine } from 'react-icons/fa';
+import { FaCalculator, FaMoneyBillWave, FaPercentage, FaCalendarAlt, FaCar, FaGraduationCap, FaInfoCircle, FaChartLine, FaSyncAlt, FaCrosshairs, FaPiggyBank, FaShieldAlt, FaHome, FaFileInvoiceDollar } from 'react-icons/fa';
 import Card from '../ui/Card';
 import GlassmorphicCard from '../ui/GlassmorphicCard';
 import Button from '../ui/Button';
 import Tooltip from '../ui/Tooltip';
 import Toggle from '../ui/Toggle';
+import Select from '../ui/Select';
 import NumericInput from '../ui/NumericInput';
 import RangeSlider from '../ui/RangeSlider';
 import DonutChart from '../ui/DonutChart';
@@ -16,10 +17,18 @@ import ResponsiveFormSection from '../ui/ResponsiveFormSection';
 import ResponsiveContainer from '../ui/ResponsiveContainer';
 import ResponsiveGrid from '../ui/ResponsiveGrid';
 import RegulatoryDisclaimer from '../ui/RegulatoryDisclaimer';
+import ArmRateInputs from '../ui/ArmRateInputs';
 import useLoanCalculations from '../../hooks/useLoanCalculations';
 import loanConfigData, { loanParams } from '../../config/loanConfig';
 import InvestmentCalculator from './InvestmentCalculator';
 import { useLocale } from '../../contexts/LocaleContext';
+import { calculateMortgage, resolveBalloonAmount, PAYMENT_FREQUENCIES, OFFSET_MODES, GRACE_INTEREST_MODES } from '../../utils/mortgage';
+import { goalSeek, SOLVE_FOR_OPTIONS } from '../../utils/goalSeek';
+import { REGION_ROUNDING_POLICIES } from '../../utils/money';
+import { MORTGAGE_INSURANCE_TYPES, getLoanToValue } from '../../utils/mortgageInsurance';
+import { COUNCIL_TAX_BANDS } from '../../utils/housingCosts';
+import { DEFAULT_TAX_DEDUCTION, FILING_STATUSES, FEDERAL_TAX_RATES, US_TAX_YEAR } from '../../utils/usTaxDeduction';
+import { DEFAULT_ARM } from '../../utils/arm';
 
 // Simple function to calculate monthly payment
 function calculateMonthlyPayment(principal, annualRate, termYears, type = 'repayment') {
@@ -40,7 +49,7 @@ const LoanCalcSchema = z.object({
   principal: z.number().min(1000, 'Loan amount must be at least 1,000').max(10000000, 'Loan amount cannot exceed 10,000,000'),
   rate: z.number().min(0, 'Interest rate cannot be negative').max(30, 'Interest rate cannot exceed 30%'),
   termYears: z.number().min(1, 'Loan term must be at least 1 year').max(40, 'Loan term cannot exceed 40 years'),
-  type: z.enum(['repayment', 'interest-only']),
+  type: z.enum(['repayment', 'interest-only', 'balloon', 'part-and-part', 'arm']),
   downPayment: z.number().optional(),
   tradeInValue: z.number().optional(),
   gracePeriodMonths: z.number().min(0).max(60).optional(),
@@ -89,6 +98,29 @@ const LoanCalculator = ({
   const [downPayment, setDownPayment] = useState(initialValues.downPayment || 0);
   const [tradeInValue, setTradeInValue] = useState(initialValues.tradeInValue || 0);
   const [gracePeriodMonths, setGracePeriodMonths] = useState(initialValues.gracePeriodMonths || 0);
+  const [graceInterest, setGraceInterest] = useState(initialValues.graceInterest || 'unsubsidized');
+  const [paymentFrequency, setPaymentFrequency] = useState(initialValues.paymentFrequency || 'monthly');
+  const [balloon, setBalloon] = useState(initialValues.balloon || 0);
+  const [balloonType, setBalloonType] = useState(initialValues.balloonType || 'percent');
+  const [interestOnlyPortion, setInterestOnlyPortion] = useState(initialValues.interestOnlyPortion || 50);
+  const [interestOnlyPortionType, setInterestOnlyPortionType] = useState(initialValues.interestOnlyPortionType || 'percent');
+  const [arm, setArm] = useState(DEFAULT_ARM);
+  const [offsetSavings, setOffsetSavings] = useState(0);
+  const [offsetMonthlySavings, setOffsetMonthlySavings] = useState(0);
+  const [offsetMode, setOffsetMode] = useState('reduce-term');
+  const [insuranceType, setInsuranceType] = useState('none');
+  const [propertyValue, setPropertyValue] = useState(0);
+  const [propertyTaxRate, setPropertyTaxRate] = useState(0);
+  const [councilTaxBand, setCouncilTaxBand] = useState('');
+  const [homeInsurance, setHomeInsurance] = useState(0);
+  const [serviceCharge, setServiceCharge] = useState(0);
+  const [groundRent, setGroundRent] = useState(0);
+  const [filingStatus, setFilingStatus] = useState(DEFAULT_TAX_DEDUCTION.filingStatus);
+  const [marginalTaxRate, setMarginalTaxRate] = useState(DEFAULT_TAX_DEDUCTION.marginalRate);
+  const [otherItemized, setOtherItemized] = useState(DEFAULT_TAX_DEDUCTION.otherItemized);
+  const [discountPoints, setDiscountPoints] = useState(DEFAULT_TAX_DEDUCTION.points);
+  const [solveFor, setSolveFor] = useState('payment');
+  const [targetPayment, setTargetPayment] = useState(1000);
   const [fees, setFees] = useState(additionalFees);
   const [errors, setErrors] = useState({});
   const [showResults, setShowResults] = useState(false);
@@ -111,6 +143,29 @@ const LoanCalculator = ({
     setDownPayment(initialValues.downPayment || 0);
     setTradeInValue(initialValues.tradeInValue || 0);
     setGracePeriodMonths(initialValues.gracePeriodMonths || 0);
+    setGraceInterest(initialValues.graceInterest || 'unsubsidized');
+    setPaymentFrequency(initialValues.paymentFrequency || 'monthly');
+    setBalloon(initialValues.balloon || 0);
+    setBalloonType(initialValues.balloonType || 'percent');
+    setInterestOnlyPortion(initialValues.interestOnlyPortion || 50);
+    setInterestOnlyPortionType(initialValues.interestOnlyPortionType || 'percent');
+    setArm(DEFAULT_ARM);
+    setOffsetSavings(0);
+    setOffsetMonthlySavings(0);
+    setOffsetMode('reduce-term');
+    setInsuranceType('none');
+    setPropertyValue(0);
+    setPropertyTaxRate(0);
+    setCouncilTaxBand('');
+    setHomeInsurance(0);
+    setServiceCharge(0);
+    setGroundRent(0);
+    setFilingStatus(DEFAULT_TAX_DEDUCTION.filingStatus);
+    setMarginalTaxRate(DEFAULT_TAX_DEDUCTION.marginalRate);
+    setOtherItemized(DEFAULT_TAX_DEDUCTION.otherItemized);
+    setDiscountPoints(DEFAULT_TAX_DEDUCTION.points);
+    setSolveFor('payment');
+    setTargetPayment(1000);
     setFees(additionalFees);
     setErrors({});
     setShowResults(false);
@@ -267,6 +322,29 @@ const LoanCalculator = ({
     setDownPayment(initialValues.downPayment || 0);
     setTradeInValue(initialValues.tradeInValue || 0);
     setGracePeriodMonths(initialValues.gracePeriodMonths || 0);
+    setGraceInterest(initialValues.graceInterest || 'unsubsidized');
+    setPaymentFrequency(initialValues.paymentFrequency || 'monthly');
+    setBalloon(initialValues.balloon || 0);
+    setBalloonType(initialValues.balloonType || 'percent');
+    setInterestOnlyPortion(initialValues.interestOnlyPortion || 50);
+    setInterestOnlyPortionType(initialValues.interestOnlyPortionType || 'percent');
+    setArm(DEFAULT_ARM);
+    setOffsetSavings(0);
+    setOffsetMonthlySavings(0);
+    setOffsetMode('reduce-term');
+    setInsuranceType('none');
+    setPropertyValue(0);
+    setPropertyTaxRate(0);
+    setCouncilTaxBand('');
+    setHomeInsurance(0);
+    setServiceCharge(0);
+    setGroundRent(0);
+    setFilingStatus(DEFAULT_TAX_DEDUCTION.filingStatus);
+    setMarginalTaxRate(DEFAULT_TAX_DEDUCTION.marginalRate);
+    setOtherItemized(DEFAULT_TAX_DEDUCTION.otherItemized);
+    setDiscountPoints(DEFAULT_TAX_DEDUCTION.points);
+    setSolveFor('payment');
+    setTargetPayment(1000);
     setFees(additionalFees);
     setErrors({});
     setShowResults(false);
@@ -297,6 +375,52 @@ const LoanCalculator = ({
         <div className="p-2 sm:p-4">
 
           <ResponsiveGrid cols={2} mobileCols={1} gap="4">
+            {/* Solve For */}
+            <div className="mb-3">
+              <label htmlFor="solve-for" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center">
+                <FaCrosshairs className="h-4 w-4 mr-1 text-rose-500 dark:text-rose-400" />
+                Solve For
+                <Tooltip content="Work backwards from a payment to the loan amount, rate or term it supports. The term is rounded up to whole payments">
+                  <FaInfoCircle className="ml-1 h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <Select
+                id="solve-for"
+                name="solve-for"
+                value={solveFor}
+                onChange={(e) => {
+                  setSolveFor(e.target.value);
+                  setErrors({});
+                }}
+                options={Object.values(SOLVE_FOR_OPTIONS).map(option => ({ value: option.id, label: option.label }))}
+              />
+            </div>
+
+            {/* Target payment per period (goal-seek input) */}
+            {solveFor !== 'payment' ? (
+              <div className="mb-3">
+                <label htmlFor="target-payment" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center">
+                  <FaMoneyBillWave className="h-4 w-4 mr-1 text-rose-500 dark:text-rose-400" />
+                  {repaymentType === 'interest-only' ? 'Monthly' : PAYMENT_FREQUENCIES[paymentFrequency]?.label || 'Monthly'} Payment
+                </label>
+                <NumericInput
+                  id="target-payment"
+                  name="target-payment"
+                  value={targetPayment}
+                  onChange={setTargetPayment}
+                  min={1}
+                  error={errors.monthlyPayment}
+                  prefix={currentLocale.currency}
+                  thousandSeparator={true}
+                  decimalScale={2}
+                  icon={<FaMoneyBillWave className="h-4 w-4" />}
+                  className="glassmorphic-input"
+                />
+              </div>
+            ) : (
+              <div className="hidden md:block" />
+            )}
+
             {/* Loan Amount */}
             <motion.div
               className="mb-3"
@@ -331,6 +455,7 @@ const LoanCalculator = ({
                     max={ranges.principal.max}
                     step={ranges.principal.step}
                     error={errors.principal}
+                    disabled={solveFor === 'principal'}
                     prefix={currentLocale.currency}
                     thousandSeparator={true}
                     decimalScale={0}
@@ -338,7 +463,7 @@ const LoanCalculator = ({
                     className="glassmorphic-input"
                   />
                 </div>
-                <div className="w-full">
+                <div className={`w-full ${solveFor === 'principal' ? 'opacity-50 pointer-events-none' : ''}`}>
                   <RangeSlider
                     min={ranges.principal.min}
                     max={ranges.principal.max}
@@ -391,13 +516,14 @@ const LoanCalculator = ({
                     max={ranges.rate.max}
                     step={ranges.rate.step}
                     error={errors.rate}
+                    disabled={solveFor === 'rate'}
                     suffix="%"
-                    decimalScale={2}
+                    decimalScale={3}
                     icon={<FaPercentage className="h-4 w-4" />}
                     className="glassmorphic-input"
                   />
                 </div>
-                <div className="w-full">
+                <div className={`w-full ${solveFor === 'rate' ? 'opacity-50 pointer-events-none' : ''}`}>
                   <RangeSlider
                     min={ranges.rate.min}
                     max={ranges.rate.max}
@@ -452,13 +578,14 @@ const LoanCalculator = ({
                     max={ranges.termYears.max}
                     step={ranges.termYears.step}
                     error={errors.termYears}
+                    disabled={solveFor === 'term'}
                     suffix=" years"
-                    decimalScale={0}
+                    decimalScale={solveFor === 'term' ? 2 : 0}
                     icon={<FaCalendarAlt className="h-4 w-4" />}
                     className="glassmorphic-input"
                   />
                 </div>
-                <div className="w-full">
+                <div className={`w-full ${solveFor === 'term' ? 'opacity-50 pointer-events-none' : ''}`}>
                   <RangeSlider
                     min={ranges.termYears.min}
                     max={ranges.termYears.max}
@@ -506,7 +633,10 @@ const LoanCalculator = ({
                 <Toggle
                   options={[
                     { value: 'repayment', label: 'Repayment' },
-                    { value: 'interest-only', label: 'Interest Only' }
+                    { value: 'interest-only', label: 'Interest Only' },
+                    { value: 'balloon', label: 'Balloon' },
+                    { value: 'part-and-part', label: 'Part & Part' },
+                    ...(loanTypeId === 'mortgage' ? [{ value: 'arm', label: 'ARM' }] : [])
                   ]}
                   value={repaymentType}
                   onChange={setRepaymentType}
@@ -516,6 +646,413 @@ const LoanCalculator = ({
               </div>
             </motion.div>
 
+            {/* Payment Frequency */}
+            <div className="mb-3">
+              <label htmlFor="payment-frequency" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center">
+                <FaSyncAlt className="mr-1 h-4 w-4 text-teal-500 dark:text-teal-400" />
+                Payment Frequency
+                <Tooltip content="Accelerated bi-weekly pays half the monthly payment every two weeks, which adds up to one extra monthly payment a year">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <Select
+                id="payment-frequency"
+                name="payment-frequency"
+                value={paymentFrequency}
+                onChange={(e) => setPaymentFrequency(e.target.value)}
+                options={Object.values(PAYMENT_FREQUENCIES).map(frequency => ({ value: frequency.id, label: frequency.label }))}
+                disabled={repaymentType === 'interest-only'}
+              />
+            </div>
+
+            {/* Balloon / residual value - Only show for balloon loans */}
+            {repaymentType === 'balloon' && (
+              <div className="mb-3">
+                <label htmlFor="balloon-amount" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center">
+                  Balloon Payment
+                  <Tooltip content="Lump sum due with the final payment, e.g. the guaranteed future value on PCP car finance">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </label>
+                <div className="flex gap-2 items-start">
+                  <div className="flex-1">
+                    <NumericInput
+                      id="balloon-amount"
+                      name="balloon-amount"
+                      value={balloon}
+                      onChange={setBalloon}
+                      min={0}
+                      max={balloonType === 'percent' ? 100 : loanAmount}
+                      error={errors.balloon}
+                      prefix={balloonType === 'amount' ? currentLocale.currency : ''}
+                      suffix={balloonType === 'percent' ? '%' : ''}
+                      thousandSeparator={balloonType === 'amount'}
+                      decimalScale={balloonType === 'percent' ? 1 : 0}
+                      className="glassmorphic-input"
+                    />
+                  </div>
+                  <Toggle
+                    options={[
+                      { value: 'percent', label: '%' },
+                      { value: 'amount', label: currentLocale.currency }
+                    ]}
+                    value={balloonType}
+                    onChange={setBalloonType}
+                    className="glassmorphic-toggle"
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Part-and-part split - Only show for part-and-part loans */}
+            {repaymentType === 'part-and-part' && (
+              <div className="mb-3">
+                <label htmlFor="interest-only-portion" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center">
+                  Interest-Only Portion
+                  <Tooltip content="Part of the loan on which you only pay interest. It is still owed at the end of the term">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </label>
+                <div className="flex gap-2 items-start">
+                  <div className="flex-1">
+                    <NumericInput
+                      id="interest-only-portion"
+                      name="interest-only-portion"
+                      value={interestOnlyPortion}
+                      onChange={setInterestOnlyPortion}
+                      min={0}
+                      max={interestOnlyPortionType === 'percent' ? 100 : loanAmount}
+                      error={errors.interestOnlyPortion}
+                      prefix={interestOnlyPortionType === 'amount' ? currentLocale.currency : ''}
+                      suffix={interestOnlyPortionType === 'percent' ? '%' : ''}
+                      thousandSeparator={interestOnlyPortionType === 'amount'}
+                      decimalScale={interestOnlyPortionType === 'percent' ? 1 : 0}
+                      className="glassmorphic-input"
+                    />
+                  </div>
+                  <Toggle
+                    options={[
+                      { value: 'percent', label: '%' },
+                      { value: 'amount', label: currentLocale.currency }
+                    ]}
+                    value={interestOnlyPortionType}
+                    onChange={setInterestOnlyPortionType}
+                    className="glassmorphic-toggle"
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Adjustable rate - Only show for ARMs */}
+            {repaymentType === 'arm' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white flex items-center">
+                  <FaChartLine className="mr-1 h-4 w-4 text-orange-500 dark:text-orange-400" />
+                  Adjustable Rate
+                  <Tooltip content="The interest rate above is the initial fixed rate. After the fixed period the rate follows the index, within the caps.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </h3>
+                <ArmRateInputs value={arm} onChange={setArm} idPrefix="loan-arm" />
+              </div>
+            )}
+
+            {/* Mortgage: Offset Savings - Only show for mortgages */}
+            {loanTypeId === 'mortgage' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white flex items-center">
+                  <FaPiggyBank className="mr-1 h-4 w-4 text-emerald-500 dark:text-emerald-400" />
+                  Offset Savings
+                  <Tooltip content="With an offset mortgage, interest is only charged on the balance minus your linked savings">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </h3>
+                <ResponsiveGrid cols={3} tabletCols={2} mobileCols={1} gap="3">
+                  <div>
+                    <label htmlFor="offset-savings" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Savings Balance
+                    </label>
+                    <NumericInput
+                      id="offset-savings"
+                      name="offset-savings"
+                      value={offsetSavings}
+                      onChange={setOffsetSavings}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="offset-monthly-savings" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Added Each Month
+                    </label>
+                    <NumericInput
+                      id="offset-monthly-savings"
+                      name="offset-monthly-savings"
+                      value={offsetMonthlySavings}
+                      onChange={setOffsetMonthlySavings}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="offset-mode" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Use Savings To
+                    </label>
+                    <Select
+                      id="offset-mode"
+                      name="offset-mode"
+                      value={offsetMode}
+                      onChange={(e) => setOffsetMode(e.target.value)}
+                      options={Object.values(OFFSET_MODES).map(mode => ({ value: mode.id, label: mode.label }))}
+                      disabled={repaymentType === 'interest-only'}
+                    />
+                  </div>
+                </ResponsiveGrid>
+              </div>
+            )}
+
+            {/* Mortgage: Mortgage Insurance - Only show for mortgages */}
+            {loanTypeId === 'mortgage' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white flex items-center">
+                  <FaShieldAlt className="mr-1 h-4 w-4 text-indigo-500 dark:text-indigo-400" />
+                  Mortgage Insurance
+                  <Tooltip content="Lenders require insurance when you borrow more than 80% of the property value. PMI is paid monthly until the balance reaches 78% of the value; LMI and CMHC premiums are added to the loan">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </h3>
+                <ResponsiveGrid cols={3} tabletCols={2} mobileCols={1} gap="3">
+                  <div>
+                    <label htmlFor="insurance-type" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Insurance Type
+                    </label>
+                    <Select
+                      id="insurance-type"
+                      name="insurance-type"
+                      value={insuranceType}
+                      onChange={(e) => setInsuranceType(e.target.value)}
+                      options={Object.values(MORTGAGE_INSURANCE_TYPES).map(type => ({ value: type.id, label: type.label }))}
+                    />
+                  </div>
+                  {insuranceType !== 'none' && (
+                    <div>
+                      <label htmlFor="property-value" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                        Property Value
+                      </label>
+                      <NumericInput
+                        id="property-value"
+                        name="property-value"
+                        value={propertyValue}
+                        onChange={setPropertyValue}
+                        min={0}
+                        prefix={currentLocale.currency}
+                        thousandSeparator={true}
+                        decimalScale={0}
+                      />
+                      {propertyValue > 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          Loan-to-value: {getLoanToValue(loanAmount, propertyValue).toFixed(1)}%
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </ResponsiveGrid>
+              </div>
+            )}
+
+            {/* Mortgage: Housing Costs - Only show for mortgages */}
+            {loanTypeId === 'mortgage' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white flex items-center">
+                  <FaHome className="mr-1 h-4 w-4 text-amber-500 dark:text-amber-400" />
+                  Housing Costs
+                  <Tooltip content="Costs of owning the home on top of the mortgage payment, shown as a monthly breakdown. Lenders count them in affordability checks.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </h3>
+                <ResponsiveGrid cols={4} tabletCols={2} mobileCols={1} gap="3">
+                  {currentLocale.code === 'en-GB' ? (
+                    <div>
+                      <label htmlFor="council-tax-band" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                        Council Tax Band
+                      </label>
+                      <Select
+                        id="council-tax-band"
+                        name="council-tax-band"
+                        value={councilTaxBand}
+                        onChange={(e) => setCouncilTaxBand(e.target.value)}
+                        options={[
+                          { value: '', label: 'Not included' },
+                          ...Object.values(COUNCIL_TAX_BANDS).map(band => ({ value: band.id, label: band.label }))
+                        ]}
+                      />
+                    </div>
+                  ) : (
+                    <div>
+                      <label htmlFor="property-tax-rate" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                        Property Tax (% a year)
+                      </label>
+                      <NumericInput
+                        id="property-tax-rate"
+                        name="property-tax-rate"
+                        value={propertyTaxRate}
+                        onChange={setPropertyTaxRate}
+                        min={0}
+                        max={5}
+                        step={0.05}
+                        suffix="%"
+                        decimalScale={2}
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="home-insurance" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Home Insurance (a year)
+                    </label>
+                    <NumericInput
+                      id="home-insurance"
+                      name="home-insurance"
+                      value={homeInsurance}
+                      onChange={setHomeInsurance}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="service-charge" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      {currentLocale.code === 'en-GB' ? 'Service Charge' : 'HOA Fees'} (a month)
+                    </label>
+                    <NumericInput
+                      id="service-charge"
+                      name="service-charge"
+                      value={serviceCharge}
+                      onChange={setServiceCharge}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="ground-rent" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Ground Rent (a year)
+                    </label>
+                    <NumericInput
+                      id="ground-rent"
+                      name="ground-rent"
+                      value={groundRent}
+                      onChange={setGroundRent}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+                </ResponsiveGrid>
+                {currentLocale.code !== 'en-GB' && insuranceType === 'none' && (
+                  <div className="mt-2 max-w-xs">
+                    <label htmlFor="housing-property-value" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Property Value
+                    </label>
+                    <NumericInput
+                      id="housing-property-value"
+                      name="housing-property-value"
+                      value={propertyValue}
+                      onChange={setPropertyValue}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      Property tax is charged on this value (the loan amount if left at 0)
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Mortgage: Tax Deduction - Only show for US mortgages */}
+            {loanTypeId === 'mortgage' && currentLocale.code === 'en-US' && (
+              <div className="col-span-1 md:col-span-2 mb-3">
+                <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white flex items-center">
+                  <FaFileInvoiceDollar className="mr-1 h-4 w-4 text-green-500 dark:text-green-400" />
+                  Tax Deduction
+                  <Tooltip content={`Mortgage interest and discount points are deductible if you itemize instead of taking the ${US_TAX_YEAR} standard deduction. Only interest on the first $750,000 of mortgage debt counts.`}>
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </h3>
+                <ResponsiveGrid cols={4} tabletCols={2} mobileCols={1} gap="3">
+                  <div>
+                    <label htmlFor="filing-status" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Filing Status
+                    </label>
+                    <Select
+                      id="filing-status"
+                      name="filing-status"
+                      value={filingStatus}
+                      onChange={(e) => setFilingStatus(e.target.value)}
+                      options={Object.values(FILING_STATUSES).map(status => ({ value: status.id, label: status.label }))}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="marginal-tax-rate" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Federal Tax Bracket
+                    </label>
+                    <Select
+                      id="marginal-tax-rate"
+                      name="marginal-tax-rate"
+                      value={marginalTaxRate}
+                      onChange={(e) => setMarginalTaxRate(parseFloat(e.target.value))}
+                      options={FEDERAL_TAX_RATES.map(rate => ({ value: rate, label: `${rate}%` }))}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="other-itemized" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Other Itemized Deductions (a year)
+                      <Tooltip content="State and local taxes, charitable gifts and other deductions you would itemize anyway">
+                        <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                      </Tooltip>
+                    </label>
+                    <NumericInput
+                      id="other-itemized"
+                      name="other-itemized"
+                      value={otherItemized}
+                      onChange={setOtherItemized}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="discount-points" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Discount Points
+                      <Tooltip content="Points paid upfront to buy down the rate, each 1% of the loan. Points on a home purchase are deductible in the year paid.">
+                        <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                      </Tooltip>
+                    </label>
+                    <NumericInput
+                      id="discount-points"
+                      name="discount-points"
+                      value={discountPoints}
+                      onChange={setDiscountPoints}
+                      min={0}
+                      max={4}
+                      step={0.125}
+                      suffix="%"
+                      decimalScale={3}
+                    />
+                  </div>
+                </ResponsiveGrid>
+              </div>
+            )}
+
             {/* Auto Loan: Down Payment - Only show for auto loans */}
             {loanTypeId === 'auto' && (
               <div className="mb-3">
@@ -641,6 +1178,23 @@ const LoanCalculator = ({
                     />
                   </div>
                 </div>
+                {gracePeriodMonths > 0 && (
+                  <div className="mt-2">
+                    <label htmlFor="grace-interest" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Grace Period Interest
+                      <Tooltip content="Unsubsidized loans add grace-period interest to the balance when repayment starts; subsidized loans accrue none">
+                        <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                      </Tooltip>
+                    </label>
+                    <Select
+                      id="grace-interest"
+                      name="grace-interest"
+                      value={graceInterest}
+                      onChange={(e) => setGraceInterest(e.target.value)}
+                      options={Object.values(GRACE_INTEREST_MODES).map(mode => ({ value: mode.id, label: mode.label }))}
+                    />
+                  </div>
+                )}
               </div>
             )}
 
@@ -677,42 +1231,74 @@ const LoanCalculator = ({
               <motion.button
                 className="flex items-center justify-center gap-2 px-4 py-3 glassmorphic-btn-primary rounded-lg w-full"
                 onClick={() => {
-                  // Create properly calculated results
-                  const totalFees = Object.values(fees).reduce((sum, fee) => sum + (parseFloat(fee) || 0), 0);
-
-                  // Calculate monthly payment properly based on loan type
-                  let monthlyPaymentValue;
-                  let totalInterestValue;
-
-                  if (repaymentType === 'interest-only') {
-                    // For interest-only loans, monthly payment is just the interest
-                    monthlyPaymentValue = (loanAmount * interestRate / 100) / 12;
-                    totalInterestValue = monthlyPaymentValue * 12 * loanTerm;
-                  } else {
-                    // For repayment loans, use the standard formula
-                    const monthlyRate = interestRate / 100 / 12;
-                    const totalPayments = loanTerm * 12;
-                    monthlyPaymentValue = loanAmount * monthlyRate * Math.pow(1 + monthlyRate, totalPayments) / (Math.pow(1 + monthlyRate, totalPayments) - 1);
-                    totalInterestValue = (monthlyPaymentValue * totalPayments) - loanAmount;
+                  // Goal-seek the chosen unknown from the target payment first, per payment period
+                  const frequency = repaymentType === 'interest-only' ? 'monthly' : paymentFrequency;
+                  let solved = { principal: loanAmount, rate: interestRate, termYears: loanTerm };
+                  if (solveFor !== 'payment') {
+                    try {
+                      solved = goalSeek({
+                        solveFor,
+                        principal: loanAmount,
+                        rate: interestRate,
+                        termYears: loanTerm,
+                        payment: targetPayment,
+                        type: repaymentType,
+                        balloonAmount: repaymentType === 'part-and-part'
+                          ? resolveBalloonAmount(loanAmount, interestOnlyPortion, interestOnlyPortionType)
+                          : resolveBalloonAmount(loanAmount, balloon, balloonType),
+                        paymentFrequency: frequency
+                      });
+                      // Solved values must pass the same limits as typed ones
+                      LoanCalcSchema.parse({ principal: solved.principal, rate: solved.rate, termYears: solved.termYears, type: repaymentType });
+                    } catch (error) {
+                      if (error instanceof z.ZodError) {
+                        const newErrors = {};
+                        error.errors.forEach(err => {
+                          newErrors[err.path[0]] = `Solved value out of range: ${err.message}`;
+                        });
+                        setErrors(newErrors);
+                      } else {
+                        setErrors({ monthlyPayment: error.message });
+                      }
+                      return;
+                    }
+                    setErrors({});
+                    setLoanAmount(solved.principal);
+                    setInterestRate(solved.rate);
+                    setLoanTerm(solved.termYears);
                   }
 
-                  const dummyResults = {
-                    principal: loanAmount,
-                    originalPrincipal: loanAmount,
-                    rate: interestRate,
-                    termYears: loanTerm,
+                  // Calculate with the shared engine so frequency options are applied
+                  const dummyResults = calculateMortgage({
+                    principal: solved.principal,
+                    rate: solved.rate,
+                    termYears: solved.termYears,
                     type: repaymentType,
-                    monthlyPayment: monthlyPaymentValue,
-                    totalInterest: totalInterestValue,
-                    totalRepayment: loanAmount + totalInterestValue + totalFees,
-                    fees: totalFees
-                  };
+                    fees,
+                    paymentFrequency: frequency,
+                    balloon: solveFor === 'principal' ? resolveBalloonAmount(loanAmount, balloon, balloonType) : balloon,
+                    balloonType: solveFor === 'principal' ? 'amount' : balloonType,
+                    interestOnlyPortion: solveFor === 'principal' ? resolveBalloonAmount(loanAmount, interestOnlyPortion, interestOnlyPortionType) : interestOnlyPortion,
+                    interestOnlyPortionType: solveFor === 'principal' ? 'amount' : interestOnlyPortionType,
+                    offset: { savings: offsetSavings, monthlySavings: offsetMonthlySavings, mode: offsetMode },
+                    gracePeriodMonths: loanTypeId === 'student' ? gracePeriodMonths : 0,
+                    graceInterest,
+                    rounding: REGION_ROUNDING_POLICIES[currentLocale.code],
+                    mortgageInsurance: loanTypeId === 'mortgage' ? { type: insuranceType, propertyValue } : null,
+                    arm: repaymentType === 'arm' ? arm : null,
+                    housingCosts: loanTypeId === 'mortgage'
+                      ? { propertyValue, propertyTaxRate, councilTaxBand, homeInsurance, serviceCharge, groundRent }
+                      : null,
+                    taxDeduction: loanTypeId === 'mortgage' && currentLocale.code === 'en-US'
+                      ? { filingStatus, marginalRate: marginalTaxRate, otherItemized, points: discountPoints }
+                      : null
+                  });
 
                   // Log the calculated values for debugging
                   console.log("Calculated values:", {
-                    monthlyPayment: monthlyPaymentValue,
-                    totalInterest: totalInterestValue,
-                    totalRepayment: loanAmount + totalInterestValue + totalFees
+                    monthlyPayment: dummyResults.monthlyPayment,
+                    totalInterest: dummyResults.totalInterest,
+                    totalRepayment: dummyResults.totalRepayment
                   });
 
                   setLocalResults(dummyResults);
@@ -4,11 +4,15 @@ import { FaPlus, FaTrash, FaEdit, FaSave, FaBalanceScale, FaChartBar } from 'rea
 import Card from '../ui/Card';
 import Button from '../ui/Button';
 import NumericInput from '../ui/NumericInput';
+import ArmRateInputs from '../ui/ArmRateInputs';
 import RangeSlider from '../ui/RangeSlider';
 import ChartWrapper from '../ui/ChartWrapper';
 import AnimatedNumber from '../ui/AnimatedNumber';
 import useLoanCalculations from '../../hooks/useLoanCalculations';
 import { useLocale } from '../../contexts/LocaleContext';
+import { FEE_TIMINGS, PAYMENT_FREQUENCIES } from '../../utils/mortgage';
+import { MORTGAGE_INSURANCE_TYPES } from '../../utils/mortgageInsurance';
+import { ARM_PRODUCTS, DEFAULT_ARM } from '../../utils/arm';
 
 /**
  * LoanComparison component for comparing multiple loan scenarios
@@ -26,6 +30,11 @@ const LoanComparison = ({
     rate: 3.5,
     termYears: 25,
     type: 'repayment',
+    paymentFrequency: 'monthly',
+    fees: 0,
+    feeTiming: 'upfront',
+    insuranceType: 'none',
+    propertyValue: 0,
   },
   ranges = {
     principal: { min: 10000, max: 1000000, step: 1000 },
@@ -76,6 +85,10 @@ const LoanComparison = ({
   // Use the loan calculations hook
   const { calculateLoan, isCalculating } = useLoanCalculations(loanTypeId);
 
+  // UK lenders quote the annual effective APRC; elsewhere the nominal APR
+  const aprKey = currentLocale.code === 'en-GB' ? 'aprc' : 'apr';
+  const aprLabel = aprKey.toUpperCase();
+
   // Load saved scenarios from localStorage on component mount
   useEffect(() => {
     const savedScenarios = localStorage.getItem(storageKey);
@@ -110,6 +123,13 @@ const LoanComparison = ({
               rate: scenario.rate,
               termYears: scenario.termYears,
               type: scenario.type,
+              paymentFrequency: scenario.type === 'interest-only' ? 'monthly' : (scenario.paymentFrequency || 'monthly'),
+              fees: { lenderFees: scenario.fees || 0 },
+              feeTiming: scenario.feeTiming || 'upfront',
+              mortgageInsurance: loanTypeId === 'mortgage'
+                ? { type: scenario.insuranceType || 'none', propertyValue: scenario.propertyValue || 0 }
+                : null,
+              arm: scenario.type === 'arm' ? scenario.arm || DEFAULT_ARM : null,
             });
             return {
               id: scenario.id,
@@ -132,7 +152,7 @@ const LoanComparison = ({
     if (scenarios.length > 0) {
       calculateScenarios();
     }
-  }, [scenarios, calculateLoan]);
+  }, [scenarios, calculateLoan, loanTypeId]);
 
   // Update chart data when scenario results change
   useEffect(() => {
@@ -363,6 +383,32 @@ const LoanComparison = ({
                       <div className="font-medium text-blue-600 dark:text-blue-400">
                         {result.monthlyPayment ? `${currentLocale.currency}${result.monthlyPayment.toFixed(2)}` : '-'}
                       </div>
+                      {result.periodicPayment && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          {currentLocale.currency}{result.periodicPayment.toFixed(2)} {PAYMENT_FREQUENCIES[result.paymentFrequency]?.label.toLowerCase()}
+                        </div>
+                      )}
+                      {result.mortgageInsurance?.monthlyPremium > 0 && (
+                        <div className="text-xs text-emerald-600 dark:text-emerald-400">
+                          + {currentLocale.currency}{result.mortgageInsurance.monthlyPremium.toFixed(2)} PMI
+                        </div>
+                      )}
+                      {result.arm && (
+                        <div className="text-xs text-orange-600 dark:text-orange-400">
+                          Worst case {currentLocale.currency}{result.arm.worstCase.maxPayment.toFixed(2)}
+                        </div>
+                      )}
+                    </div>
+                    <div className="col-span-2">
+                      <span className="text-gray-500 dark:text-gray-400">{aprLabel}:</span>
+                      <div className="font-medium text-amber-600 dark:text-amber-400">
+                        {result[aprKey] !== undefined ? `${result[aprKey].toFixed(2)}%` : '-'}
+                        {scenario.fees > 0 && (
+                          <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                            incl. {currentLocale.currency}{scenario.fees.toLocaleString()} fees
+                          </span>
+                        )}
+                      </div>
                     </div>
                     <div className="col-span-2">
                       <span className="text-gray-500 dark:text-gray-400">Total Interest:</span>
@@ -384,6 +430,7 @@ const LoanComparison = ({
                   <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Name</th>
                   <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Amount</th>
                   <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Rate</th>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{aprLabel}</th>
                   <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Term</th>
                   <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Monthly</th>
                   <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Total Interest</th>
@@ -398,9 +445,28 @@ const LoanComparison = ({
                       <td className="px-4 py-3 text-sm font-medium text-gray-900 dark:text-white">{scenario.name}</td>
                       <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{currentLocale.currency}{scenario.principal.toLocaleString()}</td>
                       <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{scenario.rate}%</td>
+                      <td className="px-4 py-3 text-sm text-amber-600 dark:text-amber-400">
+                        {result[aprKey] !== undefined ? `${result[aprKey].toFixed(2)}%` : '-'}
+                      </td>
                       <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{scenario.termYears} years</td>
                       <td className="px-4 py-3 text-sm text-blue-600 dark:text-blue-400">
                         {result.monthlyPayment ? `${currentLocale.currency}${result.monthlyPayment.toFixed(2)}` : '-'}
+                        {result.periodicPayment && (
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {currentLocale.currency}{result.periodicPayment.toFixed(2)} {PAYMENT_FREQUENCIES[result.paymentFrequency]?.label.toLowerCase()}
+                            {result.frequencySavings?.months > 0 && ` (${result.frequencySavings.months} months sooner)`}
+                          </div>
+                        )}
+                        {result.mortgageInsurance?.monthlyPremium > 0 && (
+                          <div className="text-xs text-emerald-600 dark:text-emerald-400">
+                            + {currentLocale.currency}{result.mortgageInsurance.monthlyPremium.toFixed(2)} PMI for {result.mortgageInsurance.insuredPayments} payments
+                          </div>
+                        )}
+                        {result.arm && (
+                          <div className="text-xs text-orange-600 dark:text-orange-400">
+                            Worst case {currentLocale.currency}{result.arm.worstCase.maxPayment.toFixed(2)} at {result.arm.worstCase.maxRate}%
+                          </div>
+                        )}
                       </td>
                       <td className="px-4 py-3 text-sm text-indigo-600 dark:text-indigo-400">
                         {result.totalInterest ? `${currentLocale.currency}${result.totalInterest.toLocaleString()}` : '-'}
@@ -431,6 +497,16 @@ const LoanComparison = ({
               </tbody>
             </table>
           </div>
+
+          {/* Adjustable-rate scenarios against a fixed rate */}
+          {scenarioResults.filter(result => result.arm).map(result => (
+            <div key={result.id} className="mt-3 bg-orange-50 dark:bg-orange-900/20 p-3 rounded-lg text-xs text-gray-600 dark:text-gray-400">
+              <span className="font-medium text-orange-800 dark:text-orange-300">{result.name} ({ARM_PRODUCTS[result.arm.product].label}):</span>
+              {' '}{currentLocale.currency}{result.monthlyPayment.toFixed(2)} a month for {result.arm.fixedYears} years, peaking at {currentLocale.currency}{result.arm.maxPayment.toFixed(2)}.
+              {' '}If every cap is hit: {currentLocale.currency}{result.arm.worstCase.maxPayment.toFixed(2)} a month at {result.arm.worstCase.maxRate}% and {currentLocale.currency}{result.arm.worstCase.totalInterest.toLocaleString()} in interest,
+              {' '}against {currentLocale.currency}{result.arm.fixedComparison.monthlyPayment.toFixed(2)} and {currentLocale.currency}{result.arm.fixedComparison.totalInterest.toLocaleString()} on a {result.arm.fixedComparison.termYears}-year fixed at {result.arm.fixedComparison.rate}%.
+            </div>
+          ))}
         </div>
       </Card>
 
@@ -999,8 +1075,98 @@ const LoanComparison = ({
                     >
                       <option value="repayment">Repayment</option>
                       <option value="interest-only">Interest Only</option>
+                      {loanTypeId === 'mortgage' && <option value="arm">Adjustable Rate (ARM)</option>}
                     </select>
                   </div>
+
+                  {editingScenario.type === 'arm' && (
+                    <ArmRateInputs
+                      value={editingScenario.arm || DEFAULT_ARM}
+                      onChange={(arm) => updateEditingScenario('arm', arm)}
+                      idPrefix="comparison-arm"
+                    />
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Payment Frequency
+                    </label>
+                    <select
+                      value={editingScenario.paymentFrequency || 'monthly'}
+                      onChange={(e) => updateEditingScenario('paymentFrequency', e.target.value)}
+                      disabled={editingScenario.type === 'interest-only'}
+                      className="select select-loanviz w-full text-sm sm:text-base py-2"
+                    >
+                      {Object.values(PAYMENT_FREQUENCIES).map(frequency => (
+                        <option key={frequency.id} value={frequency.id}>{frequency.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Lender Fees
+                    </label>
+                    <NumericInput
+                      value={editingScenario.fees || 0}
+                      onChange={(value) => updateEditingScenario('fees', value)}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                      className="text-sm sm:text-base py-2"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Fee Timing
+                    </label>
+                    <select
+                      value={editingScenario.feeTiming || 'upfront'}
+                      onChange={(e) => updateEditingScenario('feeTiming', e.target.value)}
+                      className="select select-loanviz w-full text-sm sm:text-base py-2"
+                    >
+                      {Object.values(FEE_TIMINGS).map(timing => (
+                        <option key={timing.id} value={timing.id}>{timing.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {loanTypeId === 'mortgage' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          Mortgage Insurance
+                        </label>
+                        <select
+                          value={editingScenario.insuranceType || 'none'}
+                          onChange={(e) => updateEditingScenario('insuranceType', e.target.value)}
+                          className="select select-loanviz w-full text-sm sm:text-base py-2"
+                        >
+                          {Object.values(MORTGAGE_INSURANCE_TYPES).map(insurance => (
+                            <option key={insurance.id} value={insurance.id}>{insurance.label}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          Property Value
+                        </label>
+                        <NumericInput
+                          value={editingScenario.propertyValue || 0}
+                          onChange={(value) => updateEditingScenario('propertyValue', value)}
+                          min={0}
+                          prefix={currentLocale.currency}
+                          thousandSeparator={true}
+                          decimalScale={0}
+                          disabled={(editingScenario.insuranceType || 'none') === 'none'}
+                          className="text-sm sm:text-base py-2"
+                        />
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 <div className="mt-4 sm:mt-6 flex flex-col sm:flex-row sm:justify-end sm:space-x-3 space-y-2 sm:space-y-0">
@@ -0,0 +1,300 @@
+import { useState, useMemo } from 'react';
+import { FaPlus, FaTrash, FaInfoCircle, FaHourglassHalf } from 'react-icons/fa';
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Tooltip from '../ui/Tooltip';
+import NumericInput from '../ui/NumericInput';
+import ChartWrapper from '../ui/ChartWrapper';
+import { useLocale } from '../../contexts/LocaleContext';
+import { REGION_ROUNDING_POLICIES } from '../../utils/money';
+import { compareRateOptions } from '../../utils/rateBuyDown';
+
+// Line colours for each option, in the order they were added
+const OPTION_COLORS = ['#6366F1', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4'];
+
+// Starting options: US lenders sell points, elsewhere lenders pair a lower rate with a higher product fee
+const getDefaultOptions = (localeCode) => (
+  localeCode === 'en-US'
+    ? [
+        { id: 1, name: 'No points', rate: 6.75, points: 0, fee: 0 },
+        { id: 2, name: '1 point', rate: 6.5, points: 1, fee: 0 },
+        { id: 3, name: '2 points', rate: 6.25, points: 2, fee: 0 }
+      ]
+    : [
+        { id: 1, name: 'No fee', rate: 4.79, points: 0, fee: 0 },
+        { id: 2, name: 'With fee', rate: 4.39, points: 0, fee: 999 }
+      ]
+);
+
+// Describe a number of months as years and months
+const formatMonths = (months) => `${Math.floor(months / 12)}y ${months % 12}m`;
+
+/**
+ * RateBuyDownTool component comparing rate options bought with discount points or product fees
+ * @param {Object} props - Component props
+ * @param {Object} props.initialScenario - Initial loan amount and term
+ * @returns {JSX.Element} Rate buy-down break-even tool
+ */
+const RateBuyDownTool = ({ initialScenario = { principal: 200000, termYears: 25 } }) => {
+  const { currentLocale } = useLocale();
+  const usesPoints = currentLocale.code === 'en-US';
+
+  const [principal, setPrincipal] = useState(initialScenario.principal);
+  const [termYears, setTermYears] = useState(initialScenario.termYears);
+  const [options, setOptions] = useState(() => getDefaultOptions(currentLocale.code));
+
+  const results = useMemo(
+    () => compareRateOptions({
+      principal: principal || 0,
+      termYears: termYears || 1,
+      options,
+      rounding: REGION_ROUNDING_POLICIES[currentLocale.code]
+    }),
+    [principal, termYears, options, currentLocale.code]
+  );
+
+  // Cumulative cost at the end of each year
+  const chartData = useMemo(() => {
+    const years = Array.from({ length: (termYears || 1) + 1 }, (_, year) => year);
+    return {
+      labels: years.map(year => `Year ${year}`),
+      datasets: results.map((result, index) => ({
+        label: `${result.name} (${result.rate}%)`,
+        data: years.map(year => result.cumulativeCost[Math.min(year * 12, result.cumulativeCost.length - 1)]),
+        borderColor: OPTION_COLORS[index % OPTION_COLORS.length],
+        backgroundColor: OPTION_COLORS[index % OPTION_COLORS.length],
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2
+      }))
+    };
+  }, [results, termYears]);
+
+  const updateOption = (id, field, value) => {
+    setOptions(options.map(option => (option.id === id ? { ...option, [field]: value } : option)));
+  };
+
+  const addOption = () => {
+    const last = options[options.length - 1];
+    const id = Math.max(0, ...options.map(option => option.id)) + 1;
+    setOptions([
+      ...options,
+      {
+        id,
+        name: `Option ${options.length + 1}`,
+        rate: last ? parseFloat((last.rate - 0.25).toFixed(3)) : 5,
+        points: last && usesPoints ? last.points + 1 : 0,
+        fee: last && !usesPoints ? last.fee + 500 : 0
+      }
+    ]);
+  };
+
+  const removeOption = (id) => {
+    setOptions(options.filter(option => option.id !== id));
+  };
+
+  return (
+    <Card className="mb-4">
+      <div className="p-2 sm:p-4">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-2 gap-2">
+          <h2 className="text-xl font-bold text-gray-800 dark:text-white flex items-center">
+            <FaHourglassHalf className="mr-2 h-5 w-5 text-blue-500" />
+            {usesPoints ? 'Discount Points Break-Even' : 'Fee vs Rate Break-Even'}
+          </h2>
+          <Button
+            variant="primary"
+            size="sm"
+            onClick={addOption}
+            disabled={options.length >= OPTION_COLORS.length}
+            icon={<FaPlus className="h-4 w-4" />}
+            className="w-full sm:w-auto"
+          >
+            Add Option
+          </Button>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          {usesPoints
+            ? 'Paying points upfront buys a lower rate. Each point costs 1% of the loan.'
+            : 'Products with a higher fee often come with a lower rate.'}
+          {' '}Each option breaks even in the month the interest it saves covers its extra upfront cost, compared with the cheapest option upfront.
+        </p>
+
+        {/* Loan */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="buydown-principal" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+              Loan Amount
+            </label>
+            <NumericInput
+              id="buydown-principal"
+              name="buydown-principal"
+              value={principal}
+              onChange={setPrincipal}
+              min={0}
+              prefix={currentLocale.currency}
+              thousandSeparator={true}
+              decimalScale={0}
+            />
+          </div>
+          <div>
+            <label htmlFor="buydown-term" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+              Loan Term (years)
+            </label>
+            <NumericInput
+              id="buydown-term"
+              name="buydown-term"
+              value={termYears}
+              onChange={setTermYears}
+              min={1}
+              max={40}
+              decimalScale={0}
+            />
+          </div>
+        </div>
+
+        {/* Options */}
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Option</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Rate</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{usesPoints ? 'Points' : 'Fee'}</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Upfront</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Monthly</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  Break-Even
+                  <Tooltip content="When the interest saved has covered the extra upfront cost. The rule of thumb (extra cost divided by the monthly saving) is shown below it.">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Saved Over Term</th>
+                <th scope="col" className="px-3 py-2"><span className="sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {results.map((result, index) => (
+                <tr key={result.id}>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center">
+                      <span className="inline-block h-3 w-3 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: OPTION_COLORS[index % OPTION_COLORS.length] }} />
+                      <input
+                        type="text"
+                        value={result.name}
+                        onChange={(e) => updateOption(result.id, 'name', e.target.value)}
+                        className="input input-sm input-bordered w-28"
+                        aria-label="Option name"
+                      />
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 w-28">
+                    <NumericInput
+                      id={`buydown-rate-${result.id}`}
+                      name={`buydown-rate-${result.id}`}
+                      value={result.rate}
+                      onChange={(value) => updateOption(result.id, 'rate', value)}
+                      min={0}
+                      max={20}
+                      step={0.125}
+                      suffix="%"
+                      decimalScale={3}
+                    />
+                  </td>
+                  <td className="px-3 py-2 w-28">
+                    {usesPoints ? (
+                      <NumericInput
+                        id={`buydown-points-${result.id}`}
+                        name={`buydown-points-${result.id}`}
+                        value={result.points}
+                        onChange={(value) => updateOption(result.id, 'points', value)}
+                        min={0}
+                        max={4}
+                        step={0.125}
+                        decimalScale={3}
+                      />
+                    ) : (
+                      <NumericInput
+                        id={`buydown-fee-${result.id}`}
+                        name={`buydown-fee-${result.id}`}
+                        value={result.fee}
+                        onChange={(value) => updateOption(result.id, 'fee', value)}
+                        min={0}
+                        prefix={currentLocale.currency}
+                        thousandSeparator={true}
+                        decimalScale={0}
+                      />
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right text-gray-600 dark:text-gray-400">{currentLocale.currency}{result.upfrontCost.toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right text-blue-600 dark:text-blue-400">
+                    {currentLocale.currency}{result.monthlyPayment.toFixed(2)}
+                    {result.monthlySavings > 0 && (
+                      <div className="text-xs text-green-600 dark:text-green-400">-{currentLocale.currency}{result.monthlySavings.toFixed(2)}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {result.isBaseline ? (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">Baseline</span>
+                    ) : result.breakEvenMonth ? (
+                      <>
+                        <span className="font-medium text-gray-800 dark:text-gray-200">Month {result.breakEvenMonth}</span>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          {formatMonths(result.breakEvenMonth)}
+                          {result.simpleBreakEvenMonth && ` (rule of thumb ${formatMonths(result.simpleBreakEvenMonth)})`}
+                        </div>
+                      </>
+                    ) : (
+                      <span className="text-red-600 dark:text-red-400">Never</span>
+                    )}
+                  </td>
+                  <td className={`px-3 py-2 text-right font-medium ${result.lifetimeSavings >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    {result.isBaseline ? '-' : `${result.lifetimeSavings < 0 ? '-' : ''}${currentLocale.currency}${Math.abs(result.lifetimeSavings).toLocaleString()}`}
+                  </td>
+                  <td className="px-3 py-2">
+                    <button
+                      onClick={() => removeOption(result.id)}
+                      className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 p-1"
+                      aria-label={`Delete ${result.name}`}
+                      disabled={options.length <= 2}
+                    >
+                      <FaTrash className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Cumulative Cost Chart */}
+        <h3 className="text-lg font-bold mb-2 text-gray-800 dark:text-white">
+          Upfront Cost Plus Interest Paid
+        </h3>
+        <div className="h-70 sm:h-80 w-full relative p-1 sm:p-4">
+          <ChartWrapper
+            type="line"
+            data={chartData}
+            formatYAxisAsCurrency={true}
+            formatTooltipAsCurrency={true}
+            title="Cumulative cost of each rate option"
+            options={{
+              interaction: { mode: 'index', intersect: false },
+              scales: {
+                x: {
+                  grid: { display: false },
+                  ticks: { maxTicksLimit: window.innerWidth < 640 ? 6 : 12 }
+                }
+              }
+            }}
+          />
+        </div>
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          Assumes the loan is kept for the full term. Selling, refinancing or overpaying before the break-even point means the
+          {usesPoints ? ' points cost' : ' fee costs'} more than the interest saved.
+        </p>
+      </div>
+    </Card>
+  );
+};
+
+export default RateBuyDownTool;
@@ -0,0 +1,408 @@
+import { useState, useMemo } from 'react';
+import { FaExchangeAlt, FaInfoCircle, FaFolderOpen } from 'react-icons/fa';
+import Card from '../ui/Card';
+import Select from '../ui/Select';
+import Tooltip from '../ui/Tooltip';
+import NumericInput from '../ui/NumericInput';
+import ChartWrapper from '../ui/ChartWrapper';
+import { useLocale } from '../../contexts/LocaleContext';
+import { REGION_ROUNDING_POLICIES } from '../../utils/money';
+import { FEE_TIMINGS } from '../../utils/mortgage';
+import { calculateRefinance, EARLY_REPAYMENT_CHARGE_TYPES } from '../../utils/refinance';
+
+// Starting values for each loan type: the current loan and a cheaper offer
+const DEFAULTS = {
+  mortgage: { balance: 180000, rate: 5.5, remainingYears: 20, remainingExtraMonths: 0, newRate: 4.5, newTermYears: 25, fees: 999, earlyRepaymentCharge: 2 },
+  auto: { balance: 15000, rate: 8.9, remainingYears: 3, remainingExtraMonths: 0, newRate: 6.9, newTermYears: 3, fees: 0, earlyRepaymentCharge: 0 },
+  student: { balance: 30000, rate: 6.8, remainingYears: 8, remainingExtraMonths: 0, newRate: 5.5, newTermYears: 10, fees: 0, earlyRepaymentCharge: 0 }
+};
+
+// Scenarios saved by the comparison and scenarios tools for this loan type
+const loadSavedScenarios = (loanType) => [`loanviz-${loanType}-scenarios`, `loanviz-${loanType}-scenarios-advanced`]
+  .flatMap(key => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || [];
+    } catch {
+      return [];
+    }
+  })
+  .filter(scenario => scenario && scenario.principal > 0);
+
+// Describe a number of months as years and months
+const formatMonths = (months) => `${Math.floor(months / 12)}y ${months % 12}m`;
+
+/**
+ * RefinanceCalculator component comparing an existing loan with a new offer
+ * @param {Object} props - Component props
+ * @param {string} props.loanType - Type of loan ('mortgage', 'auto' or 'student')
+ * @returns {JSX.Element} Refinance break-even calculator
+ */
+const RefinanceCalculator = ({ loanType = 'mortgage' }) => {
+  const { currentLocale } = useLocale();
+  const defaults = DEFAULTS[loanType] || DEFAULTS.mortgage;
+  const isUK = currentLocale.code === 'en-GB';
+  const chargeLabel = isUK ? 'Early Repayment Charge' : 'Prepayment Penalty';
+  const switchLabel = isUK && loanType === 'mortgage' ? 'Remortgage' : 'Refinance';
+
+  // Current loan
+  const [balance, setBalance] = useState(defaults.balance);
+  const [rate, setRate] = useState(defaults.rate);
+  const [remainingYears, setRemainingYears] = useState(defaults.remainingYears);
+  const [remainingExtraMonths, setRemainingExtraMonths] = useState(defaults.remainingExtraMonths);
+  const [earlyRepaymentCharge, setEarlyRepaymentCharge] = useState(defaults.earlyRepaymentCharge);
+  const [earlyRepaymentChargeType, setEarlyRepaymentChargeType] = useState('percent');
+
+  // New offer
+  const [newRate, setNewRate] = useState(defaults.newRate);
+  const [newTermYears, setNewTermYears] = useState(defaults.newTermYears);
+  const [fees, setFees] = useState(defaults.fees);
+  const [feeTiming, setFeeTiming] = useState('upfront');
+
+  const [savedScenarios] = useState(() => loadSavedScenarios(loanType));
+
+  // Fill the current loan from a saved scenario (its full term is taken as the term left)
+  const loadScenario = (id) => {
+    const scenario = savedScenarios.find(saved => String(saved.id) === id);
+    if (!scenario) return;
+    setBalance(scenario.principal);
+    setRate(scenario.rate);
+    setRemainingYears(scenario.termYears);
+    setRemainingExtraMonths(0);
+  };
+
+  const remainingMonths = Math.max(1, (remainingYears || 0) * 12 + (remainingExtraMonths || 0));
+
+  const result = useMemo(
+    () => calculateRefinance({
+      balance: balance || 0,
+      rate: rate || 0,
+      remainingMonths,
+      offer: { rate: newRate || 0, termYears: newTermYears || remainingMonths / 12, fees: fees || 0, feeTiming },
+      earlyRepaymentCharge,
+      earlyRepaymentChargeType,
+      rounding: REGION_ROUNDING_POLICIES[currentLocale.code]
+    }),
+    [balance, rate, remainingMonths, newRate, newTermYears, fees, feeTiming, earlyRepaymentCharge, earlyRepaymentChargeType, currentLocale.code]
+  );
+
+  // Cumulative cost at the end of each year, up to the longer of the two loans
+  const chartData = useMemo(() => {
+    const { current, refinanced } = result.costToDate;
+    const years = Array.from({ length: Math.ceil((Math.max(current.length, refinanced.length) - 1) / 12) + 1 }, (_, year) => year);
+    const atYear = (costs, year) => costs[Math.min(year * 12, costs.length - 1)];
+    return {
+      labels: years.map(year => `Year ${year}`),
+      datasets: [
+        {
+          label: `Keep current loan (${rate}%)`,
+          data: years.map(year => atYear(current, year)),
+          borderColor: '#EF4444',
+          backgroundColor: '#EF4444',
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.2
+        },
+        {
+          label: `${switchLabel} (${newRate}%)`,
+          data: years.map(year => atYear(refinanced, year)),
+          borderColor: '#10B981',
+          backgroundColor: '#10B981',
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.2
+        }
+      ]
+    };
+  }, [result, rate, newRate, switchLabel]);
+
+  const formatAmount = (amount) => `${amount < 0 ? '-' : ''}${currentLocale.currency}${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const { termReset } = result;
+
+  return (
+    <div className="p-4">
+      <Card className="mb-4">
+        <div className="p-4">
+          <h2 className="text-xl font-bold mb-2 text-gray-800 dark:text-white flex items-center">
+            <FaExchangeAlt className="mr-2 h-5 w-5 text-blue-500" />
+            {switchLabel} Break-Even
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+            See whether switching your existing loan to a new offer pays off once the fees and any {chargeLabel.toLowerCase()} are taken into account.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Current Loan */}
+            <div>
+              <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white">Current Loan</h3>
+              {savedScenarios.length > 0 && (
+                <div className="mb-3">
+                  <label htmlFor="refinance-scenario" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center">
+                    <FaFolderOpen className="mr-1 h-3 w-3 text-gray-400" />
+                    Load Saved Scenario
+                  </label>
+                  <Select
+                    id="refinance-scenario"
+                    name="refinance-scenario"
+                    value=""
+                    onChange={(e) => loadScenario(e.target.value)}
+                    options={[
+                      { value: '', label: 'Choose a scenario' },
+                      ...savedScenarios.map(scenario => ({
+                        value: String(scenario.id),
+                        label: `${scenario.name} (${currentLocale.currency}${scenario.principal.toLocaleString()} at ${scenario.rate}%)`
+                      }))
+                    ]}
+                  />
+                </div>
+              )}
+              <div className="mb-3">
+                <label htmlFor="refinance-balance" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Current Balance
+                </label>
+                <NumericInput
+                  id="refinance-balance"
+                  name="refinance-balance"
+                  value={balance}
+                  onChange={setBalance}
+                  min={0}
+                  prefix={currentLocale.currency}
+                  thousandSeparator={true}
+                  decimalScale={0}
+                />
+              </div>
+              <div className="mb-3">
+                <label htmlFor="refinance-rate" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Current Interest Rate
+                </label>
+                <NumericInput
+                  id="refinance-rate"
+                  name="refinance-rate"
+                  value={rate}
+                  onChange={setRate}
+                  min={0}
+                  max={30}
+                  step={0.05}
+                  suffix="%"
+                  decimalScale={2}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3 mb-3">
+                <div>
+                  <label htmlFor="refinance-remaining-years" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Years Left
+                  </label>
+                  <NumericInput
+                    id="refinance-remaining-years"
+                    name="refinance-remaining-years"
+                    value={remainingYears}
+                    onChange={setRemainingYears}
+                    min={0}
+                    max={40}
+                    decimalScale={0}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="refinance-remaining-months" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Months Left
+                  </label>
+                  <NumericInput
+                    id="refinance-remaining-months"
+                    name="refinance-remaining-months"
+                    value={remainingExtraMonths}
+                    onChange={setRemainingExtraMonths}
+                    min={0}
+                    max={11}
+                    decimalScale={0}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="refinance-charge" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {chargeLabel}
+                    <Tooltip content="Charged by your current lender for repaying the loan early, often a falling percentage during a fixed or discounted deal">
+                      <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                  <NumericInput
+                    id="refinance-charge"
+                    name="refinance-charge"
+                    value={earlyRepaymentCharge}
+                    onChange={setEarlyRepaymentCharge}
+                    min={0}
+                    {...(earlyRepaymentChargeType === 'percent'
+                      ? { max: 10, step: 0.5, suffix: '%', decimalScale: 2 }
+                      : { prefix: currentLocale.currency, thousandSeparator: true, decimalScale: 0 })}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="refinance-charge-type" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Charged As
+                  </label>
+                  <Select
+                    id="refinance-charge-type"
+                    name="refinance-charge-type"
+                    value={earlyRepaymentChargeType}
+                    onChange={(e) => setEarlyRepaymentChargeType(e.target.value)}
+                    options={Object.values(EARLY_REPAYMENT_CHARGE_TYPES).map(type => ({ value: type.id, label: type.label }))}
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* New Offer */}
+            <div>
+              <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white">New Offer</h3>
+              <div className="mb-3">
+                <label htmlFor="refinance-new-rate" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  New Interest Rate
+                </label>
+                <NumericInput
+                  id="refinance-new-rate"
+                  name="refinance-new-rate"
+                  value={newRate}
+                  onChange={setNewRate}
+                  min={0}
+                  max={30}
+                  step={0.05}
+                  suffix="%"
+                  decimalScale={2}
+                />
+              </div>
+              <div className="mb-3">
+                <label htmlFor="refinance-new-term" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  New Term (years)
+                  <Tooltip content="Setting a longer term than you have left lowers the payment but adds interest">
+                    <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                  </Tooltip>
+                </label>
+                <NumericInput
+                  id="refinance-new-term"
+                  name="refinance-new-term"
+                  value={newTermYears}
+                  onChange={setNewTermYears}
+                  min={1}
+                  max={40}
+                  decimalScale={0}
+                />
+              </div>
+              <div className="mb-3">
+                <label htmlFor="refinance-fees" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {isUK ? 'Product and Arrangement Fees' : 'Closing Costs'}
+                </label>
+                <NumericInput
+                  id="refinance-fees"
+                  name="refinance-fees"
+                  value={fees}
+                  onChange={setFees}
+                  min={0}
+                  prefix={currentLocale.currency}
+                  thousandSeparator={true}
+                  decimalScale={0}
+                />
+              </div>
+              <div className="mb-3">
+                <label htmlFor="refinance-fee-timing" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Switching Costs
+                </label>
+                <Select
+                  id="refinance-fee-timing"
+                  name="refinance-fee-timing"
+                  value={feeTiming}
+                  onChange={(e) => setFeeTiming(e.target.value)}
+                  options={[FEE_TIMINGS.upfront, FEE_TIMINGS.added].map(timing => ({ value: timing.id, label: timing.label }))}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      {/* Results */}
+      <Card className="mb-4">
+        <div className="p-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+            <div className="p-3 rounded-lg bg-blue-50 dark:bg-blue-900/20">
+              <p className="text-xs text-gray-600 dark:text-gray-400">Monthly Saving</p>
+              <p className={`text-lg font-bold ${result.monthlySaving >= 0 ? 'text-blue-700 dark:text-blue-400' : 'text-red-600 dark:text-red-400'}`}>
+                {formatAmount(result.monthlySaving)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {formatAmount(result.current.monthlyPayment)} now, {formatAmount(result.refinanced.monthlyPayment)} after switching
+              </p>
+            </div>
+            <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20">
+              <p className="text-xs text-gray-600 dark:text-gray-400">Break-Even</p>
+              <p className="text-lg font-bold text-amber-700 dark:text-amber-400">
+                {result.switchingCost === 0
+                  ? 'Immediately'
+                  : result.breakEvenMonth ? `Month ${result.breakEvenMonth} (${formatMonths(result.breakEvenMonth)})` : 'Never'}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {formatAmount(result.switchingCost)} to switch
+                {result.earlyRepaymentCharge > 0 && ` incl. ${formatAmount(result.earlyRepaymentCharge)} ${chargeLabel.toLowerCase()}`}
+                {result.costsAdded && ', added to the loan'}
+              </p>
+            </div>
+            <div className={`p-3 rounded-lg ${result.lifetimeSaving >= 0 ? 'bg-green-50 dark:bg-green-900/20' : 'bg-red-50 dark:bg-red-900/20'}`}>
+              <p className="text-xs text-gray-600 dark:text-gray-400">Lifetime Saving</p>
+              <p className={`text-lg font-bold ${result.lifetimeSaving >= 0 ? 'text-green-700 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                {formatAmount(result.lifetimeSaving)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Total paid from now on, including switching costs</p>
+            </div>
+          </div>
+
+          {/* Term reset */}
+          {termReset.monthsAdded !== 0 && (
+            <div className="p-3 mb-4 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50/50 dark:bg-amber-900/10 text-sm text-gray-700 dark:text-gray-300">
+              {termReset.monthsAdded > 0 ? (
+                <>
+                  The new term adds <span className="font-bold">{formatMonths(termReset.monthsAdded)}</span> to the {formatMonths(remainingMonths)} you have left,
+                  costing <span className="font-bold">{formatAmount(termReset.extraInterest)}</span> more in interest.
+                </>
+              ) : (
+                <>
+                  The new term is <span className="font-bold">{formatMonths(-termReset.monthsAdded)}</span> shorter than the {formatMonths(remainingMonths)} you have left,
+                  saving <span className="font-bold">{formatAmount(-termReset.extraInterest)}</span> in interest.
+                </>
+              )}
+              {' '}Keeping the remaining term, the payment would be {formatAmount(termReset.sameTermMonthlyPayment)} a month
+              and the lifetime saving {formatAmount(termReset.sameTermLifetimeSaving)}.
+            </div>
+          )}
+
+          {/* Cumulative Cost Chart */}
+          <h3 className="text-lg font-bold mb-2 text-gray-800 dark:text-white">
+            Switching Costs Plus Interest Paid
+          </h3>
+          <div className="h-70 sm:h-80 w-full relative p-1 sm:p-4">
+            <ChartWrapper
+              type="line"
+              data={chartData}
+              formatYAxisAsCurrency={true}
+              formatTooltipAsCurrency={true}
+              title="Cumulative cost of keeping or switching the loan"
+              options={{
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                  x: {
+                    grid: { display: false },
+                    ticks: { maxTicksLimit: window.innerWidth < 640 ? 6 : 12 }
+                  }
+                }
+              }}
+            />
+          </div>
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Switching breaks even when the interest saved covers the switching costs
+            {result.simpleBreakEvenMonth && ` (the rule of thumb, costs divided by the monthly saving, gives ${formatMonths(result.simpleBreakEvenMonth)})`}.
+            Assumes both rates stay the same for the rest of each loan.
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default RefinanceCalculator;
@@ -6,9 +6,15 @@ import Button from '../ui/Button';
 import Tooltip from '../ui/Tooltip';
 import NumericInput from '../ui/NumericInput';
 import RangeSlider from '../ui/RangeSlider';
+import Select from '../ui/Select';
 import ChartWrapper from '../ui/ChartWrapper';
 import AnimatedNumber from '../ui/AnimatedNumber';
+import EnhancedAmortizationChart from '../ui/EnhancedAmortizationChart';
 import useLoanCalculations from '../../hooks/useLoanCalculations';
+import { useLocale } from '../../contexts/LocaleContext';
+import { GRACE_INTEREST_MODES } from '../../utils/mortgage';
+import { REGION_ROUNDING_POLICIES } from '../../utils/money';
+import { generateGraduatedSchedule, generateIncomeBasedSchedule, summarizeStudentSchedule } from '../../utils/studentLoan';
 
 /**
  * ScenarioSelector component for student loan repayment plans
@@ -17,10 +23,18 @@ import useLoanCalculations from '../../hooks/useLoanCalculations';
  * @returns {JSX.Element} Scenario selector component
  */
 const ScenarioSelector = ({ loanTypeId = 'student' }) => {
+  // Get locale information
+  const { currentLocale } = useLocale();
+
   // State for form inputs
   const [loanAmount, setLoanAmount] = useState(40000);
   const [interestRate, setInterestRate] = useState(4.5);
   const [gracePeriodMonths, setGracePeriodMonths] = useState(6);
+  const [graceInterest, setGraceInterest] = useState('unsubsidized');
+  const [stepIncrease, setStepIncrease] = useState(15);
+  const [salary, setSalary] = useState(32000);
+  const [salaryGrowth, setSalaryGrowth] = useState(3);
+  const [incomeShare, setIncomeShare] = useState(10);
   const [selectedPlan, setSelectedPlan] = useState('standard');
   const [scenarios, setScenarios] = useState([]);
   const [errors, setErrors] = useState({});
@@ -53,14 +67,14 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
     {
       id: 'graduated',
       name: 'Graduated Repayment',
-      description: 'Payments start low and increase over time',
+      description: 'Payments start low and step up every two years',
       termYears: 10,
       type: 'graduated'
     },
     {
       id: 'income-based',
       name: 'Income-Based Repayment',
-      description: 'Payments based on your income',
+      description: 'A share of your income above the threshold; any balance left after 20 years is forgiven',
       termYears: 20,
       type: 'income-based'
     }
@@ -72,20 +86,38 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
       try {
         const results = await Promise.all(
           repaymentPlans.map(async (plan) => {
+            // Graduated and income-based plans have their own schedule engines
+            if (plan.type === 'graduated' || plan.type === 'income-based') {
+              const schedule = plan.type === 'graduated'
+                ? generateGraduatedSchedule(loanAmount, interestRate, plan.termYears, { stepIncrease, gracePeriodMonths, graceInterest })
+                : generateIncomeBasedSchedule(loanAmount, interestRate, plan.termYears, { salary, salaryGrowth, incomeShare, gracePeriodMonths, graceInterest });
+
+              return {
+                ...plan,
+                ...summarizeStudentSchedule(schedule),
+                schedule
+              };
+            }
+
             const result = await calculateLoan({
               principal: loanAmount,
               rate: interestRate,
               termYears: plan.termYears,
-              type: 'repayment', // For simplicity, we're using repayment for all plans
-              gracePeriodMonths: gracePeriodMonths
+              type: plan.type,
+              gracePeriodMonths: gracePeriodMonths,
+              graceInterest,
+              rounding: REGION_ROUNDING_POLICIES[currentLocale.code]
             });
             
             return {
               ...plan,
               monthlyPayment: result.monthlyPayment,
+              finalPayment: result.monthlyPayment,
               totalInterest: result.totalInterest,
               totalRepayment: result.totalRepayment,
-              gracePeriodInterest: result.gracePeriodInterest
+              gracePeriodInterest: result.gracePeriodInterest,
+              forgiven: 0,
+              schedule: result.amortizationSchedule
             };
           })
         );
@@ -99,7 +131,7 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
     };
     
     calculateScenarios();
-  }, [loanAmount, interestRate, gracePeriodMonths, calculateLoan]);
+  }, [loanAmount, interestRate, gracePeriodMonths, graceInterest, currentLocale.code, stepIncrease, salary, salaryGrowth, incomeShare, calculateLoan]);
 
   // Prepare chart data
   const prepareChartData = () => {
@@ -109,7 +141,7 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
       labels: scenarios.map(scenario => scenario.name),
       datasets: [
         {
-          label: 'Monthly Payment',
+          label: 'First Monthly Payment',
           data: scenarios.map(scenario => scenario.monthlyPayment),
           backgroundColor: 'rgba(59, 130, 246, 0.7)',
           borderColor: 'rgba(59, 130, 246, 1)',
@@ -121,6 +153,13 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
           backgroundColor: 'rgba(99, 102, 241, 0.7)',
           borderColor: 'rgba(99, 102, 241, 1)',
           borderWidth: 1,
+        },
+        {
+          label: 'Forgiven',
+          data: scenarios.map(scenario => scenario.forgiven),
+          backgroundColor: 'rgba(16, 185, 129, 0.7)',
+          borderColor: 'rgba(16, 185, 129, 1)',
+          borderWidth: 1,
         }
       ]
     };
@@ -156,7 +195,7 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
                     max={100000}
                     step={1000}
                     error={errors.loanAmount}
-                    prefix="£"
+                    prefix={currentLocale.currency}
                     thousandSeparator={true}
                     decimalScale={0}
                     icon={<FaMoneyBillWave className="h-4 w-4" />}
@@ -170,8 +209,8 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
                     value={loanAmount}
                     onChange={setLoanAmount}
                     formatValue={(val) => val.toLocaleString()}
-                    leftLabel="£1,000"
-                    rightLabel="£100,000"
+                    leftLabel={`${currentLocale.currency}1,000`}
+                    rightLabel={`${currentLocale.currency}100,000`}
                   />
                 </div>
               </div>
@@ -251,6 +290,101 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
                 </div>
               </div>
             </div>
+
+            {/* Grace Period Interest */}
+            <div className="mb-3">
+              <label htmlFor="grace-interest" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Grace Period Interest
+                <Tooltip content="Unsubsidized loans add grace-period interest to the balance when repayment starts; subsidized loans accrue none">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <Select
+                id="grace-interest"
+                name="grace-interest"
+                value={graceInterest}
+                onChange={(e) => setGraceInterest(e.target.value)}
+                options={Object.values(GRACE_INTEREST_MODES).map(mode => ({ value: mode.id, label: mode.label }))}
+              />
+            </div>
+
+            {/* Graduated: step-up size */}
+            <div className="mb-3">
+              <label htmlFor="step-increase" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Graduated Step-Up
+                <Tooltip content="How much graduated payments rise every two years">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <NumericInput
+                id="step-increase"
+                name="step-increase"
+                value={stepIncrease}
+                onChange={setStepIncrease}
+                min={0}
+                max={50}
+                suffix="%"
+                decimalScale={1}
+                icon={<FaChartLine className="h-4 w-4" />}
+              />
+            </div>
+          </div>
+
+          <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white">
+            Income-Based Plan
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label htmlFor="salary" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Annual Salary
+              </label>
+              <NumericInput
+                id="salary"
+                name="salary"
+                value={salary}
+                onChange={setSalary}
+                min={0}
+                prefix={currentLocale.currency}
+                thousandSeparator={true}
+                decimalScale={0}
+                icon={<FaMoneyBillWave className="h-4 w-4" />}
+              />
+            </div>
+            <div>
+              <label htmlFor="salary-growth" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Salary Growth
+              </label>
+              <NumericInput
+                id="salary-growth"
+                name="salary-growth"
+                value={salaryGrowth}
+                onChange={setSalaryGrowth}
+                min={0}
+                max={20}
+                suffix="% / year"
+                decimalScale={1}
+                icon={<FaCalendarAlt className="h-4 w-4" />}
+              />
+            </div>
+            <div>
+              <label htmlFor="income-share" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Share of Discretionary Income
+                <Tooltip content="Percentage of income above the poverty-line threshold paid each year">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <NumericInput
+                id="income-share"
+                name="income-share"
+                value={incomeShare}
+                onChange={setIncomeShare}
+                min={1}
+                max={30}
+                suffix="%"
+                decimalScale={0}
+                icon={<FaPercentage className="h-4 w-4" />}
+              />
+            </div>
           </div>
         </div>
       </Card>
@@ -274,16 +408,16 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
                     y: {
                       title: {
                         display: true,
-                        text: 'Amount (£)'
+                        text: `Amount (${currentLocale.currency})`
                       },
                       ticks: {
                         callback: function(value) {
                           if (value >= 1000000) {
-                            return `£${(value / 1000000).toFixed(1)}M`;
+                            return `${currentLocale.currency}${(value / 1000000).toFixed(1)}M`;
                           } else if (value >= 1000) {
-                            return `£${(value / 1000).toFixed(0)}K`;
+                            return `${currentLocale.currency}${(value / 1000).toFixed(0)}K`;
                           }
-                          return `£${value}`;
+                          return `${currentLocale.currency}${value}`;
                         }
                       }
                     }
@@ -309,18 +443,32 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
                   
                   <div className="space-y-2">
                     <div>
-                      <p className="text-xs text-gray-500 dark:text-gray-400">Monthly Payment</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {plan.finalPayment !== plan.monthlyPayment ? 'Monthly Payment (first → last)' : 'Monthly Payment'}
+                      </p>
                       <p className="text-lg font-semibold text-blue-600 dark:text-blue-400">
-                        £{plan.monthlyPayment.toFixed(2)}
+                        {currentLocale.currency}{plan.monthlyPayment.toFixed(2)}
+                        {plan.finalPayment !== plan.monthlyPayment && (
+                          <span className="text-sm font-medium"> → {currentLocale.currency}{plan.finalPayment.toFixed(2)}</span>
+                        )}
                       </p>
                     </div>
                     
                     <div>
                       <p className="text-xs text-gray-500 dark:text-gray-400">Total Interest</p>
                       <p className="text-sm font-medium text-indigo-600 dark:text-indigo-400">
-                        £{plan.totalInterest.toLocaleString()}
+                        {currentLocale.currency}{plan.totalInterest.toLocaleString()}
                       </p>
                     </div>
+
+                    {plan.forgiven > 0 && (
+                      <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Forgiven</p>
+                        <p className="text-sm font-medium text-emerald-600 dark:text-emerald-400">
+                          {currentLocale.currency}{plan.forgiven.toLocaleString()}
+                        </p>
+                      </div>
+                    )}
                     
                     <div>
                       <p className="text-xs text-gray-500 dark:text-gray-400">Term</p>
@@ -335,6 +483,21 @@ const ScenarioSelector = ({ loanTypeId = 'student' }) => {
           </div>
         </Card>
       )}
+
+      {/* Schedule for the selected plan */}
+      {showResults && scenarios.find(plan => plan.id === selectedPlan)?.schedule && (
+        <Card className="mb-4">
+          <div className="p-4">
+            <h3 className="text-lg font-bold mb-4 text-gray-800 dark:text-white">
+              {scenarios.find(plan => plan.id === selectedPlan).name} Schedule
+            </h3>
+            <EnhancedAmortizationChart
+              key={selectedPlan}
+              schedule={scenarios.find(plan => plan.id === selectedPlan).schedule}
+            />
+          </div>
+        </Card>
+      )}
     </div>
   );
 };
@@ -9,6 +9,7 @@ import ChartWrapper from '../ui/ChartWrapper';
 import AnimatedNumber from '../ui/AnimatedNumber';
 import useLoanCalculations from '../../hooks/useLoanCalculations';
 import { useLocale } from '../../contexts/LocaleContext';
+import { FEE_TIMINGS } from '../../utils/mortgage';
 
 /**
  * ScenariosCalculator component for comparing different loan scenarios
@@ -26,7 +27,9 @@ const ScenariosCalculator = ({
     rate: 3.5,
     termYears: 25,
     type: 'repayment',
-    extraPayment: 0
+    extraPayment: 0,
+    fees: 0,
+    feeTiming: 'upfront'
   },
   ranges = {
     principal: { min: 10000, max: 1000000, step: 1000 },
@@ -49,6 +52,10 @@ const ScenariosCalculator = ({
   // Use the loan calculations hook
   const { calculateLoan, isCalculating } = useLoanCalculations(loanTypeId);
 
+  // UK lenders quote the annual effective APRC; elsewhere the nominal APR
+  const aprKey = currentLocale.code === 'en-GB' ? 'aprc' : 'apr';
+  const aprLabel = aprKey.toUpperCase();
+
   // Load saved scenarios from localStorage on component mount
   useEffect(() => {
     const savedScenarios = localStorage.getItem(storageKey);
@@ -82,7 +89,9 @@ const ScenariosCalculator = ({
               principal: scenario.principal,
               rate: scenario.rate,
               termYears: scenario.termYears,
-              type: scenario.type
+              type: scenario.type,
+              fees: { lenderFees: scenario.fees || 0 },
+              feeTiming: scenario.feeTiming || 'upfront'
             });
 
             // Calculate early payoff if extra payment is specified
@@ -424,6 +433,7 @@ const ScenariosCalculator = ({
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Name</th>
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Amount</th>
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Rate</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{aprLabel}</th>
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Term</th>
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Extra</th>
                     <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Monthly</th>
@@ -439,6 +449,9 @@ const ScenariosCalculator = ({
                         <td className="px-4 py-3 text-sm font-medium text-gray-900 dark:text-white">{scenario.name}</td>
                         <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{currentLocale.currency}{scenario.principal.toLocaleString()}</td>
                         <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{scenario.rate}%</td>
+                        <td className="px-4 py-3 text-sm text-amber-600 dark:text-amber-400">
+                          {result[aprKey] !== undefined ? `${result[aprKey].toFixed(2)}%` : '-'}
+                        </td>
                         <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">{scenario.termYears} years</td>
                         <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
                           {scenario.extraPayment > 0 ? `${currentLocale.currency}${scenario.extraPayment}/mo` : '-'}
@@ -535,6 +548,16 @@ const ScenariosCalculator = ({
                           <span className="text-gray-400 dark:text-gray-500">Calculating...</span>
                         )}
                       </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-500 dark:text-gray-400">{aprLabel}</span>
+                        {result[aprKey] !== undefined ? (
+                          <span className="font-medium text-amber-600 dark:text-amber-400">
+                            {result[aprKey].toFixed(2)}%
+                          </span>
+                        ) : (
+                          <span className="text-gray-400 dark:text-gray-500">Calculating...</span>
+                        )}
+                      </div>
                       <div className="flex justify-between items-center">
                         <span className="text-gray-500 dark:text-gray-400">Total Interest</span>
                         {result.totalInterest ? (
@@ -1045,6 +1068,35 @@ const ScenariosCalculator = ({
                     </select>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Lender Fees
+                    </label>
+                    <NumericInput
+                      value={editingScenario.fees || 0}
+                      onChange={(value) => updateEditingScenario('fees', value)}
+                      min={0}
+                      prefix={currentLocale.currency}
+                      thousandSeparator={true}
+                      decimalScale={0}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Fee Timing
+                    </label>
+                    <select
+                      value={editingScenario.feeTiming || 'upfront'}
+                      onChange={(e) => updateEditingScenario('feeTiming', e.target.value)}
+                      className="select select-loanviz w-full"
+                    >
+                      {Object.values(FEE_TIMINGS).map(timing => (
+                        <option key={timing.id} value={timing.id}>{timing.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Monthly Extra Payment
@@ -0,0 +1,373 @@
+import { useState, useMemo } from 'react';
+import { FaChartArea, FaInfoCircle } from 'react-icons/fa';
+import Card from '../ui/Card';
+import Select from '../ui/Select';
+import Tooltip from '../ui/Tooltip';
+import NumericInput from '../ui/NumericInput';
+import ChartWrapper from '../ui/ChartWrapper';
+import { useLocale } from '../../contexts/LocaleContext';
+import { REGION_ROUNDING_POLICIES } from '../../utils/money';
+import { calculateTracker, getTrackerIndex, getTrackerStartMonths, FORWARD_RATE_PATHS } from '../../utils/tracker';
+
+// Starting values for each bundled series: a loan taken out in autumn 2020 against a typical fix of the time
+const DEFAULTS = {
+  'boe-bank-rate': { principal: 200000, termYears: 25, startMonth: '2020-09', fixedRate: 2.0, fixedYears: 5 },
+  'rbi-repo-rate': { principal: 5000000, termYears: 20, startMonth: '2020-09', fixedRate: 9.5, fixedYears: 0 }
+};
+
+// Lengths of fix to compare with, in years (0 fixes the rate for the whole term)
+const FIXED_PERIODS = [2, 3, 5, 10, 0];
+
+// Month names in the user's locale ("Sep 2020")
+const formatMonth = (month, localeCode) => new Date(`${month}-01T00:00:00`).toLocaleDateString(localeCode, { month: 'short', year: 'numeric' });
+
+/**
+ * TrackerMortgageCalculator component back-testing a tracker loan against a fix using bundled base-rate history
+ * @returns {JSX.Element} Tracker back-test calculator
+ */
+const TrackerMortgageCalculator = () => {
+  const { currentLocale } = useLocale();
+  const index = getTrackerIndex(currentLocale.code);
+  const defaults = DEFAULTS[index.id];
+
+  const [principal, setPrincipal] = useState(defaults.principal);
+  const [termYears, setTermYears] = useState(defaults.termYears);
+  const [startMonth, setStartMonth] = useState(defaults.startMonth);
+  const [margin, setMargin] = useState(index.defaultMargin);
+  const [floor, setFloor] = useState(0);
+  const [fixedRate, setFixedRate] = useState(defaults.fixedRate);
+  const [fixedYears, setFixedYears] = useState(defaults.fixedYears);
+  const [forwardPathType, setForwardPathType] = useState('flat');
+  const [forwardChange, setForwardChange] = useState(-0.25);
+  const [forwardSeries, setForwardSeries] = useState('');
+
+  const startMonths = useMemo(() => getTrackerStartMonths(index), [index]);
+
+  const formatAmount = (amount) => `${amount < 0 ? '-' : ''}${currentLocale.currency}${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  const result = useMemo(
+    () => calculateTracker({
+      principal: principal || 0,
+      termYears: Math.max(1, termYears || 1),
+      startMonth,
+      margin: margin || 0,
+      floor: floor || 0,
+      fixedRate: fixedRate || 0,
+      fixedYears: parseInt(fixedYears, 10) || 0,
+      forwardPath: { type: forwardPathType, change: forwardChange, series: forwardSeries },
+      localeCode: currentLocale.code,
+      rounding: REGION_ROUNDING_POLICIES[currentLocale.code]
+    }),
+    [principal, termYears, startMonth, margin, floor, fixedRate, fixedYears, forwardPathType, forwardChange, forwardSeries, currentLocale.code]
+  );
+
+  // Base rate, tracker rate and the fix (reverting to the tracker) for every month of the loan
+  const chartData = useMemo(() => {
+    const fixedRates = result.months.map(row => (row.month <= result.fixedMonths ? result.fixedRate : row.rate));
+    return {
+      labels: result.months.map(row => formatMonth(row.date, currentLocale.code)),
+      datasets: [
+        {
+          label: index.shortName,
+          data: result.months.map(row => row.index),
+          borderColor: '#9CA3AF',
+          backgroundColor: '#9CA3AF',
+          borderWidth: 1,
+          borderDash: [4, 4],
+          pointRadius: 0,
+          stepped: true
+        },
+        {
+          label: `${index.productName} (${index.shortName} + ${margin}%)`,
+          data: result.months.map(row => row.rate),
+          borderColor: '#3B82F6',
+          backgroundColor: '#3B82F6',
+          borderWidth: 2,
+          pointRadius: 0,
+          stepped: true
+        },
+        {
+          label: `Fixed at ${result.fixedRate}%`,
+          data: fixedRates,
+          borderColor: '#F59E0B',
+          backgroundColor: '#F59E0B',
+          borderWidth: 2,
+          pointRadius: 0,
+          stepped: true
+        }
+      ]
+    };
+  }, [result, index, margin, currentLocale.code]);
+
+  const { tracker, fixed } = result;
+  const fixLabel = result.fixedMonths === result.months.length ? 'the whole term' : `the ${result.fixedMonths / 12}-year fix`;
+  const projectedMonth = result.projectedFrom ? result.months[result.projectedFrom - 1].date : null;
+
+  return (
+    <div className="p-4">
+      <Card className="mb-4">
+        <div className="p-4">
+          <h2 className="text-xl font-bold mb-2 text-gray-800 dark:text-white flex items-center">
+            <FaChartArea className="mr-2 h-5 w-5 text-blue-500" />
+            {index.productName} Back-Test
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-1">
+            {index.description} See how one taken out in any month since {formatMonth(startMonths[0], currentLocale.code)} would have done against a fixed rate.
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+            Uses the {index.name} history bundled with the app, up to {formatMonth(index.asOf.slice(0, 7), currentLocale.code)}
+            {!['en-GB', 'en-IN'].includes(currentLocale.code) && ' (no base-rate history is bundled for your region)'}.
+            {' '}<a href={index.officialLink} target="_blank" rel="noopener noreferrer" className="underline">Official rates</a>
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Loan */}
+            <div>
+              <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white">Loan</h3>
+              <div className="mb-3">
+                <label htmlFor="tracker-principal" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Loan Amount
+                </label>
+                <NumericInput
+                  id="tracker-principal"
+                  name="tracker-principal"
+                  value={principal}
+                  onChange={setPrincipal}
+                  min={0}
+                  prefix={currentLocale.currency}
+                  thousandSeparator={true}
+                  decimalScale={0}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3 mb-3">
+                <div>
+                  <label htmlFor="tracker-term" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Term (years)
+                  </label>
+                  <NumericInput
+                    id="tracker-term"
+                    name="tracker-term"
+                    value={termYears}
+                    onChange={setTermYears}
+                    min={1}
+                    max={40}
+                    decimalScale={0}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="tracker-start" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Taken Out In
+                  </label>
+                  <Select
+                    id="tracker-start"
+                    name="tracker-start"
+                    value={startMonth}
+                    onChange={(e) => setStartMonth(e.target.value)}
+                    options={[...startMonths].reverse().map(month => ({ value: month, label: formatMonth(month, currentLocale.code) }))}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="tracker-margin" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {index.marginLabel} over {index.shortName}
+                  </label>
+                  <NumericInput
+                    id="tracker-margin"
+                    name="tracker-margin"
+                    value={margin}
+                    onChange={setMargin}
+                    min={-5}
+                    max={10}
+                    step={0.05}
+                    suffix="%"
+                    decimalScale={2}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="tracker-floor" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Rate Floor
+                    <Tooltip content="Some trackers have a collar: the rate never falls below this, however low the base rate goes. Leave at 0 for none.">
+                      <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                  <NumericInput
+                    id="tracker-floor"
+                    name="tracker-floor"
+                    value={floor}
+                    onChange={setFloor}
+                    min={0}
+                    max={10}
+                    step={0.05}
+                    suffix="%"
+                    decimalScale={2}
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Fix and forward path */}
+            <div>
+              <h3 className="text-md font-semibold mb-2 text-gray-800 dark:text-white">Compare With a Fix</h3>
+              <div className="grid grid-cols-2 gap-3 mb-3">
+                <div>
+                  <label htmlFor="tracker-fixed-rate" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Fixed Rate
+                  </label>
+                  <NumericInput
+                    id="tracker-fixed-rate"
+                    name="tracker-fixed-rate"
+                    value={fixedRate}
+                    onChange={setFixedRate}
+                    min={0}
+                    max={20}
+                    step={0.05}
+                    suffix="%"
+                    decimalScale={2}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="tracker-fixed-years" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Fixed For
+                    <Tooltip content="After the fix ends the loan is assumed to move onto the same tracker rate, so only the fixed period differs">
+                      <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                  <Select
+                    id="tracker-fixed-years"
+                    name="tracker-fixed-years"
+                    value={String(fixedYears)}
+                    onChange={(e) => setFixedYears(parseInt(e.target.value, 10))}
+                    options={FIXED_PERIODS.map(years => ({ value: String(years), label: years ? `${years} years` : 'Whole term' }))}
+                  />
+                </div>
+              </div>
+              <div className="mb-3">
+                <label htmlFor="tracker-forward-path" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {index.shortName} After {formatMonth(index.asOf.slice(0, 7), currentLocale.code)}
+                </label>
+                <Select
+                  id="tracker-forward-path"
+                  name="tracker-forward-path"
+                  value={forwardPathType}
+                  onChange={(e) => setForwardPathType(e.target.value)}
+                  options={Object.values(FORWARD_RATE_PATHS).map(path => ({ value: path.id, label: path.label }))}
+                />
+              </div>
+              {forwardPathType === 'steady' && (
+                <div className="mb-3">
+                  <label htmlFor="tracker-forward-change" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Change Each Year
+                  </label>
+                  <NumericInput
+                    id="tracker-forward-change"
+                    name="tracker-forward-change"
+                    value={forwardChange}
+                    onChange={setForwardChange}
+                    min={-5}
+                    max={5}
+                    step={0.25}
+                    suffix="%"
+                    decimalScale={2}
+                  />
+                </div>
+              )}
+              {forwardPathType === 'custom' && (
+                <div className="mb-3">
+                  <label htmlFor="tracker-forward-series" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {index.shortName} Each Year (%)
+                  </label>
+                  <input
+                    id="tracker-forward-series"
+                    name="tracker-forward-series"
+                    type="text"
+                    value={forwardSeries}
+                    onChange={(e) => setForwardSeries(e.target.value)}
+                    placeholder="3.75, 3.5, 3.5, 4"
+                    className="input input-bordered w-full"
+                  />
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    One value per year after the history ends; the last value carries on to the end of the term
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      {/* Results */}
+      <Card className="mb-4">
+        <div className="p-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+            <div className="p-3 rounded-lg bg-blue-50 dark:bg-blue-900/20">
+              <p className="text-xs text-gray-600 dark:text-gray-400">{index.productName} Payment</p>
+              <p className="text-lg font-bold text-blue-700 dark:text-blue-400">
+                {formatAmount(tracker.initialPayment)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                At {result.initialRate}% to start; from {formatAmount(tracker.minPayment)} to {formatAmount(tracker.maxPayment)} over the term
+              </p>
+            </div>
+            <div className={`p-3 rounded-lg ${result.periodSaving >= 0 ? 'bg-green-50 dark:bg-green-900/20' : 'bg-red-50 dark:bg-red-900/20'}`}>
+              <p className="text-xs text-gray-600 dark:text-gray-400">Tracker Saving vs Fix</p>
+              <p className={`text-lg font-bold ${result.periodSaving >= 0 ? 'text-green-700 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                {formatAmount(result.periodSaving)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Over {fixLabel}: {formatAmount(tracker.periodInterest)} interest on the tracker, {formatAmount(fixed.periodInterest)} fixed at {result.fixedRate}% ({formatAmount(fixed.initialPayment)} a month)
+              </p>
+            </div>
+            <div className={`p-3 rounded-lg ${result.lifetimeSaving >= 0 ? 'bg-green-50 dark:bg-green-900/20' : 'bg-red-50 dark:bg-red-900/20'}`}>
+              <p className="text-xs text-gray-600 dark:text-gray-400">Lifetime Difference</p>
+              <p className={`text-lg font-bold ${result.lifetimeSaving >= 0 ? 'text-green-700 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                {formatAmount(result.lifetimeSaving)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Total interest: {formatAmount(tracker.totalInterest)} tracking, {formatAmount(fixed.totalInterest)} with the fix
+              </p>
+            </div>
+          </div>
+
+          <div className="p-3 mb-4 rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50/50 dark:bg-blue-900/10 text-sm text-gray-700 dark:text-gray-300">
+            Over {fixLabel} the tracker rate was above {result.fixedRate}% in
+            {' '}<span className="font-bold">{result.monthsAboveFixed}</span> of {result.fixedMonths} months.
+            {projectedMonth && (
+              <> From {formatMonth(projectedMonth, currentLocale.code)} the rates are projected ({FORWARD_RATE_PATHS[forwardPathType].label.toLowerCase()}), not history.</>
+            )}
+          </div>
+
+          {/* Rate Chart */}
+          <h3 className="text-lg font-bold mb-2 text-gray-800 dark:text-white">
+            Rate Paid Each Month
+          </h3>
+          <div className="h-70 sm:h-80 w-full relative p-1 sm:p-4">
+            <ChartWrapper
+              type="line"
+              data={chartData}
+              title={`${index.productName} rate against a fixed rate`}
+              options={{
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                  x: {
+                    grid: { display: false },
+                    ticks: { maxTicksLimit: window.innerWidth < 640 ? 6 : 12 }
+                  },
+                  y: {
+                    ticks: { callback: (value) => `${value}%` }
+                  }
+                }
+              }}
+            />
+          </div>
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            The tracker moves the month after each {index.shortName} change, and the payment is recalculated over the remaining term.
+            Past performance is no guide to future rates.
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default TrackerMortgageCalculator;
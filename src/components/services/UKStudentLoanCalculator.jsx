@@ -0,0 +1,242 @@
+import { useState, useMemo } from 'react';
+import { FaGraduationCap, FaInfoCircle, FaMoneyBillWave, FaPercentage, FaChartLine } from 'react-icons/fa';
+import Card from '../ui/Card';
+import Select from '../ui/Select';
+import Tooltip from '../ui/Tooltip';
+import NumericInput from '../ui/NumericInput';
+import EnhancedAmortizationChart from '../ui/EnhancedAmortizationChart';
+import { formatCurrency } from '../../utils/formatUtils';
+import { projectUkStudentLoan } from '../../utils/studentLoan';
+import ukStudentLoanConfig from '../../config/ukStudentLoanConfig.json';
+
+const plans = Object.values(ukStudentLoanConfig.plans);
+
+/**
+ * UKStudentLoanCalculator component for income-contingent UK student loan plans
+ * @returns {JSX.Element} UK student loan calculator component
+ */
+const UKStudentLoanCalculator = () => {
+  // State for form inputs
+  const [balance, setBalance] = useState(45000);
+  const [selectedPlan, setSelectedPlan] = useState('plan2');
+  const [salary, setSalary] = useState(32000);
+  const [salaryGrowth, setSalaryGrowth] = useState(3);
+  const [rpi, setRpi] = useState(ukStudentLoanConfig.rpi);
+
+  // Project every plan on the same salary path so they can be compared
+  const projections = useMemo(
+    () => plans.map(plan => ({
+      ...plan,
+      ...projectUkStudentLoan(balance || 0, plan, { salary: salary || 0, salaryGrowth: salaryGrowth || 0, rpi: rpi || 0 })
+    })),
+    [balance, salary, salaryGrowth, rpi]
+  );
+
+  const selected = projections.find(plan => plan.id === selectedPlan) || projections[0];
+
+  // Format a whole-pound amount
+  const formatPounds = (amount) => formatCurrency(amount, 'en-GB', 'GBP', { maximumFractionDigits: 0 });
+
+  // Describe when the loan ends
+  const getOutcome = (projection) => {
+    if (projection.payoffMonths) {
+      return `Repaid in ${Math.floor(projection.payoffMonths / 12)}y ${projection.payoffMonths % 12}m`;
+    }
+    return `Written off after ${projection.writeOffYears} years`;
+  };
+
+  return (
+    <div className="p-4">
+      <Card className="mb-4">
+        <div className="p-4">
+          <h2 className="text-xl font-bold mb-2 text-gray-800 dark:text-white">
+            UK Student Loan Repayments
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+            UK student loans are repaid as a share of your salary above a threshold, not as a fixed monthly payment.
+            Interest is linked to RPI and any balance left at the end of the plan is written off.
+            Figures use {ukStudentLoanConfig.taxYear} thresholds and assume indexed thresholds rise with RPI.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Plan */}
+            <div className="mb-3">
+              <label htmlFor="uk-plan" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Repayment Plan
+                <Tooltip content={selected.description}>
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <Select
+                id="uk-plan"
+                name="uk-plan"
+                value={selectedPlan}
+                onChange={(e) => setSelectedPlan(e.target.value)}
+                options={plans.map(plan => ({ value: plan.id, label: plan.name }))}
+              />
+            </div>
+
+            {/* Balance */}
+            <div className="mb-3">
+              <label htmlFor="uk-balance" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Current Balance
+              </label>
+              <NumericInput
+                id="uk-balance"
+                name="uk-balance"
+                value={balance}
+                onChange={setBalance}
+                min={0}
+                prefix="£"
+                thousandSeparator={true}
+                decimalScale={0}
+                icon={<FaGraduationCap className="h-4 w-4" />}
+              />
+            </div>
+
+            {/* Salary */}
+            <div className="mb-3">
+              <label htmlFor="uk-salary" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Annual Salary
+              </label>
+              <NumericInput
+                id="uk-salary"
+                name="uk-salary"
+                value={salary}
+                onChange={setSalary}
+                min={0}
+                prefix="£"
+                thousandSeparator={true}
+                decimalScale={0}
+                icon={<FaMoneyBillWave className="h-4 w-4" />}
+              />
+            </div>
+
+            {/* Salary Growth */}
+            <div className="mb-3">
+              <label htmlFor="uk-salary-growth" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Salary Growth
+              </label>
+              <NumericInput
+                id="uk-salary-growth"
+                name="uk-salary-growth"
+                value={salaryGrowth}
+                onChange={setSalaryGrowth}
+                min={0}
+                max={20}
+                suffix="% / year"
+                decimalScale={1}
+                icon={<FaChartLine className="h-4 w-4" />}
+              />
+            </div>
+
+            {/* RPI */}
+            <div className="mb-3">
+              <label htmlFor="uk-rpi" className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                RPI Inflation
+                <Tooltip content="Retail Prices Index used to set interest rates and uprate repayment thresholds">
+                  <FaInfoCircle className="ml-1 inline-block h-3 w-3 text-gray-400" />
+                </Tooltip>
+              </label>
+              <NumericInput
+                id="uk-rpi"
+                name="uk-rpi"
+                value={rpi}
+                onChange={setRpi}
+                min={0}
+                max={15}
+                suffix="%"
+                decimalScale={1}
+                icon={<FaPercentage className="h-4 w-4" />}
+              />
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      {/* Plan comparison */}
+      <Card className="mb-4">
+        <div className="p-4">
+          <h3 className="text-lg font-bold mb-4 text-gray-800 dark:text-white">
+            Projection by Plan
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th>Plan</th>
+                  <th className="text-right">Threshold</th>
+                  <th className="text-right">First Monthly Payment</th>
+                  <th className="text-right">Total Repaid</th>
+                  <th className="text-right">Written Off</th>
+                  <th>Outcome</th>
+                </tr>
+              </thead>
+              <tbody>
+                {projections.map(projection => (
+                  <tr
+                    key={projection.id}
+                    className={`cursor-pointer ${projection.id === selectedPlan ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+                    onClick={() => setSelectedPlan(projection.id)}
+                  >
+                    <td className="font-medium">{projection.name}</td>
+                    <td className="text-right">{formatPounds(projection.threshold)}</td>
+                    <td className="text-right">{formatCurrency(projection.monthlyPayment)}</td>
+                    <td className="text-right">{formatPounds(projection.totalRepaid)}</td>
+                    <td className="text-right text-emerald-600 dark:text-emerald-400">
+                      {projection.writtenOff > 0 ? formatPounds(projection.writtenOff) : '—'}
+                    </td>
+                    <td className="text-sm">{getOutcome(projection)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+            Rates and thresholds are from{' '}
+            <a href={ukStudentLoanConfig.officialLink} target="_blank" rel="noopener noreferrer" className="link">
+              gov.uk
+            </a>
+            . Repayments stop when the loan is cleared or written off, whichever comes first.
+          </p>
+        </div>
+      </Card>
+
+      {/* Selected plan */}
+      <Card className="mb-4">
+        <div className="p-4">
+          <h3 className="text-lg font-bold mb-2 text-gray-800 dark:text-white">
+            {selected.name}
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Total Repaid</p>
+              <p className="text-lg font-semibold text-blue-600 dark:text-blue-400">{formatPounds(selected.totalRepaid)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Interest Charged</p>
+              <p className="text-lg font-semibold text-indigo-600 dark:text-indigo-400">{formatPounds(selected.totalInterest)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Written Off</p>
+              <p className="text-lg font-semibold text-emerald-600 dark:text-emerald-400">{formatPounds(selected.writtenOff)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Outcome</p>
+              <p className="text-sm font-medium text-gray-800 dark:text-gray-200">{getOutcome(selected)}</p>
+            </div>
+          </div>
+          {selected.totalRepaid > 0 ? (
+            <EnhancedAmortizationChart schedule={selected.schedule} />
+          ) : (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Your salary stays below the {selected.name} threshold, so nothing is repaid before the balance is written off.
+            </p>
+          )}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default UKStudentLoanCalculator;
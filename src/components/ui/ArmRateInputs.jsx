@@ -0,0 +1,141 @@
+import Select from './Select';
+import NumericInput from './NumericInput';
+import ResponsiveGrid from './ResponsiveGrid';
+import { ARM_PRODUCTS, ARM_INDEX_PATHS, FIXED_COMPARISON_TERM_YEARS } from '../../utils/arm';
+
+/**
+ * ArmRateInputs component for the terms of an adjustable-rate mortgage: product, margin, index path and caps
+ * @param {Object} props - Component props
+ * @param {Object} props.value - ARM terms ({ product, margin, index, indexPath, indexSeries, initialCap, periodicCap, lifetimeCap, fixedRate })
+ * @param {Function} props.onChange - Called with the updated ARM terms
+ * @param {string} props.idPrefix - Prefix for input ids, so the inputs can appear more than once on a page
+ * @returns {JSX.Element} ARM inputs
+ */
+const ArmRateInputs = ({ value = {}, onChange, idPrefix = 'arm' }) => {
+  const product = ARM_PRODUCTS[value.product] || ARM_PRODUCTS['5/1'];
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  // A new product brings its usual caps with it
+  const changeProduct = (productId) => {
+    const { initialCap, periodicCap, lifetimeCap } = ARM_PRODUCTS[productId];
+    onChange({ ...value, product: productId, initialCap, periodicCap, lifetimeCap });
+  };
+
+  return (
+    <div>
+      <ResponsiveGrid cols={4} tabletCols={2} mobileCols={1} gap="3">
+        <Select
+          id={`${idPrefix}-product`}
+          name={`${idPrefix}-product`}
+          label="ARM Product"
+          value={product.id}
+          onChange={(e) => changeProduct(e.target.value)}
+          options={Object.values(ARM_PRODUCTS).map(option => ({ value: option.id, label: option.label }))}
+        />
+        <NumericInput
+          id={`${idPrefix}-index`}
+          name={`${idPrefix}-index`}
+          label="Index Today"
+          value={value.index}
+          onChange={(index) => update('index', index)}
+          min={0}
+          max={20}
+          step={0.05}
+          suffix="%"
+          decimalScale={3}
+        />
+        <NumericInput
+          id={`${idPrefix}-margin`}
+          name={`${idPrefix}-margin`}
+          label="Margin"
+          value={value.margin}
+          onChange={(margin) => update('margin', margin)}
+          min={0}
+          max={10}
+          step={0.125}
+          suffix="%"
+          decimalScale={3}
+        />
+        <Select
+          id={`${idPrefix}-index-path`}
+          name={`${idPrefix}-index-path`}
+          label="Index Path"
+          value={value.indexPath || 'flat'}
+          onChange={(e) => update('indexPath', e.target.value)}
+          options={Object.values(ARM_INDEX_PATHS).map(path => ({ value: path.id, label: path.label }))}
+        />
+        <NumericInput
+          id={`${idPrefix}-initial-cap`}
+          name={`${idPrefix}-initial-cap`}
+          label="Initial Cap"
+          value={value.initialCap ?? product.initialCap}
+          onChange={(cap) => update('initialCap', cap)}
+          min={0}
+          max={10}
+          suffix="%"
+          decimalScale={2}
+        />
+        <NumericInput
+          id={`${idPrefix}-periodic-cap`}
+          name={`${idPrefix}-periodic-cap`}
+          label="Periodic Cap"
+          value={value.periodicCap ?? product.periodicCap}
+          onChange={(cap) => update('periodicCap', cap)}
+          min={0}
+          max={10}
+          suffix="%"
+          decimalScale={2}
+        />
+        <NumericInput
+          id={`${idPrefix}-lifetime-cap`}
+          name={`${idPrefix}-lifetime-cap`}
+          label="Lifetime Cap"
+          value={value.lifetimeCap ?? product.lifetimeCap}
+          onChange={(cap) => update('lifetimeCap', cap)}
+          min={0}
+          max={15}
+          suffix="%"
+          decimalScale={2}
+        />
+        <NumericInput
+          id={`${idPrefix}-fixed-rate`}
+          name={`${idPrefix}-fixed-rate`}
+          label={`${FIXED_COMPARISON_TERM_YEARS}-Year Fixed Rate`}
+          value={value.fixedRate}
+          onChange={(rate) => update('fixedRate', rate)}
+          placeholder="Same as the loan rate"
+          min={0}
+          max={20}
+          step={0.125}
+          suffix="%"
+          decimalScale={3}
+        />
+      </ResponsiveGrid>
+      {value.indexPath === 'custom' && (
+        <div className="mt-2">
+          <label htmlFor={`${idPrefix}-index-series`} className="form-label mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+            Index at Each Reset (%)
+          </label>
+          <input
+            id={`${idPrefix}-index-series`}
+            name={`${idPrefix}-index-series`}
+            type="text"
+            value={value.indexSeries || ''}
+            onChange={(e) => update('indexSeries', e.target.value)}
+            placeholder="4.3, 4.8, 5.2"
+            className="input input-bordered w-full"
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            One value per reset, starting with the first; the last value carries on to the end of the term
+          </p>
+        </div>
+      )}
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        The rate you enter is fixed for {product.fixedYears} years, then resets every {product.adjustmentMonths} months to the index plus the margin
+        (rounded to the nearest 0.125%), limited by the caps and never below the margin.
+      </p>
+    </div>
+  );
+};
+
+export default ArmRateInputs;
@@ -18,9 +18,12 @@ const EnhancedAmortizationChart = ({ schedule }) => {
   const [activeTab, setActiveTab] = useState('visual');
   const [currentYear, setCurrentYear] = useState(1);
 
+  // Loan year a payment falls in (schedules may be weekly or fortnightly)
+  const getLoanYear = (payment) => Math.ceil(payment.month / 12);
+
   // Calculate total years in the schedule
   const totalYears = schedule && schedule.length > 0
-    ? Math.ceil(schedule.length / 12)
+    ? getLoanYear(schedule[schedule.length - 1])
     : 0;
 
   // Format currency
@@ -47,9 +50,8 @@ const EnhancedAmortizationChart = ({ schedule }) => {
   const getYearData = (yearNum) => {
     if (!schedule || schedule.length === 0) return { payments: [], totals: { principal: 0, interest: 0 } };
 
-    const startIndex = (yearNum - 1) * 12;
-    const endIndex = Math.min(startIndex + 12, schedule.length);
-    const yearPayments = schedule.slice(startIndex, endIndex);
+    const startIndex = schedule.findIndex(payment => getLoanYear(payment) === yearNum);
+    const yearPayments = schedule.filter(payment => getLoanYear(payment) === yearNum);
 
     const principalTotal = yearPayments.reduce((sum, payment) => sum + payment.principalPayment, 0);
     const interestTotal = yearPayments.reduce((sum, payment) => sum + payment.interestPayment, 0);
@@ -73,8 +75,7 @@ const EnhancedAmortizationChart = ({ schedule }) => {
   const getCumulativeTotals = (yearNum) => {
     if (!schedule || schedule.length === 0) return { principal: 0, interest: 0 };
 
-    const endIndex = Math.min(yearNum * 12, schedule.length);
-    const payments = schedule.slice(0, endIndex);
+    const payments = schedule.filter(payment => getLoanYear(payment) <= yearNum);
 
     return {
       principal: payments.reduce((sum, payment) => sum + payment.principalPayment, 0),
@@ -255,7 +256,7 @@ const EnhancedAmortizationChart = ({ schedule }) => {
                       }}
                     ></div>
                   </div>
-                  <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">{index + 1 + (currentYear - 1) * 12}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">{payment.period ?? payment.month}</span>
                 </div>
               ))}
               </div>
@@ -275,6 +276,7 @@ const EnhancedAmortizationChart = ({ schedule }) => {
                   <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Payment</th>
                   <th scope="col" className="hidden sm:table-cell px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Principal</th>
                   <th scope="col" className="hidden sm:table-cell px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Interest</th>
+                  <th scope="col" className="hidden sm:table-cell px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Rate</th>
                   <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Balance</th>
                 </tr>
               </thead>
@@ -285,6 +287,7 @@ const EnhancedAmortizationChart = ({ schedule }) => {
                     <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300 font-medium">{formatCurrency(payment.payment)}</td>
                     <td className="hidden sm:table-cell px-3 py-2 whitespace-nowrap text-sm text-blue-600 dark:text-blue-400 font-medium">{formatCurrency(payment.principalPayment)}</td>
                     <td className="hidden sm:table-cell px-3 py-2 whitespace-nowrap text-sm text-indigo-600 dark:text-indigo-400 font-medium">{formatCurrency(payment.interestPayment)}</td>
+                    <td className="hidden sm:table-cell px-3 py-2 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{payment.rate !== undefined ? `${payment.rate}%` : '-'}</td>
                     <td className="px-3 py-2 whitespace-nowrap text-sm text-green-600 dark:text-green-400 font-medium">{formatCurrency(payment.balance)}</td>
                   </tr>
                 ))}
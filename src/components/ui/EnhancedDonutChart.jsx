@@ -17,6 +17,7 @@ import { useLocale } from '../../contexts/LocaleContext';
  * @param {number} props.valueFontSize - Font size for values
  * @param {string} props.valuePosition - Position of the value ('inside' or 'outside')
  * @param {number} props.monthlyPayment - Monthly payment amount to display
+ * @param {string} props.monthlyPaymentLabel - Label shown above the monthly payment
  * @param {number} props.totalRepayment - Total repayment amount to display
  * @param {string} props.effect - Visual effect ('none', 'glow', 'pulse', 'neon')
  * @returns {JSX.Element} Enhanced donut chart component
@@ -33,6 +34,7 @@ const EnhancedDonutChart = ({
   valueFontSize = 18,
   valuePosition = 'inside',
   monthlyPayment = null,
+  monthlyPaymentLabel = 'Monthly Payment',
   totalRepayment = null,
   effect = 'glow'
 }) => {
@@ -518,7 +520,7 @@ const EnhancedDonutChart = ({
                           className="text-blue-600 dark:text-blue-400 font-medium"
                           style={{ fontSize: `${labelFontSize}px` }}
                         >
-                          Monthly Payment
+                          {monthlyPaymentLabel}
                         </div>
                         <AnimatedNumber
                           value={monthlyPayment}
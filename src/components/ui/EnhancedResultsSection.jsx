@@ -8,6 +8,21 @@ import AnimatedBackground from './AnimatedBackground';
 import ResponsiveGrid from './ResponsiveGrid';
 import ResponsiveContainer from './ResponsiveContainer';
 import { useLocale } from '../../contexts/LocaleContext';
+import { PAYMENT_FREQUENCIES } from '../../utils/mortgage';
+import { MORTGAGE_INSURANCE_TYPES } from '../../utils/mortgageInsurance';
+import { FILING_STATUSES } from '../../utils/usTaxDeduction';
+import { ARM_PRODUCTS, ARM_INDEX_PATHS } from '../../utils/arm';
+
+// Segment colours for the monthly housing cost breakdown
+const HOUSING_COST_COLORS = {
+  principal: '#6366F1',
+  interest: '#818CF8',
+  propertyTax: '#F59E0B',
+  homeInsurance: '#14B8A6',
+  mortgageInsurance: '#10B981',
+  serviceCharge: '#EC4899',
+  groundRent: '#A5B4FC'
+};
 
 /**
  * EnhancedResultsSection component for displaying loan calculation results with advanced animations
@@ -163,9 +178,71 @@ const EnhancedResultsSection = forwardRef(({
     fees = 0,
     rate,
     termYears,
-    type
+    type,
+    paymentFrequency = 'monthly',
+    periodicPayment,
+    frequencySavings,
+    balloonPayment = 0,
+    interestOnlyBalance = 0,
+    offset,
+    mortgageInsurance,
+    housingCosts,
+    taxDeduction,
+    arm
   } = results;
 
+  // Donut segments: a balloon or interest-only portion is shown apart from the principal repaid by regular payments
+  const loanBreakdown = balloonPayment > 0
+    ? {
+        data: [principal - balloonPayment, balloonPayment, totalInterest, fees],
+        labels: ['Principal', 'Balloon', 'Interest', 'Fees'],
+        colors: ['#6366F1', '#F59E0B', '#818CF8', '#A5B4FC']
+      }
+    : interestOnlyBalance > 0
+    ? {
+        data: [principal - interestOnlyBalance, interestOnlyBalance, totalInterest, fees],
+        labels: ['Repayment Portion', 'Interest-Only Portion', 'Interest', 'Fees'],
+        colors: ['#6366F1', '#F59E0B', '#818CF8', '#A5B4FC']
+      }
+    : {
+        data: [principal, totalInterest, fees],
+        labels: ['Principal', 'Interest', 'Fees'],
+        colors: ['#6366F1', '#818CF8', '#A5B4FC']
+      };
+
+  // Mortgage insurance gets its own segment; an upfront premium comes out of the principal it was added to
+  const breakdown = mortgageInsurance?.totalPremiums > 0
+    ? {
+        data: [
+          loanBreakdown.data[0] - (mortgageInsurance.upfrontPremium || 0),
+          ...loanBreakdown.data.slice(1),
+          mortgageInsurance.totalPremiums
+        ],
+        labels: [...loanBreakdown.labels, 'Mortgage Insurance'],
+        colors: [...loanBreakdown.colors, '#10B981']
+      }
+    : loanBreakdown;
+
+  // Monthly housing cost segments, leaving out costs that do not apply
+  const housingCostItems = housingCosts
+    ? housingCosts.items.filter(item => item.amount > 0)
+    : [];
+
+  // Display name for the repayment type
+  const getRepaymentTypeDisplay = (repaymentType) => {
+    switch (repaymentType) {
+      case 'interest-only': return 'Interest Only';
+      case 'balloon': return 'Balloon';
+      case 'part-and-part': return 'Part and Part';
+      case 'arm': return 'Adjustable Rate (ARM)';
+      default: return 'Principal & Interest';
+    }
+  };
+
+  // Label and amount of the regular payment for the selected frequency
+  const frequencyLabel = PAYMENT_FREQUENCIES[paymentFrequency]?.label || 'Monthly';
+  const regularPayment = periodicPayment ?? monthlyPayment;
+
   // Animation variants
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -234,8 +311,35 @@ const EnhancedResultsSection = forwardRef(({
       ['Monthly Payment', `${currentLocale.currency}${monthlyPayment.toFixed(2)}`],
       ['Total Interest', `${currentLocale.currency}${totalInterest.toFixed(2)}`],
       ['Total Fees', `${currentLocale.currency}${fees.toFixed(2)}`],
+      ...(balloonPayment > 0 ? [['Balloon Payment', `${currentLocale.currency}${balloonPayment.toFixed(2)}`]] : []),
+      ...(interestOnlyBalance > 0 ? [['Interest-Only Balance Owed at End', `${currentLocale.currency}${interestOnlyBalance.toFixed(2)}`]] : []),
+      ...(offset ? [['Offset Interest Saved', `${currentLocale.currency}${offset.interestSaved.toFixed(2)}`]] : []),
+      ...(mortgageInsurance ? [
+        ['Loan-to-Value', `${mortgageInsurance.ltv}%`],
+        ['Mortgage Insurance Premiums', `${currentLocale.currency}${mortgageInsurance.totalPremiums.toFixed(2)}`]
+      ] : []),
+      ...housingCostItems.map(item => [`Monthly ${item.label}`, `${currentLocale.currency}${item.amount.toFixed(2)}`]),
+      ...(housingCosts ? [
+        ['Monthly Escrow (Taxes & Insurance)', `${currentLocale.currency}${housingCosts.escrow.toFixed(2)}`],
+        ['Monthly Housing Cost', `${currentLocale.currency}${housingCosts.total.toFixed(2)}`]
+      ] : []),
+      ...(arm ? [
+        ['ARM Product', ARM_PRODUCTS[arm.product].label],
+        ['Index Path', ARM_INDEX_PATHS[arm.indexPath].label],
+        ['Highest Payment', `${currentLocale.currency}${arm.maxPayment.toFixed(2)}`],
+        ['Worst-Case Rate', `${arm.worstCase.maxRate}%`],
+        ['Worst-Case Payment', `${currentLocale.currency}${arm.worstCase.maxPayment.toFixed(2)}`],
+        [`${arm.fixedComparison.termYears}-Year Fixed Payment (${arm.fixedComparison.rate}%)`, `${currentLocale.currency}${arm.fixedComparison.monthlyPayment.toFixed(2)}`]
+      ] : []),
+      ...(taxDeduction ? [
+        ['Deductible Mortgage Interest', `${currentLocale.currency}${taxDeduction.deductibleInterest.toFixed(2)}`],
+        ['Discount Points Deducted', `${currentLocale.currency}${taxDeduction.pointsPaid.toFixed(2)}`],
+        ['Federal Tax Saved', `${currentLocale.currency}${taxDeduction.totalTaxSaved.toFixed(2)}`],
+        ['After-Tax Interest and Points', `${currentLocale.currency}${taxDeduction.afterTaxCost.toFixed(2)}`],
+        ['After-Tax Interest Rate', `${taxDeduction.afterTaxRate}%`]
+      ] : []),
       ['Total Repayment', `${currentLocale.currency}${totalRepayment.toFixed(2)}`],
-      ['Repayment Type', type === 'interest-only' ? 'Interest Only' : 'Principal & Interest']
+      ['Repayment Type', getRepaymentTypeDisplay(type)]
     ];
 
     // Convert to CSV format
@@ -365,8 +469,20 @@ const EnhancedResultsSection = forwardRef(({
 
           <div class="summary-row">
             <span class="summary-label">Repayment Type:</span>
-            <span class="summary-value">${type === 'interest-only' ? 'Interest Only' : 'Principal & Interest'}</span>
+            <span class="summary-value">${getRepaymentTypeDisplay(type)}</span>
+          </div>
+${balloonPayment > 0 ? `
+          <div class="summary-row">
+            <span class="summary-label">Balloon Payment:</span>
+            <span class="summary-value">${currentLocale.currency}${balloonPayment.toFixed(2)}</span>
+          </div>
+` : ''}
+${interestOnlyBalance > 0 ? `
+          <div class="summary-row">
+            <span class="summary-label">Interest-Only Balance Owed at End:</span>
+            <span class="summary-value">${currentLocale.currency}${interestOnlyBalance.toFixed(2)}</span>
           </div>
+` : ''}
 
           <div class="summary-row">
             <span class="summary-label">Total Interest:</span>
@@ -731,7 +847,7 @@ const EnhancedResultsSection = forwardRef(({
                   animate={{ opacity: 1 }}
                   transition={{ delay: 0.2 }}
                 >
-                  Monthly Payment
+                  {frequencyLabel} Payment
                 </motion.p>
                 <motion.div
                   className="flex items-baseline"
@@ -768,7 +884,7 @@ const EnhancedResultsSection = forwardRef(({
                       {currentLocale.currency}
                     </motion.span>
                     <AnimatedNumber
-                      value={monthlyPayment}
+                      value={regularPayment}
                       decimals={2}
                       size="xxl"
                       color="text-white text-shadow-indigo"
@@ -947,6 +1063,144 @@ const EnhancedResultsSection = forwardRef(({
                     </div>
                   </div>
 
+                  {/* Payment Frequency Savings */}
+                  {frequencySavings && (
+                    <div className="p-4 glassmorphic-card border-teal-300/60 dark:border-teal-500/40">
+                      <p className="text-sm font-medium text-teal-600 dark:text-teal-300 mb-1">
+                        {frequencyLabel} vs Monthly
+                      </p>
+                      <p className="text-sm text-gray-700 dark:text-gray-300">
+                        Saves <span className="font-bold">{currentLocale.currency}{frequencySavings.interest.toLocaleString()}</span> in interest
+                        {frequencySavings.months > 0 && (
+                          <> and clears the loan <span className="font-bold">{Math.floor(frequencySavings.months / 12)} years {frequencySavings.months % 12} months</span> early</>
+                        )}
+                        {' '}({currentLocale.currency}{monthlyPayment.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} a month on average).
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Part-and-Part Balance */}
+                  {interestOnlyBalance > 0 && (
+                    <div className="p-4 glassmorphic-card border-amber-300/60 dark:border-amber-500/40">
+                      <p className="text-sm font-medium text-amber-600 dark:text-amber-300 mb-1">
+                        Interest-Only Balance Owed at End
+                      </p>
+                      <p className="text-sm text-gray-700 dark:text-gray-300">
+                        <span className="font-bold">{currentLocale.currency}{interestOnlyBalance.toLocaleString()}</span> is not reduced by your monthly payments
+                        and must be repaid from other funds when the term ends. It is included in the total repayment.
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Offset Savings */}
+                  {offset && (
+                    <div className="p-4 glassmorphic-card border-emerald-300/60 dark:border-emerald-500/40">
+                      <p className="text-sm font-medium text-emerald-600 dark:text-emerald-300 mb-1">
+                        Offset vs Standard Mortgage
+                      </p>
+                      <p className="text-sm text-gray-700 dark:text-gray-300">
+                        Saves <span className="font-bold">{currentLocale.currency}{offset.interestSaved.toLocaleString()}</span> in interest
+                        {offset.monthsSaved > 0 ? (
+                          <> and clears the loan <span className="font-bold">{Math.floor(offset.monthsSaved / 12)} years {offset.monthsSaved % 12} months</span> early</>
+                        ) : (
+                          <> by lowering payments from {currentLocale.currency}{offset.standardMonthlyPayment.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} a month</>
+                        )}
+                        .
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Mortgage Insurance */}
+                  {mortgageInsurance && (
+                    <div className="p-4 glassmorphic-card border-emerald-300/60 dark:border-emerald-500/40">
+                      <p className="text-sm font-medium text-emerald-600 dark:text-emerald-300 mb-1">
+                        {MORTGAGE_INSURANCE_TYPES[mortgageInsurance.type].label} at {mortgageInsurance.ltv}% Loan-to-Value
+                      </p>
+                      <p className="text-sm text-gray-700 dark:text-gray-300">
+                        {mortgageInsurance.upfrontPremium ? (
+                          <>
+                            A one-off premium of <span className="font-bold">{currentLocale.currency}{mortgageInsurance.upfrontPremium.toLocaleString()}</span> ({mortgageInsurance.premiumRate}% of the loan)
+                            is added to the loan and repaid with interest.
+                          </>
+                        ) : (
+                          <>
+                            <span className="font-bold">{currentLocale.currency}{mortgageInsurance.monthlyPremium.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span> a month on top of your payment
+                            {mortgageInsurance.dropOffMonth ? (
+                              <> until it drops off at payment <span className="font-bold">{mortgageInsurance.dropOffMonth}</span>{mortgageInsurance.dropOffDate && <> ({mortgageInsurance.dropOffDate})</>}</>
+                            ) : (
+                              <> for the whole term</>
+                            )}
+                            , <span className="font-bold">{currentLocale.currency}{mortgageInsurance.totalPremiums.toLocaleString()}</span> in total.
+                          </>
+                        )}
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Adjustable Rate */}
+                  {arm && (
+                    <div className="p-4 glassmorphic-card border-orange-300/60 dark:border-orange-500/40">
+                      <p className="text-sm font-medium text-orange-600 dark:text-orange-300 mb-1">
+                        {ARM_PRODUCTS[arm.product].label}: {arm.initialRate}% fixed for {arm.fixedYears} years
+                      </p>
+                      <p className="text-sm text-gray-700 dark:text-gray-300">
+                        Then the index plus a {arm.margin}% margin, with caps of {arm.initialCap}/{arm.periodicCap}/{arm.lifetimeCap}.
+                        {arm.resets.length > 0 ? (
+                          <> The payment peaks at <span className="font-bold">{currentLocale.currency}{arm.maxPayment.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span> ({ARM_INDEX_PATHS[arm.indexPath].shortLabel}).</>
+                        ) : (
+                          <> On this index path the rate stays the same at every reset.</>
+                        )}
+                      </p>
+                      {arm.resets.length > 0 && (
+                        <ul className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+                          {arm.resets.slice(0, 4).map(reset => (
+                            <li key={reset.month}>
+                              Month {reset.month}: {reset.rate}%, {currentLocale.currency}{reset.payment.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                              <span className={reset.paymentShock > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}>
+                                {' '}({reset.paymentShock > 0 ? '+' : '-'}{currentLocale.currency}{Math.abs(reset.paymentShock).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })})
+                              </span>
+                            </li>
+                          ))}
+                          {arm.resets.length > 4 && <li>and {arm.resets.length - 4} more resets</li>}
+                        </ul>
+                      )}
+                      <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+                        Worst case: <span className="font-bold text-red-600 dark:text-red-400">{currentLocale.currency}{arm.worstCase.maxPayment.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span> a month at {arm.worstCase.maxRate}%,
+                        {' '}{currentLocale.currency}{arm.worstCase.totalInterest.toLocaleString()} in interest.
+                        {' '}A {arm.fixedComparison.termYears}-year fixed at {arm.fixedComparison.rate}%: <span className="font-bold">{currentLocale.currency}{arm.fixedComparison.monthlyPayment.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span> a month,
+                        {' '}{currentLocale.currency}{arm.fixedComparison.totalInterest.toLocaleString()} in interest.
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Mortgage Interest Deduction */}
+                  {taxDeduction && (
+                    <div className="p-4 glassmorphic-card border-green-300/60 dark:border-green-500/40">
+                      <p className="text-sm font-medium text-green-600 dark:text-green-300 mb-1">
+                        Mortgage Interest Deduction ({FILING_STATUSES[taxDeduction.filingStatus].label}, {taxDeduction.marginalRate}% bracket)
+                      </p>
+                      {taxDeduction.totalTaxSaved > 0 ? (
+                        <p className="text-sm text-gray-700 dark:text-gray-300">
+                          Itemizing saves about <span className="font-bold">{currentLocale.currency}{taxDeduction.totalTaxSaved.toLocaleString()}</span> in federal tax
+                          {taxDeduction.pointsTaxSaved > 0 && <> ({currentLocale.currency}{taxDeduction.pointsTaxSaved.toLocaleString()} of it on points)</>}
+                          , in {taxDeduction.years.filter(year => year.itemizes).length} of {taxDeduction.years.length} years.
+                          After tax, interest{taxDeduction.pointsPaid > 0 && ' and points'} cost <span className="font-bold">{currentLocale.currency}{taxDeduction.afterTaxCost.toLocaleString()}</span>,
+                          an effective rate of <span className="font-bold">{taxDeduction.afterTaxRate}%</span> instead of {rate}%.
+                        </p>
+                      ) : (
+                        <p className="text-sm text-gray-700 dark:text-gray-300">
+                          The {currentLocale.currency}{taxDeduction.standardDeduction.toLocaleString()} standard deduction is larger than your itemized deductions, so the interest saves no tax.
+                        </p>
+                      )}
+                      {taxDeduction.deductibleInterest < taxDeduction.totalInterest && (
+                        <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+                          Only interest on the first {currentLocale.currency}{taxDeduction.loanLimit.toLocaleString()} of the balance is deductible:
+                          {' '}{currentLocale.currency}{taxDeduction.deductibleInterest.toLocaleString()} of {currentLocale.currency}{taxDeduction.totalInterest.toLocaleString()}.
+                        </p>
+                      )}
+                    </div>
+                  )}
+
                   {/* Action Buttons */}
                   <motion.div
                     className="flex gap-3 mt-4"
@@ -1030,11 +1284,12 @@ const EnhancedResultsSection = forwardRef(({
                     </motion.h3>
 
                     <EnhancedDonutChart
-                      data={[principal, totalInterest, fees]}
+                      key={breakdown.labels.join('-')}
+                      data={breakdown.data}
                       size={240}
                       thickness={36}
-                      colors={['#6366F1', '#818CF8', '#A5B4FC']}
-                      labels={['Principal', 'Interest', 'Fees']}
+                      colors={breakdown.colors}
+                      labels={breakdown.labels}
                       animate={true}
                       labelFontSize={13}
                       valueFontSize={18}
@@ -1046,6 +1301,34 @@ const EnhancedResultsSection = forwardRef(({
                       segmentSpacing={1}
                       className="w-full relative z-10"
                     />
+
+                    {/* Monthly housing cost (PITI) breakdown */}
+                    {housingCosts && (
+                      <>
+                        <h3 className="text-md font-semibold mt-6 mb-3 text-gray-800 dark:text-gray-100 relative z-10">
+                          Monthly Housing Cost
+                        </h3>
+                        <EnhancedDonutChart
+                          key={housingCostItems.map(item => item.id).join('-')}
+                          data={housingCostItems.map(item => item.amount)}
+                          size={220}
+                          thickness={32}
+                          colors={housingCostItems.map(item => HOUSING_COST_COLORS[item.id])}
+                          labels={housingCostItems.map(item => item.label)}
+                          animate={true}
+                          labelFontSize={13}
+                          valueFontSize={18}
+                          valuePosition="inside"
+                          monthlyPayment={housingCosts.piti}
+                          monthlyPaymentLabel="PITI"
+                          effect="glow"
+                          className="w-full relative z-10"
+                        />
+                        <p className="mt-2 text-xs text-gray-600 dark:text-gray-400 relative z-10">
+                          Escrow (taxes &amp; insurance): {currentLocale.currency}{housingCosts.escrow.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} a month
+                        </p>
+                      </>
+                    )}
                   </div>
                 </motion.div>
               </ResponsiveGrid>
@@ -11,7 +11,10 @@ import {
   FaMoneyBillWave,
   FaCalendarAlt,
   FaLayerGroup,
-  FaStamp
+  FaStamp,
+  FaPoundSign,
+  FaExchangeAlt,
+  FaChartArea
 } from 'react-icons/fa';
 
 // Feature definitions with icons and descriptions
@@ -57,15 +60,33 @@ export const featureDefinitions = {
     name: 'Stamp Duty',
     icon: FaStamp,
     description: 'Calculate stamp duty and other taxes'
+  },
+  ukStudentLoan: {
+    id: 'ukStudentLoan',
+    name: 'UK Plans',
+    icon: FaPoundSign,
+    description: 'Project repayments and write-off on UK Plan 1, 2, 4, 5 and Postgraduate loans'
+  },
+  refinance: {
+    id: 'refinance',
+    name: 'Refinance',
+    icon: FaExchangeAlt,
+    description: 'Find out when switching to a new deal pays for itself'
+  },
+  tracker: {
+    id: 'tracker',
+    name: 'Tracker',
+    icon: FaChartArea,
+    description: 'Back-test a base-rate tracker against a fix and project it forward'
   }
 };
 
 // Loan type to feature mapping
 export const loanFeatures = {
-  mortgage: ['calculator', 'amortization', 'comparison', 'affordability', 'earlyRepayment', 'scenarios', 'stampDuty'],
+  mortgage: ['calculator', 'amortization', 'comparison', 'affordability', 'earlyRepayment', 'scenarios', 'stampDuty', 'refinance', 'tracker'],
   personal: ['calculator', 'amortization', 'comparison', 'affordability', 'earlyRepayment', 'scenarios'],
-  auto: ['calculator', 'amortization', 'comparison', 'affordability', 'earlyRepayment', 'scenarios'],
-  student: ['calculator', 'amortization', 'scenarios'],
+  auto: ['calculator', 'amortization', 'comparison', 'affordability', 'earlyRepayment', 'scenarios', 'refinance'],
+  student: ['calculator', 'amortization', 'scenarios', 'ukStudentLoan', 'refinance'],
   investment: ['calculator', 'comparison', 'affordability', 'scenarios', 'stampDuty'],
   debt: ['calculator', 'comparison', 'earlyRepayment', 'scenarios']
 };
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import { calculateAffordability, calculateMortgage } from '../utils/mortgage';
+import { calculateHousingCosts, getDebtToIncomeRatios, withTaxInsuranceEstimate } from '../utils/housingCosts';
 
 // Hook for calculating how much a user can afford to borrow
 const useAffordability = (loanType = 'mortgage') => {
@@ -16,6 +17,7 @@ const useAffordability = (loanType = 'mortgage') => {
     rate,
     termYears,
     debtToIncomeRatio = 0.36,
+    housingCosts = null,
     additionalParams = {}
   }) => {
     setIsCalculating(true);
@@ -65,6 +67,11 @@ const useAffordability = (loanType = 'mortgage') => {
       termYears = Math.min(50, Math.max(1, parseFloat(termYears) || 30));
       debtToIncomeRatio = Math.min(0.5, Math.max(0.1, parseFloat(debtToIncomeRatio) || 0.36));
 
+      // Property tax and insurance the user has left blank are estimated rather than taken as nothing
+      if (loanType === 'mortgage') {
+        housingCosts = withTaxInsuranceEstimate(housingCosts || {});
+      }
+
       // Calculate disposable income (after expenses but before debt payments)
       const disposableIncome = Math.max(0, monthlyIncome - monthlyExpenses);
 
@@ -75,7 +82,8 @@ const useAffordability = (loanType = 'mortgage') => {
         downPayment,
         rate,
         termYears,
-        debtToIncomeRatio
+        debtToIncomeRatio,
+        loanType === 'mortgage' ? housingCosts : null
       );
 
       // Calculate conservative price (90% of max)
@@ -164,14 +172,30 @@ const useAffordability = (loanType = 'mortgage') => {
 
       // Apply loan-specific adjustments
       switch (loanType) {
-        case 'mortgage':
-          // Add property tax and insurance estimates (typically 1-2% of home value annually)
-          const annualTaxInsurance = maxPrice * 0.015; // 1.5% of home value
-          const monthlyTaxInsurance = annualTaxInsurance / 12;
-          adjustedResults.estimatedTaxInsurance = Math.round(monthlyTaxInsurance);
-          adjustedResults.totalMonthlyPaymentMax = Math.round((maxMonthlyPayment + monthlyTaxInsurance) * 100) / 100;
-          adjustedResults.totalMonthlyPaymentConservative = Math.round((conservativeMonthlyPayment + monthlyTaxInsurance) * 100) / 100;
+        case 'mortgage': {
+          // Full monthly housing cost (PITI plus service charge and ground rent) at each price
+          const housingCostsAt = (loanAmount, price) => (loanAmount > 0
+            ? calculateMortgage({ principal: loanAmount, rate, termYears, housingCosts: { ...housingCosts, propertyValue: price } }).housingCosts
+            : calculateHousingCosts({ ...housingCosts, propertyValue: price }));
+          const housingCostsMax = housingCostsAt(maxLoanAmount, maxPrice);
+          const housingCostsConservative = housingCostsAt(conservativeLoanAmount, conservativePrice);
+
+          adjustedResults.housingCostsMax = housingCostsMax;
+          adjustedResults.housingCostsConservative = housingCostsConservative;
+          adjustedResults.estimatedTaxInsurance = Math.round(housingCostsMax.propertyTax + housingCostsMax.homeInsurance);
+          adjustedResults.taxInsuranceEstimated = Boolean(housingCosts.taxInsuranceEstimated);
+          adjustedResults.totalMonthlyPaymentMax = housingCostsMax.total;
+          adjustedResults.totalMonthlyPaymentConservative = housingCostsConservative.total;
+
+          // Lenders check the whole housing cost against income, not just the mortgage payment
+          adjustedResults.debtToIncomeMax = getDebtToIncomeRatios(housingCostsMax.total, monthlyDebts, monthlyIncome);
+          adjustedResults.debtToIncomeConservative = getDebtToIncomeRatios(housingCostsConservative.total, monthlyDebts, monthlyIncome);
+          adjustedResults.maxBudgetImpact = Math.round(adjustedResults.debtToIncomeMax.frontEnd * 1000) / 10;
+          adjustedResults.conservativeBudgetImpact = Math.round(adjustedResults.debtToIncomeConservative.frontEnd * 1000) / 10;
+          adjustedResults.remainingBudgetMax = Math.round(Math.max(0, monthlyIncome - monthlyExpenses - monthlyDebts - housingCostsMax.total));
+          adjustedResults.remainingBudgetConservative = Math.round(Math.max(0, monthlyIncome - monthlyExpenses - monthlyDebts - housingCostsConservative.total));
           break;
+        }
 
         case 'auto':
           // Add auto-specific adjustments (insurance, maintenance)
@@ -281,10 +305,10 @@ const useAffordability = (loanType = 'mortgage') => {
   const getBudgetRecommendations = useCallback(() => {
     if (!results) return null;
 
-    const { monthlyIncome, monthlyExpenses, monthlyDebts, conservativeMonthlyPayment } = results;
+    const { monthlyIncome, monthlyExpenses, monthlyDebts, conservativeMonthlyPayment, totalMonthlyPaymentConservative } = results;
 
-    // Calculate recommended budget allocations
-    const housing = conservativeMonthlyPayment;
+    // Calculate recommended budget allocations (the full housing cost where it is known)
+    const housing = totalMonthlyPaymentConservative ?? conservativeMonthlyPayment;
     const savings = monthlyIncome * 0.2; // 20% for savings
     const otherExpenses = monthlyIncome - housing - monthlyDebts - savings;
 
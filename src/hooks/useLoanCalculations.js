@@ -24,7 +24,22 @@ const useLoanCalculations = (loanType = 'mortgage') => {
     fees = {},
     downPayment = 0,
     tradeInValue = 0,
-    gracePeriodMonths = 0
+    gracePeriodMonths = 0,
+    graceInterest = 'unsubsidized',
+    rateChanges = [],
+    startDate = null,
+    paymentFrequency = 'monthly',
+    dayCount = 'periodic',
+    feeTiming = 'upfront',
+    balloon = 0,
+    balloonType = 'amount',
+    interestOnlyPortion = 0,
+    interestOnlyPortionType = 'amount',
+    offset = null,
+    paymentHolidays = [],
+    rounding = 'nearest-minor',
+    mortgageInsurance = null,
+    arm = null
   }) => {
     // Update calculating state
     setState(prevState => ({
@@ -37,10 +52,7 @@ const useLoanCalculations = (loanType = 'mortgage') => {
       // Add a small delay for better UX
       await new Promise(resolve => setTimeout(resolve, 300));
 
-      // Calculate total fees
-      const totalFees = Object.values(fees).reduce((sum, fee) => sum + (parseFloat(fee) || 0), 0);
-
-      // Calculate loan details
+      // Calculate loan details (fees are included in totalRepayment unless added to the loan)
       const calculationResults = calculateMortgage({
         principal,
         rate,
@@ -49,19 +61,31 @@ const useLoanCalculations = (loanType = 'mortgage') => {
         fees,
         downPayment,
         tradeInValue,
-        gracePeriodMonths
+        gracePeriodMonths,
+        graceInterest,
+        rateChanges,
+        startDate,
+        paymentFrequency,
+        dayCount,
+        feeTiming,
+        balloon,
+        balloonType,
+        interestOnlyPortion,
+        interestOnlyPortionType,
+        offset,
+        paymentHolidays,
+        rounding,
+        mortgageInsurance,
+        arm
       });
 
-      // Add fees to total repayment
-      calculationResults.totalRepayment += totalFees;
-      calculationResults.fees = totalFees;
-
       // Generate amortization schedule
       const schedule = generateAmortizationSchedule(
         calculationResults.principal,
         rate,
         termYears,
-        gracePeriodMonths
+        gracePeriodMonths,
+        { rateChanges: calculationResults.rateChanges || [], startDate, paymentFrequency, dayCount, balloonAmount: calculationResults.balloonPayment || 0, interestOnlyAmount: calculationResults.interestOnlyBalance || 0, offset: calculationResults.offset || null, paymentHolidays: calculationResults.paymentHolidays || [], graceInterest, rounding: calculationResults.rounding, mortgageInsurance: calculationResults.mortgageInsurance || null }
       );
 
       // Store schedule in the results object
@@ -151,6 +151,20 @@ const Amortization = ({ loanType = 'mortgage' }) => {
         totalRepayment: results.totalRepayment,
         gracePeriodMonths: params.gracePeriodMonths || 0,
         gracePeriodInterest: results.gracePeriodInterest || 0,
+        graceInterest: results.graceInterest,
+        rateChanges: results.rateChanges || [],
+        paymentFrequency: results.paymentFrequency || 'monthly',
+        periodicPayment: results.periodicPayment,
+        frequencySavings: results.frequencySavings,
+        startDate: results.startDate,
+        dayCount: results.dayCount,
+        rounding: results.rounding,
+        finalPaymentDate: results.finalPaymentDate,
+        balloonPayment: results.balloonPayment,
+        interestOnlyBalance: results.interestOnlyBalance,
+        paymentHoliday: results.paymentHoliday,
+        mortgageInsurance: results.mortgageInsurance,
+        arm: results.arm,
       });
 
       // Force a re-render to ensure the amortization schedule is displayed
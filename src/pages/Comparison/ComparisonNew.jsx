@@ -2,6 +2,7 @@ import { useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import Card from '../../components/ui/Card';
 import LoanComparison from '../../components/services/LoanComparison';
+import RateBuyDownTool from '../../components/services/RateBuyDownTool';
 
 const Comparison = ({ loanType = 'mortgage' }) => {
   const params = useParams();
@@ -121,6 +122,11 @@ const Comparison = ({ loanType = 'mortgage' }) => {
           initialScenario={config.initialScenario}
           ranges={config.ranges}
         />
+
+        {/* Points and fee-vs-rate break-even for mortgages */}
+        {currentLoanType === 'mortgage' && (
+          <RateBuyDownTool initialScenario={config.initialScenario} />
+        )}
       </motion.div>
     </div>
   );
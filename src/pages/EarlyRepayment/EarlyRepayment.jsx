@@ -3,12 +3,15 @@ import { useParams, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import Card from '../../components/ui/Card';
 import EarlyRepaymentCalculator from '../../components/services/EarlyRepaymentCalculator';
+import { useLocale } from '../../contexts/LocaleContext';
 import { calculateMortgage, generateAmortizationSchedule } from '../../utils/mortgage';
+import { REGION_ROUNDING_POLICIES } from '../../utils/money';
 
 const EarlyRepayment = ({ loanType = 'mortgage' }) => {
   const params = useParams();
   const location = useLocation();
   const currentLoanType = params.loanType || loanType;
+  const { locale } = useLocale();
   const [loanDetails, setLoanDetails] = useState(null);
   const [amortizationSchedule, setAmortizationSchedule] = useState([]);
   const [isCalculating, setIsCalculating] = useState(false);
@@ -109,14 +112,16 @@ const EarlyRepayment = ({ loanType = 'mortgage' }) => {
       // Add a small delay for better UX
       await new Promise(resolve => setTimeout(resolve, 300));
 
-      // Calculate loan details
-      const calculationResults = calculateMortgage(params);
+      // Calculate loan details, rounding payments the way lenders in the user's region do
+      const calculationResults = calculateMortgage({ rounding: REGION_ROUNDING_POLICIES[locale], ...params });
 
       // Generate amortization schedule
       const schedule = generateAmortizationSchedule(
         calculationResults.principal,
         params.rate,
-        params.termYears
+        params.termYears,
+        0,
+        { rounding: calculationResults.rounding }
       );
 
       // Store schedule in the results object
@@ -129,7 +134,7 @@ const EarlyRepayment = ({ loanType = 'mortgage' }) => {
       setIsCalculating(false);
       throw error;
     }
-  }, []);
+  }, [locale]);
 
   // Initialize loan details and schedule - only run once
   useEffect(() => {
@@ -13,6 +13,9 @@ const EarlyRepayment = lazy(() => import('../EarlyRepayment/EarlyRepayment'));
 const Scenarios = lazy(() => import('../Scenarios/Scenarios'));
 const StampDuty = lazy(() => import('../StampDuty/StampDuty'));
 const ScenarioSelector = lazy(() => import('../../components/services/ScenarioSelector'));
+const UKStudentLoanCalculator = lazy(() => import('../../components/services/UKStudentLoanCalculator'));
+const RefinanceCalculator = lazy(() => import('../../components/services/RefinanceCalculator'));
+const TrackerMortgageCalculator = lazy(() => import('../../components/services/TrackerMortgageCalculator'));
 
 // Map feature IDs to their respective components
 const featureComponents = {
@@ -22,7 +25,10 @@ const featureComponents = {
   affordability: AffordabilityNew,
   earlyRepayment: EarlyRepayment,
   scenarios: Scenarios,
-  stampDuty: StampDuty
+  stampDuty: StampDuty,
+  ukStudentLoan: UKStudentLoanCalculator,
+  refinance: RefinanceCalculator,
+  tracker: TrackerMortgageCalculator
 };
 
 const LoanFeature = () => {
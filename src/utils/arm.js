@@ -0,0 +1,86 @@
+// Adjustable-rate mortgage (ARM) products: years the initial rate is fixed, months between resets after
+// that, and the usual initial / periodic / lifetime caps (percentage points). SOFR ARMs reset every six months.
+export const ARM_PRODUCTS = {
+  '5/1': { id: '5/1', label: '5/1 ARM', fixedYears: 5, adjustmentMonths: 12, initialCap: 2, periodicCap: 2, lifetimeCap: 5 },
+  '7/1': { id: '7/1', label: '7/1 ARM', fixedYears: 7, adjustmentMonths: 12, initialCap: 5, periodicCap: 2, lifetimeCap: 5 },
+  '10/1': { id: '10/1', label: '10/1 ARM', fixedYears: 10, adjustmentMonths: 12, initialCap: 5, periodicCap: 2, lifetimeCap: 5 },
+  '5/6': { id: '5/6', label: '5/6 SOFR ARM', fixedYears: 5, adjustmentMonths: 6, initialCap: 2, periodicCap: 1, lifetimeCap: 5 },
+  '7/6': { id: '7/6', label: '7/6 SOFR ARM', fixedYears: 7, adjustmentMonths: 6, initialCap: 5, periodicCap: 1, lifetimeCap: 5 }
+};
+
+// How the index moves after the fixed period
+export const ARM_INDEX_PATHS = {
+  flat: { id: 'flat', label: 'Flat (index stays where it is)', shortLabel: 'flat index' },
+  custom: { id: 'custom', label: 'Custom index series', shortLabel: 'custom index series' },
+  'worst-case': { id: 'worst-case', label: 'Worst case (every cap hit)', shortLabel: 'every cap hit' }
+};
+
+// Starting ARM terms: a 5/1 at a 2.75% margin over the index, compared with a 30-year fixed
+export const DEFAULT_ARM = {
+  product: '5/1',
+  margin: 2.75,
+  index: 4.3,
+  indexPath: 'flat',
+  indexSeries: '',
+  fixedRate: 6.5
+};
+
+// Term of the fixed-rate loan an ARM is compared with
+export const FIXED_COMPARISON_TERM_YEARS = 30;
+
+// Parse an index series typed as a list, one value per reset ("4.3, 4.8, 5.2")
+export const parseIndexSeries = (value) => String(value || '')
+  .split(/[,\s]+/)
+  .map(rate => parseFloat(rate))
+  .filter(rate => !isNaN(rate));
+
+// Lenders round the fully indexed rate (index plus margin) to the nearest eighth of a point
+const roundToEighth = (rate) => (Number.isFinite(rate) ? Math.round(rate * 8) / 8 : rate);
+
+// ARM terms with the product's caps filled in where none were given, and the fixed rate to compare
+// with falling back to the loan's own rate when left blank
+export const resolveArmTerms = (arm = {}, loanRate = 0) => {
+  const product = ARM_PRODUCTS[arm.product] || ARM_PRODUCTS[DEFAULT_ARM.product];
+  const isBlank = (value) => value === undefined || value === null || value === '';
+  const capOrDefault = (cap, fallback) => (isBlank(cap) ? fallback : Math.max(0, parseFloat(cap) || 0));
+
+  return {
+    product: product.id,
+    fixedYears: product.fixedYears,
+    adjustmentMonths: product.adjustmentMonths,
+    margin: parseFloat(arm.margin) || 0,
+    index: parseFloat(arm.index) || 0,
+    indexPath: ARM_INDEX_PATHS[arm.indexPath] ? arm.indexPath : 'flat',
+    indexSeries: parseIndexSeries(arm.indexSeries),
+    initialCap: capOrDefault(arm.initialCap, product.initialCap),
+    periodicCap: capOrDefault(arm.periodicCap, product.periodicCap),
+    lifetimeCap: capOrDefault(arm.lifetimeCap, product.lifetimeCap),
+    fixedRate: isBlank(arm.fixedRate) ? parseFloat(loanRate) || 0 : parseFloat(arm.fixedRate) || 0
+  };
+};
+
+// Rate from each reset to the end of the term, as { month, rate } rate changes for the schedule.
+// At each reset the rate moves towards index plus margin by no more than the initial cap (first reset)
+// or periodic cap, never above the start rate plus the lifetime cap and never below the margin.
+export const getArmRateChanges = (arm, initialRate, termYears) => {
+  const terms = resolveArmTerms(arm);
+  const ceiling = initialRate + terms.lifetimeCap;
+  const changes = [];
+  let rate = initialRate;
+
+  for (let month = terms.fixedYears * 12 + 1, reset = 0; month <= termYears * 12; month += terms.adjustmentMonths, reset++) {
+    const cap = reset === 0 ? terms.initialCap : terms.periodicCap;
+    const index = terms.indexPath === 'worst-case'
+      ? Infinity
+      : terms.indexPath === 'custom' && terms.indexSeries.length > 0
+        ? terms.indexSeries[Math.min(reset, terms.indexSeries.length - 1)]
+        : terms.index;
+    const fullyIndexed = roundToEighth(index + terms.margin);
+
+    rate = Math.min(Math.max(fullyIndexed, rate - cap, terms.margin), rate + cap, ceiling);
+    rate = parseFloat(rate.toFixed(3));
+    changes.push({ month, rate });
+  }
+
+  return changes;
+};
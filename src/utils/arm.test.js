@@ -0,0 +1,103 @@
+import { ARM_PRODUCTS, getArmRateChanges, parseIndexSeries, resolveArmTerms } from './arm';
+import { calculateMortgage, generateAmortizationSchedule } from './mortgage';
+
+const arm = { product: '5/1', margin: 2.75, index: 4.3 };
+
+describe('ARM terms', () => {
+  test('parses an index series typed as a list', () => {
+    expect(parseIndexSeries('4.3, 4.8 5.2,,x')).toEqual([4.3, 4.8, 5.2]);
+    expect(parseIndexSeries(undefined)).toEqual([]);
+  });
+
+  test("fills in the product's caps where none were given", () => {
+    const terms = resolveArmTerms({ product: '5/6', periodicCap: '', lifetimeCap: 0 });
+
+    expect(terms).toMatchObject({ fixedYears: 5, adjustmentMonths: 6, initialCap: 2, periodicCap: 1, lifetimeCap: 0 });
+    expect(resolveArmTerms({ product: 'unknown' }).product).toBe('5/1');
+    expect(resolveArmTerms({ indexPath: 'sideways' }).indexPath).toBe('flat');
+  });
+
+  test('compares with the loan rate when the fixed rate is left blank', () => {
+    expect(resolveArmTerms({ ...arm, fixedRate: '' }, 6.25).fixedRate).toBe(6.25);
+    expect(resolveArmTerms(arm, 6.25).fixedRate).toBe(6.25);
+    expect(resolveArmTerms({ ...arm, fixedRate: '7' }, 6.25).fixedRate).toBe(7);
+    expect(resolveArmTerms({ ...arm, fixedRate: 0 }, 6.25).fixedRate).toBe(0);
+  });
+});
+
+describe('ARM rate changes', () => {
+  test('resets to the index plus margin, rounded to the nearest eighth, once the fixed period ends', () => {
+    const changes = getArmRateChanges(arm, 6, 30);
+
+    expect(changes[0]).toEqual({ month: 61, rate: 7 });
+    expect(changes[1]).toEqual({ month: 73, rate: 7 });
+    expect(changes).toHaveLength(25);
+  });
+
+  test('moves by no more than the initial, periodic and lifetime caps', () => {
+    const worstCase = getArmRateChanges({ ...arm, indexPath: 'worst-case' }, 6, 30);
+    const sofr = getArmRateChanges({ ...arm, product: '5/6', indexPath: 'worst-case' }, 6, 30);
+
+    expect(worstCase.slice(0, 4).map(change => change.rate)).toEqual([8, 10, 11, 11]);
+    expect(sofr.slice(0, 5)).toEqual([
+      { month: 61, rate: 8 },
+      { month: 67, rate: 9 },
+      { month: 73, rate: 10 },
+      { month: 79, rate: 11 },
+      { month: 85, rate: 11 }
+    ]);
+    expect(Math.max(...sofr.map(change => change.rate))).toBe(6 + ARM_PRODUCTS['5/6'].lifetimeCap);
+  });
+
+  test('falls towards the index by no more than the caps and never below the margin', () => {
+    const changes = getArmRateChanges({ ...arm, index: 0 }, 6, 10);
+
+    expect(changes.map(change => change.rate)).toEqual([4, 2.75, 2.75, 2.75, 2.75]);
+  });
+
+  test('follows a custom series, holding its last value', () => {
+    const changes = getArmRateChanges({ ...arm, indexPath: 'custom', indexSeries: '4.3, 6.3' }, 6, 10);
+
+    expect(changes.map(change => change.rate)).toEqual([7, 9, 9, 9, 9]);
+  });
+});
+
+describe('ARM loans', () => {
+  test('reports each reset with its payment shock', () => {
+    const loan = calculateMortgage({ principal: 100000, rate: 6, termYears: 30, type: 'arm', arm: { ...arm, indexPath: 'worst-case' } });
+
+    expect(loan.arm.firstResetMonth).toBe(61);
+    expect(loan.arm.maxRate).toBe(11);
+    expect(loan.arm.resets.map(reset => reset.month)).toEqual([61, 73, 85]);
+    expect(loan.arm.resets[0].paymentShock).toBeGreaterThan(0);
+  });
+
+  test('takes the worst-case payment from regular payments, not the final one', () => {
+    const loan = calculateMortgage({ principal: 100000, rate: 6, termYears: 30, type: 'arm', arm: { ...arm, indexPath: 'worst-case' } });
+    const schedule = generateAmortizationSchedule(100000, 6, 30, 0, {
+      rateChanges: getArmRateChanges({ ...arm, indexPath: 'worst-case' }, 6, 30)
+    });
+
+    // Rounding leaves the last payment above the rest
+    expect(schedule[schedule.length - 1].payment).toBe(910.68);
+    expect(loan.arm.maxPayment).toBe(905.94);
+    expect(loan.arm.worstCase.maxPayment).toBe(905.94);
+  });
+
+  test('compares with a 30-year fixed at the loan rate when no fixed rate is given', () => {
+    const loan = calculateMortgage({ principal: 100000, rate: 6, termYears: 30, type: 'arm', arm });
+    const fixed = calculateMortgage({ principal: 100000, rate: 6, termYears: 30 });
+
+    expect(loan.arm.fixedComparison.rate).toBe(6);
+    expect(loan.arm.fixedComparison.monthlyPayment).toBe(fixed.monthlyPayment);
+    expect(loan.arm.worstCase.maxRate).toBe(11);
+  });
+
+  test('falls back to the quoted payment when the schedule has no regular payments', () => {
+    // A term too short for a single payment leaves only the grace-period rows
+    const loan = calculateMortgage({ principal: 20000, rate: 6, termYears: 0.01, gracePeriodMonths: 3, type: 'arm', arm });
+
+    expect(loan.arm.maxPayment).toBe(loan.monthlyPayment);
+    expect(loan.arm.worstCase.maxPayment).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,290 @@
+import { differenceInCalendarMonths, endOfMonth, parseISO } from 'date-fns';
+import { calculateMonthlyPayment } from './mortgage';
+import { fromMinor, roundMoney, roundPaymentMinor, sumMoney, toMinor } from './money';
+
+// What an overpayment does to the loan: shorten the term, or keep the term and recast (lower) the payment
+export const PREPAYMENT_MODES = {
+  'reduce-term': { id: 'reduce-term', label: 'Reduce Term' },
+  'reduce-payment': { id: 'reduce-payment', label: 'Reduce Payment (Recast)' }
+};
+
+// What counts toward the yearly overpayment allowance
+export const ALLOWANCE_BASES = {
+  balance: { id: 'balance', label: '% of balance at start of year' },
+  original: { id: 'original', label: '% of original loan' }
+};
+
+// What to do with overpayments above the allowance: charge the ERC on the excess, or cap them at the allowance
+export const ALLOWANCE_HANDLING = {
+  charge: { id: 'charge', label: 'Flag and charge ERC' },
+  cap: { id: 'cap', label: 'Cap at allowance' }
+};
+
+// Early repayment charge (%) for a loan year from tiers listed by year ([5, 4, 3] = 5% in year 1, ...)
+export const getEarlyRepaymentChargeRate = (tiers = [], loanYear) => parseFloat(tiers[loanYear - 1]) || 0;
+
+// Parse ERC tiers typed as a list ("5, 4, 3, 2, 1")
+export const parseChargeTiers = (value) => String(value || '')
+  .split(/[,\s]+/)
+  .map(tier => parseFloat(tier))
+  .filter(tier => !isNaN(tier) && tier >= 0);
+
+// Months between repeats of each extra-payment frequency (0 = once only)
+const FREQUENCY_INTERVALS = {
+  monthly: 1,
+  quarterly: 3,
+  annually: 12,
+  'one-time': 0
+};
+
+// Whether an extra payment falls due in a given schedule month
+export const isExtraPaymentDue = ({ frequency, startMonth }, month) => {
+  const interval = FREQUENCY_INTERVALS[frequency];
+  if (interval === undefined || month < startMonth) return false;
+  return interval === 0 ? month === startMonth : (month - startMonth) % interval === 0;
+};
+
+// Mode an extra payment uses: its own choice, or the global one when set to 'default'
+export const resolvePrepaymentMode = (extraPayment, globalMode = 'reduce-term') => (
+  PREPAYMENT_MODES[extraPayment.mode] ? extraPayment.mode : globalMode
+);
+
+// Re-run a monthly schedule with extra payments applied to principal.
+// Reduce-term keeps the payment and finishes early; reduce-payment re-amortizes the balance over the
+// months left after each overpayment. A rate change in the original schedule re-amortizes as the engine does.
+// Payment holidays stay holidays: nothing is paid, interest is added to the balance and the payment is
+// recalculated once they end. Balloon and interest-only portions stay owed, and a balloon row is carried through.
+// An allowance ({ percent, basis, chargeTiers, handling }) limits penalty-free overpayments in each loan year
+// that carries an ERC; the excess is either charged at that year's ERC rate or capped.
+// Amounts are worked in integer minor units, with recast payments rounded under the schedule's rounding policy.
+export const applyExtraPayments = (originalSchedule, extraPayments = [], { rate, monthlyPayment, mode = 'reduce-term', allowance = null, rounding = 'nearest-minor' } = {}) => {
+  const repaymentRows = originalSchedule.filter(row => !row.isGracePeriod && !row.isBalloon);
+  if (repaymentRows.length === 0) {
+    return { schedule: [], totalExtraPayments: 0, newMonthlyPayment: monthlyPayment, totalCharges: 0, breaches: [] };
+  }
+
+  // Balloon or interest-only portion left owed when the repayments end
+  const balloonRow = originalSchedule.find(row => row.isBalloon);
+  const lastRepaymentRow = repaymentRows[repaymentRows.length - 1];
+  const residual = toMinor(balloonRow ? balloonRow.principalPayment : lastRepaymentRow.interestOnlyBalance || 0);
+
+  // Regular payment for a balance (in minor units) over the months left, amortizing down to the residual
+  const paymentFor = (balance, annualRate, months) => roundPaymentMinor(
+    calculateMonthlyPayment(fromMinor(balance), annualRate, months / 12, residual > 0 ? 'balloon' : 'repayment', fromMinor(residual)),
+    rounding
+  );
+  // Repayment months (not holidays) from each row to the end of the term
+  const regularMonthsLeft = repaymentRows.reduceRight(
+    (left, row, index) => { left[index] = (left[index + 1] || 0) + (row.isPaymentHoliday ? 0 : 1); return left; },
+    []
+  );
+
+  const schedule = originalSchedule.filter(row => row.isGracePeriod).map(row => ({ ...row }));
+  const firstRow = repaymentRows[0];
+  const firstPaymentRow = repaymentRows.find(row => !row.isPaymentHoliday) || firstRow;
+  let balance = toMinor(firstRow.balance + firstRow.principalPayment);
+  let payment = toMinor(monthlyPayment || firstPaymentRow.payment);
+  let paymentRate = firstRow.rate ?? rate;
+  let recalculateAfterHoliday = false;
+  let totalInterestPaid = 0;
+  let totalExtraPayments = 0;
+  let totalCharges = 0;
+  const breaches = [];
+  const originalPrincipal = balance;
+  const chargeTiers = allowance?.chargeTiers || [];
+  let allowanceLeft = Infinity;
+  // What the row shows of the interest-only and repayment portions of a part-and-part loan
+  const portions = (row) => (row.repaymentBalance !== undefined ? { repaymentBalance: fromMinor(balance - residual) } : {});
+
+  for (let i = 0; i < repaymentRows.length && (balance > residual || residual >= originalPrincipal); i++) {
+    const row = repaymentRows[i];
+    const rowRate = row.rate ?? rate;
+
+    // Payment holiday: no payment or overpayment, and the interest is added to the balance
+    if (row.isPaymentHoliday) {
+      const interestPayment = toMinor(fromMinor(balance) * rowRate / 100 / 12);
+      balance += interestPayment;
+      totalInterestPaid += interestPayment;
+      recalculateAfterHoliday = true;
+
+      schedule.push({
+        ...row,
+        principalPayment: fromMinor(-interestPayment),
+        interestPayment: fromMinor(interestPayment),
+        capitalizedInterest: fromMinor(interestPayment),
+        extraPayment: 0,
+        balance: fromMinor(balance),
+        ...portions(row),
+        totalInterestPaid: fromMinor(totalInterestPaid)
+      });
+      continue;
+    }
+
+    const monthsLeft = regularMonthsLeft[i];
+    if (rowRate !== paymentRate || recalculateAfterHoliday) {
+      payment = paymentFor(balance, rowRate, monthsLeft);
+      paymentRate = rowRate;
+      recalculateAfterHoliday = false;
+    }
+
+    const interestPayment = toMinor(fromMinor(balance) * rowRate / 100 / 12);
+    let principalPayment = Math.min(payment - interestPayment, balance - residual);
+    // The last scheduled month clears whatever is left of the repayment portion
+    if (monthsLeft === 1) {
+      principalPayment = balance - residual;
+    }
+
+    const due = extraPayments.filter(extraPayment => isExtraPaymentDue(extraPayment, row.month));
+    let extraPayment = Math.min(
+      due.reduce((sum, extra) => sum + toMinor(parseFloat(extra.amount) || 0), 0),
+      balance - residual - principalPayment
+    );
+
+    // The allowance resets at the start of each loan year, and only applies while an ERC is payable
+    const loanYear = Math.floor(i / 12) + 1;
+    const chargeRate = allowance ? getEarlyRepaymentChargeRate(chargeTiers, loanYear) : 0;
+    if (i % 12 === 0) {
+      const base = allowance?.basis === 'original' ? originalPrincipal : balance;
+      allowanceLeft = chargeRate > 0 ? toMinor(fromMinor(base) * (parseFloat(allowance.percent) || 0) / 100) : Infinity;
+    }
+
+    let earlyRepaymentCharge = 0;
+    const excess = Math.max(0, extraPayment - allowanceLeft);
+    if (excess > 0) {
+      if (allowance.handling === 'cap') {
+        extraPayment -= excess;
+      } else {
+        earlyRepaymentCharge = toMinor(fromMinor(excess) * chargeRate / 100);
+      }
+      breaches.push({
+        month: row.month,
+        loanYear,
+        excess: fromMinor(excess),
+        chargeRate,
+        charge: fromMinor(earlyRepaymentCharge),
+        capped: allowance.handling === 'cap'
+      });
+    }
+    allowanceLeft = Math.max(0, allowanceLeft - extraPayment);
+
+    balance -= principalPayment + extraPayment;
+    totalInterestPaid += interestPayment;
+    totalExtraPayments += extraPayment;
+    totalCharges += earlyRepaymentCharge;
+
+    schedule.push({
+      ...row,
+      payment: fromMinor(principalPayment + interestPayment),
+      principalPayment: fromMinor(principalPayment + extraPayment),
+      interestPayment: fromMinor(interestPayment),
+      extraPayment: fromMinor(extraPayment),
+      ...(excess > 0 && { exceedsAllowance: true, earlyRepaymentCharge: fromMinor(earlyRepaymentCharge) }),
+      balance: fromMinor(balance),
+      ...portions(row),
+      totalInterestPaid: fromMinor(totalInterestPaid)
+    });
+
+    // Recast: spread what is left over the original remaining term
+    const recast = due.some(extra => resolvePrepaymentMode(extra, mode) === 'reduce-payment');
+    if (extraPayment > 0 && recast && balance > residual && monthsLeft > 1) {
+      payment = paymentFor(balance, rowRate, monthsLeft - 1);
+    }
+  }
+
+  // The balloon still falls due at the end of the term
+  if (balloonRow && schedule.length > 0) {
+    schedule.push({ ...balloonRow, totalInterestPaid: fromMinor(totalInterestPaid) });
+  }
+
+  return {
+    schedule,
+    totalExtraPayments: fromMinor(totalExtraPayments),
+    newMonthlyPayment: fromMinor(payment),
+    totalCharges: fromMinor(totalCharges),
+    breaches
+  };
+};
+
+// Savings of a schedule with extra payments against the original one (net of any early repayment charges)
+export const summarizeExtraPayments = (originalSchedule, result) => {
+  const countMonths = (schedule) => schedule.filter(row => !row.isGracePeriod && !row.isBalloon).length;
+  const sumInterest = (schedule) => sumMoney(schedule.map(row => row.interestPayment));
+
+  const originalMonths = countMonths(originalSchedule);
+  const modifiedMonths = countMonths(result.schedule);
+  const originalInterest = sumInterest(originalSchedule);
+  const modifiedInterest = sumInterest(result.schedule);
+
+  return {
+    originalMonths,
+    modifiedMonths,
+    monthsSaved: Math.max(0, originalMonths - modifiedMonths),
+    originalInterest,
+    modifiedInterest,
+    interestSaved: roundMoney(originalInterest - modifiedInterest),
+    earlyRepaymentCharges: result.totalCharges || 0,
+    netSaving: roundMoney(originalInterest - modifiedInterest - (result.totalCharges || 0)),
+    totalExtraPayments: result.totalExtraPayments,
+    newMonthlyPayment: result.newMonthlyPayment
+  };
+};
+
+// Targets the overpayment solver can aim for
+export const OVERPAYMENT_TARGETS = {
+  'payoff-date': { id: 'payoff-date', label: 'Mortgage-free by' },
+  'interest-saving': { id: 'interest-saving', label: 'Interest saving of' }
+};
+
+// Repayment months up to the end of a target month ('yyyy-MM'): counted on the schedule's own dates when
+// it has them, otherwise from today with the first payment due next month
+export const getMonthsToTarget = (originalSchedule, targetMonth) => {
+  const target = endOfMonth(parseISO(`${targetMonth}-01`));
+  const repaymentRows = originalSchedule.filter(row => !row.isGracePeriod && !row.isBalloon);
+
+  if (repaymentRows.length > 0 && repaymentRows[0].date) {
+    return repaymentRows.filter(row => new Date(row.date) <= target).length;
+  }
+  return differenceInCalendarMonths(target, new Date());
+};
+
+// Smallest extra payment (at one of the extra-payment frequencies) that pays the loan off within targetValue
+// months, or saves targetValue in interest. Overpayments shorten the term; the allowance is not applied.
+export const solveExtraPaymentForTarget = (originalSchedule, { target = 'payoff-date', targetValue, frequency = 'monthly', startMonth = 1, rate, monthlyPayment, rounding }) => {
+  const options = { rate, monthlyPayment, mode: 'reduce-term', rounding };
+  const evaluate = (amount) => summarizeExtraPayments(
+    originalSchedule,
+    applyExtraPayments(originalSchedule, amount > 0 ? [{ amount, frequency, startMonth }] : [], options)
+  );
+  const meetsTarget = (summary) => (
+    target === 'interest-saving' ? summary.interestSaved >= targetValue : summary.modifiedMonths <= targetValue
+  );
+
+  const current = evaluate(0);
+  if (meetsTarget(current)) {
+    return { amount: 0, ...current };
+  }
+
+  const firstRow = originalSchedule.find(row => !row.isGracePeriod && !row.isBalloon);
+  const maxAmount = firstRow.balance + firstRow.principalPayment;
+  if (!meetsTarget(evaluate(maxAmount))) {
+    throw new Error(target === 'interest-saving'
+      ? 'That interest saving cannot be reached with overpayments starting in this month'
+      : 'The loan cannot be paid off by that date with overpayments starting in this month');
+  }
+
+  // Bisection in minor units, so the amount is the smallest whole penny that reaches the target:
+  // more overpayment always finishes sooner and saves more
+  let low = 0;
+  let high = toMinor(maxAmount, 'up');
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (meetsTarget(evaluate(fromMinor(mid)))) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  const amount = fromMinor(high);
+  return { amount, ...evaluate(amount) };
+};
@@ -0,0 +1,223 @@
+import {
+  applyExtraPayments,
+  getEarlyRepaymentChargeRate,
+  getMonthsToTarget,
+  isExtraPaymentDue,
+  parseChargeTiers,
+  resolvePrepaymentMode,
+  solveExtraPaymentForTarget,
+  summarizeExtraPayments
+} from './earlyRepayment';
+import { calculateMonthlyPayment, generateAmortizationSchedule } from './mortgage';
+
+const schedule = generateAmortizationSchedule(200000, 5, 25);
+const loan = { rate: 5, monthlyPayment: schedule[0].payment };
+const lumpSum = { amount: 20000, frequency: 'one-time', startMonth: 12 };
+
+describe('extra payments', () => {
+  test('falls due once, or on every interval from the start month', () => {
+    expect(isExtraPaymentDue({ frequency: 'one-time', startMonth: 12 }, 12)).toBe(true);
+    expect(isExtraPaymentDue({ frequency: 'one-time', startMonth: 12 }, 24)).toBe(false);
+    expect(isExtraPaymentDue({ frequency: 'quarterly', startMonth: 2 }, 11)).toBe(true);
+    expect(isExtraPaymentDue({ frequency: 'quarterly', startMonth: 2 }, 12)).toBe(false);
+    expect(isExtraPaymentDue({ frequency: 'annually', startMonth: 6 }, 1)).toBe(false);
+    expect(isExtraPaymentDue({ frequency: 'weekly', startMonth: 1 }, 1)).toBe(false);
+  });
+
+  test('uses the payment\'s own mode unless it defers to the global one', () => {
+    expect(resolvePrepaymentMode({ mode: 'reduce-payment' }, 'reduce-term')).toBe('reduce-payment');
+    expect(resolvePrepaymentMode({ mode: 'default' }, 'reduce-payment')).toBe('reduce-payment');
+    expect(resolvePrepaymentMode({})).toBe('reduce-term');
+  });
+});
+
+describe('reduce term or reduce payment', () => {
+  test('keeps the payment and finishes early when reducing the term', () => {
+    const result = applyExtraPayments(schedule, [lumpSum], { ...loan, mode: 'reduce-term' });
+    const summary = summarizeExtraPayments(schedule, result);
+
+    expect(result.newMonthlyPayment).toBe(loan.monthlyPayment);
+    expect(result.schedule[12].payment).toBe(loan.monthlyPayment);
+    expect(summary.monthsSaved).toBeGreaterThan(0);
+    expect(summary.modifiedMonths).toBe(result.schedule.length);
+    expect(result.schedule[result.schedule.length - 1].balance).toBe(0);
+  });
+
+  test('keeps the term and recasts a lower payment when reducing the payment', () => {
+    const result = applyExtraPayments(schedule, [lumpSum], { ...loan, mode: 'reduce-payment' });
+    const summary = summarizeExtraPayments(schedule, result);
+    const balanceAfter = result.schedule[11].balance;
+
+    expect(result.schedule).toHaveLength(300);
+    expect(summary.monthsSaved).toBe(0);
+    expect(result.newMonthlyPayment).toBe(Math.round(calculateMonthlyPayment(balanceAfter, 5, 288 / 12) * 100) / 100);
+    expect(result.schedule[12].payment).toBe(result.newMonthlyPayment);
+    expect(result.schedule[299].balance).toBe(0);
+  });
+
+  test('saves more interest by shortening the term than by recasting', () => {
+    const term = summarizeExtraPayments(schedule, applyExtraPayments(schedule, [lumpSum], { ...loan, mode: 'reduce-term' }));
+    const recast = summarizeExtraPayments(schedule, applyExtraPayments(schedule, [lumpSum], { ...loan, mode: 'reduce-payment' }));
+
+    expect(recast.interestSaved).toBeGreaterThan(0);
+    expect(term.interestSaved).toBeGreaterThan(recast.interestSaved);
+    expect(term.totalExtraPayments).toBe(20000);
+  });
+
+  test('lets each payment choose its own mode', () => {
+    const result = applyExtraPayments(schedule, [
+      { ...lumpSum, mode: 'reduce-payment' },
+      { amount: 5000, frequency: 'one-time', startMonth: 24, mode: 'default' }
+    ], { ...loan, mode: 'reduce-term' });
+
+    // The recast lowers the payment; the later reduce-term payment keeps it and finishes early
+    expect(result.schedule[12].payment).toBeLessThan(loan.monthlyPayment);
+    expect(result.schedule[24].payment).toBe(result.schedule[12].payment);
+    expect(result.schedule.length).toBeLessThan(300);
+  });
+
+  test('keeps every amount in whole pennies and reconciles the principal', () => {
+    const result = applyExtraPayments(schedule, [{ amount: 123.45, frequency: 'monthly', startMonth: 1 }], { ...loan, mode: 'reduce-payment' });
+    const principal = result.schedule.reduce((sum, row) => sum + Math.round(row.principalPayment * 100), 0);
+
+    expect(principal).toBe(20000000);
+    expect(result.schedule.every(row => Math.round(row.payment * 100) / 100 === row.payment)).toBe(true);
+  });
+});
+
+describe('holidays, balloons and part-and-part loans', () => {
+  const monthly = { amount: 100, frequency: 'monthly', startMonth: 1 };
+
+  test('pays nothing in a payment holiday and adds its interest to the balance', () => {
+    const withHoliday = generateAmortizationSchedule(200000, 5, 25, 0, { paymentHolidays: [{ month: 13, months: 3 }] });
+    const unchanged = applyExtraPayments(withHoliday, [], loan);
+    const result = applyExtraPayments(withHoliday, [monthly], { ...loan, mode: 'reduce-term' });
+    const holidayRows = result.schedule.filter(row => row.isPaymentHoliday);
+
+    expect(unchanged.schedule.map(row => row.payment)).toEqual(withHoliday.map(row => row.payment));
+    expect(holidayRows.map(row => row.month)).toEqual([13, 14, 15]);
+    expect(holidayRows.every(row => row.payment === 0 && row.extraPayment === 0)).toBe(true);
+    expect(result.schedule[12].balance).toBe(Math.round((result.schedule[11].balance + result.schedule[12].interestPayment) * 100) / 100);
+    expect(result.schedule[result.schedule.length - 1].balance).toBe(0);
+  });
+
+  test('leaves the balloon owed and carries its row through', () => {
+    const balloon = generateAmortizationSchedule(100000, 5, 10, 0, { balloonAmount: 30000 });
+    const unchanged = applyExtraPayments(balloon, [], { rate: 5, monthlyPayment: balloon[0].payment });
+    const result = applyExtraPayments(balloon, [{ amount: 10000, frequency: 'one-time', startMonth: 12 }], { rate: 5, monthlyPayment: balloon[0].payment });
+    const lastRow = result.schedule[result.schedule.length - 1];
+
+    expect(unchanged.schedule.map(row => row.payment)).toEqual(balloon.map(row => row.payment));
+    expect(lastRow).toMatchObject({ isBalloon: true, payment: 30000, balance: 0 });
+    expect(result.schedule[result.schedule.length - 2].balance).toBe(30000);
+    expect(result.schedule.length).toBeLessThan(balloon.length);
+  });
+
+  test('only overpays the repayment portion of a part-and-part loan', () => {
+    const partAndPart = generateAmortizationSchedule(200000, 5, 25, 0, { interestOnlyAmount: 50000 });
+    const result = applyExtraPayments(partAndPart, [{ amount: 500000, frequency: 'one-time', startMonth: 12 }], { rate: 5, monthlyPayment: partAndPart[0].payment });
+    const lastRow = result.schedule[result.schedule.length - 1];
+
+    expect(result.schedule).toHaveLength(12);
+    // The overpayment is capped at what is left of the repayment portion
+    expect(result.totalExtraPayments).toBe(Math.round((result.schedule[10].balance - 50000 - result.schedule[11].principalPayment + result.schedule[11].extraPayment) * 100) / 100);
+    expect(lastRow).toMatchObject({ balance: 50000, interestOnlyBalance: 50000, repaymentBalance: 0 });
+  });
+});
+
+describe('overpayment allowances and early repayment charges', () => {
+  const allowance = { percent: 10, basis: 'balance', chargeTiers: [5, 4, 3], handling: 'charge' };
+
+  test('reads tiers typed as a list and finds the charge for a loan year', () => {
+    expect(parseChargeTiers('5, 4,3  2 x -1')).toEqual([5, 4, 3, 2]);
+    expect(parseChargeTiers('')).toEqual([]);
+    expect(getEarlyRepaymentChargeRate([5, 4, 3], 2)).toBe(4);
+    expect(getEarlyRepaymentChargeRate([5, 4, 3], 4)).toBe(0);
+  });
+
+  test('charges the year\'s ERC on the excess over the allowance', () => {
+    const result = applyExtraPayments(schedule, [{ amount: 30000, frequency: 'one-time', startMonth: 1 }], { ...loan, allowance });
+
+    // 10% of the 200,000 balance is allowed; 5% is charged on the other 10,000
+    expect(result.breaches).toEqual([{ month: 1, loanYear: 1, excess: 10000, chargeRate: 5, charge: 500, capped: false }]);
+    expect(result.totalCharges).toBe(500);
+    expect(result.totalExtraPayments).toBe(30000);
+    expect(result.schedule[0]).toMatchObject({ exceedsAllowance: true, earlyRepaymentCharge: 500 });
+  });
+
+  test('caps overpayments at the allowance instead of charging', () => {
+    const result = applyExtraPayments(schedule, [{ amount: 30000, frequency: 'one-time', startMonth: 1 }], { ...loan, allowance: { ...allowance, handling: 'cap' } });
+
+    expect(result.totalExtraPayments).toBe(20000);
+    expect(result.totalCharges).toBe(0);
+    expect(result.breaches[0]).toMatchObject({ excess: 10000, capped: true, charge: 0 });
+  });
+
+  test('shares the allowance across the loan year and resets it the next year', () => {
+    const result = applyExtraPayments(schedule, [{ amount: 2000, frequency: 'monthly', startMonth: 1 }], { ...loan, allowance });
+
+    // 10 payments of 2,000 use up the first year's 20,000; the last two breach it
+    expect(result.breaches.filter(breach => breach.loanYear === 1).map(breach => breach.month)).toEqual([11, 12]);
+    expect(result.breaches.find(breach => breach.month === 13)).toBeUndefined();
+  });
+
+  test('measures the allowance against the original loan when asked', () => {
+    const monthly = [{ amount: 1650, frequency: 'monthly', startMonth: 1 }];
+    const byBalance = applyExtraPayments(schedule, monthly, { ...loan, allowance });
+    const byOriginal = applyExtraPayments(schedule, monthly, { ...loan, allowance: { ...allowance, basis: 'original' } });
+
+    // Year 2: the balance has fallen below 200,000, so 10% of it no longer covers 12 × 1,650
+    expect(byBalance.breaches.some(breach => breach.loanYear === 2)).toBe(true);
+    expect(byOriginal.breaches.some(breach => breach.loanYear === 2)).toBe(false);
+  });
+
+  test('allows any overpayment once the charge period ends', () => {
+    const result = applyExtraPayments(schedule, [{ amount: 50000, frequency: 'one-time', startMonth: 37 }], { ...loan, allowance });
+
+    expect(result.breaches).toEqual([]);
+  });
+
+  test('subtracts the charges from the net saving', () => {
+    const result = applyExtraPayments(schedule, [{ amount: 30000, frequency: 'one-time', startMonth: 1 }], { ...loan, allowance });
+    const summary = summarizeExtraPayments(schedule, result);
+
+    expect(summary.earlyRepaymentCharges).toBe(500);
+    expect(summary.netSaving).toBe(Math.round((summary.interestSaved - 500) * 100) / 100);
+  });
+});
+
+describe('overpayment target solver', () => {
+  test('counts the payments due up to the end of a target month', () => {
+    const dated = generateAmortizationSchedule(200000, 5, 25, 0, { startDate: '2026-01-01' });
+
+    // Payments fall due from February 2026, so 11 in 2026 and 12 a year to the end of 2035
+    expect(getMonthsToTarget(dated, '2035-12')).toBe(119);
+  });
+
+  test('finds the smallest monthly overpayment that pays off by the target', () => {
+    const result = solveExtraPaymentForTarget(schedule, { target: 'payoff-date', targetValue: 180, ...loan });
+    const withLess = summarizeExtraPayments(schedule, applyExtraPayments(schedule, [{ amount: result.amount - 0.01, frequency: 'monthly', startMonth: 1 }], loan));
+
+    expect(result.modifiedMonths).toBeLessThanOrEqual(180);
+    expect(withLess.modifiedMonths).toBeGreaterThan(180);
+  });
+
+  test('finds the lump sum now that saves a target amount of interest', () => {
+    const result = solveExtraPaymentForTarget(schedule, { target: 'interest-saving', targetValue: 25000, frequency: 'one-time', ...loan });
+    const withLess = summarizeExtraPayments(schedule, applyExtraPayments(schedule, [{ amount: result.amount - 0.01, frequency: 'one-time', startMonth: 1 }], loan));
+
+    expect(result.interestSaved).toBeGreaterThanOrEqual(25000);
+    expect(withLess.interestSaved).toBeLessThan(25000);
+  });
+
+  test('needs no overpayment when the target is already met', () => {
+    expect(solveExtraPaymentForTarget(schedule, { targetValue: 300, ...loan }).amount).toBe(0);
+  });
+
+  test('throws when no overpayment reaches the target', () => {
+    expect(() => solveExtraPaymentForTarget(schedule, { targetValue: 0, frequency: 'annually', startMonth: 12, ...loan }))
+      .toThrow('cannot be paid off by that date');
+    expect(() => solveExtraPaymentForTarget(schedule, { target: 'interest-saving', targetValue: 500000, ...loan }))
+      .toThrow('cannot be reached');
+  });
+});
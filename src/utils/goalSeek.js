@@ -0,0 +1,138 @@
+import { calculatePeriodicPayment, hasResidualBalance, PAYMENT_FREQUENCIES } from './mortgage';
+
+// Quantities the goal-seek solver can work out from the other three
+export const SOLVE_FOR_OPTIONS = {
+  payment: { id: 'payment', label: 'Payment' },
+  principal: { id: 'principal', label: 'Loan Amount' },
+  rate: { id: 'rate', label: 'Interest Rate' },
+  term: { id: 'term', label: 'Loan Term' }
+};
+
+// Highest rate the rate solver searches up to
+const MAX_SOLVED_RATE = 100;
+
+// Payments a year for a frequency. Accelerated plans pay half the monthly payment, so they are solved
+// as the monthly loan that payment is taken from.
+const getSolverFrequency = (payment, paymentFrequency) => {
+  const frequency = PAYMENT_FREQUENCIES[paymentFrequency] || PAYMENT_FREQUENCIES.monthly;
+  return frequency.accelerated
+    ? { payment: payment * 2, periodsPerYear: 12 }
+    : { payment, periodsPerYear: frequency.periodsPerYear };
+};
+
+// Largest loan a regular payment repays over the term (plus any balloon or interest-only portion left at the end)
+export const solveForPrincipal = (payment, annualRate, termYears, type = 'repayment', balloonAmount = 0, paymentFrequency = 'monthly') => {
+  const { payment: periodicPayment, periodsPerYear } = getSolverFrequency(payment, paymentFrequency);
+  const periodicRate = annualRate / 100 / periodsPerYear;
+  const totalPayments = Math.round(termYears * periodsPerYear);
+  const residual = hasResidualBalance(type) ? balloonAmount : 0;
+
+  if (type === 'interest-only') {
+    if (periodicRate === 0) {
+      throw new Error('An interest-only loan needs an interest rate above 0%');
+    }
+    return periodicPayment / periodicRate;
+  }
+
+  if (periodicRate === 0) {
+    return periodicPayment * totalPayments + residual;
+  }
+
+  const discount = Math.pow(1 + periodicRate, -totalPayments);
+  return periodicPayment * (1 - discount) / periodicRate + residual * discount;
+};
+
+// Annual rate at which the regular payment exactly repays the loan over the term
+export const solveForRate = (principal, payment, termYears, type = 'repayment', balloonAmount = 0, paymentFrequency = 'monthly') => {
+  const { payment: periodicPayment, periodsPerYear } = getSolverFrequency(payment, paymentFrequency);
+  const frequency = periodsPerYear === 12 ? 'monthly' : paymentFrequency;
+  const paymentAt = (rate) => calculatePeriodicPayment(principal, rate, termYears, frequency, type, balloonAmount);
+
+  if (type !== 'interest-only' && periodicPayment * Math.round(termYears * periodsPerYear) + (hasResidualBalance(type) ? balloonAmount : 0) < principal) {
+    throw new Error('The payment is too low to repay the loan over this term, even at 0%');
+  }
+  if (paymentAt(MAX_SOLVED_RATE) < periodicPayment) {
+    throw new Error(`The payment is more than the loan would cost even at ${MAX_SOLVED_RATE}% interest`);
+  }
+
+  if (type === 'interest-only') {
+    return (periodicPayment * periodsPerYear / principal) * 100;
+  }
+
+  // Bisection: the payment rises with the rate
+  let low = 0;
+  let high = MAX_SOLVED_RATE;
+  for (let i = 0; i < 100 && high - low > 1e-9; i++) {
+    const mid = (low + high) / 2;
+    if (paymentAt(mid) < periodicPayment) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+// Whole payments needed to pay the loan down (to the balloon or interest-only portion, if any) with the regular payment.
+// Accelerated plans are counted in months of the monthly loan their payment is taken from.
+export const solveForTermPeriods = (principal, annualRate, payment, type = 'repayment', balloonAmount = 0, paymentFrequency = 'monthly') => {
+  const { payment: periodicPayment, periodsPerYear } = getSolverFrequency(payment, paymentFrequency);
+  const periodicRate = annualRate / 100 / periodsPerYear;
+  const residual = hasResidualBalance(type) ? Math.min(balloonAmount, principal) : 0;
+
+  if (type === 'interest-only') {
+    throw new Error('An interest-only loan is not repaid by its regular payments, so it has no payoff term');
+  }
+
+  if (periodicRate === 0) {
+    return Math.ceil((principal - residual) / periodicPayment);
+  }
+
+  if (periodicPayment <= principal * periodicRate) {
+    throw new Error('The payment does not cover the interest, so the loan would never be repaid');
+  }
+
+  return Math.ceil(
+    Math.log((periodicPayment - residual * periodicRate) / (periodicPayment - principal * periodicRate)) / Math.log(1 + periodicRate)
+  );
+};
+
+// Solve for one unknown (principal, rate, term or payment) given the other three.
+// The payment returned is the one the solved loan actually needs: after rounding the loan amount down,
+// the rate to 3 decimal places or the term up to whole payments it can be slightly below the target.
+export const goalSeek = ({
+  solveFor = 'payment',
+  principal,
+  rate,
+  termYears,
+  payment,
+  type = 'repayment',
+  balloonAmount = 0,
+  paymentFrequency = 'monthly'
+}) => {
+  switch (solveFor) {
+    case 'principal':
+      principal = Math.floor(solveForPrincipal(payment, rate, termYears, type, balloonAmount, paymentFrequency));
+      break;
+    case 'rate':
+      rate = parseFloat(solveForRate(principal, payment, termYears, type, balloonAmount, paymentFrequency).toFixed(3));
+      break;
+    case 'term': {
+      const { periodsPerYear } = getSolverFrequency(payment, paymentFrequency);
+      termYears = solveForTermPeriods(principal, rate, payment, type, balloonAmount, paymentFrequency) / periodsPerYear;
+      break;
+    }
+    case 'payment':
+      break;
+    default:
+      throw new Error(`Unknown goal-seek target: ${solveFor}`);
+  }
+
+  return {
+    principal,
+    rate,
+    termYears,
+    payment: parseFloat(calculatePeriodicPayment(principal, rate, termYears, paymentFrequency, type, balloonAmount).toFixed(2))
+  };
+};
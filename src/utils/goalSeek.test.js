@@ -0,0 +1,70 @@
+import { goalSeek, solveForPrincipal, solveForRate, solveForTermPeriods } from './goalSeek';
+import { calculateMonthlyPayment, calculatePeriodicPayment } from './mortgage';
+
+describe('goal seek', () => {
+  test('inverts the payment formula for the loan amount', () => {
+    const payment = calculateMonthlyPayment(200000, 5, 25);
+
+    expect(solveForPrincipal(payment, 5, 25)).toBeCloseTo(200000, 6);
+    expect(solveForPrincipal(500, 0, 10)).toBe(60000);
+  });
+
+  test('finds the rate that makes a payment work', () => {
+    const payment = calculateMonthlyPayment(200000, 4.25, 25);
+
+    expect(solveForRate(200000, payment, 25)).toBeCloseTo(4.25, 6);
+  });
+
+  test('throws when no rate up to 100% reaches the payment', () => {
+    expect(() => solveForRate(100000, 9000, 25)).toThrow('even at 100%');
+    expect(() => solveForRate(100000, 300, 25)).toThrow('even at 0%');
+  });
+
+  test('counts the whole payments needed to repay the loan', () => {
+    expect(solveForTermPeriods(100000, 5, 800)).toBe(177);
+    expect(() => solveForTermPeriods(100000, 5, 400)).toThrow('never be repaid');
+    expect(() => solveForTermPeriods(100000, 5, 800, 'interest-only')).toThrow('no payoff term');
+  });
+
+  test('rounds a solved term up to whole months and reports the payment it needs', () => {
+    const result = goalSeek({ solveFor: 'term', principal: 100000, rate: 5, payment: 800 });
+
+    expect(result.termYears).toBe(177 / 12);
+    expect(result.payment).toBeLessThanOrEqual(800);
+    expect(result.payment).toBe(parseFloat(calculateMonthlyPayment(100000, 5, 177 / 12).toFixed(2)));
+  });
+
+  test('reports the payment for a loan amount rounded down to whole units', () => {
+    const result = goalSeek({ solveFor: 'principal', rate: 5, termYears: 25, payment: 1000 });
+
+    expect(result.principal).toBe(171060);
+    expect(result.payment).toBe(1000);
+  });
+
+  test('solves per period for weekly and fortnightly payments', () => {
+    const fortnightly = goalSeek({ solveFor: 'rate', principal: 200000, termYears: 25, payment: 540, paymentFrequency: 'fortnightly' });
+    const weekly = goalSeek({ solveFor: 'term', principal: 50000, rate: 6, payment: 250, paymentFrequency: 'weekly' });
+
+    expect(calculatePeriodicPayment(200000, fortnightly.rate, 25, 'fortnightly')).toBeCloseTo(540, 1);
+    expect(Number.isInteger(Math.round(weekly.termYears * 52 * 1e9) / 1e9)).toBe(true);
+    expect(weekly.payment).toBeLessThanOrEqual(250);
+  });
+
+  test('solves accelerated plans from the monthly loan their payment is taken from', () => {
+    const result = goalSeek({ solveFor: 'principal', rate: 5, termYears: 25, payment: 500, paymentFrequency: 'accelerated-biweekly' });
+
+    expect(result.principal).toBe(Math.floor(solveForPrincipal(1000, 5, 25)));
+    expect(result.payment).toBe(500);
+  });
+
+  test('leaves balloon and part-and-part residuals out of the regular payments', () => {
+    const payment = calculateMonthlyPayment(20000, 7, 4, 'balloon', 8000);
+
+    expect(solveForPrincipal(payment, 7, 4, 'balloon', 8000)).toBeCloseTo(20000, 6);
+    expect(solveForTermPeriods(20000, 7, payment, 'balloon', 8000)).toBe(48);
+  });
+
+  test('rejects an unknown target', () => {
+    expect(() => goalSeek({ solveFor: 'fees' })).toThrow('Unknown goal-seek target');
+  });
+});
@@ -0,0 +1,102 @@
+import { roundMoney, sumMoney } from './money';
+
+// Monthly cost of owning a home, in the order it is broken down. PITI is principal, interest,
+// property tax and insurance; lenders in the US collect the tax and insurance through escrow.
+export const HOUSING_COST_ITEMS = {
+  principal: { id: 'principal', label: 'Principal' },
+  interest: { id: 'interest', label: 'Interest' },
+  propertyTax: { id: 'propertyTax', label: 'Property Tax', escrow: true },
+  homeInsurance: { id: 'homeInsurance', label: 'Home Insurance', escrow: true },
+  mortgageInsurance: { id: 'mortgageInsurance', label: 'Mortgage Insurance', escrow: true },
+  serviceCharge: { id: 'serviceCharge', label: 'HOA / Service Charge' },
+  groundRent: { id: 'groundRent', label: 'Ground Rent' }
+};
+
+// England council tax bands by 1991 property value, with the 2025/26 average annual charge.
+// Bands are fixed fractions of Band D; the actual charge depends on the local council.
+export const COUNCIL_TAX_BANDS = {
+  A: { id: 'A', label: 'Band A (up to £40,000)', annual: 1520 },
+  B: { id: 'B', label: 'Band B (£40,001 - £52,000)', annual: 1773 },
+  C: { id: 'C', label: 'Band C (£52,001 - £68,000)', annual: 2027 },
+  D: { id: 'D', label: 'Band D (£68,001 - £88,000)', annual: 2280 },
+  E: { id: 'E', label: 'Band E (£88,001 - £120,000)', annual: 2787 },
+  F: { id: 'F', label: 'Band F (£120,001 - £160,000)', annual: 3293 },
+  G: { id: 'G', label: 'Band G (£160,001 - £320,000)', annual: 3800 },
+  H: { id: 'H', label: 'Band H (over £320,000)', annual: 4560 }
+};
+
+// Monthly costs that do not depend on the property price: council tax, insurance, service charge and ground rent.
+// Costs options are { propertyTaxRate, councilTaxBand, homeInsurance, serviceCharge, groundRent }, with
+// property tax as an annual % of the property value, insurance and ground rent annual, and the service charge monthly.
+export const getFixedHousingCosts = (costs = {}) => sumMoney([
+  (COUNCIL_TAX_BANDS[costs.councilTaxBand]?.annual || 0) / 12,
+  (parseFloat(costs.homeInsurance) || 0) / 12,
+  parseFloat(costs.serviceCharge) || 0,
+  (parseFloat(costs.groundRent) || 0) / 12
+]);
+
+// Typical property tax and home insurance together, as an annual % of the property value
+export const ESTIMATED_TAX_INSURANCE_RATE = 1.5;
+
+// Whether property tax (or a council tax band) or home insurance has been entered
+export const hasTaxOrInsurance = (costs = {}) => Boolean(
+  COUNCIL_TAX_BANDS[costs.councilTaxBand] || parseFloat(costs.propertyTaxRate) > 0 || parseFloat(costs.homeInsurance) > 0
+);
+
+// Costs options with tax and insurance estimated at the typical rate when neither has been entered.
+// The estimate is carried as the property tax line and flagged so it can be labelled as one.
+export const withTaxInsuranceEstimate = (costs = {}) => (
+  hasTaxOrInsurance(costs)
+    ? costs
+    : { ...costs, propertyTaxRate: ESTIMATED_TAX_INSURANCE_RATE, taxInsuranceEstimated: true }
+);
+
+// Monthly property tax as a share of the property value (0 when a council tax band is used instead)
+export const getPropertyTaxRate = (costs = {}) => (
+  COUNCIL_TAX_BANDS[costs.councilTaxBand] ? 0 : (parseFloat(costs.propertyTaxRate) || 0) / 100 / 12
+);
+
+// Monthly housing cost breakdown for a mortgage payment split into principal and interest.
+// Returns each item, the escrowed taxes and insurance, PITI and the total.
+export const calculateHousingCosts = (costs = {}, { principal = 0, interest = 0, mortgageInsurance = 0, propertyValue = 0 } = {}) => {
+  const councilTaxBand = COUNCIL_TAX_BANDS[costs.councilTaxBand];
+  const value = parseFloat(costs.propertyValue) || propertyValue;
+
+  const breakdown = {
+    principal: roundMoney(principal),
+    interest: roundMoney(interest),
+    propertyTax: roundMoney(councilTaxBand ? councilTaxBand.annual / 12 : value * getPropertyTaxRate(costs)),
+    homeInsurance: roundMoney((parseFloat(costs.homeInsurance) || 0) / 12),
+    mortgageInsurance: roundMoney(mortgageInsurance),
+    serviceCharge: roundMoney(parseFloat(costs.serviceCharge) || 0),
+    groundRent: roundMoney((parseFloat(costs.groundRent) || 0) / 12)
+  };
+
+  const items = Object.values(HOUSING_COST_ITEMS).map(item => ({
+    ...item,
+    ...(item.id === 'propertyTax' && councilTaxBand && { label: `Council Tax (Band ${councilTaxBand.id})` }),
+    ...(item.id === 'propertyTax' && costs.taxInsuranceEstimated && { label: 'Property Tax & Insurance (estimate)' }),
+    amount: breakdown[item.id]
+  }));
+
+  return {
+    ...breakdown,
+    ...(councilTaxBand && { councilTaxBand: councilTaxBand.id }),
+    ...(costs.taxInsuranceEstimated && { taxInsuranceEstimated: true }),
+    propertyValue: value,
+    items,
+    escrow: sumMoney(items.filter(item => item.escrow).map(item => item.amount)),
+    piti: sumMoney([breakdown.principal, breakdown.interest, breakdown.propertyTax, breakdown.homeInsurance, breakdown.mortgageInsurance]),
+    total: sumMoney(items.map(item => item.amount))
+  };
+};
+
+// Front-end (housing) and back-end (housing plus other debts) debt-to-income ratios, as fractions of income
+export const getDebtToIncomeRatios = (monthlyHousingCost, monthlyDebts, monthlyIncome) => (
+  monthlyIncome > 0
+    ? {
+        frontEnd: monthlyHousingCost / monthlyIncome,
+        backEnd: (monthlyHousingCost + monthlyDebts) / monthlyIncome
+      }
+    : { frontEnd: 0, backEnd: 0 }
+);
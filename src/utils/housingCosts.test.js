@@ -0,0 +1,80 @@
+import {
+  calculateHousingCosts,
+  ESTIMATED_TAX_INSURANCE_RATE,
+  getDebtToIncomeRatios,
+  getFixedHousingCosts,
+  getPropertyTaxRate,
+  hasTaxOrInsurance,
+  withTaxInsuranceEstimate
+} from './housingCosts';
+import { calculateAffordability, calculateMortgage } from './mortgage';
+
+describe('housing costs', () => {
+  test('breaks a payment down into PITI, escrow and the total', () => {
+    const costs = calculateHousingCosts(
+      { propertyTaxRate: 1.2, homeInsurance: 1800, serviceCharge: 250, groundRent: 300 },
+      { principal: 400, interest: 1000, mortgageInsurance: 50, propertyValue: 300000 }
+    );
+
+    expect(costs).toMatchObject({ propertyTax: 300, homeInsurance: 150, serviceCharge: 250, groundRent: 25 });
+    expect(costs.escrow).toBe(500);
+    expect(costs.piti).toBe(1900);
+    expect(costs.total).toBe(2175);
+    expect(costs.items.map(item => item.id)).toEqual(['principal', 'interest', 'propertyTax', 'homeInsurance', 'mortgageInsurance', 'serviceCharge', 'groundRent']);
+  });
+
+  test('uses the council tax band instead of a property tax rate', () => {
+    const costs = calculateHousingCosts({ councilTaxBand: 'D', propertyTaxRate: 1.2 }, { propertyValue: 300000 });
+
+    expect(costs.propertyTax).toBe(190);
+    expect(costs.councilTaxBand).toBe('D');
+    expect(costs.items[2].label).toBe('Council Tax (Band D)');
+    expect(getPropertyTaxRate({ councilTaxBand: 'D', propertyTaxRate: 1.2 })).toBe(0);
+  });
+
+  test('separates the costs that do not depend on the price', () => {
+    expect(getFixedHousingCosts({ councilTaxBand: 'D', homeInsurance: 1200, serviceCharge: 100, groundRent: 240 })).toBe(410);
+    expect(getFixedHousingCosts()).toBe(0);
+  });
+
+  test('works out front-end and back-end debt-to-income ratios', () => {
+    expect(getDebtToIncomeRatios(1500, 500, 5000)).toEqual({ frontEnd: 0.3, backEnd: 0.4 });
+    expect(getDebtToIncomeRatios(1500, 500, 0)).toEqual({ frontEnd: 0, backEnd: 0 });
+  });
+
+  test('includes the first payment split in the mortgage result', () => {
+    const result = calculateMortgage({ principal: 200000, rate: 5, termYears: 25, housingCosts: { propertyValue: 250000, propertyTaxRate: 1, homeInsurance: 1200 } });
+
+    expect(result.housingCosts.interest).toBe(833.33);
+    expect(result.housingCosts.propertyTax).toBe(208.33);
+    expect(result.housingCosts.piti).toBe(Math.round((result.monthlyPayment + 208.33 + 100) * 100) / 100);
+  });
+});
+
+describe('tax and insurance estimate', () => {
+  test('estimates tax and insurance only when neither has been entered', () => {
+    expect(hasTaxOrInsurance({})).toBe(false);
+    expect(hasTaxOrInsurance({ propertyTaxRate: 0, homeInsurance: 0, serviceCharge: 200 })).toBe(false);
+    expect(hasTaxOrInsurance({ homeInsurance: 900 })).toBe(true);
+    expect(hasTaxOrInsurance({ councilTaxBand: 'B' })).toBe(true);
+
+    expect(withTaxInsuranceEstimate({ serviceCharge: 200 })).toEqual({ serviceCharge: 200, propertyTaxRate: ESTIMATED_TAX_INSURANCE_RATE, taxInsuranceEstimated: true });
+    expect(withTaxInsuranceEstimate({ propertyTaxRate: 0.8 })).toEqual({ propertyTaxRate: 0.8 });
+  });
+
+  test('labels the estimated line as an estimate', () => {
+    const costs = calculateHousingCosts(withTaxInsuranceEstimate({}), { propertyValue: 400000 });
+
+    // 1.5% of 400,000 a year
+    expect(costs.propertyTax).toBe(500);
+    expect(costs.taxInsuranceEstimated).toBe(true);
+    expect(costs.items[2].label).toBe('Property Tax & Insurance (estimate)');
+  });
+
+  test('lowers the affordable price once the estimate counts towards the debt-to-income limit', () => {
+    const withoutCosts = calculateAffordability(8000, 500, 50000, 5, 25, 0.36);
+    const estimated = calculateAffordability(8000, 500, 50000, 5, 25, 0.36, withTaxInsuranceEstimate({}));
+
+    expect(estimated).toBeLessThan(withoutCosts);
+  });
+});
@@ -0,0 +1,91 @@
+import { roundMoney, sumMoney } from './money';
+import { summarizeScheduleByYear } from './mortgage';
+
+// Income tax regimes for Indian home loan borrowers. Under the new regime (the default from FY 2023-24)
+// interest and principal on a self-occupied home are not deductible.
+export const TAX_REGIMES = {
+  old: { id: 'old', label: 'Old regime (with deductions)', deductions: true },
+  new: { id: 'new', label: 'New regime (Section 115BAC)', deductions: false }
+};
+
+// Marginal income tax slab rates (%) across both regimes
+export const TAX_SLAB_RATES = [0, 5, 10, 15, 20, 25, 30];
+
+// Health and education cess (%) charged on income tax
+export const HEALTH_EDUCATION_CESS = 4;
+
+// Yearly deduction limits for a self-occupied home, per borrower (₹)
+export const SECTION_LIMITS = {
+  // Interest, Section 24(b)
+  section24b: 200000,
+  // Principal, Section 80C (shared with PPF, ELSS, life insurance and other 80C investments)
+  section80C: 150000,
+  // Extra interest for first homes worth up to ₹45 lakh on loans sanctioned between April 2019 and March 2022
+  section80EEA: 150000
+};
+
+// Tax saved on a deduction at a marginal slab rate, including cess
+const taxOn = (deduction, slabRate) => roundMoney(deduction * (slabRate / 100) * (1 + HEALTH_EDUCATION_CESS / 100));
+
+// Yearly home loan tax benefits from a schedule grouped by financial year.
+// Options: { regime, slabRate, rate, other80C (already claimed under 80C), eligible80EEA, grouping }.
+// The post-tax effective rate counts only the tax saved on interest, as 80C can be used by other investments.
+export const calculateIndianTaxBenefits = (schedule, {
+  regime = 'old',
+  slabRate = 30,
+  rate = 0,
+  other80C = 0,
+  eligible80EEA = false,
+  grouping = 'india-fy'
+} = {}) => {
+  const deductionsAllowed = (TAX_REGIMES[regime] || TAX_REGIMES.old).deductions;
+  const room80C = Math.max(0, SECTION_LIMITS.section80C - (parseFloat(other80C) || 0));
+
+  const years = summarizeScheduleByYear(schedule, grouping).map(year => {
+    // Capitalized holiday interest shows as negative principal; it is not a repayment
+    const principalPaid = Math.max(0, year.principalPaid);
+    const interestPaid = year.interestPaid;
+    const deduction24b = deductionsAllowed ? Math.min(interestPaid, SECTION_LIMITS.section24b) : 0;
+    const deduction80EEA = deductionsAllowed && eligible80EEA
+      ? Math.min(roundMoney(interestPaid - deduction24b), SECTION_LIMITS.section80EEA)
+      : 0;
+    const deduction80C = deductionsAllowed ? Math.min(principalPaid, room80C) : 0;
+
+    const interestTaxSaved = taxOn(deduction24b + deduction80EEA, slabRate);
+    const principalTaxSaved = taxOn(deduction80C, slabRate);
+    const lastPayment = year.payments[year.payments.length - 1];
+    const yearRate = lastPayment?.rate ?? rate;
+
+    return {
+      key: year.key,
+      label: year.label,
+      interestPaid,
+      principalPaid,
+      deduction24b,
+      deduction80EEA,
+      deduction80C,
+      interestTaxSaved,
+      principalTaxSaved,
+      taxSaved: roundMoney(interestTaxSaved + principalTaxSaved),
+      effectiveRate: interestPaid > 0
+        ? parseFloat((yearRate * (1 - interestTaxSaved / interestPaid)).toFixed(2))
+        : yearRate
+    };
+  });
+
+  const totalInterest = sumMoney(years.map(year => year.interestPaid));
+  const interestTaxSaved = sumMoney(years.map(year => year.interestTaxSaved));
+
+  return {
+    regime: deductionsAllowed ? 'old' : 'new',
+    slabRate,
+    years,
+    totalInterest,
+    interestTaxSaved,
+    principalTaxSaved: sumMoney(years.map(year => year.principalTaxSaved)),
+    totalTaxSaved: sumMoney(years.map(year => year.taxSaved)),
+    effectiveRate: totalInterest > 0
+      ? parseFloat((rate * (1 - interestTaxSaved / totalInterest)).toFixed(2))
+      : rate
+  };
+};
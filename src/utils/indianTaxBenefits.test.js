@@ -0,0 +1,63 @@
+import { calculateIndianTaxBenefits, SECTION_LIMITS } from './indianTaxBenefits';
+import { generateAmortizationSchedule } from './mortgage';
+
+// ₹50 lakh over 20 years at 9%: interest and principal in a full year run past the 24(b) limit and under the 80C limit
+const largeLoan = generateAmortizationSchedule(5000000, 9, 20, 0, { startDate: '2026-04-01' });
+
+describe('Indian home loan tax benefits', () => {
+  test('caps interest at the Section 24(b) limit and principal at the 80C limit', () => {
+    const { years } = calculateIndianTaxBenefits(largeLoan, { slabRate: 30, rate: 9 });
+    const year = years[1];
+
+    expect(year.label).toMatch(/^FY /);
+    expect(year.interestPaid).toBeGreaterThan(SECTION_LIMITS.section24b);
+    expect(year.deduction24b).toBe(SECTION_LIMITS.section24b);
+    expect(year.principalPaid).toBeLessThan(SECTION_LIMITS.section80C);
+    expect(year.deduction80C).toBe(year.principalPaid);
+    expect(year.deduction80EEA).toBe(0);
+    // 30% slab plus 4% cess
+    expect(year.interestTaxSaved).toBe(62400);
+  });
+
+  test('deducts the full interest when it is under the 24(b) limit', () => {
+    const schedule = generateAmortizationSchedule(1000000, 8, 15, 0, { startDate: '2026-04-01' });
+    const { years } = calculateIndianTaxBenefits(schedule, { slabRate: 20, rate: 8 });
+
+    expect(years[1].interestPaid).toBeLessThan(SECTION_LIMITS.section24b);
+    expect(years[1].deduction24b).toBe(years[1].interestPaid);
+  });
+
+  test('adds 80EEA interest above the 24(b) limit, up to its own limit', () => {
+    const { years } = calculateIndianTaxBenefits(largeLoan, { slabRate: 30, rate: 9, eligible80EEA: true });
+
+    expect(years[1].deduction80EEA).toBe(SECTION_LIMITS.section80EEA);
+    expect(years[1].interestTaxSaved).toBe(109200);
+  });
+
+  test('shares the 80C limit with other investments already claimed', () => {
+    const { years } = calculateIndianTaxBenefits(largeLoan, { other80C: 100000 });
+    const { years: noRoom } = calculateIndianTaxBenefits(largeLoan, { other80C: 200000 });
+
+    expect(years[1].deduction80C).toBe(50000);
+    expect(noRoom[1].deduction80C).toBe(0);
+    expect(noRoom[1].principalTaxSaved).toBe(0);
+  });
+
+  test('allows no deductions under the new regime', () => {
+    const benefits = calculateIndianTaxBenefits(largeLoan, { regime: 'new', rate: 9, eligible80EEA: true });
+
+    expect(benefits.regime).toBe('new');
+    expect(benefits.totalTaxSaved).toBe(0);
+    expect(benefits.effectiveRate).toBe(9);
+    expect(benefits.years.every(year => year.deduction24b === 0 && year.deduction80C === 0)).toBe(true);
+  });
+
+  test('lowers the effective rate by the tax saved on interest only', () => {
+    const benefits = calculateIndianTaxBenefits(largeLoan, { slabRate: 30, rate: 9 });
+    const expected = parseFloat((9 * (1 - benefits.interestTaxSaved / benefits.totalInterest)).toFixed(2));
+
+    expect(benefits.effectiveRate).toBe(expected);
+    expect(benefits.effectiveRate).toBeLessThan(9);
+    expect(benefits.totalTaxSaved).toBe(Math.round((benefits.interestTaxSaved + benefits.principalTaxSaved) * 100) / 100);
+  });
+});
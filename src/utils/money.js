@@ -0,0 +1,55 @@
+// Money arithmetic in integer minor units (pence, cents, paise) so schedules add up to the penny.
+// Amounts cross into and out of minor units at the edges; everything in between is whole numbers.
+
+// Directions a minor-unit amount can be rounded in
+const ROUNDERS = {
+  nearest: (units) => Math.sign(units) * Math.round(Math.abs(units)),
+  up: Math.ceil,
+  down: Math.floor
+};
+
+// Round an amount already in minor units to a whole multiple of `increment` (1 = penny, 100 = whole unit).
+// Nearest rounds halves away from zero, as lenders do; float noise is stripped first so 0.5 stays a half.
+export const roundMinor = (minor, mode = 'nearest', increment = 1) => {
+  const units = parseFloat((minor / increment).toFixed(8));
+  return (ROUNDERS[mode] || ROUNDERS.nearest)(units) * increment;
+};
+
+// Major units (pounds, dollars, rupees) to whole minor units
+export const toMinor = (amount, mode = 'nearest') => roundMinor((Number(amount) || 0) * 100, mode);
+
+// Whole minor units back to major units
+export const fromMinor = (minor) => minor / 100;
+
+// Round a major-unit amount to the nearest minor unit
+export const roundMoney = (amount) => fromMinor(toMinor(amount));
+
+// Sum major-unit amounts exactly
+export const sumMoney = (amounts) => fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount), 0));
+
+// How lenders round the regular payment. Interest is always charged to the nearest minor unit and the
+// final payment absorbs whatever residual the rounded payments leave, so the balance clears exactly.
+export const ROUNDING_POLICIES = {
+  'nearest-minor': { id: 'nearest-minor', label: 'Nearest penny / cent', mode: 'nearest', increment: 1 },
+  'up-minor': { id: 'up-minor', label: 'Up to the next penny / cent', mode: 'up', increment: 1 },
+  'whole-unit': { id: 'whole-unit', label: 'Nearest whole unit (e.g. rupee EMIs)', mode: 'nearest', increment: 100 }
+};
+
+// Rounding policy each supported region's lenders use by default
+export const REGION_ROUNDING_POLICIES = {
+  'en-GB': 'up-minor',
+  'en-US': 'nearest-minor',
+  'en-IN': 'whole-unit'
+};
+
+// Resolve a rounding policy by id, falling back to the nearest minor unit
+export const getRoundingPolicy = (policy) => ROUNDING_POLICIES[policy] || ROUNDING_POLICIES['nearest-minor'];
+
+// Regular payment in minor units, rounded under a policy
+export const roundPaymentMinor = (amount, policy) => {
+  const { mode, increment } = getRoundingPolicy(policy);
+  return roundMinor((Number(amount) || 0) * 100, mode, increment);
+};
+
+// Regular payment in major units, rounded under a policy
+export const roundPayment = (amount, policy) => fromMinor(roundPaymentMinor(amount, policy));
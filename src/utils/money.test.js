@@ -0,0 +1,81 @@
+import {
+  fromMinor,
+  getRoundingPolicy,
+  REGION_ROUNDING_POLICIES,
+  roundMinor,
+  roundMoney,
+  roundPayment,
+  sumMoney,
+  toMinor
+} from './money';
+import { calculateMortgage, generateAmortizationSchedule } from './mortgage';
+
+describe('minor-unit arithmetic', () => {
+  test('converts to and from whole minor units', () => {
+    expect(toMinor(1234.565)).toBe(123457);
+    expect(toMinor('19.99')).toBe(1999);
+    expect(toMinor(undefined)).toBe(0);
+    expect(fromMinor(123457)).toBe(1234.57);
+  });
+
+  test('rounds halves away from zero despite float noise', () => {
+    expect(roundMoney(1.005)).toBe(1.01);
+    expect(roundMoney(-1.005)).toBe(-1.01);
+    expect(roundMoney(2.675)).toBe(2.68);
+  });
+
+  test('rounds minor units to an increment in each direction', () => {
+    expect(roundMinor(12345, 'nearest', 100)).toBe(12300);
+    expect(roundMinor(12350, 'nearest', 100)).toBe(12400);
+    expect(roundMinor(12301, 'up', 100)).toBe(12400);
+    expect(roundMinor(12399, 'down', 100)).toBe(12300);
+  });
+
+  test('adds amounts exactly', () => {
+    expect(0.1 + 0.2).not.toBe(0.3);
+    expect(sumMoney([0.1, 0.2])).toBe(0.3);
+    expect(sumMoney(Array(1000).fill(0.01))).toBe(10);
+  });
+});
+
+describe('rounding policies', () => {
+  test('rounds the payment as each region\'s lenders do', () => {
+    expect(REGION_ROUNDING_POLICIES).toEqual({ 'en-GB': 'up-minor', 'en-US': 'nearest-minor', 'en-IN': 'whole-unit' });
+    expect(roundPayment(1060.6551, 'nearest-minor')).toBe(1060.66);
+    expect(roundPayment(1060.6512, 'up-minor')).toBe(1060.66);
+    expect(roundPayment(21247.49, 'whole-unit')).toBe(21247);
+    expect(roundPayment(21247.5, 'whole-unit')).toBe(21248);
+  });
+
+  test('falls back to the nearest minor unit for an unknown policy', () => {
+    expect(getRoundingPolicy('banker').id).toBe('nearest-minor');
+  });
+
+  test('pays a whole-rupee EMI and absorbs the residual in the final payment', () => {
+    const schedule = generateAmortizationSchedule(2500000, 8.5, 20, 0, { rounding: 'whole-unit' });
+    const regular = schedule.slice(0, -1);
+
+    expect(regular.every(row => Number.isInteger(row.payment))).toBe(true);
+    expect(new Set(regular.map(row => row.payment)).size).toBe(1);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+    expect(sumMoney(schedule.map(row => row.principalPayment))).toBe(2500000);
+  });
+
+  test('rounds the payment up to the penny so the final payment is the smallest', () => {
+    const schedule = generateAmortizationSchedule(200000, 4.5, 25, 0, { rounding: 'up-minor' });
+    const last = schedule[schedule.length - 1];
+
+    expect(schedule[0].payment).toBe(1111.67);
+    expect(last.payment).toBeLessThanOrEqual(schedule[0].payment);
+    expect(last.balance).toBe(0);
+  });
+
+  test('reconciles totals with the schedule to the penny', () => {
+    const result = calculateMortgage({ principal: 187654.32, rate: 4.125, termYears: 27, rounding: 'up-minor' });
+    const schedule = generateAmortizationSchedule(187654.32, 4.125, 27, 0, { rounding: 'up-minor' });
+
+    expect(result.rate).toBe(4.125);
+    expect(result.totalRepayment).toBe(sumMoney(schedule.map(row => row.payment)));
+    expect(result.totalInterest).toBe(sumMoney(schedule.map(row => row.interestPayment)));
+  });
+});
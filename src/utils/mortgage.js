@@ -1,7 +1,19 @@
-// Monthly payment calculator using standard mortgage formulas
-export const calculateMonthlyPayment = (principal, annualRate, termYears, type = 'repayment') => {
+import { addDays, addMonths, differenceInCalendarDays, differenceInCalendarMonths, format, isLastDayOfMonth, parseISO } from 'date-fns';
+import { fromMinor, getRoundingPolicy, roundMoney, roundPayment, roundPaymentMinor, sumMoney, toMinor } from './money';
+import { isMortgageInsuranceDue, MORTGAGE_INSURANCE_TYPES, resolveMortgageInsurance, summarizeMortgageInsurance } from './mortgageInsurance';
+import { calculateHousingCosts, getFixedHousingCosts, getPropertyTaxRate } from './housingCosts';
+import { calculateMortgageInterestDeduction } from './usTaxDeduction';
+import { FIXED_COMPARISON_TERM_YEARS, getArmRateChanges, resolveArmTerms } from './arm';
+
+// Loan types whose regular payments leave part of the principal owed at the end of the term
+export const hasResidualBalance = (type) => type === 'balloon' || type === 'part-and-part';
+
+// Monthly payment calculator using standard mortgage formulas.
+// Balloon loans amortize down to the residual; part-and-part loans down to the interest-only portion.
+export const calculateMonthlyPayment = (principal, annualRate, termYears, type = 'repayment', balloonAmount = 0) => {
   const monthlyRate = annualRate / 100 / 12;
   const totalPayments = termYears * 12;
+  const residual = hasResidualBalance(type) ? balloonAmount : 0;
 
   // Interest-only calculation
   if (type === 'interest-only') {
@@ -10,11 +22,210 @@ export const calculateMonthlyPayment = (principal, annualRate, termYears, type =
 
   // 0% interest edge case
   if (monthlyRate === 0) {
-    return principal / totalPayments;
+    return (principal - residual) / totalPayments;
   }
 
   const x = Math.pow(1 + monthlyRate, totalPayments);
-  return (principal * x * monthlyRate) / (x - 1);
+  return ((principal * x - residual) * monthlyRate) / (x - 1);
+};
+
+// Balloon (residual) or interest-only portion from a fixed amount or a percentage of the principal, capped at the principal
+export const resolveBalloonAmount = (principal, balloon = 0, balloonType = 'amount') => {
+  const amount = balloonType === 'percent'
+    ? principal * (parseFloat(balloon) || 0) / 100
+    : parseFloat(balloon) || 0;
+  return Math.min(Math.max(amount, 0), principal);
+};
+
+// Supported repayment frequencies (accelerated plans pay half the monthly payment every two weeks)
+export const PAYMENT_FREQUENCIES = {
+  monthly: { id: 'monthly', label: 'Monthly', periodsPerYear: 12 },
+  fortnightly: { id: 'fortnightly', label: 'Fortnightly', periodsPerYear: 26 },
+  weekly: { id: 'weekly', label: 'Weekly', periodsPerYear: 52 },
+  'accelerated-biweekly': { id: 'accelerated-biweekly', label: 'Accelerated Bi-weekly', periodsPerYear: 26, accelerated: true }
+};
+
+// Regular payment for the chosen frequency
+export const calculatePeriodicPayment = (principal, annualRate, termYears, frequency = 'monthly', type = 'repayment', balloonAmount = 0) => {
+  const { periodsPerYear, accelerated } = PAYMENT_FREQUENCIES[frequency] || PAYMENT_FREQUENCIES.monthly;
+  const periodicRate = annualRate / 100 / periodsPerYear;
+  const totalPayments = Math.round(termYears * periodsPerYear);
+  const residual = hasResidualBalance(type) ? balloonAmount : 0;
+
+  if (type === 'interest-only') {
+    return principal * periodicRate;
+  }
+
+  if (accelerated) {
+    return calculateMonthlyPayment(principal, annualRate, termYears, type, residual) / 2;
+  }
+
+  if (periodicRate === 0) {
+    return (principal - residual) / totalPayments;
+  }
+
+  const x = Math.pow(1 + periodicRate, totalPayments);
+  return ((principal * x - residual) * periodicRate) / (x - 1);
+};
+
+// Parse a date input ('yyyy-MM-dd' strings are read as local dates, not UTC)
+const toDate = (value) => (typeof value === 'string' ? parseISO(value) : new Date(value));
+
+// Interest day-count conventions ('periodic' charges rate / periods-per-year regardless of dates)
+export const DAY_COUNT_CONVENTIONS = {
+  periodic: { id: 'periodic', label: 'Fixed per period' },
+  '30/360': { id: '30/360', label: '30/360 (US)' },
+  'actual/365': { id: 'actual/365', label: 'Actual/365 (UK, India)' },
+  'actual/360': { id: 'actual/360', label: 'Actual/360' }
+};
+
+// Last day of February (the 28th, or the 29th in a leap year)
+const isEndOfFebruary = (date) => date.getMonth() === 1 && isLastDayOfMonth(date);
+
+// Fraction of a year between two dates under a day-count convention.
+// 30/360 follows the US rules: a start on the 31st or the last day of February counts as the 30th, and an end
+// on the 31st (or on the last day of February, for month-end schedules) counts as the 30th when the start does.
+// Every whole month is then 30 days, so a month's interest is exactly the annual rate / 12.
+export const getYearFraction = (fromDate, toDate, dayCount = 'actual/365') => {
+  if (dayCount === '30/360') {
+    const d1 = fromDate.getDate() === 31 || isEndOfFebruary(fromDate) ? 30 : fromDate.getDate();
+    const d2 = d1 === 30 && (toDate.getDate() === 31 || isEndOfFebruary(toDate)) ? 30 : toDate.getDate();
+    const days = 360 * (toDate.getFullYear() - fromDate.getFullYear())
+      + 30 * (toDate.getMonth() - fromDate.getMonth())
+      + (d2 - d1);
+    return days / 360;
+  }
+
+  const days = differenceInCalendarDays(toDate, fromDate);
+  return days / (dayCount === 'actual/360' ? 360 : 365);
+};
+
+// Due date of a repayment: calendar months for monthly plans, fixed weeks otherwise.
+// Monthly dates are counted from the start date in one step, so a day clamped in a short month (the 31st
+// in April) is not carried over from the grace period into the repayments.
+export const getPaymentDate = (startDate, period, frequency = 'monthly', gracePeriodMonths = 0) => {
+  const start = toDate(startDate);
+  const { periodsPerYear } = PAYMENT_FREQUENCIES[frequency] || PAYMENT_FREQUENCIES.monthly;
+
+  return periodsPerYear === 12
+    ? addMonths(start, gracePeriodMonths + period)
+    : addDays(addMonths(start, gracePeriodMonths), period * (periodsPerYear === 52 ? 7 : 14));
+};
+
+// When loan fees are paid: upfront from the borrower's own funds, added to the loan, or on redemption
+export const FEE_TIMINGS = {
+  upfront: { id: 'upfront', label: 'Paid upfront' },
+  added: { id: 'added', label: 'Added to loan' },
+  end: { id: 'end', label: 'Paid on redemption' }
+};
+
+// Sum a fees object ({ arrangementFee: 995, ... }) or a plain amount
+const sumFees = (fees) => (
+  typeof fees === 'object' && fees !== null
+    ? Object.values(fees).reduce((sum, fee) => sum + (parseFloat(fee) || 0), 0)
+    : parseFloat(fees) || 0
+);
+
+// Schedule month of the first payment due on or after a date
+const getFirstPaymentMonthFrom = (date, startDate) => {
+  const target = toDate(date);
+  let month = Math.max(1, differenceInCalendarMonths(target, toDate(startDate)));
+
+  while (getPaymentDate(startDate, month) < target) {
+    month += 1;
+  }
+  return month;
+};
+
+// Resolve rate-change events (by schedule month or by date) into a sorted list of { month, rate }
+export const normalizeRateChanges = (rateChanges = [], startDate = null) => {
+  return rateChanges
+    .map(change => {
+      let month = parseInt(change.month, 10);
+
+      // Dated events apply from the first payment due on or after the change date
+      if (!month && change.date && startDate) {
+        month = getFirstPaymentMonthFrom(change.date, startDate);
+      }
+
+      return { month, rate: parseFloat(change.rate) };
+    })
+    .filter(change => change.month > 0 && !isNaN(change.rate))
+    .sort((a, b) => a.month - b.month);
+};
+
+// Annual rate in force for a given schedule month
+export const getRateForMonth = (rateChanges, month, baseRate) => {
+  let rate = baseRate;
+  for (const change of rateChanges) {
+    if (change.month > month) break;
+    rate = change.rate;
+  }
+  return rate;
+};
+
+// What happens once a payment holiday ends: the payment is recalculated over the remaining term, or the
+// term is extended by the missed payments (the payment then rises only by the cost of the deferred interest)
+export const PAYMENT_HOLIDAY_MODES = {
+  recalculate: { id: 'recalculate', label: 'Recalculate Payment' },
+  'extend-term': { id: 'extend-term', label: 'Extend Term' }
+};
+
+// Resolve payment holidays (by schedule month or by date) into a sorted list of { startMonth, endMonth, after }.
+// Holidays cannot fall in a grace period, when no payments are due, so they are moved to start after it.
+// A recalculated payment needs at least one month left to repay the deferred balance, so those holidays
+// end before lastMonth (the final payment of the original term).
+export const normalizePaymentHolidays = (paymentHolidays = [], startDate = null, { gracePeriodMonths = 0, lastMonth = Infinity } = {}) => {
+  return paymentHolidays
+    .map(holiday => {
+      // Already-normalized holidays carry startMonth and endMonth
+      let startMonth = parseInt(holiday.month ?? holiday.startMonth, 10);
+
+      // Dated holidays start with the first payment due on or after the date
+      if (!startMonth && holiday.date && startDate) {
+        startMonth = getFirstPaymentMonthFrom(holiday.date, startDate);
+      }
+
+      const months = parseInt(holiday.months ?? holiday.endMonth - holiday.startMonth + 1, 10) || 0;
+      const after = PAYMENT_HOLIDAY_MODES[holiday.after] ? holiday.after : 'recalculate';
+      if (startMonth > 0) {
+        startMonth = Math.max(startMonth, gracePeriodMonths + 1);
+      }
+      const endMonth = startMonth + months - 1;
+
+      return {
+        startMonth,
+        endMonth: after === 'recalculate' ? Math.min(endMonth, lastMonth - 1) : endMonth,
+        after
+      };
+    })
+    .filter(holiday => holiday.startMonth > 0 && holiday.endMonth >= holiday.startMonth)
+    .sort((a, b) => a.startMonth - b.startMonth);
+};
+
+// Payment holiday covering a given schedule month, if any
+export const getPaymentHoliday = (paymentHolidays, month) => (
+  paymentHolidays.find(holiday => month >= holiday.startMonth && month <= holiday.endMonth) || null
+);
+
+// Interest during a student loan grace period: unsubsidized loans accrue simple interest that is
+// capitalized into the balance when repayment starts; subsidized loans accrue none
+export const GRACE_INTEREST_MODES = {
+  unsubsidized: { id: 'unsubsidized', label: 'Unsubsidized (interest capitalized)' },
+  subsidized: { id: 'subsidized', label: 'Subsidized (no interest)' }
+};
+
+// How an offset mortgage uses the interest saved by linked savings
+export const OFFSET_MODES = {
+  'reduce-term': { id: 'reduce-term', label: 'Reduce Term' },
+  'reduce-payment': { id: 'reduce-payment', label: 'Reduce Payment' }
+};
+
+// Savings offset against the balance in a given loan month (the starting balance plus monthly deposits)
+export const getOffsetSavings = (offset, month) => {
+  if (!offset) return 0;
+  const { savings = 0, monthlySavings = 0 } = offset;
+  return Math.max(0, savings + monthlySavings * (month - 1));
 };
 
 // Comprehensive loan calculator with support for various loan types and features
@@ -26,7 +237,24 @@ export const calculateMortgage = ({
   downPayment = 0,
   tradeInValue = 0,
   gracePeriodMonths = 0,
-  fees = {}
+  fees = {},
+  rateChanges = [],
+  startDate = null,
+  paymentFrequency = 'monthly',
+  dayCount = 'periodic',
+  feeTiming = 'upfront',
+  balloon = 0,
+  balloonType = 'amount',
+  interestOnlyPortion = 0,
+  interestOnlyPortionType = 'amount',
+  offset = null,
+  paymentHolidays = [],
+  graceInterest = 'unsubsidized',
+  rounding = 'nearest-minor',
+  mortgageInsurance = null,
+  housingCosts = null,
+  taxDeduction = null,
+  arm = null
 }) => {
   // Apply down payment and trade-in
   let adjustedPrincipal = principal;
@@ -34,30 +262,95 @@ export const calculateMortgage = ({
     adjustedPrincipal = Math.max(principal - downPayment - tradeInValue, 0);
   }
 
-  // Format rate to avoid floating point issues
-  const formattedRate = parseFloat(rate.toFixed(2));
-  const monthlyRate = formattedRate / 100 / 12;
+  // Fees added to the loan are borrowed and accrue interest with the rest of the balance
+  const totalFees = sumFees(fees);
+  const feesAddedToLoan = feeTiming === 'added' && totalFees > 0;
+  const advance = adjustedPrincipal;
+  if (feesAddedToLoan) {
+    adjustedPrincipal += totalFees;
+  }
+
+  // Mortgage insurance is priced on the LTV of the loan before fees; upfront premiums are added to the loan
+  const insurance = resolveMortgageInsurance(mortgageInsurance, advance, termYears);
+  if (insurance?.upfrontPremium) {
+    adjustedPrincipal = roundMoney(adjustedPrincipal + insurance.upfrontPremium);
+  }
+  const feesPaidSeparately = feesAddedToLoan ? 0 : totalFees;
+
+  // Strip floating point noise from the rate without losing eighths of a percent (4.125%)
+  const formattedRate = parseFloat(Number(rate).toFixed(6));
   const totalPayments = termYears * 12;
+  // ARMs follow their own path of capped resets after the initial fixed period
+  const changes = normalizeRateChanges(type === 'arm' ? getArmRateChanges(arm, formattedRate, termYears) : rateChanges, startDate);
+  const frequency = PAYMENT_FREQUENCIES[paymentFrequency] ? paymentFrequency : 'monthly';
+  // Daily accrual needs real dates, so it only applies once a start date is known
+  const accrual = startDate && DAY_COUNT_CONVENTIONS[dayCount] ? dayCount : 'periodic';
+  const balloonAmount = type === 'balloon' ? resolveBalloonAmount(adjustedPrincipal, balloon, balloonType) : 0;
+  // Part-and-part: this share is interest-only and still owed when the term ends
+  const interestOnlyAmount = type === 'part-and-part'
+    ? resolveBalloonAmount(adjustedPrincipal, interestOnlyPortion, interestOnlyPortionType)
+    : 0;
+  // Offset savings only matter when there are some
+  const offsetActive = Boolean(offset && (offset.savings > 0 || offset.monthlySavings > 0));
+  const offsetOptions = offsetActive
+    ? { ...offset, mode: OFFSET_MODES[offset.mode] ? offset.mode : 'reduce-term' }
+    : null;
+  // Payment holidays capitalize interest, so they only apply to loans that amortize
+  const holidays = type === 'interest-only'
+    ? []
+    : normalizePaymentHolidays(paymentHolidays, startDate, { gracePeriodMonths, lastMonth: gracePeriodMonths + termYears * 12 });
+  const graceMode = GRACE_INTEREST_MODES[graceInterest] ? graceInterest : 'unsubsidized';
+  const scheduleOptions = { rateChanges: changes, startDate, dayCount: accrual, balloonAmount, interestOnlyAmount, offset: offsetOptions, paymentHolidays: holidays, graceInterest: graceMode, rounding, mortgageInsurance: insurance };
+
+  // Interest for one loan month in minor units, from actual dates when accruing daily (charged on the balance less any offset savings)
+  const interestForMonth = (balance, month) => {
+    const annualRate = getRateForMonth(changes, month, formattedRate) / 100;
+    const chargeable = Math.max(0, balance - getOffsetSavings(offsetOptions, month));
+    if (accrual === 'periodic') return toMinor(chargeable * annualRate / 12);
+    const start = toDate(startDate);
+    return toMinor(chargeable * annualRate * getYearFraction(addMonths(start, month - 1), addMonths(start, month), accrual));
+  };
 
-  // Get monthly payment
-  const monthlyPayment = calculateMonthlyPayment(adjustedPrincipal, formattedRate, termYears, type);
+  // The same loan without savings, for measuring what the offset saves
+  const standardLoan = offsetActive
+    ? calculateMortgage({ principal, rate, termYears, type, downPayment, tradeInValue, gracePeriodMonths, fees, rateChanges, startDate, paymentFrequency, dayCount, feeTiming, balloon, balloonType, interestOnlyPortion, interestOnlyPortionType, paymentHolidays, graceInterest, rounding, mortgageInsurance, arm })
+    : null;
 
-  // Handle student loan grace period
-  let gracePeriodInterest = 0;
-  if (gracePeriodMonths > 0) {
-    gracePeriodInterest = adjustedPrincipal * monthlyRate * gracePeriodMonths;
+  // The same loan without payment holidays, for measuring what they cost
+  const loanWithoutHolidays = holidays.length > 0
+    ? calculateMortgage({ principal, rate, termYears, type, downPayment, tradeInValue, gracePeriodMonths, fees, rateChanges, startDate, paymentFrequency, dayCount, feeTiming, balloon, balloonType, interestOnlyPortion, interestOnlyPortionType, offset, graceInterest, rounding, mortgageInsurance, arm })
+    : null;
+
+  // Handle student loan grace period: unsubsidized interest is capitalized before repayment starts
+  let graceInterestMinor = 0;
+  if (graceMode === 'unsubsidized') {
+    for (let month = 1; month <= gracePeriodMonths; month++) {
+      graceInterestMinor += interestForMonth(adjustedPrincipal, month);
+    }
   }
+  const gracePeriodInterest = fromMinor(graceInterestMinor);
+  const repaymentPrincipal = roundMoney(adjustedPrincipal + gracePeriodInterest);
 
   // Interest-only loan calculation
   if (type === 'interest-only') {
-    const monthlyInterest = adjustedPrincipal * monthlyRate;
-    let totalInterest = monthlyInterest * totalPayments;
-
-    if (gracePeriodMonths > 0) {
-      totalInterest += gracePeriodInterest;
+    // Capitalized grace-period interest is interest charged, repaid with the principal at the end
+    let totalInterestMinor = graceInterestMinor;
+    for (let month = gracePeriodMonths + 1; month <= totalPayments + gracePeriodMonths; month++) {
+      totalInterestMinor += interestForMonth(repaymentPrincipal, month);
     }
+    const totalInterest = fromMinor(totalInterestMinor);
 
-    const totalFees = Object.values(fees).reduce((sum, fee) => sum + (parseFloat(fee) || 0), 0);
+    // Offset savings lower each interest payment, so the first one is the largest
+    const firstPayment = offsetActive
+      ? fromMinor(interestForMonth(repaymentPrincipal, gracePeriodMonths + 1))
+      : roundMoney(calculateMonthlyPayment(repaymentPrincipal, formattedRate, termYears, type));
+
+    // The balance never falls, so PMI runs until the midpoint of the term
+    let insuredPayments = 0;
+    while (isMortgageInsuranceDue(insurance, repaymentPrincipal, insuredPayments + 1)) {
+      insuredPayments++;
+    }
+    const insurancePremiums = insurance?.monthlyPremium ? roundMoney(insurance.monthlyPremium * insuredPayments) : 0;
 
     const result = {
       principal: adjustedPrincipal,
@@ -65,10 +358,11 @@ export const calculateMortgage = ({
       rate: formattedRate,
       termYears,
       type,
-      monthlyPayment: parseFloat(monthlyPayment.toFixed(2)),
-      totalInterest: Math.round(totalInterest),
-      totalRepayment: Math.round(adjustedPrincipal + totalInterest + totalFees),
-      fees: totalFees
+      monthlyPayment: firstPayment,
+      totalInterest,
+      totalRepayment: roundMoney(adjustedPrincipal + totalInterest + insurancePremiums + feesPaidSeparately),
+      fees: totalFees,
+      ...calculateAPR({ advance, principal: repaymentPrincipal, rate: formattedRate, termYears, type, gracePeriodMonths, fees: totalFees, feeTiming, rateChanges: changes })
     };
 
     // Auto loan fields
@@ -82,21 +376,95 @@ export const calculateMortgage = ({
     if (gracePeriodMonths > 0) {
       result.gracePeriodMonths = gracePeriodMonths;
       result.gracePeriodInterest = gracePeriodInterest;
+      result.graceInterest = graceMode;
     }
 
-    return result;
-  }
+    // Mortgage insurance fields
+    if (insurance) {
+      result.loanToValueRatio = insurance.ltv;
+      result.mortgageInsurance = {
+        ...insurance,
+        totalPremiums: insurance.upfrontPremium || insurancePremiums,
+        insuredPayments,
+        dropOffMonth: insuredPayments > 0 ? gracePeriodMonths + insuredPayments + 1 : null
+      };
+    }
 
-  // Standard repayment calculation
-  const totalRepayment = monthlyPayment * totalPayments;
-  let totalInterest = totalRepayment - adjustedPrincipal;
+    // Monthly housing cost: the payment is all interest
+    if (housingCosts) {
+      result.housingCosts = calculateHousingCosts(housingCosts, {
+        interest: firstPayment,
+        mortgageInsurance: insuredPayments > 0 ? insurance.monthlyPremium : 0,
+        propertyValue: insurance?.propertyValue || principal
+      });
+    }
+
+    // US mortgage interest deduction: the whole balance is owed until the end, so every payment is interest
+    if (taxDeduction) {
+      const interestPayments = Array.from({ length: totalPayments }, (_, index) => {
+        const month = gracePeriodMonths + index + 1;
+        const interestPayment = fromMinor(interestForMonth(repaymentPrincipal, month));
+        return {
+          month,
+          ...(startDate && { date: getPaymentDate(startDate, index + 1, 'monthly', gracePeriodMonths) }),
+          payment: interestPayment,
+          principalPayment: 0,
+          interestPayment,
+          balance: repaymentPrincipal
+        };
+      });
+      result.taxDeduction = calculateMortgageInterestDeduction(interestPayments, {
+        ...taxDeduction,
+        pointsPaid: roundMoney(advance * (parseFloat(taxDeduction.points) || 0) / 100),
+        rate: formattedRate,
+        grouping: startDate ? 'calendar' : 'loan'
+      });
+    }
+
+    // Variable-rate fields
+    if (changes.length > 0) {
+      result.rateChanges = changes;
+    }
 
-  // Add grace period interest if applicable
-  if (gracePeriodMonths > 0 && type === 'repayment') {
-    totalInterest += gracePeriodInterest;
+    // Dated loan fields
+    if (startDate) {
+      result.startDate = startDate;
+      result.dayCount = accrual;
+      result.finalPaymentDate = getPaymentDate(startDate, totalPayments, 'monthly', gracePeriodMonths);
+    }
+
+    // Offset fields
+    if (offsetActive) {
+      result.offset = {
+        ...offsetOptions,
+        mode: 'reduce-payment',
+        interestSaved: Math.max(0, roundMoney(standardLoan.totalInterest - result.totalInterest)),
+        monthsSaved: 0,
+        standardMonthlyPayment: standardLoan.monthlyPayment
+      };
+    }
+
+    return result;
   }
 
-  const totalFees = Object.values(fees).reduce((sum, fee) => sum + (parseFloat(fee) || 0), 0);
+  // Regular payment as the lender rounds it (the schedule's final payment absorbs the residual)
+  const monthlyPayment = roundPayment(
+    calculateMonthlyPayment(repaymentPrincipal, formattedRate, termYears, type, balloonAmount || interestOnlyAmount),
+    rounding
+  );
+
+  // Standard repayment calculation: totals come from the rounded schedule so they reconcile to the penny
+  const monthlySchedule = generateAmortizationSchedule(adjustedPrincipal, formattedRate, termYears, gracePeriodMonths, scheduleOptions);
+  // The interest-only portion is repaid from other funds when the term ends
+  const monthlyTotal = sumMoney([...monthlySchedule.map(row => row.payment), interestOnlyAmount]);
+  const schedule = frequency !== 'monthly'
+    ? generateAmortizationSchedule(adjustedPrincipal, formattedRate, termYears, gracePeriodMonths, { ...scheduleOptions, paymentFrequency: frequency })
+    : monthlySchedule;
+  const totalRepayment = sumMoney([...schedule.map(row => row.payment), interestOnlyAmount]);
+  // Payments repay any capitalized grace-period interest along with the principal
+  const totalInterest = roundMoney(totalRepayment - adjustedPrincipal);
+  // Monthly mortgage insurance is paid on top of the regular payments
+  const insurancePremiums = sumMoney(schedule.map(row => row.mortgageInsurance || 0));
 
   const result = {
     principal: adjustedPrincipal,
@@ -104,12 +472,29 @@ export const calculateMortgage = ({
     rate: formattedRate,
     termYears,
     type,
-    monthlyPayment: parseFloat(monthlyPayment.toFixed(2)),
-    totalInterest: Math.round(totalInterest),
-    totalRepayment: Math.round(totalRepayment + (gracePeriodMonths > 0 ? gracePeriodInterest : 0) + totalFees),
-    fees: totalFees
+    monthlyPayment,
+    totalInterest,
+    totalRepayment: roundMoney(totalRepayment + insurancePremiums + feesPaidSeparately),
+    fees: totalFees,
+    rounding: getRoundingPolicy(rounding).id,
+    ...calculateAPR({ advance, principal: adjustedPrincipal, rate: formattedRate, termYears, type, gracePeriodMonths, graceInterest: graceMode, fees: totalFees, feeTiming, schedule, rateChanges: changes, paymentFrequency: frequency, balloonAmount, interestOnlyAmount })
   };
 
+  if (feesAddedToLoan) {
+    result.feesAddedToLoan = true;
+  }
+
+  // Balloon loan fields
+  if (type === 'balloon') {
+    result.balloonPayment = roundMoney(balloonAmount);
+  }
+
+  // Part-and-part fields
+  if (type === 'part-and-part') {
+    result.interestOnlyBalance = roundMoney(interestOnlyAmount);
+    result.repaymentPortion = roundMoney(adjustedPrincipal - interestOnlyAmount);
+  }
+
   // Auto loan fields
   if (downPayment > 0 || tradeInValue > 0) {
     result.downPayment = downPayment;
@@ -121,77 +506,509 @@ export const calculateMortgage = ({
   if (gracePeriodMonths > 0) {
     result.gracePeriodMonths = gracePeriodMonths;
     result.gracePeriodInterest = gracePeriodInterest;
+    result.graceInterest = graceMode;
+  }
+
+  // Mortgage insurance fields, with the PMI drop-off found from the schedule
+  if (insurance) {
+    result.loanToValueRatio = insurance.ltv;
+    result.mortgageInsurance = summarizeMortgageInsurance(schedule, insurance);
+  }
+
+  // Monthly housing cost, split as the first regular monthly payment is
+  if (housingCosts) {
+    const firstPaymentRow = monthlySchedule.find(row => !row.isGracePeriod && !row.isPaymentHoliday);
+    result.housingCosts = calculateHousingCosts(housingCosts, {
+      principal: firstPaymentRow?.principalPayment || 0,
+      interest: firstPaymentRow?.interestPayment || 0,
+      mortgageInsurance: firstPaymentRow?.mortgageInsurance || 0,
+      propertyValue: insurance?.propertyValue || principal
+    });
+  }
+
+  // US mortgage interest deduction by tax year, with discount points (a % of the loan) deducted in the first year
+  if (taxDeduction) {
+    result.taxDeduction = calculateMortgageInterestDeduction(schedule, {
+      ...taxDeduction,
+      pointsPaid: roundMoney(advance * (parseFloat(taxDeduction.points) || 0) / 100),
+      rate: formattedRate,
+      grouping: startDate ? 'calendar' : 'loan'
+    });
+  }
+
+  // Variable-rate fields
+  if (changes.length > 0) {
+    result.rateChanges = changes;
+  }
+
+  // ARM fields: each reset with its payment shock, the worst case (every cap hit) and a 30-year fixed to compare
+  if (type === 'arm') {
+    const terms = resolveArmTerms(arm, formattedRate);
+    const sameLoan = { principal, termYears, downPayment, tradeInValue, fees, startDate, paymentFrequency, dayCount, feeTiming, rounding, mortgageInsurance };
+    const worstLoan = terms.indexPath === 'worst-case'
+      ? null
+      : calculateMortgage({ ...sameLoan, rate, type, arm: { ...arm, indexPath: 'worst-case' } });
+    const fixedLoan = calculateMortgage({ ...sameLoan, rate: terms.fixedRate, termYears: FIXED_COMPARISON_TERM_YEARS });
+    // Largest regular payment; the final payment only clears what rounding has left over
+    const regularRows = schedule.filter(row => !row.isGracePeriod && !row.isPaymentHoliday && !row.isBalloon);
+    const maxPayment = regularRows.length > 0
+      ? Math.max(...regularRows.slice(0, -1).map(row => row.payment), regularRows[0].payment)
+      : result.monthlyPayment;
+
+    result.arm = {
+      ...terms,
+      initialRate: formattedRate,
+      firstResetMonth: terms.fixedYears * 12 + 1,
+      maxRate: Math.max(formattedRate, ...changes.map(change => change.rate)),
+      maxPayment,
+      resets: schedule
+        .filter(row => row.paymentShock !== undefined)
+        .map(row => ({ month: row.month, ...(row.date && { date: row.date }), rate: row.rate, payment: row.payment, paymentShock: row.paymentShock })),
+      worstCase: worstLoan
+        ? worstLoan.arm.worstCase
+        : { maxRate: Math.max(formattedRate, ...changes.map(change => change.rate)), maxPayment, totalInterest: result.totalInterest, totalRepayment: result.totalRepayment },
+      fixedComparison: {
+        rate: fixedLoan.rate,
+        termYears: FIXED_COMPARISON_TERM_YEARS,
+        monthlyPayment: fixedLoan.monthlyPayment,
+        totalInterest: fixedLoan.totalInterest,
+        totalRepayment: fixedLoan.totalRepayment
+      }
+    };
+  }
+
+  // Offset fields: savings are not a cost of credit, so APR is quoted on the standard loan
+  if (offsetActive) {
+    const repaymentRows = schedule.filter(row => !row.isGracePeriod && !row.isBalloon);
+    const standardMonths = standardLoan.payoffMonths || totalPayments;
+    const offsetMonths = repaymentRows[repaymentRows.length - 1].month - gracePeriodMonths;
+
+    if (offsetOptions.mode === 'reduce-payment' && frequency === 'monthly') {
+      result.monthlyPayment = repaymentRows[0].payment;
+    }
+    result.apr = standardLoan.apr;
+    result.aprc = standardLoan.aprc;
+    result.offset = {
+      ...offsetOptions,
+      interestSaved: Math.max(0, roundMoney(standardLoan.totalInterest - result.totalInterest)),
+      monthsSaved: Math.max(0, standardMonths - offsetMonths),
+      payoffMonths: offsetMonths,
+      standardMonthlyPayment: standardLoan.monthlyPayment,
+      finalPayment: repaymentRows[repaymentRows.length - 1].payment
+    };
+  }
+
+  // Payment holiday fields, compared against the same loan without holidays
+  if (holidays.length > 0) {
+    const holidayRows = schedule.filter(row => row.isPaymentHoliday);
+    const lastHolidayIndex = schedule.lastIndexOf(holidayRows[holidayRows.length - 1]);
+    const paymentAfter = schedule.slice(lastHolidayIndex + 1).find(row => !row.isBalloon);
+    const repaymentRows = schedule.filter(row => !row.isGracePeriod && !row.isBalloon);
+    const payoffMonths = repaymentRows[repaymentRows.length - 1].month - gracePeriodMonths;
+
+    result.paymentHolidays = holidays;
+    result.paymentHoliday = {
+      missedPayments: holidayRows.length,
+      capitalizedInterest: sumMoney(holidayRows.map(row => row.capitalizedInterest)),
+      extraInterest: Math.max(0, roundMoney(result.totalInterest - loanWithoutHolidays.totalInterest)),
+      paymentAfterHoliday: paymentAfter ? paymentAfter.payment : 0,
+      monthsAdded: Math.max(0, payoffMonths - (loanWithoutHolidays.offset?.payoffMonths || loanWithoutHolidays.payoffMonths || totalPayments))
+    };
+  }
+
+  // Dated loan fields
+  if (startDate) {
+    result.startDate = startDate;
+    result.dayCount = accrual;
+    result.finalPaymentDate = schedule[schedule.length - 1].date;
+  }
+
+  // Payment frequency fields, compared against the equivalent monthly loan
+  if (frequency !== 'monthly') {
+    const repaymentRows = schedule.filter(row => !row.isGracePeriod && !row.isBalloon);
+    const periodicPayment = offsetActive && offsetOptions.mode === 'reduce-payment'
+      ? repaymentRows[0].payment
+      : roundPayment(calculatePeriodicPayment(repaymentPrincipal, formattedRate, termYears, frequency, type, balloonAmount || interestOnlyAmount), rounding);
+    const payoffMonths = repaymentRows[repaymentRows.length - 1].month - gracePeriodMonths;
+
+    result.paymentFrequency = frequency;
+    result.periodicPayment = periodicPayment;
+    result.monthlyPayment = roundMoney(periodicPayment * PAYMENT_FREQUENCIES[frequency].periodsPerYear / 12);
+    result.numberOfPayments = repaymentRows.length;
+    result.payoffMonths = payoffMonths;
+    result.frequencySavings = {
+      interest: Math.max(0, roundMoney(monthlyTotal - totalRepayment)),
+      months: Math.max(0, totalPayments - payoffMonths)
+    };
   }
 
   return result;
 };
 
-// Create detailed month-by-month amortization schedule
-export const generateAmortizationSchedule = (principal, annualRate, termYears, gracePeriodMonths = 0) => {
-  const monthlyRate = annualRate / 100 / 12;
-  const totalPayments = termYears * 12;
-  const monthlyPayment = calculateMonthlyPayment(principal, annualRate, termYears);
+// Create detailed payment-by-payment amortization schedule (monthly unless another frequency is given).
+// With a start date each row carries its payment date, and interest can accrue daily by day-count convention.
+// Balances, interest and payments are kept in integer minor units and rounded under the rounding policy.
+export const generateAmortizationSchedule = (principal, annualRate, termYears, gracePeriodMonths = 0, options = {}) => {
+  const { rateChanges = [], startDate = null, paymentFrequency = 'monthly', dayCount = 'periodic', balloonAmount = 0, interestOnlyAmount = 0, offset = null, paymentHolidays = [], graceInterest = 'unsubsidized', rounding = 'nearest-minor', mortgageInsurance = null } = options;
+  const changes = normalizeRateChanges(rateChanges, startDate);
+  const holidays = normalizePaymentHolidays(paymentHolidays, startDate, { gracePeriodMonths, lastMonth: termYears * 12 + gracePeriodMonths });
+  const frequency = PAYMENT_FREQUENCIES[paymentFrequency] || PAYMENT_FREQUENCIES.monthly;
+  const { periodsPerYear, accelerated } = frequency;
+  const totalPeriods = Math.round(termYears * periodsPerYear);
+  const lastMonth = termYears * 12 + gracePeriodMonths;
+
+  const accrual = startDate && DAY_COUNT_CONVENTIONS[dayCount] ? dayCount : 'periodic';
+
+  // Loan month in which a repayment period falls
+  const monthForPeriod = (period) => gracePeriodMonths + Math.ceil((period * 12) / periodsPerYear);
+
+  // Interest (in minor units, to the nearest one) due between two payment dates, or one period's worth when not accruing daily
+  const accrueInterest = (balance, rate, fromDate, toDate, periodsInYear) => toMinor(
+    accrual === 'periodic'
+      ? fromMinor(balance) * rate / 100 / periodsInYear
+      : fromMinor(balance) * rate / 100 * getYearFraction(fromDate, toDate, accrual)
+  );
+
+  // Offset mortgages charge interest only on the balance not covered by linked savings
+  const offsetMode = offset ? offset.mode || 'reduce-term' : null;
+  const chargeableBalance = (balance, month) => Math.max(0, balance - toMinor(getOffsetSavings(offset, month)));
+
+  // Balloon loans amortize down to the residual, which is due as a separate final payment.
+  // Part-and-part loans amortize only the repayment portion; the interest-only portion stays owed.
+  const residual = toMinor(Math.min(Math.max(balloonAmount || interestOnlyAmount, 0), principal));
+  const paymentType = residual > 0 ? 'balloon' : 'repayment';
+  // A residual of the whole loan leaves nothing to amortize: every payment is interest only, for the full term
+  const wholeLoanResidual = residual > 0 && residual >= toMinor(principal);
+  const portions = (balance) => (
+    interestOnlyAmount > 0 ? { interestOnlyBalance: fromMinor(residual), repaymentBalance: fromMinor(balance - residual) } : {}
+  );
+
+  // Monthly mortgage insurance (PMI) due with a payment, in minor units, while the opening balance is above the drop-off LTV
+  const insurancePremium = mortgageInsurance?.monthlyPremium ? toMinor(mortgageInsurance.monthlyPremium * 12 / periodsPerYear) : 0;
+  const insuranceFor = (openingBalance, month) => (
+    isMortgageInsuranceDue(mortgageInsurance, fromMinor(openingBalance), month - gracePeriodMonths)
+      ? { mortgageInsurance: fromMinor(insurancePremium) }
+      : {}
+  );
+
+  // Regular payment for a balance over the years left, rounded as the lender rounds it
+  const paymentFor = (balance, rate, years) => roundPaymentMinor(
+    calculatePeriodicPayment(fromMinor(balance), rate, years, frequency.id, paymentType, fromMinor(residual)),
+    rounding
+  );
+
+  let balance = toMinor(principal);
+  let periodicPayment = paymentFor(balance, annualRate, termYears);
+  let paymentRate = annualRate;
 
-  let balance = principal;
   const schedule = [];
   let totalInterestPaid = 0;
+  let previousDate = startDate ? toDate(startDate) : null;
 
-  // Grace period (student loans)
+  // Grace period (student loans): unsubsidized interest accrues without compounding and is
+  // capitalized into the balance in the last grace month; subsidized loans accrue nothing
   if (gracePeriodMonths > 0) {
+    let accruedInterest = 0;
+
     for (let month = 1; month <= gracePeriodMonths; month++) {
-      const interestPayment = balance * monthlyRate;
+      const rate = getRateForMonth(changes, month, annualRate);
+      const date = startDate ? getPaymentDate(startDate, month) : null;
+      const interestPayment = graceInterest === 'subsidized'
+        ? 0
+        : accrueInterest(chargeableBalance(balance, month), rate, previousDate, date, 12);
+      previousDate = date;
+      accruedInterest += interestPayment;
+      totalInterestPaid += interestPayment;
+
+      const capitalizedInterest = month === gracePeriodMonths ? accruedInterest : 0;
+      balance += capitalizedInterest;
 
       schedule.push({
         month,
+        ...(date && { date }),
+        ...(offset && { offsetSavings: getOffsetSavings(offset, month) }),
         payment: 0,
-        principalPayment: 0,
-        interestPayment,
-        balance,
-        totalInterestPaid: totalInterestPaid,
+        principalPayment: fromMinor(-capitalizedInterest),
+        interestPayment: fromMinor(interestPayment),
+        ...(capitalizedInterest > 0 && { capitalizedInterest: fromMinor(capitalizedInterest) }),
+        balance: fromMinor(balance),
+        ...portions(balance),
+        totalInterestPaid: fromMinor(totalInterestPaid),
+        rate,
         isGracePeriod: true
       });
-
-      // Track interest but don't add to displayed balance
-      totalInterestPaid += interestPayment;
     }
+
+    // Repayments amortize the capitalized balance over the full term
+    periodicPayment = paymentFor(balance, annualRate, termYears);
   }
 
-  // Regular repayment period
-  for (let month = gracePeriodMonths + 1; month <= totalPayments + gracePeriodMonths; month++) {
-    const interestPayment = balance * monthlyRate;
-    const principalPayment = monthlyPayment - interestPayment;
+  // Payment holidays that extend the term push the last payment back by one period for each payment missed
+  let finalPeriod = totalPeriods;
+  let recalculateAfterHoliday = false;
 
-    balance -= principalPayment;
+  // Regular repayment period (accelerated plans run until the balance is cleared)
+  for (let period = 1; period <= finalPeriod && (balance > residual || wholeLoanResidual); period++) {
+    const month = monthForPeriod(period);
+    const rate = getRateForMonth(changes, month, annualRate);
+    const holiday = getPaymentHoliday(holidays, month);
+
+    // Re-amortize the outstanding balance over the remaining term when the rate changes or a holiday ends
+    let paymentShock = null;
+    if (!holiday && (rate !== paymentRate || recalculateAfterHoliday)) {
+      const remainingYears = accelerated
+        ? (lastMonth + ((finalPeriod - totalPeriods) * 12) / periodsPerYear - month + 1) / 12
+        : Math.max(1, finalPeriod - period + 1) / periodsPerYear;
+      const previousPayment = periodicPayment;
+      periodicPayment = paymentFor(balance, rate, remainingYears);
+      // A rate change resets the payment; the difference is the payment shock
+      if (rate !== paymentRate) {
+        paymentShock = periodicPayment - previousPayment;
+      }
+      paymentRate = rate;
+      recalculateAfterHoliday = false;
+    }
+
+    const date = startDate ? getPaymentDate(startDate, period, frequency.id, gracePeriodMonths) : null;
+
+    // Payment holiday: nothing is paid and the interest is added to the balance
+    if (holiday) {
+      const interestPayment = accrueInterest(chargeableBalance(balance, month), rate, previousDate, date, periodsPerYear);
+      const insurance = insuranceFor(balance, month);
+      previousDate = date;
+      balance += interestPayment;
+      totalInterestPaid += interestPayment;
+
+      // Either way the payment is recalculated once the holiday ends, over a term that is the same or extended
+      if (holiday.after === 'extend-term') {
+        finalPeriod += 1;
+      }
+      recalculateAfterHoliday = true;
+
+      schedule.push({
+        month,
+        period,
+        ...(date && { date }),
+        ...(offset && { offsetSavings: getOffsetSavings(offset, month) }),
+        payment: 0,
+        principalPayment: fromMinor(-interestPayment),
+        interestPayment: fromMinor(interestPayment),
+        capitalizedInterest: fromMinor(interestPayment),
+        ...insurance,
+        balance: fromMinor(balance),
+        ...portions(balance),
+        totalInterestPaid: fromMinor(totalInterestPaid),
+        rate,
+        isGracePeriod: false,
+        isPaymentHoliday: true
+      });
+      continue;
+    }
+
+    const interestPayment = accrueInterest(chargeableBalance(balance, month), rate, previousDate, date, periodsPerYear);
+    // Reducing the payment passes the interest saved straight back, leaving the term unchanged
+    const offsetSaving = offsetMode === 'reduce-payment'
+      ? accrueInterest(balance, rate, previousDate, date, periodsPerYear) - interestPayment
+      : 0;
+    previousDate = date;
+    let payment = periodicPayment - offsetSaving;
+    let principalPayment = payment - interestPayment;
 
-    // Fix final payment rounding
-    if (month === totalPayments + gracePeriodMonths) {
-      balance = 0;
+    // The final payment absorbs the rounding residual (leaving only the balloon outstanding)
+    if (principalPayment >= balance - residual || balance <= residual || period >= finalPeriod) {
+      principalPayment = balance - residual;
+      payment = principalPayment + interestPayment;
     }
 
+    const insurance = insuranceFor(balance, month);
+    balance -= principalPayment;
     totalInterestPaid += interestPayment;
 
     schedule.push({
       month,
-      payment: monthlyPayment,
-      principalPayment,
-      interestPayment,
-      balance,
-      totalInterestPaid,
+      period,
+      ...(date && { date }),
+      ...(offset && { offsetSavings: getOffsetSavings(offset, month) }),
+      payment: fromMinor(payment),
+      principalPayment: fromMinor(principalPayment),
+      interestPayment: fromMinor(interestPayment),
+      ...insurance,
+      balance: fromMinor(balance),
+      ...portions(balance),
+      totalInterestPaid: fromMinor(totalInterestPaid),
+      rate,
+      ...(paymentShock !== null && { paymentShock: fromMinor(paymentShock) }),
       isGracePeriod: false
     });
   }
 
+  // Balloon falls due with the last regular payment
+  if (balloonAmount > 0 && residual > 0 && schedule.length > 0) {
+    const lastRow = schedule[schedule.length - 1];
+    const balloonRow = {
+      ...lastRow,
+      payment: fromMinor(residual),
+      principalPayment: fromMinor(residual),
+      interestPayment: 0,
+      balance: 0,
+      isBalloon: true
+    };
+    // Insurance is paid with the regular payment, not again with the balloon
+    delete balloonRow.mortgageInsurance;
+
+    schedule.push(balloonRow);
+  }
+
   return schedule;
 };
 
-// Calculate maximum affordable property price based on income and debt profile
+// APR and APRC from the cash the borrower actually receives and every payment they make.
+// APRC is the annual effective rate (UK/EU); APR is the nominal periodic rate × periods per year (US Reg Z).
+export const calculateAPR = ({
+  principal,
+  advance = principal,
+  rate,
+  termYears,
+  type = 'repayment',
+  gracePeriodMonths = 0,
+  graceInterest = 'unsubsidized',
+  fees = 0,
+  feeTiming = 'upfront',
+  rateChanges = [],
+  paymentFrequency = 'monthly',
+  balloonAmount = 0,
+  interestOnlyAmount = 0,
+  schedule = null
+}) => {
+  const totalFees = sumFees(fees);
+  const changes = normalizeRateChanges(rateChanges);
+  const { periodsPerYear } = PAYMENT_FREQUENCIES[paymentFrequency] || PAYMENT_FREQUENCIES.monthly;
+
+  // Cash flows as { years from drawdown, amount paid by the borrower }
+  const cashFlows = [];
+  if (type === 'interest-only') {
+    const lastMonth = gracePeriodMonths + termYears * 12;
+    for (let month = gracePeriodMonths + 1; month <= lastMonth; month++) {
+      const interest = principal * getRateForMonth(changes, month, rate) / 100 / 12;
+      cashFlows.push({ years: month / 12, amount: month === lastMonth ? interest + principal : interest });
+    }
+  } else {
+    const rows = schedule || generateAmortizationSchedule(principal, rate, termYears, gracePeriodMonths, { rateChanges: changes, paymentFrequency, balloonAmount, interestOnlyAmount, graceInterest });
+    rows.filter(row => !row.isGracePeriod).forEach(row => {
+      // Mortgage insurance premiums are part of the cost of credit
+      cashFlows.push({ years: gracePeriodMonths / 12 + row.period / periodsPerYear, amount: row.payment + (row.mortgageInsurance || 0) });
+    });
+    // Part-and-part: the interest-only portion is repaid with the last payment
+    if (interestOnlyAmount > 0 && cashFlows.length > 0) {
+      cashFlows[cashFlows.length - 1].amount += interestOnlyAmount;
+    }
+  }
+
+  if (cashFlows.length === 0) {
+    return { apr: rate, aprc: rate };
+  }
+
+  // Upfront fees reduce the amount received; redemption fees are paid with the last payment
+  const netAdvance = feeTiming === 'upfront' ? advance - totalFees : advance;
+  if (feeTiming === 'end') {
+    cashFlows[cashFlows.length - 1].amount += totalFees;
+  }
+
+  // Present value of the payments at an annual effective rate
+  const presentValue = (annualRate) => cashFlows.reduce(
+    (sum, flow) => sum + flow.amount / Math.pow(1 + annualRate, flow.years),
+    0
+  );
+
+  // Bisection: present value falls as the rate rises
+  let low = -0.99;
+  let high = 10;
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > netAdvance) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const aprc = (low + high) / 2;
+  const apr = periodsPerYear * (Math.pow(1 + aprc, 1 / periodsPerYear) - 1);
+
+  return {
+    apr: parseFloat((apr * 100).toFixed(2)),
+    aprc: parseFloat((aprc * 100).toFixed(2))
+  };
+};
+
+// Ways of grouping a dated schedule into years
+export const YEAR_GROUPINGS = {
+  loan: { id: 'loan', label: 'Loan year' },
+  calendar: { id: 'calendar', label: 'Calendar year' },
+  'uk-tax': { id: 'uk-tax', label: 'UK tax year (6 Apr)' },
+  'india-fy': { id: 'india-fy', label: 'Indian financial year (Apr–Mar)' }
+};
+
+// Year a schedule row falls in (undated rows always use loan years)
+export const getScheduleYear = (payment, grouping = 'loan') => {
+  if (!payment.date || grouping === 'loan') {
+    const year = Math.ceil(payment.month / 12);
+    return { key: year, label: `Year ${year}` };
+  }
+
+  const date = toDate(payment.date);
+  const year = date.getFullYear();
+  if (grouping === 'calendar') {
+    return { key: year, label: `${year}` };
+  }
+
+  // UK tax years start on 6 April, Indian financial years on 1 April
+  const firstDay = grouping === 'uk-tax' ? 6 : 1;
+  const startYear = date.getMonth() > 3 || (date.getMonth() === 3 && date.getDate() >= firstDay) ? year : year - 1;
+  const endYear = String((startYear + 1) % 100).padStart(2, '0');
+  return {
+    key: startYear,
+    label: grouping === 'uk-tax' ? `${startYear}/${endYear}` : `FY ${startYear}-${endYear}`
+  };
+};
+
+// Summarise schedule rows by year: amounts paid in the year and the balance at its end
+export const summarizeScheduleByYear = (schedule, grouping = 'loan') => {
+  const years = [];
+
+  schedule.forEach(payment => {
+    const { key, label } = getScheduleYear(payment, grouping);
+    let year = years[years.length - 1];
+
+    if (!year || year.key !== key) {
+      year = { key, label, payments: [], totalPaid: 0, principalPaid: 0, interestPaid: 0, closingBalance: 0 };
+      years.push(year);
+    }
+
+    year.payments.push(payment);
+    year.totalPaid = roundMoney(year.totalPaid + payment.payment);
+    year.principalPaid = roundMoney(year.principalPaid + payment.principalPayment);
+    // Grace-period and payment-holiday interest accrues rather than being paid
+    if (!payment.isGracePeriod && !payment.isPaymentHoliday) {
+      year.interestPaid = roundMoney(year.interestPaid + payment.interestPayment);
+    }
+    year.closingBalance = payment.balance;
+  });
+
+  return years;
+};
+
+// Calculate maximum affordable property price based on income and debt profile.
+// Housing costs ({ propertyTaxRate, councilTaxBand, homeInsurance, serviceCharge, groundRent }) count
+// towards the debt-to-income limit alongside the mortgage payment.
 export const calculateAffordability = (
   monthlyIncome,
   monthlyDebts,
   downPayment,
   annualRate,
   termYears,
-  debtToIncomeRatio = 0.36 // This is the standard maximum DTI used by lenders
+  debtToIncomeRatio = 0.36, // This is the standard maximum DTI used by lenders
+  housingCosts = null
 ) => {
   // Sanitize inputs
   monthlyIncome = Math.max(0, parseFloat(monthlyIncome) || 0);
@@ -214,8 +1031,10 @@ export const calculateAffordability = (
     return downPayment;
   }
 
-  // Calculate available payment amount
-  const maxMonthlyPayment = maxAllowableDebt - monthlyDebts;
+  // Calculate available payment amount, less the housing costs that do not depend on the price
+  const maxMonthlyPayment = maxAllowableDebt - monthlyDebts - getFixedHousingCosts(housingCosts || {});
+  // Property tax rises with the price, so it is solved for together with the loan
+  const propertyTaxRate = getPropertyTaxRate(housingCosts || {});
 
   if (maxMonthlyPayment <= 0) {
     console.warn('Affordability calculation: Max monthly payment is zero or negative');
@@ -227,14 +1046,15 @@ export const calculateAffordability = (
 
   // Handle near-zero interest rate
   if (monthlyRate < 0.0001) {
-    const maxLoanAmount = maxMonthlyPayment * totalPayments;
+    const maxLoanAmount = Math.max(0, (maxMonthlyPayment - downPayment * propertyTaxRate) / (1 / totalPayments + propertyTaxRate));
     return maxLoanAmount + downPayment;
   }
 
   try {
-    // Standard mortgage formula for max loan amount
+    // Standard mortgage formula for max loan amount: payment + tax on (loan + down payment) fits the budget
     const x = Math.pow(1 + monthlyRate, totalPayments);
-    const maxLoanAmount = maxMonthlyPayment * (x - 1) / (x * monthlyRate);
+    const paymentPerUnit = (x * monthlyRate) / (x - 1);
+    const maxLoanAmount = Math.max(0, (maxMonthlyPayment - downPayment * propertyTaxRate) / (paymentPerUnit + propertyTaxRate));
     const totalAffordablePrice = maxLoanAmount + downPayment;
 
     // Cap at 10x annual income for reasonability
@@ -265,19 +1085,60 @@ export const exportToCSV = (schedule, loanDetails = null, currencySymbol = '£')
     metadataRows.push(['Loan Summary']);
     metadataRows.push(['Loan Amount', `${currencySymbol}${loanDetails.principal.toLocaleString()}`]);
     metadataRows.push(['Interest Rate', `${loanDetails.rate}%`]);
+    if (loanDetails.rateChanges?.length > 0) {
+      loanDetails.rateChanges.forEach(change => {
+        metadataRows.push(['Rate Change', `Month ${change.month}: ${change.rate}%`]);
+      });
+    }
     metadataRows.push(['Term', `${loanDetails.termYears} years`]);
     metadataRows.push(['Monthly Payment', `${currencySymbol}${loanDetails.monthlyPayment.toFixed(2)}`]);
+    if (loanDetails.rounding) {
+      metadataRows.push(['Payment Rounding', getRoundingPolicy(loanDetails.rounding).label]);
+    }
+    if (loanDetails.paymentFrequency && loanDetails.paymentFrequency !== 'monthly') {
+      const frequencyLabel = PAYMENT_FREQUENCIES[loanDetails.paymentFrequency]?.label || loanDetails.paymentFrequency;
+      metadataRows.push(['Payment Frequency', frequencyLabel]);
+      metadataRows.push([`${frequencyLabel} Payment`, `${currencySymbol}${loanDetails.periodicPayment.toFixed(2)}`]);
+    }
+    if (loanDetails.startDate) {
+      metadataRows.push(['Start Date', format(toDate(loanDetails.startDate), 'yyyy-MM-dd')]);
+      metadataRows.push(['Interest Day Count', DAY_COUNT_CONVENTIONS[loanDetails.dayCount]?.label || 'Fixed per period']);
+    }
+    if (loanDetails.balloonPayment) {
+      metadataRows.push(['Balloon Payment', `${currencySymbol}${loanDetails.balloonPayment.toFixed(2)}`]);
+    }
+    if (loanDetails.interestOnlyBalance) {
+      metadataRows.push(['Interest-Only Balance Owed at End', `${currencySymbol}${loanDetails.interestOnlyBalance.toFixed(2)}`]);
+    }
+    if (loanDetails.mortgageInsurance) {
+      const { type, ltv, monthlyPremium, upfrontPremium, totalPremiums } = loanDetails.mortgageInsurance;
+      metadataRows.push(['Mortgage Insurance', `${MORTGAGE_INSURANCE_TYPES[type].label} at ${ltv}% LTV`]);
+      metadataRows.push(upfrontPremium
+        ? ['Insurance Premium Added to Loan', `${currencySymbol}${upfrontPremium.toFixed(2)}`]
+        : ['Monthly Insurance Premium', `${currencySymbol}${monthlyPremium.toFixed(2)}`]);
+      metadataRows.push(['Total Insurance Premiums', `${currencySymbol}${totalPremiums.toFixed(2)}`]);
+    }
+    if (loanDetails.paymentHoliday) {
+      metadataRows.push(['Payment Holiday Extra Interest', `${currencySymbol}${loanDetails.paymentHoliday.extraInterest.toLocaleString()}`]);
+    }
     metadataRows.push(['Total Interest', `${currencySymbol}${loanDetails.totalInterest.toLocaleString()}`]);
     metadataRows.push(['Total Repayment', `${currencySymbol}${loanDetails.totalRepayment.toLocaleString()}`]);
     metadataRows.push(['']);
   }
 
+  // Monthly mortgage insurance gets its own column while it is being paid
+  const hasInsurance = schedule.some(payment => payment.mortgageInsurance > 0);
+
   // Column headers
   const headers = [
     'Month',
+    'Payment No.',
+    'Date',
     `Payment (${currencySymbol})`,
     `Principal (${currencySymbol})`,
     `Interest (${currencySymbol})`,
+    ...(hasInsurance ? [`Mortgage Insurance (${currencySymbol})`] : []),
+    'Rate (%)',
     `Balance (${currencySymbol})`,
     `Total Interest Paid (${currencySymbol})`
   ];
@@ -285,15 +1146,35 @@ export const exportToCSV = (schedule, loanDetails = null, currencySymbol = '£')
   // Payment data rows
   const rows = schedule.map(payment => [
     payment.month,
+    payment.isBalloon ? 'Balloon' : payment.isPaymentHoliday ? `${payment.period} (Holiday)` : payment.period ?? '',
+    payment.date ? format(toDate(payment.date), 'yyyy-MM-dd') : '',
     payment.payment.toFixed(2),
     payment.principalPayment.toFixed(2),
     payment.interestPayment.toFixed(2),
+    ...(hasInsurance ? [(payment.mortgageInsurance || 0).toFixed(2)] : []),
+    payment.rate ?? loanDetails?.rate ?? '',
     payment.balance.toFixed(2),
     payment.totalInterestPaid.toFixed(2)
   ]);
 
+  // Yearly summary section
+  const yearGrouping = loanDetails?.yearGrouping || 'loan';
+  const summaryRows = [
+    [''],
+    [`Summary by ${YEAR_GROUPINGS[yearGrouping]?.label || 'Loan year'}`],
+    ['Year', 'Payments', `Total Paid (${currencySymbol})`, `Principal (${currencySymbol})`, `Interest (${currencySymbol})`, `Closing Balance (${currencySymbol})`],
+    ...summarizeScheduleByYear(schedule, yearGrouping).map(year => [
+      year.label,
+      year.payments.length,
+      year.totalPaid.toFixed(2),
+      year.principalPaid.toFixed(2),
+      year.interestPaid.toFixed(2),
+      year.closingBalance.toFixed(2)
+    ])
+  ];
+
   // Combine all sections
-  const allRows = [...metadataRows, headers, ...rows];
+  const allRows = [...metadataRows, headers, ...rows, ...summaryRows];
 
   // CSV value escaping function
   const escapeCsvValue = (value) => {
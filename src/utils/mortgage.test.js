@@ -0,0 +1,538 @@
+import {
+  calculateAPR,
+  calculateMonthlyPayment,
+  calculatePeriodicPayment,
+  calculateMortgage,
+  exportToCSV,
+  generateAmortizationSchedule,
+  getOffsetSavings,
+  getPaymentDate,
+  getRateForMonth,
+  getScheduleYear,
+  getYearFraction,
+  normalizePaymentHolidays,
+  normalizeRateChanges,
+  resolveBalloonAmount,
+  summarizeScheduleByYear
+} from './mortgage';
+
+// Sum a column of schedule rows to the penny
+const total = (rows, field) => Math.round(rows.reduce((sum, row) => sum + row[field], 0) * 100) / 100;
+
+describe('variable-rate schedules', () => {
+  test('sorts rate changes by month and drops invalid ones', () => {
+    const changes = normalizeRateChanges([
+      { month: 37, rate: '4.5' },
+      { month: 13, rate: 6 },
+      { month: 0, rate: 3 },
+      { month: 25, rate: 'not a rate' }
+    ]);
+
+    expect(changes).toEqual([{ month: 13, rate: 6 }, { month: 37, rate: 4.5 }]);
+  });
+
+  test('resolves dated rate changes to the first payment after the change', () => {
+    const changes = normalizeRateChanges([{ date: '2027-03-15', rate: 5.25 }], '2026-01-01');
+
+    // Payment 14 falls on 1 March 2027, before the change; payment 15 on 1 April is the first after it
+    expect(changes).toEqual([{ month: 15, rate: 5.25 }]);
+  });
+
+  test('ignores dated rate changes when the loan has no start date', () => {
+    expect(normalizeRateChanges([{ date: '2027-03-15', rate: 5.25 }])).toEqual([]);
+  });
+
+  test('finds the rate in force for a month', () => {
+    const changes = [{ month: 13, rate: 6 }, { month: 37, rate: 4.5 }];
+
+    expect(getRateForMonth(changes, 12, 5)).toBe(5);
+    expect(getRateForMonth(changes, 13, 5)).toBe(6);
+    expect(getRateForMonth(changes, 36, 5)).toBe(6);
+    expect(getRateForMonth(changes, 240, 5)).toBe(4.5);
+  });
+
+  test('re-amortizes the balance over the remaining term from a rate change', () => {
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { rateChanges: [{ month: 25, rate: 7 }] });
+    const balanceBefore = schedule[23].balance;
+
+    expect(schedule).toHaveLength(120);
+    expect(schedule[0].payment).toBe(1060.66);
+    expect(schedule[24].rate).toBe(7);
+    expect(schedule[24].payment).toBeCloseTo(calculateMonthlyPayment(balanceBefore, 7, 8), 2);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+  });
+
+  test('gives the same loan for a dated change as for the equivalent month', () => {
+    const byMonth = calculateMortgage({ principal: 150000, rate: 4, termYears: 20, rateChanges: [{ month: 15, rate: 5.5 }], startDate: '2026-01-01' });
+    const byDate = calculateMortgage({ principal: 150000, rate: 4, termYears: 20, rateChanges: [{ date: '2027-03-15', rate: 5.5 }], startDate: '2026-01-01' });
+
+    expect(byDate.rateChanges).toEqual([{ month: 15, rate: 5.5 }]);
+    expect(byDate.totalInterest).toBe(byMonth.totalInterest);
+  });
+
+  test('applies a dated change from the first payment due on or after it', () => {
+    // Payments fall on the 15th, so the 15 March 2027 payment is the first after a change on the 10th
+    expect(normalizeRateChanges([{ date: '2027-03-10', rate: 5.5 }], '2026-01-15')).toEqual([{ month: 14, rate: 5.5 }]);
+    expect(normalizeRateChanges([{ date: '2027-03-15', rate: 5.5 }], '2026-01-15')).toEqual([{ month: 14, rate: 5.5 }]);
+    expect(normalizeRateChanges([{ date: '2027-03-16', rate: 5.5 }], '2026-01-15')).toEqual([{ month: 15, rate: 5.5 }]);
+    expect(normalizeRateChanges([{ date: '2026-01-20', rate: 5.5 }], '2026-01-15')).toEqual([{ month: 1, rate: 5.5 }]);
+
+    const schedule = generateAmortizationSchedule(150000, 4, 20, 0, { startDate: '2026-01-15', rateChanges: [{ date: '2027-03-10', rate: 5.5 }] });
+    expect(schedule[12].rate).toBe(4);
+    expect(schedule[13]).toMatchObject({ month: 14, rate: 5.5 });
+  });
+
+  test('reconciles total repayment with the sum of the payments', () => {
+    const result = calculateMortgage({ principal: 200000, rate: 3.5, termYears: 25, rateChanges: [{ month: 61, rate: 6 }] });
+    const schedule = generateAmortizationSchedule(200000, 3.5, 25, 0, { rateChanges: [{ month: 61, rate: 6 }] });
+
+    expect(result.totalRepayment).toBe(total(schedule, 'payment'));
+    expect(result.totalInterest).toBe(total(schedule, 'interestPayment'));
+  });
+});
+
+describe('payment frequencies', () => {
+  test('amortizes fortnightly payments at the periodic rate', () => {
+    const fortnightlyRate = 0.05 / 26;
+    const expected = 200000 * fortnightlyRate / (1 - Math.pow(1 + fortnightlyRate, -650));
+
+    expect(calculatePeriodicPayment(200000, 5, 25, 'fortnightly')).toBeCloseTo(expected, 8);
+    expect(calculatePeriodicPayment(200000, 5, 25, 'monthly')).toBeCloseTo(calculateMonthlyPayment(200000, 5, 25), 8);
+  });
+
+  test('charges half the monthly payment every two weeks on accelerated plans', () => {
+    expect(calculatePeriodicPayment(200000, 5, 25, 'accelerated-biweekly')).toBeCloseTo(calculateMonthlyPayment(200000, 5, 25) / 2, 8);
+  });
+
+  test('clears a weekly schedule in exactly 52 payments a year', () => {
+    const schedule = generateAmortizationSchedule(50000, 6, 5, 0, { paymentFrequency: 'weekly' });
+
+    expect(schedule).toHaveLength(260);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+  });
+
+  test('pays an accelerated bi-weekly loan off early and reports the saving', () => {
+    const monthly = calculateMortgage({ principal: 200000, rate: 5, termYears: 25 });
+    const accelerated = calculateMortgage({ principal: 200000, rate: 5, termYears: 25, paymentFrequency: 'accelerated-biweekly' });
+
+    expect(accelerated.periodicPayment).toBe(584.59);
+    expect(accelerated.monthlyPayment).toBe(1266.61);
+    expect(accelerated.numberOfPayments).toBeLessThan(650);
+    expect(accelerated.frequencySavings.months).toBeGreaterThan(36);
+    expect(accelerated.totalInterest).toBeLessThan(monthly.totalInterest);
+    expect(accelerated.frequencySavings.interest).toBe(Math.round((monthly.totalRepayment - accelerated.totalRepayment) * 100) / 100);
+  });
+
+  test('keeps the term of a plain fortnightly loan', () => {
+    const fortnightly = calculateMortgage({ principal: 200000, rate: 5, termYears: 25, paymentFrequency: 'fortnightly' });
+
+    expect(fortnightly.numberOfPayments).toBe(650);
+    expect(fortnightly.frequencySavings.months).toBe(0);
+  });
+});
+
+describe('day-count conventions', () => {
+  test('counts every whole month as 30 days under 30/360', () => {
+    expect(getYearFraction(new Date(2026, 0, 31), new Date(2026, 1, 28), '30/360')).toBeCloseTo(1 / 12, 12);
+    expect(getYearFraction(new Date(2026, 1, 28), new Date(2026, 2, 31), '30/360')).toBeCloseTo(1 / 12, 12);
+    expect(getYearFraction(new Date(2028, 0, 31), new Date(2028, 1, 29), '30/360')).toBeCloseTo(1 / 12, 12);
+    expect(getYearFraction(new Date(2026, 2, 30), new Date(2026, 3, 30), '30/360')).toBeCloseTo(1 / 12, 12);
+    expect(getYearFraction(new Date(2026, 0, 15), new Date(2027, 0, 15), '30/360')).toBe(1);
+  });
+
+  test('keeps the actual end day when the start is mid-month', () => {
+    // 15 January to 31 March is 2 months and 16 days
+    expect(getYearFraction(new Date(2026, 0, 15), new Date(2026, 2, 31), '30/360')).toBeCloseTo(76 / 360, 12);
+  });
+
+  test('counts calendar days under actual/365 and actual/360', () => {
+    expect(getYearFraction(new Date(2026, 0, 31), new Date(2026, 1, 28), 'actual/365')).toBeCloseTo(28 / 365, 12);
+    expect(getYearFraction(new Date(2026, 0, 31), new Date(2026, 1, 28), 'actual/360')).toBeCloseTo(28 / 360, 12);
+    expect(getYearFraction(new Date(2026, 0, 1), new Date(2027, 0, 1))).toBe(1);
+  });
+
+  test('charges a month-end loan exactly rate / 12 each month under 30/360', () => {
+    const schedule = generateAmortizationSchedule(200000, 5, 2, 0, { startDate: '2026-01-31', dayCount: '30/360' });
+
+    expect(schedule[0].interestPayment).toBe(833.33);
+    schedule.slice(1).forEach((row, i) => {
+      expect(row.interestPayment).toBe(Math.round(schedule[i].balance * 0.05 / 12 * 100) / 100);
+    });
+  });
+
+  test('charges more for 31-day months than for February under actual/365', () => {
+    const schedule = generateAmortizationSchedule(200000, 5, 1, 0, { startDate: '2026-01-01', dayCount: 'actual/365' });
+
+    // Payment 1 covers January (31 days), payment 2 covers February (28 days)
+    expect(schedule[0].interestPayment).toBe(849.32);
+    expect(schedule[1].interestPayment).toBeLessThan(schedule[0].interestPayment);
+  });
+});
+
+describe('year groupings', () => {
+  test('uses loan years for undated rows whatever the grouping', () => {
+    expect(getScheduleYear({ month: 12 }, 'calendar')).toEqual({ key: 1, label: 'Year 1' });
+    expect(getScheduleYear({ month: 13, date: new Date(2026, 0, 1) }, 'loan')).toEqual({ key: 2, label: 'Year 2' });
+  });
+
+  test('starts the UK tax year on 6 April', () => {
+    expect(getScheduleYear({ month: 1, date: new Date(2026, 3, 5) }, 'uk-tax')).toEqual({ key: 2025, label: '2025/26' });
+    expect(getScheduleYear({ month: 1, date: new Date(2026, 3, 6) }, 'uk-tax')).toEqual({ key: 2026, label: '2026/27' });
+  });
+
+  test('starts the Indian financial year on 1 April', () => {
+    expect(getScheduleYear({ month: 1, date: new Date(2027, 2, 31) }, 'india-fy')).toEqual({ key: 2026, label: 'FY 2026-27' });
+    expect(getScheduleYear({ month: 1, date: new Date(2099, 3, 1) }, 'india-fy')).toEqual({ key: 2099, label: 'FY 2099-00' });
+  });
+
+  test('splits a dated schedule by calendar year', () => {
+    // Payments fall due on the 1st of February 2026 to January 2027
+    const schedule = generateAmortizationSchedule(12000, 6, 1, 0, { startDate: '2026-01-01' });
+    const years = summarizeScheduleByYear(schedule, 'calendar');
+
+    expect(years.map(year => [year.label, year.payments.length])).toEqual([['2026', 11], ['2027', 1]]);
+    expect(years[1].closingBalance).toBe(0);
+  });
+
+  test('adds up payments, principal and interest within each year', () => {
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { startDate: '2026-01-01' });
+    const years = summarizeScheduleByYear(schedule, 'uk-tax');
+
+    expect(years[0].label).toBe('2025/26');
+    // Payments on 1 February, March and April 2026 fall before 6 April
+    expect(years[0].payments).toHaveLength(3);
+    expect(years).toHaveLength(11);
+    years.forEach(year => {
+      expect(year.totalPaid).toBeCloseTo(year.principalPaid + year.interestPaid, 2);
+      expect(year.closingBalance).toBe(year.payments[year.payments.length - 1].balance);
+    });
+    expect(total(years, 'principalPaid')).toBe(100000);
+  });
+
+  test('leaves accrued grace-period interest out of the interest paid', () => {
+    const schedule = generateAmortizationSchedule(10000, 6, 1, 6);
+    const [firstYear] = summarizeScheduleByYear(schedule);
+
+    expect(firstYear.interestPaid).toBe(total(firstYear.payments.filter(row => !row.isGracePeriod), 'interestPayment'));
+  });
+
+  test('exports the yearly summary with the chosen grouping', () => {
+    const schedule = generateAmortizationSchedule(12000, 6, 1, 0, { startDate: '2026-01-01' });
+    const loan = calculateMortgage({ principal: 12000, rate: 6, termYears: 1, startDate: '2026-01-01' });
+    const csv = exportToCSV(schedule, { ...loan, principal: 12000, rate: 6, termYears: 1, yearGrouping: 'india-fy' });
+
+    expect(csv).toContain('Summary by Indian financial year (Apr–Mar)');
+    expect(csv).toContain('FY 2025-26,2,');
+    expect(csv).toContain('FY 2026-27,10,');
+  });
+});
+
+describe('APR and APRC', () => {
+  test('matches the contract rate when there are no fees', () => {
+    const result = calculateMortgage({ principal: 100000, rate: 5, termYears: 25 });
+
+    expect(result.apr).toBe(5);
+    expect(result.aprc).toBe(5.12);
+  });
+
+  test('raises both rates for a fee paid upfront', () => {
+    const result = calculateMortgage({ principal: 100000, rate: 5, termYears: 25, fees: { arrangementFee: 1999 } });
+
+    expect(result.apr).toBe(5.2);
+    expect(result.aprc).toBe(5.33);
+  });
+
+  test('treats a fee added to the loan as borrowed at the loan rate', () => {
+    const result = calculateMortgage({ principal: 100000, rate: 5, termYears: 25, fees: { arrangementFee: 1999 }, feeTiming: 'added' });
+
+    expect(result.monthlyPayment).toBe(596.28);
+    expect(result.apr).toBe(5.2);
+    expect(result.aprc).toBe(5.33);
+  });
+
+  test('discounts a fee paid on redemption over the whole term', () => {
+    const result = calculateMortgage({ principal: 100000, rate: 5, termYears: 25, fees: { arrangementFee: 1999 }, feeTiming: 'end' });
+
+    expect(result.apr).toBe(5.06);
+    expect(result.aprc).toBe(5.18);
+  });
+
+  test('includes the reversion rate after an introductory fix', () => {
+    const result = calculateMortgage({ principal: 150000, rate: 2, termYears: 25, fees: 999, rateChanges: [{ month: 25, rate: 6 }] });
+
+    expect(result.apr).toBe(5.31);
+    expect(result.aprc).toBe(5.44);
+  });
+
+  test('solves a fee-only loan directly', () => {
+    expect(calculateAPR({ principal: 200000, rate: 4, termYears: 20, fees: 995 })).toEqual({ apr: 4.06, aprc: 4.13 });
+  });
+});
+
+describe('balloon loans', () => {
+  test('resolves a balloon from an amount or a percentage, capped at the principal', () => {
+    expect(resolveBalloonAmount(20000, 40, 'percent')).toBe(8000);
+    expect(resolveBalloonAmount(20000, '6500')).toBe(6500);
+    expect(resolveBalloonAmount(20000, 150, 'percent')).toBe(20000);
+    expect(resolveBalloonAmount(20000, -5, 'percent')).toBe(0);
+  });
+
+  test('amortizes down to the balloon and takes it with the last payment', () => {
+    const schedule = generateAmortizationSchedule(20000, 7, 4, 0, { balloonAmount: 8000 });
+    const balloonRow = schedule[schedule.length - 1];
+
+    expect(schedule).toHaveLength(49);
+    expect(schedule[47].balance).toBe(8000);
+    expect(balloonRow).toMatchObject({ isBalloon: true, payment: 8000, principalPayment: 8000, interestPayment: 0, balance: 0 });
+    expect(total(schedule, 'principalPayment')).toBe(20000);
+  });
+
+  test('charges interest only when the balloon is the whole loan', () => {
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { balloonAmount: 100000 });
+
+    expect(schedule).toHaveLength(121);
+    schedule.slice(0, 120).forEach(row => {
+      expect(row).toMatchObject({ payment: 416.67, interestPayment: 416.67, principalPayment: 0, balance: 100000 });
+    });
+    expect(schedule[120]).toMatchObject({ isBalloon: true, payment: 100000, balance: 0 });
+  });
+
+  test('reports the interest and repayment of a 100% balloon like an interest-only loan', () => {
+    const balloon = calculateMortgage({ principal: 100000, rate: 5, termYears: 10, type: 'balloon', balloon: 100, balloonType: 'percent' });
+    const interestOnly = calculateMortgage({ principal: 100000, rate: 5, termYears: 10, type: 'interest-only' });
+
+    expect(balloon.monthlyPayment).toBe(416.67);
+    expect(balloon.totalInterest).toBe(interestOnly.totalInterest);
+    expect(balloon.totalRepayment).toBe(150000.4);
+    expect(balloon.apr).toBe(5);
+  });
+
+  test('reports interest on a part-and-part loan that is wholly interest only', () => {
+    const result = calculateMortgage({ principal: 100000, rate: 5, termYears: 10, type: 'part-and-part', interestOnlyPortion: 100, interestOnlyPortionType: 'percent' });
+
+    expect(result.monthlyPayment).toBe(416.67);
+    expect(result.totalInterest).toBe(50000.4);
+  });
+});
+
+describe('offset mortgages', () => {
+  const standard = calculateMortgage({ principal: 200000, rate: 5, termYears: 25 });
+
+  test('grows the offset savings by the monthly deposit', () => {
+    expect(getOffsetSavings(null, 12)).toBe(0);
+    expect(getOffsetSavings({ savings: 10000, monthlySavings: 100 }, 1)).toBe(10000);
+    expect(getOffsetSavings({ savings: 10000, monthlySavings: 100 }, 13)).toBe(11200);
+  });
+
+  test('charges interest only on the balance not covered by savings', () => {
+    const schedule = generateAmortizationSchedule(200000, 5, 25, 0, { offset: { savings: 20000, mode: 'reduce-term' } });
+
+    expect(schedule[0].interestPayment).toBe(750);
+    expect(schedule[0].offsetSavings).toBe(20000);
+  });
+
+  test('keeps the payment and finishes early when reducing the term', () => {
+    const result = calculateMortgage({ principal: 200000, rate: 5, termYears: 25, offset: { savings: 20000, mode: 'reduce-term' } });
+
+    expect(result.monthlyPayment).toBe(standard.monthlyPayment);
+    expect(result.offset.payoffMonths).toBeLessThan(300);
+    expect(result.offset.monthsSaved).toBe(300 - result.offset.payoffMonths);
+    expect(result.offset.interestSaved).toBe(Math.round((standard.totalInterest - result.totalInterest) * 100) / 100);
+    expect(result.apr).toBe(standard.apr);
+  });
+
+  test('passes the interest saved back as a lower payment when reducing the payment', () => {
+    const result = calculateMortgage({ principal: 200000, rate: 5, termYears: 25, offset: { savings: 20000, mode: 'reduce-payment' } });
+
+    // 20,000 of savings at 5% saves 83.33 of interest in the first month
+    expect(result.monthlyPayment).toBe(Math.round((standard.monthlyPayment - 83.33) * 100) / 100);
+    expect(result.offset.payoffMonths).toBe(300);
+    expect(result.offset.monthsSaved).toBe(0);
+    expect(result.offset.standardMonthlyPayment).toBe(standard.monthlyPayment);
+    expect(result.offset.interestSaved).toBeGreaterThan(0);
+  });
+
+  test('charges no interest once the savings cover the balance', () => {
+    const schedule = generateAmortizationSchedule(50000, 5, 10, 0, { offset: { savings: 60000, mode: 'reduce-term' } });
+
+    expect(schedule.every(row => row.interestPayment === 0)).toBe(true);
+    expect(total(schedule, 'principalPayment')).toBe(50000);
+  });
+
+  test('lowers the payment of an interest-only loan', () => {
+    const result = calculateMortgage({ principal: 200000, rate: 5, termYears: 25, type: 'interest-only', offset: { savings: 50000 } });
+
+    expect(result.monthlyPayment).toBe(625);
+    expect(result.offset.mode).toBe('reduce-payment');
+    // 300 payments of 625 against 300 of 833.33
+    expect(result.offset.interestSaved).toBe(62499);
+  });
+});
+
+describe('part-and-part mortgages', () => {
+  const split = { principal: 200000, rate: 5, termYears: 25, type: 'part-and-part' };
+
+  test('splits the loan by amount or by percentage', () => {
+    const byPercent = calculateMortgage({ ...split, interestOnlyPortion: 40, interestOnlyPortionType: 'percent' });
+    const byAmount = calculateMortgage({ ...split, interestOnlyPortion: 80000, interestOnlyPortionType: 'amount' });
+
+    expect(byPercent.interestOnlyBalance).toBe(80000);
+    expect(byPercent.repaymentPortion).toBe(120000);
+    expect(byAmount.monthlyPayment).toBe(byPercent.monthlyPayment);
+    expect(byAmount.totalInterest).toBe(byPercent.totalInterest);
+  });
+
+  test('pays interest on both portions and amortizes only the repayment portion', () => {
+    const result = calculateMortgage({ ...split, interestOnlyPortion: 50, interestOnlyPortionType: 'percent' });
+    const interestOnly = 100000 * 0.05 / 12;
+
+    expect(result.monthlyPayment).toBeCloseTo(interestOnly + calculateMonthlyPayment(100000, 5, 25), 1);
+  });
+
+  test('tracks both portions on every row and leaves the interest-only portion owed', () => {
+    const schedule = generateAmortizationSchedule(200000, 5, 25, 0, { interestOnlyAmount: 50000 });
+    const lastRow = schedule[schedule.length - 1];
+
+    expect(schedule).toHaveLength(300);
+    expect(schedule[0]).toMatchObject({ interestOnlyBalance: 50000, repaymentBalance: schedule[0].balance - 50000 });
+    expect(lastRow).toMatchObject({ balance: 50000, interestOnlyBalance: 50000, repaymentBalance: 0 });
+    expect(schedule.some(row => row.isBalloon)).toBe(false);
+  });
+
+  test('counts the interest-only portion in the total repaid', () => {
+    const result = calculateMortgage({ ...split, interestOnlyPortion: 50000 });
+    const schedule = generateAmortizationSchedule(200000, 5, 25, 0, { interestOnlyAmount: 50000 });
+
+    expect(result.totalRepayment).toBe(Math.round((total(schedule, 'payment') + 50000) * 100) / 100);
+    expect(result.totalInterest).toBe(total(schedule, 'interestPayment'));
+  });
+});
+
+describe('payment holidays', () => {
+  const loan = { principal: 100000, rate: 5, termYears: 10 };
+  const standard = calculateMortgage(loan);
+
+  test('resolves holidays by month or by date', () => {
+    expect(normalizePaymentHolidays([{ month: 13, months: 3 }, { date: '2026-06-15', months: 1, after: 'extend-term' }], '2026-01-01'))
+      .toEqual([{ startMonth: 6, endMonth: 6, after: 'extend-term' }, { startMonth: 13, endMonth: 15, after: 'recalculate' }]);
+  });
+
+  test('starts a dated holiday with the first payment due on or after the date', () => {
+    // Payments fall on the 15th, so a holiday from 10 June 2026 starts with the 15 June payment
+    expect(normalizePaymentHolidays([{ date: '2026-06-10', months: 2 }], '2026-01-15')).toEqual([{ startMonth: 5, endMonth: 6, after: 'recalculate' }]);
+    expect(normalizePaymentHolidays([{ date: '2026-06-20', months: 2 }], '2026-01-15')).toEqual([{ startMonth: 6, endMonth: 7, after: 'recalculate' }]);
+
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { startDate: '2026-01-15', paymentHolidays: [{ date: '2026-06-10', months: 2 }] });
+    expect(schedule.filter(row => row.isPaymentHoliday).map(row => row.date)).toEqual([new Date(2026, 5, 15), new Date(2026, 6, 15)]);
+  });
+
+  test('adds the holiday interest to the balance and recalculates the payment over the remaining term', () => {
+    const result = calculateMortgage({ ...loan, paymentHolidays: [{ month: 13, months: 3 }] });
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { paymentHolidays: result.paymentHolidays });
+    const holidayRows = schedule.filter(row => row.isPaymentHoliday);
+
+    expect(schedule).toHaveLength(120);
+    expect(holidayRows.map(row => row.month)).toEqual([13, 14, 15]);
+    holidayRows.forEach(row => expect(row).toMatchObject({ payment: 0, principalPayment: -row.interestPayment }));
+    expect(result.paymentHoliday.missedPayments).toBe(3);
+    expect(result.paymentHoliday.paymentAfterHoliday).toBeGreaterThan(standard.monthlyPayment);
+    expect(result.paymentHoliday.monthsAdded).toBe(0);
+    expect(result.totalInterest).toBeGreaterThan(standard.totalInterest);
+  });
+
+  test('extends the term by exactly the missed payments', () => {
+    const result = calculateMortgage({ ...loan, paymentHolidays: [{ month: 13, months: 3, after: 'extend-term' }] });
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { paymentHolidays: result.paymentHolidays });
+
+    expect(schedule).toHaveLength(123);
+    expect(schedule[122].balance).toBe(0);
+    expect(result.paymentHoliday.monthsAdded).toBe(3);
+    // Only the deferred interest is added to the payment
+    expect(result.paymentHoliday.paymentAfterHoliday).toBeGreaterThan(standard.monthlyPayment);
+    expect(result.paymentHoliday.paymentAfterHoliday).toBeLessThan(standard.monthlyPayment + 15);
+  });
+
+  test('ends a recalculated holiday before the final payment so the loan is repaid', () => {
+    const result = calculateMortgage({ ...loan, paymentHolidays: [{ month: 119, months: 3 }] });
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { paymentHolidays: result.paymentHolidays });
+
+    expect(result.paymentHolidays).toEqual([{ startMonth: 119, endMonth: 119, after: 'recalculate' }]);
+    expect(schedule).toHaveLength(120);
+    expect(schedule[119].balance).toBe(0);
+    expect(result.paymentHoliday.paymentAfterHoliday).toBe(schedule[119].payment);
+    expect(result.totalInterest).toBeGreaterThan(standard.totalInterest);
+    expect(result.apr).toBe(5);
+  });
+
+  test('repays an extended holiday that runs past the original term', () => {
+    const result = calculateMortgage({ ...loan, paymentHolidays: [{ month: 119, months: 3, after: 'extend-term' }] });
+    const schedule = generateAmortizationSchedule(100000, 5, 10, 0, { paymentHolidays: result.paymentHolidays });
+
+    expect(schedule).toHaveLength(123);
+    expect(schedule[122].balance).toBe(0);
+    expect(result.totalInterest).toBeGreaterThan(standard.totalInterest);
+  });
+
+  test('moves a holiday that starts in a grace period to the first repayment month', () => {
+    const result = calculateMortgage({ principal: 20000, rate: 6, termYears: 10, gracePeriodMonths: 6, paymentHolidays: [{ month: 3, months: 2 }] });
+    const schedule = generateAmortizationSchedule(20000, 6, 10, 6, { paymentHolidays: result.paymentHolidays });
+
+    expect(result.paymentHolidays).toEqual([{ startMonth: 7, endMonth: 8, after: 'recalculate' }]);
+    expect(schedule.filter(row => row.isPaymentHoliday).map(row => row.month)).toEqual([7, 8]);
+    expect(result.paymentHoliday.missedPayments).toBe(2);
+  });
+});
+
+describe('student loan grace periods', () => {
+  const loan = { principal: 20000, rate: 6, termYears: 10, gracePeriodMonths: 6 };
+
+  test('capitalizes unsubsidized grace-period interest into the balance before repayment', () => {
+    const schedule = generateAmortizationSchedule(20000, 6, 10, 6);
+    const graceRows = schedule.filter(row => row.isGracePeriod);
+
+    expect(graceRows).toHaveLength(6);
+    // Simple interest on the original balance: no compounding within the grace period
+    graceRows.forEach(row => expect(row).toMatchObject({ payment: 0, interestPayment: 100 }));
+    expect(graceRows.slice(0, 5).every(row => row.balance === 20000)).toBe(true);
+    expect(graceRows[5]).toMatchObject({ capitalizedInterest: 600, principalPayment: -600, balance: 20600 });
+    expect(schedule[6].payment).toBe(Math.round(calculateMonthlyPayment(20600, 6, 10) * 100) / 100);
+    expect(schedule).toHaveLength(126);
+  });
+
+  test('keeps month-end due dates after a grace period', () => {
+    const schedule = generateAmortizationSchedule(20000, 6, 10, 3, { startDate: '2026-01-31' });
+
+    expect(getPaymentDate('2026-01-31', 1, 'monthly', 3)).toEqual(new Date(2026, 4, 31));
+    expect(schedule[3].date).toEqual(new Date(2026, 4, 31));
+    expect(schedule[4].date).toEqual(new Date(2026, 5, 30));
+    expect(schedule[5].date).toEqual(new Date(2026, 6, 31));
+  });
+
+  test('counts capitalized interest once in the totals', () => {
+    const result = calculateMortgage(loan);
+    const schedule = generateAmortizationSchedule(20000, 6, 10, 6);
+
+    expect(result.gracePeriodInterest).toBe(600);
+    expect(result.monthlyPayment).toBe(schedule[6].payment);
+    expect(result.totalRepayment).toBe(total(schedule, 'payment'));
+    expect(result.totalInterest).toBe(Math.round((result.totalRepayment - 20000) * 100) / 100);
+  });
+
+  test('accrues nothing on a subsidized loan', () => {
+    const result = calculateMortgage({ ...loan, graceInterest: 'subsidized' });
+    const withoutGrace = calculateMortgage({ principal: 20000, rate: 6, termYears: 10 });
+
+    expect(result.gracePeriodInterest).toBe(0);
+    expect(result.monthlyPayment).toBe(withoutGrace.monthlyPayment);
+    expect(result.totalInterest).toBe(withoutGrace.totalInterest);
+  });
+
+  test('quotes an interest-free grace period as a lower APR', () => {
+    const unsubsidized = calculateMortgage(loan);
+    const subsidized = calculateMortgage({ ...loan, graceInterest: 'subsidized' });
+
+    // Capitalizing simple interest costs about the same as the contract rate
+    expect(unsubsidized.apr).toBeCloseTo(6, 1);
+    expect(subsidized.apr).toBeLessThan(unsubsidized.apr - 0.2);
+  });
+});
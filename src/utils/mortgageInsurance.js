@@ -0,0 +1,101 @@
+import { roundMoney, sumMoney } from './money';
+
+// Mortgage insurance on high loan-to-value loans. US PMI is a monthly premium that stops once the balance
+// is paid down; Australian LMI and Canadian CMHC premiums are one-off and added to the loan.
+export const MORTGAGE_INSURANCE_TYPES = {
+  none: { id: 'none', label: 'None' },
+  pmi: { id: 'pmi', label: 'PMI (US, monthly premium)', charge: 'monthly' },
+  lmi: { id: 'lmi', label: 'LMI (Australia, upfront premium)', charge: 'upfront' },
+  cmhc: { id: 'cmhc', label: 'CMHC (Canada, upfront premium)', charge: 'upfront' }
+};
+
+// Insurance is only required above this loan-to-value ratio (%)
+export const INSURANCE_REQUIRED_ABOVE_LTV = 80;
+
+// US Homeowners Protection Act: PMI ends automatically once the balance is scheduled to reach 78% of the
+// original property value, and in any case at the midpoint of the term
+export const PMI_DROP_OFF_LTV = 78;
+
+// Premium rates (%) by the highest LTV they cover. PMI is an annual rate on the original loan amount;
+// LMI and CMHC are a one-off share of the loan. PMI and LMI vary by insurer and borrower, so theirs are typical rates.
+const PREMIUM_TIERS = {
+  pmi: [
+    { maxLtv: 85, rate: 0.3 },
+    { maxLtv: 90, rate: 0.5 },
+    { maxLtv: 95, rate: 0.75 },
+    { maxLtv: 100, rate: 1 }
+  ],
+  lmi: [
+    { maxLtv: 85, rate: 1 },
+    { maxLtv: 90, rate: 2 },
+    { maxLtv: 95, rate: 3.5 }
+  ],
+  cmhc: [
+    { maxLtv: 85, rate: 2.8 },
+    { maxLtv: 90, rate: 3.1 },
+    { maxLtv: 95, rate: 4 }
+  ]
+};
+
+// Loan-to-value ratio (%)
+export const getLoanToValue = (loanAmount, propertyValue) => (
+  propertyValue > 0 ? (loanAmount / propertyValue) * 100 : 0
+);
+
+// Premium rate (%) for an insurance type at a given LTV, or 0 when no insurance is required.
+// Loans above the highest tier are priced at that tier.
+export const getInsurancePremiumRate = (type, ltv) => {
+  const tiers = PREMIUM_TIERS[type];
+  if (!tiers || ltv <= INSURANCE_REQUIRED_ABOVE_LTV) return 0;
+  return (tiers.find(tier => ltv <= tier.maxLtv) || tiers[tiers.length - 1]).rate;
+};
+
+// Resolve insurance options ({ type, propertyValue, rate, dropOffLtv }) for a loan into the premium that applies,
+// or null when the loan needs none. A rate overrides the standard premium for the LTV.
+export const resolveMortgageInsurance = (options, loanAmount, termYears) => {
+  const insuranceType = MORTGAGE_INSURANCE_TYPES[options?.type];
+  const propertyValue = parseFloat(options?.propertyValue) || 0;
+  if (!insuranceType?.charge || propertyValue <= 0) return null;
+
+  const ltv = getLoanToValue(loanAmount, propertyValue);
+  if (ltv <= INSURANCE_REQUIRED_ABOVE_LTV) return null;
+
+  const premiumRate = parseFloat(options.rate) || getInsurancePremiumRate(insuranceType.id, ltv);
+  const monthly = insuranceType.charge === 'monthly';
+
+  return {
+    type: insuranceType.id,
+    charge: insuranceType.charge,
+    propertyValue,
+    ltv: parseFloat(ltv.toFixed(2)),
+    premiumRate,
+    monthlyPremium: monthly ? roundMoney(loanAmount * premiumRate / 100 / 12) : 0,
+    upfrontPremium: monthly ? 0 : roundMoney(loanAmount * premiumRate / 100),
+    dropOffLtv: monthly ? parseFloat(options.dropOffLtv) || PMI_DROP_OFF_LTV : null,
+    termMonths: termYears * 12
+  };
+};
+
+// Whether a monthly premium is due for a repayment month, given the balance before that month's payment
+export const isMortgageInsuranceDue = (insurance, openingBalance, repaymentMonth) => (
+  Boolean(insurance?.monthlyPremium)
+  && repaymentMonth <= insurance.termMonths / 2
+  && getLoanToValue(openingBalance, insurance.propertyValue) > insurance.dropOffLtv
+);
+
+// Premiums paid in a schedule and when they stop (the first payment without one)
+export const summarizeMortgageInsurance = (schedule, insurance) => {
+  const insuredRows = schedule.filter(row => row.mortgageInsurance > 0);
+  const lastInsured = insuredRows[insuredRows.length - 1];
+  const dropOffRow = lastInsured
+    ? schedule.slice(schedule.indexOf(lastInsured) + 1).find(row => !row.isBalloon)
+    : null;
+
+  return {
+    ...insurance,
+    totalPremiums: insurance.upfrontPremium || sumMoney(insuredRows.map(row => row.mortgageInsurance)),
+    insuredPayments: insuredRows.length,
+    dropOffMonth: dropOffRow ? dropOffRow.month : null,
+    ...(dropOffRow?.date && { dropOffDate: dropOffRow.date })
+  };
+};
@@ -0,0 +1,87 @@
+import {
+  getInsurancePremiumRate,
+  getLoanToValue,
+  isMortgageInsuranceDue,
+  PMI_DROP_OFF_LTV,
+  resolveMortgageInsurance
+} from './mortgageInsurance';
+import { calculateMortgage } from './mortgage';
+
+describe('mortgage insurance premiums', () => {
+  test('works out the loan-to-value ratio', () => {
+    expect(getLoanToValue(270000, 300000)).toBe(90);
+    expect(getLoanToValue(270000, 0)).toBe(0);
+  });
+
+  test('prices each type by LTV tier, with nothing due at 80% or below', () => {
+    expect(getInsurancePremiumRate('pmi', 80)).toBe(0);
+    expect(getInsurancePremiumRate('pmi', 85)).toBe(0.3);
+    expect(getInsurancePremiumRate('pmi', 85.01)).toBe(0.5);
+    expect(getInsurancePremiumRate('pmi', 97)).toBe(1);
+    expect(getInsurancePremiumRate('lmi', 97)).toBe(3.5);
+    expect(getInsurancePremiumRate('cmhc', 90)).toBe(3.1);
+    expect(getInsurancePremiumRate('none', 95)).toBe(0);
+  });
+
+  test('charges PMI monthly on the original loan amount', () => {
+    const insurance = resolveMortgageInsurance({ type: 'pmi', propertyValue: 300000 }, 270000, 30);
+
+    expect(insurance).toMatchObject({ ltv: 90, premiumRate: 0.5, monthlyPremium: 112.5, upfrontPremium: 0, dropOffLtv: PMI_DROP_OFF_LTV, termMonths: 360 });
+  });
+
+  test('charges LMI and CMHC once, up front', () => {
+    expect(resolveMortgageInsurance({ type: 'lmi', propertyValue: 300000 }, 270000, 30)).toMatchObject({ upfrontPremium: 5400, monthlyPremium: 0, dropOffLtv: null });
+    expect(resolveMortgageInsurance({ type: 'cmhc', propertyValue: 300000, rate: 2.5 }, 270000, 25).upfrontPremium).toBe(6750);
+  });
+
+  test('needs no insurance at 80% LTV or without a property value', () => {
+    expect(resolveMortgageInsurance({ type: 'pmi', propertyValue: 300000 }, 240000, 30)).toBeNull();
+    expect(resolveMortgageInsurance({ type: 'pmi' }, 240000, 30)).toBeNull();
+    expect(resolveMortgageInsurance(null, 240000, 30)).toBeNull();
+  });
+
+  test('stops PMI at the drop-off LTV or the midpoint of the term, whichever comes first', () => {
+    const insurance = resolveMortgageInsurance({ type: 'pmi', propertyValue: 300000 }, 270000, 30);
+
+    expect(isMortgageInsuranceDue(insurance, 234001, 12)).toBe(true);
+    expect(isMortgageInsuranceDue(insurance, 234000, 12)).toBe(false);
+    expect(isMortgageInsuranceDue(insurance, 260000, 181)).toBe(false);
+  });
+});
+
+describe('mortgage insurance in the loan', () => {
+  const loan = { principal: 285000, rate: 6, termYears: 30 };
+
+  test('drops PMI from the first payment whose opening balance is at 78% LTV', () => {
+    const result = calculateMortgage({ ...loan, mortgageInsurance: { type: 'pmi', propertyValue: 300000 } });
+    const { dropOffMonth, insuredPayments, monthlyPremium, totalPremiums } = result.mortgageInsurance;
+
+    expect(result.loanToValueRatio).toBe(95);
+    expect(monthlyPremium).toBe(178.13);
+    expect(dropOffMonth).toBe(insuredPayments + 1);
+    expect(totalPremiums).toBe(Math.round(monthlyPremium * insuredPayments * 100) / 100);
+  });
+
+  test('stops PMI at the midpoint of the term when the balance is still high', () => {
+    const result = calculateMortgage({ ...loan, mortgageInsurance: { type: 'pmi', propertyValue: 300000, dropOffLtv: 40 } });
+
+    expect(result.mortgageInsurance.insuredPayments).toBe(180);
+    expect(result.mortgageInsurance.dropOffMonth).toBe(181);
+  });
+
+  test('adds PMI to the total repaid and to the APR', () => {
+    const insured = calculateMortgage({ ...loan, mortgageInsurance: { type: 'pmi', propertyValue: 300000 } });
+    const uninsured = calculateMortgage(loan);
+
+    expect(insured.totalRepayment).toBe(Math.round((uninsured.totalRepayment + insured.mortgageInsurance.totalPremiums) * 100) / 100);
+    expect(insured.apr).toBeGreaterThan(uninsured.apr);
+  });
+
+  test('adds an upfront premium to the loan', () => {
+    const result = calculateMortgage({ principal: 270000, rate: 5, termYears: 25, mortgageInsurance: { type: 'lmi', propertyValue: 300000 } });
+
+    expect(result.principal).toBe(275400);
+    expect(result.mortgageInsurance.totalPremiums).toBe(5400);
+    expect(result.monthlyPayment).toBe(calculateMortgage({ principal: 275400, rate: 5, termYears: 25 }).monthlyPayment);
+  });
+});
@@ -0,0 +1,59 @@
+import { roundMoney } from './money';
+import { calculateMortgage, generateAmortizationSchedule } from './mortgage';
+
+// Upfront cost of a rate option: discount points (each 1% of the loan) plus any flat product or arrangement fee
+export const getUpfrontCost = (principal, option = {}) => roundMoney(
+  principal * (parseFloat(option.points) || 0) / 100 + (parseFloat(option.fee) || 0)
+);
+
+// Compare rate options on the same loan, each buying a lower rate with a higher upfront cost.
+// Cost to date is the upfront cost plus interest paid so far. Each option is measured against the one
+// with the lowest upfront cost (the highest rate on a tie): it breaks even in the first month its cost to date
+// drops to the baseline's, which is when the interest saved covers the extra paid upfront.
+export const compareRateOptions = ({ principal, termYears, options = [], rounding = 'nearest-minor' }) => {
+  const results = options.map(option => {
+    const rate = parseFloat(option.rate) || 0;
+    const upfrontCost = getUpfrontCost(principal, option);
+    const loan = calculateMortgage({ principal, rate, termYears, rounding });
+    const schedule = generateAmortizationSchedule(principal, rate, termYears, 0, { rounding: loan.rounding });
+
+    return {
+      ...option,
+      rate,
+      upfrontCost,
+      monthlyPayment: loan.monthlyPayment,
+      totalInterest: loan.totalInterest,
+      totalCost: roundMoney(upfrontCost + loan.totalInterest),
+      cumulativeCost: [upfrontCost, ...schedule.map(row => roundMoney(upfrontCost + row.totalInterestPaid))]
+    };
+  });
+
+  const baseline = results.reduce((best, result) => (
+    !best || result.upfrontCost < best.upfrontCost || (result.upfrontCost === best.upfrontCost && result.rate > best.rate)
+      ? result
+      : best
+  ), null);
+
+  return results.map(result => {
+    if (result === baseline) {
+      return { ...result, isBaseline: true, breakEvenMonth: null, monthlySavings: 0, lifetimeSavings: 0 };
+    }
+
+    const extraUpfront = roundMoney(result.upfrontCost - baseline.upfrontCost);
+    const monthlySavings = roundMoney(baseline.monthlyPayment - result.monthlyPayment);
+    const breakEvenIndex = result.cumulativeCost.findIndex((cost, month) => (
+      month > 0 && cost <= (baseline.cumulativeCost[month] ?? baseline.totalCost)
+    ));
+
+    return {
+      ...result,
+      isBaseline: false,
+      extraUpfront,
+      monthlySavings,
+      // The usual rule of thumb: upfront cost over the monthly payment saved
+      simpleBreakEvenMonth: monthlySavings > 0 ? Math.ceil(extraUpfront / monthlySavings) : null,
+      breakEvenMonth: breakEvenIndex > 0 ? breakEvenIndex : null,
+      lifetimeSavings: roundMoney(baseline.totalCost - result.totalCost)
+    };
+  });
+};
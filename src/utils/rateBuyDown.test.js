@@ -0,0 +1,65 @@
+import { compareRateOptions, getUpfrontCost } from './rateBuyDown';
+import { calculateMortgage } from './mortgage';
+
+const options = [
+  { id: 'par', rate: 6.5 },
+  { id: 'one-point', rate: 6.25, points: 1 },
+  { id: 'two-points', rate: 6, points: 2, fee: 500 }
+];
+
+describe('rate buy-down', () => {
+  test('prices points as a percentage of the loan plus any flat fee', () => {
+    expect(getUpfrontCost(300000, { points: 1.5, fee: 995 })).toBe(5495);
+    expect(getUpfrontCost(300000, {})).toBe(0);
+    expect(getUpfrontCost(300000, { points: '', fee: '250' })).toBe(250);
+  });
+
+  test('measures every option against the cheapest upfront', () => {
+    const [par, onePoint, twoPoints] = compareRateOptions({ principal: 300000, termYears: 30, options });
+
+    expect(par.isBaseline).toBe(true);
+    expect(par.breakEvenMonth).toBeNull();
+    expect(onePoint.isBaseline).toBe(false);
+    expect(onePoint.extraUpfront).toBe(3000);
+    expect(twoPoints.extraUpfront).toBe(6500);
+    expect(onePoint.monthlyPayment).toBe(calculateMortgage({ principal: 300000, rate: 6.25, termYears: 30 }).monthlyPayment);
+    expect(onePoint.monthlySavings).toBe(Math.round((par.monthlyPayment - onePoint.monthlyPayment) * 100) / 100);
+  });
+
+  test('breaks even in the first month the cost to date drops to the baseline', () => {
+    const [par, onePoint] = compareRateOptions({ principal: 300000, termYears: 30, options });
+    const month = onePoint.breakEvenMonth;
+
+    expect(month).toBeGreaterThan(0);
+    expect(onePoint.cumulativeCost[month]).toBeLessThanOrEqual(par.cumulativeCost[month]);
+    expect(onePoint.cumulativeCost[month - 1]).toBeGreaterThan(par.cumulativeCost[month - 1]);
+    // Interest is front-loaded, so the real break-even comes before the rule of thumb
+    expect(month).toBeLessThanOrEqual(onePoint.simpleBreakEvenMonth);
+  });
+
+  test('counts the upfront cost in lifetime savings', () => {
+    const [par, onePoint] = compareRateOptions({ principal: 300000, termYears: 30, options });
+
+    expect(onePoint.totalCost).toBe(Math.round((3000 + onePoint.totalInterest) * 100) / 100);
+    expect(onePoint.lifetimeSavings).toBe(Math.round((par.totalCost - onePoint.totalCost) * 100) / 100);
+    expect(onePoint.lifetimeSavings).toBeGreaterThan(0);
+  });
+
+  test('never breaks even when the lower rate does not cover its cost within the term', () => {
+    const [, expensive] = compareRateOptions({
+      principal: 100000,
+      termYears: 5,
+      options: [{ rate: 5 }, { rate: 4.9, points: 3 }]
+    });
+
+    expect(expensive.breakEvenMonth).toBeNull();
+    expect(expensive.lifetimeSavings).toBeLessThan(0);
+  });
+
+  test('takes the higher rate as the baseline when upfront costs tie', () => {
+    const results = compareRateOptions({ principal: 200000, termYears: 25, options: [{ rate: 5 }, { rate: 5.5 }] });
+
+    expect(results[1].isBaseline).toBe(true);
+    expect(results[0].breakEvenMonth).toBe(1);
+  });
+});
@@ -0,0 +1,95 @@
+import { roundMoney, sumMoney } from './money';
+import { calculateMortgage, generateAmortizationSchedule } from './mortgage';
+
+// How the early repayment charge (prepayment penalty) on the current loan is given
+export const EARLY_REPAYMENT_CHARGE_TYPES = {
+  percent: { id: 'percent', label: '% of balance' },
+  amount: { id: 'amount', label: 'Fixed amount' }
+};
+
+// Early repayment charge due on redeeming the current balance
+export const getEarlyRepaymentCharge = (balance, charge = 0, chargeType = 'percent') => roundMoney(
+  chargeType === 'amount' ? parseFloat(charge) || 0 : balance * (parseFloat(charge) || 0) / 100
+);
+
+// Interest paid to date after each month of a loan, starting from month 0
+const getInterestToDate = (loan) => [
+  0,
+  ...generateAmortizationSchedule(loan.principal, loan.rate, loan.termYears, 0, { rounding: loan.rounding })
+    .map(row => row.totalInterestPaid)
+];
+
+// Compare keeping the current loan with switching to a new offer.
+// Current: { balance, rate, remainingMonths }. Offer: { rate, termYears, fees, feeTiming }.
+// Fees added to the loan are borrowed with the balance; so is the early repayment charge, as lenders allow.
+// Switching breaks even in the first month the interest saved covers the cost of switching, whether paid or borrowed.
+export const calculateRefinance = ({
+  balance,
+  rate,
+  remainingMonths,
+  offer = {},
+  earlyRepaymentCharge = 0,
+  earlyRepaymentChargeType = 'percent',
+  rounding = 'nearest-minor'
+}) => {
+  const remainingYears = remainingMonths / 12;
+  const charge = getEarlyRepaymentCharge(balance, earlyRepaymentCharge, earlyRepaymentChargeType);
+  const costsAdded = offer.feeTiming === 'added';
+  const newPrincipal = roundMoney(balance + (costsAdded ? charge : 0));
+
+  const current = calculateMortgage({ principal: balance, rate, termYears: remainingYears, rounding });
+  const switchLoan = (termYears) => calculateMortgage({
+    principal: newPrincipal,
+    rate: parseFloat(offer.rate) || 0,
+    termYears,
+    fees: offer.fees || 0,
+    feeTiming: costsAdded ? 'added' : 'upfront',
+    rounding
+  });
+  const refinanced = switchLoan(offer.termYears || remainingYears);
+  // The same offer over the current remaining term, to show what resetting the term changes
+  const sameTerm = switchLoan(remainingYears);
+
+  // Cost of switching, and the part of it paid in cash rather than added to the loan
+  const switchingCost = sumMoney([charge, refinanced.fees]);
+  const upfrontCost = costsAdded ? 0 : switchingCost;
+  // Everything paid from now on either way (fees paid upfront are in the new loan's total repayment)
+  const totalIfKept = current.totalRepayment;
+  const totalIfSwitched = roundMoney(refinanced.totalRepayment + (costsAdded ? 0 : charge));
+  const totalIfSameTerm = roundMoney(sameTerm.totalRepayment + (costsAdded ? 0 : charge));
+
+  // Cost to date of switching: the switching cost plus interest on the new loan (including on any costs borrowed)
+  const currentInterest = getInterestToDate(current);
+  const refinancedInterest = getInterestToDate(refinanced);
+  const breakEvenMonth = refinancedInterest.findIndex((interest, month) => (
+    month > 0 && switchingCost + interest <= (currentInterest[month] ?? current.totalInterest)
+  ));
+  const monthlySaving = roundMoney(current.monthlyPayment - refinanced.monthlyPayment);
+
+  return {
+    current,
+    refinanced,
+    earlyRepaymentCharge: charge,
+    fees: refinanced.fees,
+    switchingCost,
+    upfrontCost,
+    costsAdded,
+    monthlySaving,
+    breakEvenMonth: breakEvenMonth > 0 ? breakEvenMonth : null,
+    // The usual rule of thumb: switching costs over the monthly saving
+    simpleBreakEvenMonth: monthlySaving > 0 ? Math.ceil(switchingCost / monthlySaving) : null,
+    lifetimeSaving: roundMoney(totalIfKept - totalIfSwitched),
+    termReset: {
+      monthsAdded: Math.round(refinanced.termYears * 12 - remainingMonths),
+      sameTermMonthlyPayment: sameTerm.monthlyPayment,
+      sameTermLifetimeSaving: roundMoney(totalIfKept - totalIfSameTerm),
+      // Extra interest paid by stretching the term rather than keeping the remaining term
+      extraInterest: roundMoney(refinanced.totalInterest - sameTerm.totalInterest)
+    },
+    // Cumulative cost (switching cost plus interest) at each month, staying and switching
+    costToDate: {
+      current: currentInterest,
+      refinanced: refinancedInterest.map(interest => roundMoney(switchingCost + interest))
+    }
+  };
+};
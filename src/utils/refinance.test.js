@@ -0,0 +1,66 @@
+import { calculateRefinance, getEarlyRepaymentCharge } from './refinance';
+
+const base = { balance: 200000, rate: 6, remainingMonths: 240 };
+
+describe('refinance', () => {
+  test('charges early repayment as a percentage of the balance or a fixed amount', () => {
+    expect(getEarlyRepaymentCharge(200000, 2)).toBe(4000);
+    expect(getEarlyRepaymentCharge(200000, 1500, 'amount')).toBe(1500);
+    expect(getEarlyRepaymentCharge(200000, '')).toBe(0);
+  });
+
+  test('pays switching costs upfront and breaks even once the interest saved covers them', () => {
+    const result = calculateRefinance({ ...base, offer: { rate: 4.5, termYears: 20, fees: 1000 }, earlyRepaymentCharge: 1 });
+    const month = result.breakEvenMonth;
+
+    expect(result.earlyRepaymentCharge).toBe(2000);
+    expect(result.switchingCost).toBe(3000);
+    expect(result.upfrontCost).toBe(3000);
+    expect(result.refinanced.principal).toBe(200000);
+    expect(result.monthlySaving).toBeGreaterThan(0);
+    expect(result.costToDate.refinanced[month]).toBeLessThanOrEqual(result.costToDate.current[month]);
+    expect(result.costToDate.refinanced[month - 1]).toBeGreaterThan(result.costToDate.current[month - 1]);
+    expect(result.simpleBreakEvenMonth).toBe(Math.ceil(3000 / result.monthlySaving));
+    expect(result.lifetimeSaving).toBe(Math.round((result.current.totalRepayment - result.refinanced.totalRepayment - 2000) * 100) / 100);
+  });
+
+  test('borrows the charge and fees when they are added to the loan', () => {
+    const result = calculateRefinance({
+      ...base,
+      offer: { rate: 4.5, termYears: 20, fees: 1000, feeTiming: 'added' },
+      earlyRepaymentCharge: 1
+    });
+
+    expect(result.costsAdded).toBe(true);
+    expect(result.upfrontCost).toBe(0);
+    expect(result.switchingCost).toBe(3000);
+    expect(result.refinanced.principal).toBeGreaterThanOrEqual(202000);
+    expect(result.lifetimeSaving).toBe(Math.round((result.current.totalRepayment - result.refinanced.totalRepayment) * 100) / 100);
+  });
+
+  test('shows the extra interest from resetting to a longer term', () => {
+    const result = calculateRefinance({ ...base, offer: { rate: 5, termYears: 30 } });
+
+    expect(result.termReset.monthsAdded).toBe(120);
+    expect(result.termReset.sameTermMonthlyPayment).toBeGreaterThan(result.refinanced.monthlyPayment);
+    expect(result.termReset.extraInterest).toBeGreaterThan(0);
+    // A lower payment can still cost more over the life of the loan
+    expect(result.monthlySaving).toBeGreaterThan(0);
+    expect(result.lifetimeSaving).toBeLessThan(result.termReset.sameTermLifetimeSaving);
+  });
+
+  test('keeps the remaining term when the offer has none', () => {
+    const result = calculateRefinance({ ...base, offer: { rate: 5 } });
+
+    expect(result.termReset.monthsAdded).toBe(0);
+    expect(result.termReset.extraInterest).toBe(0);
+  });
+
+  test('never breaks even when the new rate is no lower', () => {
+    const result = calculateRefinance({ ...base, offer: { rate: 6, termYears: 20, fees: 999 } });
+
+    expect(result.breakEvenMonth).toBeNull();
+    expect(result.simpleBreakEvenMonth).toBeNull();
+    expect(result.lifetimeSaving).toBe(-999);
+  });
+});
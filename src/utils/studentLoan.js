@@ -0,0 +1,230 @@
+import { calculateMonthlyPayment } from './mortgage';
+import { fromMinor, roundMoney, roundPaymentMinor, sumMoney, toMinor } from './money';
+
+// Grace-period rows: no payments are due. Unsubsidized interest accrues and is capitalized in the
+// last grace month (as generateAmortizationSchedule does); subsidized loans accrue nothing.
+// The balance and running interest total are returned in minor units.
+const buildGraceRows = (principal, annualRate, gracePeriodMonths, graceInterest = 'unsubsidized') => {
+  const rows = [];
+  let balance = toMinor(principal);
+  let totalInterestPaid = 0;
+
+  for (let month = 1; month <= gracePeriodMonths; month++) {
+    const interestPayment = graceInterest === 'subsidized' ? 0 : toMinor(principal * annualRate / 100 / 12);
+    totalInterestPaid += interestPayment;
+
+    const capitalizedInterest = month === gracePeriodMonths ? totalInterestPaid : 0;
+    balance += capitalizedInterest;
+
+    rows.push({
+      month,
+      payment: 0,
+      principalPayment: fromMinor(-capitalizedInterest),
+      interestPayment: fromMinor(interestPayment),
+      ...(capitalizedInterest > 0 && { capitalizedInterest: fromMinor(capitalizedInterest) }),
+      balance: fromMinor(balance),
+      totalInterestPaid: fromMinor(totalInterestPaid),
+      rate: annualRate,
+      isGracePeriod: true
+    });
+  }
+
+  return { rows, balance, totalInterestPaid };
+};
+
+// Graduated repayment: payments start low and step up by a fixed percentage every few years.
+// Amounts are worked in integer minor units, with each payment rounded under the rounding policy.
+export const generateGraduatedSchedule = (principal, annualRate, termYears, options = {}) => {
+  const { stepYears = 2, stepIncrease = 15, gracePeriodMonths = 0, graceInterest = 'unsubsidized', rounding = 'nearest-minor' } = options;
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = termYears * 12;
+  const growth = 1 + stepIncrease / 100;
+
+  // Payment multiplier in force for a repayment month
+  const stepFactor = (month) => Math.pow(growth, Math.floor((month - 1) / (stepYears * 12)));
+
+  const { rows: schedule, balance: repaymentPrincipal, totalInterestPaid: graceInterestPaid } = buildGraceRows(principal, annualRate, gracePeriodMonths, graceInterest);
+  let balance = repaymentPrincipal;
+  let totalInterestPaid = graceInterestPaid;
+
+  // Starting payment whose stepped-up series has a present value equal to the loan (after capitalization)
+  let presentValue = 0;
+  for (let month = 1; month <= totalMonths; month++) {
+    presentValue += stepFactor(month) / Math.pow(1 + monthlyRate, month);
+  }
+  const startingPayment = fromMinor(repaymentPrincipal) / presentValue;
+
+  for (let month = 1; month <= totalMonths && balance > 0; month++) {
+    const interestPayment = toMinor(fromMinor(balance) * monthlyRate);
+    let payment = roundPaymentMinor(startingPayment * stepFactor(month), rounding);
+    let principalPayment = payment - interestPayment;
+
+    // Final payment clears any rounding residue
+    if (principalPayment >= balance || month === totalMonths) {
+      principalPayment = balance;
+      payment = balance + interestPayment;
+    }
+
+    balance -= principalPayment;
+    totalInterestPaid += interestPayment;
+
+    schedule.push({
+      month: gracePeriodMonths + month,
+      period: month,
+      payment: fromMinor(payment),
+      principalPayment: fromMinor(principalPayment),
+      interestPayment: fromMinor(interestPayment),
+      balance: fromMinor(balance),
+      totalInterestPaid: fromMinor(totalInterestPaid),
+      rate: annualRate,
+      isGracePeriod: false
+    });
+  }
+
+  return schedule;
+};
+
+// Income-based repayment: a share of income above a threshold, capped at the standard 10-year payment.
+// Unpaid interest accrues without being capitalised; whatever is owed at the end of the term is forgiven.
+// Amounts are worked in integer minor units.
+export const generateIncomeBasedSchedule = (principal, annualRate, termYears, options = {}) => {
+  const {
+    salary = 30000,
+    salaryGrowth = 3,
+    incomeShare = 10,
+    incomeThreshold = 22590,
+    paymentCap: cap,
+    gracePeriodMonths = 0,
+    graceInterest = 'unsubsidized'
+  } = options;
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = termYears * 12;
+
+  const { rows: schedule, balance: repaymentPrincipal, totalInterestPaid: graceInterestPaid } = buildGraceRows(principal, annualRate, gracePeriodMonths, graceInterest);
+  const paymentCap = toMinor(cap ?? calculateMonthlyPayment(fromMinor(repaymentPrincipal), annualRate, 10));
+  let balance = repaymentPrincipal;
+  let accruedInterest = 0;
+  let totalInterestPaid = graceInterestPaid;
+
+  for (let month = 1; month <= totalMonths && balance + accruedInterest > 0; month++) {
+    const annualIncome = roundMoney(salary * Math.pow(1 + salaryGrowth / 100, Math.floor((month - 1) / 12)));
+    const incomePayment = toMinor(Math.max(0, annualIncome - incomeThreshold) * incomeShare / 100 / 12);
+
+    accruedInterest += toMinor(fromMinor(balance) * monthlyRate);
+    const payment = Math.min(incomePayment, paymentCap, balance + accruedInterest);
+
+    // Payments cover outstanding interest before any principal
+    const interestPayment = Math.min(payment, accruedInterest);
+    const principalPayment = payment - interestPayment;
+    accruedInterest -= interestPayment;
+    balance -= principalPayment;
+    totalInterestPaid += interestPayment;
+
+    schedule.push({
+      month: gracePeriodMonths + month,
+      period: month,
+      payment: fromMinor(payment),
+      principalPayment: fromMinor(principalPayment),
+      interestPayment: fromMinor(interestPayment),
+      balance: fromMinor(balance + accruedInterest),
+      totalInterestPaid: fromMinor(totalInterestPaid),
+      rate: annualRate,
+      annualIncome,
+      isGracePeriod: false
+    });
+  }
+
+  return schedule;
+};
+
+// Headline figures for a student loan schedule (first and last payments, totals and any amount forgiven)
+export const summarizeStudentSchedule = (schedule) => {
+  const repaymentRows = schedule.filter(row => !row.isGracePeriod);
+  const lastRow = repaymentRows[repaymentRows.length - 1];
+  const totalPaid = sumMoney(repaymentRows.map(row => row.payment));
+  const totalInterest = sumMoney(repaymentRows.map(row => row.interestPayment));
+  // Capitalized grace-period interest is repaid through the payments, so it only adds to the interest total
+  const gracePeriodInterest = sumMoney(schedule.filter(row => row.isGracePeriod).map(row => row.interestPayment));
+
+  return {
+    monthlyPayment: repaymentRows[0]?.payment || 0,
+    finalPayment: lastRow?.payment || 0,
+    totalInterest: sumMoney([totalInterest, gracePeriodInterest]),
+    totalRepayment: totalPaid,
+    gracePeriodInterest,
+    forgiven: roundMoney(lastRow?.balance || 0),
+    payoffMonths: repaymentRows.length
+  };
+};
+
+// Interest rate on a UK plan for a given income: RPI plus a margin, which slides up with income on Plan 2
+export const getUkPlanInterestRate = (plan, annualIncome, rpi, thresholdFactor = 1) => {
+  const { type, margin = 0, upperMargin = 0, upperThreshold = 0 } = plan.interest;
+
+  if (type !== 'sliding') {
+    return rpi + margin;
+  }
+
+  const lower = plan.threshold * thresholdFactor;
+  const upper = upperThreshold * thresholdFactor;
+  const share = Math.min(1, Math.max(0, (annualIncome - lower) / (upper - lower)));
+  return rpi + margin + (upperMargin - margin) * share;
+};
+
+// UK income-contingent repayment: a share of salary above the plan threshold, interest linked to RPI,
+// and anything still owed when the plan's write-off period ends is cancelled.
+// Amounts are worked in integer minor units.
+export const projectUkStudentLoan = (balance, plan, options = {}) => {
+  const { salary = 30000, salaryGrowth = 3, rpi = 3.2 } = options;
+  const totalMonths = plan.writeOffYears * 12;
+
+  const schedule = [];
+  let remaining = toMinor(balance);
+  let totalInterestPaid = 0;
+  let totalRepaid = 0;
+
+  for (let month = 1; month <= totalMonths && remaining > 0; month++) {
+    const yearIndex = Math.floor((month - 1) / 12);
+    const annualIncome = roundMoney(salary * Math.pow(1 + salaryGrowth / 100, yearIndex));
+    // Indexed thresholds rise with RPI each April
+    const thresholdFactor = plan.thresholdIndexed ? Math.pow(1 + rpi / 100, yearIndex) : 1;
+    const threshold = roundMoney(plan.threshold * thresholdFactor);
+    const rate = getUkPlanInterestRate(plan, annualIncome, rpi, thresholdFactor);
+
+    const interestPayment = toMinor(fromMinor(remaining) * rate / 100 / 12);
+    const due = toMinor(Math.max(0, annualIncome - threshold) * plan.repaymentRate / 100 / 12);
+    const payment = Math.min(due, remaining + interestPayment);
+    const principalPayment = payment - interestPayment;
+
+    remaining -= principalPayment;
+    totalInterestPaid += interestPayment;
+    totalRepaid += payment;
+
+    schedule.push({
+      month,
+      period: month,
+      payment: fromMinor(payment),
+      principalPayment: fromMinor(principalPayment),
+      interestPayment: fromMinor(interestPayment),
+      balance: fromMinor(remaining),
+      totalInterestPaid: fromMinor(totalInterestPaid),
+      rate,
+      annualIncome,
+      threshold,
+      isGracePeriod: false
+    });
+  }
+
+  const clearedEarly = remaining <= 0;
+
+  return {
+    planId: plan.id,
+    schedule,
+    monthlyPayment: schedule[0]?.payment || 0,
+    totalRepaid: fromMinor(totalRepaid),
+    totalInterest: fromMinor(totalInterestPaid),
+    writtenOff: clearedEarly ? 0 : fromMinor(remaining),
+    payoffMonths: clearedEarly ? schedule.length : null,
+    writeOffYears: plan.writeOffYears
+  };
+};
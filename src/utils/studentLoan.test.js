@@ -0,0 +1,163 @@
+import {
+  generateGraduatedSchedule,
+  generateIncomeBasedSchedule,
+  getUkPlanInterestRate,
+  projectUkStudentLoan,
+  summarizeStudentSchedule
+} from './studentLoan';
+import { calculateMonthlyPayment } from './mortgage';
+import ukStudentLoanConfig from '../config/ukStudentLoanConfig.json';
+
+const { plan1, plan2, plan5, postgraduate } = ukStudentLoanConfig.plans;
+
+// Sum a column of schedule rows to the penny
+const total = (rows, field) => Math.round(rows.reduce((sum, row) => sum + row[field], 0) * 100) / 100;
+
+// Whether every amount in a column is a whole number of pennies
+const inPennies = (rows, field) => rows.every(row => Math.round(row[field] * 100) / 100 === row[field]);
+
+describe('graduated repayment', () => {
+  test('steps the payment up every two years and clears the loan at the end of the term', () => {
+    const schedule = generateGraduatedSchedule(30000, 5, 10, { stepIncrease: 15 });
+
+    expect(schedule).toHaveLength(120);
+    expect(schedule[24].payment / schedule[0].payment).toBeCloseTo(1.15, 3);
+    expect(schedule[23].payment).toBe(schedule[0].payment);
+    expect(schedule[119].balance).toBe(0);
+    expect(total(schedule, 'principalPayment')).toBe(30000);
+  });
+
+  test('keeps every amount in whole pennies', () => {
+    const schedule = generateGraduatedSchedule(27345.67, 6.54, 10);
+
+    ['payment', 'principalPayment', 'interestPayment', 'balance', 'totalInterestPaid'].forEach(field => {
+      expect(inPennies(schedule, field)).toBe(true);
+    });
+    expect(total(schedule, 'payment')).toBe(total(schedule, 'principalPayment') + total(schedule, 'interestPayment'));
+  });
+
+  test('capitalizes unsubsidized grace-period interest before repayments start', () => {
+    const schedule = generateGraduatedSchedule(10000, 6, 10, { gracePeriodMonths: 6 });
+    const graceRows = schedule.filter(row => row.isGracePeriod);
+
+    expect(graceRows).toHaveLength(6);
+    graceRows.forEach(row => expect(row.interestPayment).toBe(50));
+    expect(graceRows[5]).toMatchObject({ capitalizedInterest: 300, balance: 10300 });
+    expect(schedule[6].month).toBe(7);
+    expect(total(schedule.slice(6), 'principalPayment')).toBe(10300);
+  });
+
+  test('accrues nothing during a subsidized grace period', () => {
+    const schedule = generateGraduatedSchedule(10000, 6, 10, { gracePeriodMonths: 6, graceInterest: 'subsidized' });
+
+    expect(schedule[5].balance).toBe(10000);
+    expect(summarizeStudentSchedule(schedule).gracePeriodInterest).toBe(0);
+  });
+});
+
+describe('income-based repayment', () => {
+  test('takes a share of income above the threshold', () => {
+    const schedule = generateIncomeBasedSchedule(30000, 5, 20, { salary: 34590, salaryGrowth: 0, incomeShare: 10, incomeThreshold: 22590 });
+
+    // 10% of the 12,000 above the threshold is 1,200 a year
+    expect(schedule[0].payment).toBe(100);
+    expect(schedule[0].interestPayment).toBe(100);
+  });
+
+  test('caps the payment at the standard ten-year payment', () => {
+    const schedule = generateIncomeBasedSchedule(20000, 5, 20, { salary: 200000, incomeThreshold: 22590 });
+
+    expect(schedule[0].payment).toBe(Math.round(calculateMonthlyPayment(20000, 5, 10) * 100) / 100);
+  });
+
+  test('accrues unpaid interest without capitalising it and forgives the rest at the end', () => {
+    const schedule = generateIncomeBasedSchedule(20000, 6, 20, { salary: 20000, salaryGrowth: 0, incomeThreshold: 22590 });
+    const summary = summarizeStudentSchedule(schedule);
+
+    expect(schedule).toHaveLength(240);
+    expect(schedule.every(row => row.payment === 0)).toBe(true);
+    // Simple interest on the original balance: 100 a month for 240 months
+    expect(schedule[239].balance).toBe(44000);
+    expect(summary.forgiven).toBe(44000);
+    expect(summary.totalRepayment).toBe(0);
+  });
+
+  test('keeps every amount in whole pennies', () => {
+    const schedule = generateIncomeBasedSchedule(25432.1, 5.37, 20, { salary: 31234, salaryGrowth: 2.7 });
+
+    ['payment', 'principalPayment', 'interestPayment', 'balance', 'annualIncome'].forEach(field => {
+      expect(inPennies(schedule, field)).toBe(true);
+    });
+  });
+});
+
+describe('student loan summaries', () => {
+  test('reports first and final payments, totals and the payoff month', () => {
+    const schedule = generateGraduatedSchedule(30000, 5, 10, { gracePeriodMonths: 6 });
+    const summary = summarizeStudentSchedule(schedule);
+
+    expect(summary.monthlyPayment).toBe(schedule[6].payment);
+    expect(summary.finalPayment).toBe(schedule[schedule.length - 1].payment);
+    expect(summary.payoffMonths).toBe(120);
+    expect(summary.gracePeriodInterest).toBe(750);
+    // Totals are kept to the penny, matching the schedule rows
+    expect(summary.totalInterest).toBe(total(schedule, 'interestPayment'));
+    expect(summary.totalRepayment).toBe(total(schedule, 'payment'));
+    expect(summary.forgiven).toBe(0);
+  });
+});
+
+describe('UK income-contingent plans', () => {
+  test('slides the Plan 2 rate from RPI to RPI + 3% between the thresholds', () => {
+    expect(getUkPlanInterestRate(plan2, 20000, 3.2)).toBe(3.2);
+    expect(getUkPlanInterestRate(plan2, 51245, 3.2)).toBeCloseTo(6.2, 10);
+    expect(getUkPlanInterestRate(plan2, 39857.5, 3.2)).toBeCloseTo(4.7, 10);
+    expect(getUkPlanInterestRate(plan2, 90000, 3.2)).toBeCloseTo(6.2, 10);
+  });
+
+  test('charges RPI plus the fixed margin on other plans', () => {
+    expect(getUkPlanInterestRate(plan1, 90000, 3.2)).toBe(3.2);
+    expect(getUkPlanInterestRate(postgraduate, 90000, 3.2)).toBeCloseTo(6.2, 10);
+  });
+
+  test('takes the repayment rate of salary above the threshold', () => {
+    // 9% of the 10,000 above the Plan 2 threshold is 900 a year
+    const projection = projectUkStudentLoan(45000, plan2, { salary: 38470, salaryGrowth: 0, rpi: 0 });
+
+    expect(projection.monthlyPayment).toBe(75);
+  });
+
+  test('raises indexed thresholds with RPI each year but not fixed ones', () => {
+    const indexed = projectUkStudentLoan(45000, plan2, { salary: 38470, salaryGrowth: 0, rpi: 3 });
+    const fixed = projectUkStudentLoan(45000, plan5, { salary: 35000, salaryGrowth: 0, rpi: 3 });
+
+    expect(indexed.schedule[12].threshold).toBe(29324.1);
+    expect(indexed.schedule[12].payment).toBeLessThan(indexed.schedule[0].payment);
+    expect(fixed.schedule[12].threshold).toBe(25000);
+    expect(fixed.schedule[12].payment).toBe(fixed.schedule[0].payment);
+  });
+
+  test('writes off what is left at the end of the plan', () => {
+    const projection = projectUkStudentLoan(45000, plan2, { salary: 30000, salaryGrowth: 2, rpi: 3.2 });
+
+    expect(projection.schedule).toHaveLength(360);
+    expect(projection.payoffMonths).toBeNull();
+    expect(projection.writtenOff).toBe(projection.schedule[359].balance);
+    expect(projection.totalRepaid).toBe(total(projection.schedule, 'payment'));
+    expect(projection.totalInterest).toBe(total(projection.schedule, 'interestPayment'));
+    expect(projection.writtenOff).toBeGreaterThan(0);
+  });
+
+  test('clears the loan early on a high salary and keeps every amount in whole pennies', () => {
+    const projection = projectUkStudentLoan(27531.19, plan1, { salary: 85000, salaryGrowth: 3, rpi: 3.2 });
+    const { schedule } = projection;
+
+    expect(projection.writtenOff).toBe(0);
+    expect(projection.payoffMonths).toBe(schedule.length);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+    expect(total(schedule, 'principalPayment')).toBe(27531.19);
+    ['payment', 'principalPayment', 'interestPayment', 'balance'].forEach(field => {
+      expect(inPennies(schedule, field)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import baseRateHistory from '../config/baseRateHistory.json';
+import { roundMoney, sumMoney } from './money';
+import { generateAmortizationSchedule } from './mortgage';
+import { parseIndexSeries } from './arm';
+
+// Bundled base-rate series a tracker can follow: Bank of England Bank Rate and the RBI repo rate
+export const TRACKER_INDICES = baseRateHistory;
+
+// Series for a locale, falling back to Bank Rate where none is bundled
+export const getTrackerIndex = (localeCode) => TRACKER_INDICES[localeCode] || TRACKER_INDICES['en-GB'];
+
+// How the base rate moves after the last month in the bundled history
+export const FORWARD_RATE_PATHS = {
+  flat: { id: 'flat', label: 'Flat (stays at the latest rate)' },
+  steady: { id: 'steady', label: 'Steady change each year' },
+  custom: { id: 'custom', label: 'Custom rate for each year' }
+};
+
+// Calendar months as 'YYYY-MM' strings
+const toMonth = (date) => String(date).slice(0, 7);
+const addMonths = (month, count) => {
+  const [year, monthOfYear] = month.split('-').map(Number);
+  const total = year * 12 + (monthOfYear - 1) + count;
+  return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`;
+};
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonthOfYear] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonthOfYear - fromMonth);
+};
+
+// Base rate in force on the first day of a month; trackers move the month after the base rate does
+export const getIndexRateForMonth = (index, month) => {
+  const firstDay = `${month}-01`;
+  let rate = index.changes[0].rate;
+  for (const change of index.changes) {
+    if (change.date > firstDay) break;
+    rate = change.rate;
+  }
+  return rate;
+};
+
+// Months a tracker can be back-tested from: the first full month of the series up to the current month
+// (months after the end of the history run wholly on the forward path)
+export const getTrackerStartMonths = (index, today = new Date()) => {
+  const first = addMonths(toMonth(index.changes[0].date), 1);
+  const last = toMonth(today.toISOString());
+  return Array.from({ length: Math.max(0, monthsBetween(first, last)) + 1 }, (_, i) => addMonths(first, i));
+};
+
+// Projected base rate a number of months after the history ends.
+// Forward path: { type: 'flat' | 'steady' | 'custom', change (points a year), series ("4, 3.75, 3.5", one value a year) }
+export const projectIndexRate = (latestRate, forwardPath = {}, monthsAhead = 1) => {
+  const year = Math.ceil(monthsAhead / 12);
+
+  if (forwardPath.type === 'steady') {
+    return Math.max(0, latestRate + (parseFloat(forwardPath.change) || 0) * year);
+  }
+  if (forwardPath.type === 'custom') {
+    const series = parseIndexSeries(forwardPath.series);
+    return series.length > 0 ? Math.max(0, series[Math.min(year, series.length) - 1]) : latestRate;
+  }
+  return latestRate;
+};
+
+// Base rate and tracker rate (base rate plus margin, never below the floor) for every month of the loan
+export const getTrackerRates = ({ index, startMonth, termYears, margin = 0, floor = 0, forwardPath }) => {
+  const lastKnown = toMonth(index.asOf);
+  const latestRate = getIndexRateForMonth(index, addMonths(lastKnown, 1));
+
+  return Array.from({ length: Math.round(termYears * 12) }, (_, i) => {
+    const date = addMonths(startMonth, i);
+    const monthsAhead = monthsBetween(lastKnown, date);
+    const indexRate = monthsAhead > 0
+      ? projectIndexRate(latestRate, forwardPath, monthsAhead)
+      : getIndexRateForMonth(index, date);
+    const rate = Math.max(indexRate + (parseFloat(margin) || 0), parseFloat(floor) || 0);
+
+    return {
+      month: i + 1,
+      date,
+      index: parseFloat(indexRate.toFixed(3)),
+      rate: parseFloat(rate.toFixed(3)),
+      projected: monthsAhead > 0
+    };
+  });
+};
+
+// Rate changes for the schedule from a list of monthly rates
+const toRateChanges = (rates) => rates
+  .filter((row, i) => i > 0 && row.rate !== rates[i - 1].rate)
+  .map(row => ({ month: row.month, rate: row.rate }));
+
+// Payments and interest on a schedule, in total and up to a given month
+const summarizeSchedule = (schedule, principal, periodMonths) => {
+  const payments = schedule.map(row => row.payment);
+  const period = schedule.slice(0, periodMonths);
+
+  return {
+    initialPayment: payments[0],
+    minPayment: Math.min(...payments),
+    maxPayment: Math.max(...payments),
+    totalInterest: roundMoney(sumMoney(payments) - principal),
+    totalRepayment: sumMoney(payments),
+    periodPayments: sumMoney(period.map(row => row.payment)),
+    periodInterest: sumMoney(period.map(row => row.interestPayment)),
+    periodBalance: period.length > 0 ? period[period.length - 1].balance : principal,
+    schedule
+  };
+};
+
+// Back-test (or project) a tracker taken out in a given month against a fixed rate.
+// The fix lasts fixedYears (the whole term when 0) and then reverts to the same tracker rate,
+// so the two loans differ only by the choice made for the fixed period.
+export const calculateTracker = ({
+  principal,
+  termYears,
+  startMonth,
+  margin,
+  floor = 0,
+  fixedRate,
+  fixedYears = 0,
+  forwardPath = { type: 'flat' },
+  localeCode = 'en-GB',
+  rounding = 'nearest-minor'
+}) => {
+  const index = getTrackerIndex(localeCode);
+  const months = getTrackerRates({ index, startMonth, termYears, margin, floor, forwardPath });
+  const totalMonths = months.length;
+  const fixedMonths = fixedYears > 0 ? Math.min(Math.round(fixedYears * 12), totalMonths) : totalMonths;
+  const initialRate = months[0].rate;
+  const fixed = parseFloat(fixedRate) || 0;
+
+  const trackerSchedule = generateAmortizationSchedule(principal, initialRate, termYears, 0, {
+    rateChanges: toRateChanges(months),
+    rounding
+  });
+  // After the fix the loan moves to the tracker rate for the rest of the term
+  const revertRates = months.slice(fixedMonths);
+  const fixedSchedule = generateAmortizationSchedule(principal, fixed, termYears, 0, {
+    rateChanges: revertRates.length > 0
+      ? [{ month: revertRates[0].month, rate: revertRates[0].rate }, ...toRateChanges(revertRates)]
+      : [],
+    rounding
+  });
+
+  const tracker = summarizeSchedule(trackerSchedule, principal, fixedMonths);
+  const fixedLoan = summarizeSchedule(fixedSchedule, principal, fixedMonths);
+  const projectedFrom = months.find(row => row.projected)?.month || null;
+
+  return {
+    index,
+    months,
+    initialRate,
+    fixedRate: fixed,
+    fixedMonths,
+    projectedFrom,
+    tracker,
+    fixed: fixedLoan,
+    // Positive when the tracker cost less than the fix over the fixed period
+    periodSaving: roundMoney(fixedLoan.periodInterest - tracker.periodInterest),
+    lifetimeSaving: roundMoney(fixedLoan.totalInterest - tracker.totalInterest),
+    // Months within the fixed period in which the tracker rate was above the fixed rate
+    monthsAboveFixed: months.slice(0, fixedMonths).filter(row => row.rate > fixed).length
+  };
+};
@@ -0,0 +1,84 @@
+import {
+  calculateTracker,
+  getIndexRateForMonth,
+  getTrackerIndex,
+  getTrackerRates,
+  getTrackerStartMonths,
+  projectIndexRate
+} from './tracker';
+
+const bankRate = getTrackerIndex('en-GB');
+
+describe('tracker base rates', () => {
+  test('picks the series for a locale, falling back to Bank Rate', () => {
+    expect(getTrackerIndex('en-IN').id).not.toBe(bankRate.id);
+    expect(getTrackerIndex('fr-FR')).toBe(bankRate);
+  });
+
+  test('uses the base rate in force on the first day of the month', () => {
+    // Bank Rate was cut to 3% on 6 November 2008 and to 2% on 4 December 2008
+    expect(getIndexRateForMonth(bankRate, '2008-11')).toBe(4.5);
+    expect(getIndexRateForMonth(bankRate, '2008-12')).toBe(3);
+    expect(getIndexRateForMonth(bankRate, '2009-04')).toBe(0.5);
+  });
+
+  test('offers start months from the first full month of the series', () => {
+    expect(getTrackerStartMonths(bankRate, new Date('2000-06-15'))).toEqual(['2000-02', '2000-03', '2000-04', '2000-05', '2000-06']);
+  });
+
+  test('projects the base rate flat, by a steady change each year or by a custom series', () => {
+    expect(projectIndexRate(4, { type: 'flat' }, 30)).toBe(4);
+    expect(projectIndexRate(4, { type: 'steady', change: -0.25 }, 13)).toBe(3.5);
+    expect(projectIndexRate(0.5, { type: 'steady', change: -0.25 }, 36)).toBe(0);
+    expect(projectIndexRate(4, { type: 'custom', series: '3.5, 3' }, 6)).toBe(3.5);
+    expect(projectIndexRate(4, { type: 'custom', series: '3.5, 3' }, 30)).toBe(3);
+    expect(projectIndexRate(4, { type: 'custom', series: '' }, 30)).toBe(4);
+  });
+
+  test('adds the margin to the base rate and never goes below the floor', () => {
+    const rates = getTrackerRates({ index: bankRate, startMonth: '2008-10', termYears: 1, margin: 1, floor: 2.5 });
+
+    expect(rates.slice(0, 6).map(row => row.rate)).toEqual([6, 5.5, 4, 3, 2.5, 2.5]);
+    expect(rates[5]).toMatchObject({ month: 6, date: '2009-03', index: 1, projected: false });
+  });
+
+  test('projects months after the end of the history', () => {
+    const rates = getTrackerRates({ index: bankRate, startMonth: '2025-07', termYears: 2, margin: 1, forwardPath: { type: 'steady', change: -0.5 } });
+
+    expect(rates[1]).toMatchObject({ date: '2025-08', index: 4.25, projected: false });
+    expect(rates[2]).toMatchObject({ date: '2025-09', index: 3.5, rate: 4.5, projected: true });
+    expect(rates[13]).toMatchObject({ date: '2026-08', index: 3.5 });
+    expect(rates[14]).toMatchObject({ date: '2026-09', index: 3 });
+  });
+});
+
+describe('tracker against a fix', () => {
+  test('compares interest over the fixed period and counts the months the tracker cost more', () => {
+    const result = calculateTracker({ principal: 150000, termYears: 2, startMonth: '2008-10', margin: 1, fixedRate: 5.5, fixedYears: 2 });
+
+    expect(result.fixedMonths).toBe(24);
+    expect(result.initialRate).toBe(6);
+    expect(result.monthsAboveFixed).toBe(1);
+    expect(result.projectedFrom).toBeNull();
+    expect(result.periodSaving).toBe(Math.round((result.fixed.periodInterest - result.tracker.periodInterest) * 100) / 100);
+    expect(result.periodSaving).toBeGreaterThan(0);
+    expect(result.tracker.minPayment).toBeLessThan(result.tracker.initialPayment);
+  });
+
+  test('moves the fixed loan onto the tracker rate once the fix ends', () => {
+    const result = calculateTracker({ principal: 150000, termYears: 3, startMonth: '2008-10', margin: 1, fixedRate: 5.5, fixedYears: 1 });
+
+    expect(result.fixedMonths).toBe(12);
+    expect(result.fixed.schedule[11].rate).toBe(5.5);
+    expect(result.fixed.schedule[12].rate).toBe(result.months[12].rate);
+    expect(result.fixed.periodBalance).toBe(result.fixed.schedule[11].balance);
+    expect(result.lifetimeSaving).toBe(Math.round((result.fixed.totalInterest - result.tracker.totalInterest) * 100) / 100);
+  });
+
+  test('marks where the back-test turns into a projection', () => {
+    const result = calculateTracker({ principal: 100000, termYears: 5, startMonth: '2025-01', margin: 0.75, fixedRate: 4.5, fixedYears: 2 });
+
+    expect(result.projectedFrom).toBe(9);
+    expect(result.months[7].projected).toBe(false);
+  });
+});
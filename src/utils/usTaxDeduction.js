@@ -0,0 +1,93 @@
+import { roundMoney, sumMoney } from './money';
+import { summarizeScheduleByYear } from './mortgage';
+
+// Tax year the standard deductions below apply to
+export const US_TAX_YEAR = 2026;
+
+// Filing statuses with their standard deduction and the limit on mortgage debt whose interest is deductible
+// (acquisition debt taken out after 15 December 2017)
+export const FILING_STATUSES = {
+  single: { id: 'single', label: 'Single', standardDeduction: 16100, loanLimit: 750000 },
+  'married-joint': { id: 'married-joint', label: 'Married filing jointly', standardDeduction: 32200, loanLimit: 750000 },
+  'married-separate': { id: 'married-separate', label: 'Married filing separately', standardDeduction: 16100, loanLimit: 375000 },
+  'head-of-household': { id: 'head-of-household', label: 'Head of household', standardDeduction: 24150, loanLimit: 750000 }
+};
+
+// Federal marginal income tax rates (%)
+export const FEDERAL_TAX_RATES = [10, 12, 22, 24, 32, 35, 37];
+
+// Starting deduction inputs: a single filer in the 22% bracket with no other itemized deductions or points
+export const DEFAULT_TAX_DEDUCTION = {
+  filingStatus: 'single',
+  marginalRate: 22,
+  otherItemized: 0,
+  points: 0
+};
+
+// Tax saved by itemizing deductions instead of taking the standard deduction, over what the other
+// itemized deductions (state and local taxes, charity) already save
+const itemizingSaving = (deductions, otherItemized, standardDeduction, marginalRate) => roundMoney(
+  (Math.max(deductions + otherItemized, standardDeduction) - Math.max(otherItemized, standardDeduction)) * marginalRate / 100
+);
+
+// Yearly mortgage interest deduction from a schedule grouped by tax year.
+// Options: { filingStatus, marginalRate, otherItemized, pointsPaid, rate, grouping }. Interest on the part of
+// the average balance above the loan limit is not deductible; points on a home purchase are deducted in the first year.
+export const calculateMortgageInterestDeduction = (schedule, {
+  filingStatus = 'single',
+  marginalRate = 22,
+  otherItemized = 0,
+  pointsPaid = 0,
+  rate = 0,
+  grouping = 'calendar'
+} = {}) => {
+  const status = FILING_STATUSES[filingStatus] || FILING_STATUSES.single;
+  const other = Math.max(0, parseFloat(otherItemized) || 0);
+  const points = Math.max(0, parseFloat(pointsPaid) || 0);
+
+  const years = summarizeScheduleByYear(schedule, grouping).map((year, index) => {
+    // Average balance owed over the year, from each payment's opening balance
+    const averageBalance = year.payments.reduce((sum, payment) => sum + payment.balance + payment.principalPayment, 0) / year.payments.length;
+    const deductibleShare = averageBalance > status.loanLimit ? status.loanLimit / averageBalance : 1;
+    const deductibleInterest = roundMoney(year.interestPaid * deductibleShare);
+    const pointsDeducted = index === 0 ? points : 0;
+
+    const interestTaxSaved = itemizingSaving(deductibleInterest, other, status.standardDeduction, marginalRate);
+    const taxSaved = itemizingSaving(deductibleInterest + pointsDeducted, other, status.standardDeduction, marginalRate);
+
+    return {
+      key: year.key,
+      label: year.label,
+      interestPaid: year.interestPaid,
+      deductibleInterest,
+      pointsDeducted,
+      itemizes: deductibleInterest + pointsDeducted + other > status.standardDeduction,
+      interestTaxSaved,
+      pointsTaxSaved: roundMoney(taxSaved - interestTaxSaved),
+      taxSaved
+    };
+  });
+
+  const totalInterest = sumMoney(years.map(year => year.interestPaid));
+  const interestTaxSaved = sumMoney(years.map(year => year.interestTaxSaved));
+  const totalTaxSaved = sumMoney(years.map(year => year.taxSaved));
+
+  return {
+    filingStatus: status.id,
+    standardDeduction: status.standardDeduction,
+    loanLimit: status.loanLimit,
+    marginalRate,
+    years,
+    totalInterest,
+    deductibleInterest: sumMoney(years.map(year => year.deductibleInterest)),
+    pointsPaid: points,
+    interestTaxSaved,
+    pointsTaxSaved: sumMoney(years.map(year => year.pointsTaxSaved)),
+    totalTaxSaved,
+    // What the interest and points really cost once the tax saved is taken off
+    afterTaxCost: roundMoney(totalInterest + points - totalTaxSaved),
+    afterTaxRate: totalInterest > 0
+      ? parseFloat((rate * (1 - interestTaxSaved / totalInterest)).toFixed(2))
+      : rate
+  };
+};
@@ -0,0 +1,82 @@
+import { calculateMortgageInterestDeduction, FILING_STATUSES } from './usTaxDeduction';
+import { calculateMortgage, generateAmortizationSchedule } from './mortgage';
+
+const smallLoan = generateAmortizationSchedule(200000, 6, 30, 0, { startDate: '2026-01-01' });
+const jumboLoan = generateAmortizationSchedule(1500000, 6, 30, 0, { startDate: '2026-01-01' });
+
+// Opening balance averaged over a calendar year's payments
+const averageBalance = (schedule, year) => {
+  const payments = schedule.filter(payment => payment.date.getFullYear() === year);
+  return payments.reduce((sum, payment) => sum + payment.balance + payment.principalPayment, 0) / payments.length;
+};
+
+describe('US mortgage interest deduction', () => {
+  test('saves nothing when interest stays under the standard deduction', () => {
+    const { years, totalTaxSaved } = calculateMortgageInterestDeduction(smallLoan, { rate: 6 });
+
+    expect(years[0].interestPaid).toBeLessThan(FILING_STATUSES.single.standardDeduction);
+    expect(years[0].itemizes).toBe(false);
+    expect(totalTaxSaved).toBe(0);
+  });
+
+  test('saves tax only on itemized deductions above the standard deduction', () => {
+    const { years } = calculateMortgageInterestDeduction(smallLoan, { marginalRate: 22, otherItemized: 10000, rate: 6 });
+    const year = years[0];
+
+    expect(year.itemizes).toBe(true);
+    expect(year.deductibleInterest).toBe(year.interestPaid);
+    expect(year.interestTaxSaved).toBe(Math.round((year.interestPaid + 10000 - 16100) * 22) / 100);
+  });
+
+  test('limits deductible interest to the share of the balance under the loan limit', () => {
+    const { years, loanLimit } = calculateMortgageInterestDeduction(jumboLoan, { rate: 6 });
+    const share = loanLimit / averageBalance(jumboLoan, 2026);
+
+    expect(loanLimit).toBe(750000);
+    expect(years[0].deductibleInterest).toBe(Math.round(years[0].interestPaid * share * 100) / 100);
+    expect(years[0].deductibleInterest).toBeLessThan(years[0].interestPaid * 0.51);
+  });
+
+  test('halves the loan limit for married couples filing separately', () => {
+    const separate = calculateMortgageInterestDeduction(smallLoan, { filingStatus: 'married-separate', rate: 6 });
+
+    expect(separate.loanLimit).toBe(375000);
+    // $200,000 is under the lower limit, so all of its interest stays deductible
+    expect(separate.years[0].deductibleInterest).toBe(separate.years[0].interestPaid);
+    expect(calculateMortgageInterestDeduction(jumboLoan, { filingStatus: 'married-separate' }).years[0].deductibleInterest)
+      .toBeLessThan(calculateMortgageInterestDeduction(jumboLoan).years[0].deductibleInterest);
+  });
+
+  test('deducts points in the first year only', () => {
+    const { years, pointsTaxSaved, afterTaxCost, totalInterest, totalTaxSaved } = calculateMortgageInterestDeduction(jumboLoan, {
+      marginalRate: 24,
+      pointsPaid: 15000,
+      rate: 6
+    });
+
+    expect(years[0].pointsDeducted).toBe(15000);
+    expect(years[0].pointsTaxSaved).toBe(3600);
+    expect(years.slice(1).every(year => year.pointsDeducted === 0 && year.pointsTaxSaved === 0)).toBe(true);
+    expect(pointsTaxSaved).toBe(3600);
+    expect(afterTaxCost).toBe(Math.round((totalInterest + 15000 - totalTaxSaved) * 100) / 100);
+  });
+
+  test('lowers the after-tax rate by the tax saved on interest', () => {
+    const deduction = calculateMortgageInterestDeduction(jumboLoan, { marginalRate: 32, rate: 6 });
+
+    expect(deduction.afterTaxRate).toBe(parseFloat((6 * (1 - deduction.interestTaxSaved / deduction.totalInterest)).toFixed(2)));
+    expect(deduction.afterTaxRate).toBeLessThan(6);
+    expect(deduction.afterTaxRate).toBeGreaterThan(6 * 0.68);
+  });
+
+  test('deducts the interest on the payments actually made for non-monthly loans', () => {
+    const loan = { principal: 400000, rate: 6, termYears: 30, startDate: '2026-01-01', taxDeduction: { marginalRate: 24, otherItemized: 10000 } };
+    const monthly = calculateMortgage(loan);
+    const biweekly = calculateMortgage({ ...loan, paymentFrequency: 'accelerated-biweekly' });
+    const biweeklySchedule = generateAmortizationSchedule(400000, 6, 30, 0, { startDate: '2026-01-01', paymentFrequency: 'accelerated-biweekly' });
+
+    expect(biweekly.taxDeduction.totalInterest).toBe(biweekly.totalInterest);
+    expect(biweekly.taxDeduction.years).toHaveLength(new Set(biweeklySchedule.map(row => row.date.getFullYear())).size);
+    expect(biweekly.taxDeduction.totalInterest).toBeLessThan(monthly.taxDeduction.totalInterest);
+  });
+});